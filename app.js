@@ -9,6 +9,11 @@ const { logger, httpLogger } = require('./utils/logger');
 const { testConnection } = require('./config/db');
 const dotenv = require('dotenv');
 const tokenBlacklistService = require('./services/tokenBlacklistService');
+const postSchedulerService = require('./services/postSchedulerService');
+const emailOutboxService = require('./services/emailOutboxService');
+const sessionService = require('./services/sessionService');
+const newsletterService = require('./services/newsletterService');
+const roleGrantService = require('./services/roleGrantService');
 // 引入Swagger配置
 const { setupSwagger } = require('./swagger');
 const { 
@@ -126,6 +131,41 @@ testConnection()
       } catch (error) {
         logger.error(`令牌黑名单服务初始化失败: ${error.message}`);
       }
+      
+      // 初始化文章定时发布服务
+      try {
+        await postSchedulerService.init();
+      } catch (error) {
+        logger.error(`文章定时发布服务初始化失败: ${error.message}`);
+      }
+      
+      // 初始化登录会话清理任务
+      try {
+        await sessionService.init();
+      } catch (error) {
+        logger.error(`登录会话服务初始化失败: ${error.message}`);
+      }
+      
+      // 初始化邮件发送队列
+      try {
+        await emailOutboxService.init();
+      } catch (error) {
+        logger.error(`邮件发送队列初始化失败: ${error.message}`);
+      }
+      
+      // 初始化邮件订阅定时任务（定时群发和每周文章摘要）
+      try {
+        await newsletterService.init();
+      } catch (error) {
+        logger.error(`邮件订阅定时任务初始化失败: ${error.message}`);
+      }
+      
+      // 初始化临时角色授权的到期处理任务
+      try {
+        await roleGrantService.init();
+      } catch (error) {
+        logger.error(`临时角色授权服务初始化失败: ${error.message}`);
+      }
     }
   })
   .catch((err) => {
@@ -140,6 +180,16 @@ function loadRoutes() {
     app.use('/direct', directHandlers);
     logger.info('已加载直接处理路由');
     
+    // 加载订阅源路由 (/feed.xml、/atom.xml、/feed.json)
+    const feedRoutes = require('./routes/feed');
+    app.use('/', feedRoutes);
+    logger.info('已加载订阅源路由');
+    
+    // 加载站点地图路由 (/sitemap.xml、/robots.txt)
+    const sitemapRoutes = require('./routes/sitemap');
+    app.use('/', sitemapRoutes);
+    logger.info('已加载站点地图路由');
+    
     // 加载公共路由
     const publicRoutes = require('./routes/public');
     app.use('/api', publicRoutes);
@@ -206,14 +256,29 @@ try {
               <li><code>POST /api/auth/login</code> - 用户登录</li>
               <li><code>GET /api/auth/me</code> - 获取当前用户信息</li>
               <li><code>POST /api/auth/logout</code> - 用户登出</li>
+              <li><code>POST /api/auth/refresh-token</code> - 刷新令牌</li>
+              <li><code>GET /api/auth/sessions</code> - 登录设备列表</li>
+              <li><code>DELETE /api/auth/sessions/:id</code> - 退出指定设备</li>
+              <li><code>GET /api/auth/api-tokens</code> - 个人访问令牌</li>
+            </ul>
+            
+            <h2>通知</h2>
+            <ul>
+              <li><code>GET /api/notifications/preferences</code> - 获取评论通知设置</li>
+              <li><code>PUT /api/notifications/preferences</code> - 更新评论通知设置</li>
+              <li><code>GET /api/notifications/unsubscribe</code> - 通过邮件链接一键退订</li>
+              <li><code>POST /api/newsletter/subscribe</code> - 邮件订阅新文章</li>
             </ul>
             
             <h2>文章相关</h2>
             <ul>
               <li><code>GET /api/posts</code> - 获取文章列表</li>
+              <li><code>GET /api/posts/search</code> - 搜索文章</li>
               <li><code>GET /api/posts/{slug}</code> - 获取文章详情</li>
+              <li><code>GET /api/posts/{slug}/related</code> - 获取相关文章</li>
               <li><code>GET /api/posts/{postId}/comments</code> - 获取文章评论</li>
               <li><code>POST /api/posts/{postId}/comments</code> - 添加评论</li>
+              <li><code>DELETE /api/posts/{postId}/comments/{commentId}</code> - 删除评论（own 权限只能删除自己的评论）</li>
             </ul>
             
             <h2>分类和标签</h2>
@@ -222,12 +287,39 @@ try {
               <li><code>GET /api/tags</code> - 获取标签列表</li>
             </ul>
             
+            <h2>订阅源</h2>
+            <ul>
+              <li><code>GET /feed.xml</code> - RSS 2.0</li>
+              <li><code>GET /atom.xml</code> - Atom 1.0</li>
+              <li><code>GET /feed.json</code> - JSON Feed</li>
+              <li><code>GET /category/{slug}/feed.xml</code>、<code>GET /tag/{slug}/feed.xml</code> - 分类、标签订阅源（同样支持 atom.xml 和 feed.json）</li>
+            </ul>
+            
+            <h2>搜索引擎</h2>
+            <ul>
+              <li><code>GET /sitemap.xml</code> - 站点地图</li>
+              <li><code>GET /robots.txt</code> - 爬虫规则</li>
+            </ul>
+            
             <h2>管理员相关</h2>
             <ul>
               <li><code>POST /api/admin/auth/login</code> - 管理员登录</li>
+              <li><code>POST /api/admin/auth/refresh-token</code> - 刷新管理员令牌</li>
+              <li><code>POST /api/admin/auth/login/mfa</code> - 两步验证登录</li>
+              <li><code>GET /api/admin/auth/mfa</code> - 两步验证设置</li>
+              <li><code>GET /api/admin/auth/api-tokens</code> - 个人访问令牌</li>
               <li><code>GET /api/admin/roles</code> - 获取所有角色</li>
               <li><code>GET /api/admin/users</code> - 获取用户列表</li>
+              <li><code>POST /api/admin/users/:id/unlock</code> - 解除用户登录锁定</li>
               <li><code>GET /api/admin/roles/permissions</code> - 获取所有权限</li>
+              <li><code>GET /api/admin/roles/users/:userId/permissions</code> - 用户的有效权限及来源</li>
+              <li><code>POST /api/admin/roles/grants</code> - 临时授予角色</li>
+              <li><code>PUT /api/admin/roles/scopes</code> - 限定角色的分类范围</li>
+              <li><code>GET /api/admin/sensitive-words</code> - 敏感词库管理</li>
+              <li><code>GET /api/admin/emails</code> - 邮件发送记录</li>
+              <li><code>GET /api/admin/email-templates</code> - 邮件模板管理</li>
+              <li><code>GET /api/admin/newsletter/campaigns</code> - 群发邮件与文章摘要</li>
+              <li><code>GET /api/admin/audit-logs</code> - 管理操作审计日志</li>
             </ul>
           </div>
         </body>
@@ -4,6 +4,7 @@ CREATE TABLE IF NOT EXISTS `public_users_verification` (
   `email` VARCHAR(255) NOT NULL COMMENT '用户邮箱',
   `verification_code` VARCHAR(10) NOT NULL COMMENT '验证码',
   `verification_expires` DATETIME NOT NULL COMMENT '过期时间',
+  `attempts` INT NOT NULL DEFAULT 0 COMMENT '已尝试次数，达到上限后验证码作废',
   `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
   PRIMARY KEY (`id`),
   INDEX `idx_email` (`email`),
@@ -16,6 +17,7 @@ CREATE TABLE IF NOT EXISTS `public_users_reset_password` (
   `email` VARCHAR(255) NOT NULL COMMENT '用户邮箱',
   `reset_code` VARCHAR(10) NOT NULL COMMENT '重置验证码',
   `reset_expires` DATETIME NOT NULL COMMENT '过期时间',
+  `attempts` INT NOT NULL DEFAULT 0 COMMENT '已尝试次数，达到上限后验证码作废',
   `created_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
   PRIMARY KEY (`id`),
   INDEX `idx_email` (`email`),
@@ -33,6 +33,8 @@ const dbConfig = require('./db');
 const serverConfig = {
   port: parseInt(process.env.PORT || '9002', 10),
   host: process.env.HOST || 'localhost',
+  // 对外访问地址，用于邮件中指向本服务的链接（如退订链接）
+  publicUrl: (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || '9002'}`).replace(/\/+$/, ''),
   apiVersion: process.env.API_VERSION || 'v1',
   env: environment,
   requestTimeout: parseInt(process.env.REQUEST_TIMEOUT || '30000', 10),
@@ -53,7 +55,7 @@ const securityConfig = {
   xssProtection: process.env.ENABLE_XSS_PROTECTION === 'true',
   jwt: {
     ...jwtConfig,
-    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+    refreshExpiresIn: jwtConfig.JWT_REFRESH_EXPIRES_IN,
     issuer: process.env.JWT_ISSUER || 'xblog-api'
   }
 };
@@ -100,6 +102,15 @@ const cacheConfig = {
   enabled: process.env.API_CACHE_ENABLED === 'true'
 };
 
+// 前台站点配置，用于生成订阅源、站点地图中的链接
+const siteConfig = {
+  url: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  postPath: process.env.SITE_POST_PATH || '/posts/:slug',
+  categoryPath: process.env.SITE_CATEGORY_PATH || '/category/:slug',
+  tagPath: process.env.SITE_TAG_PATH || '/tag/:slug',
+  authorPath: process.env.SITE_AUTHOR_PATH || '/author/:slug'
+};
+
 // 导出配置
 module.exports = {
   // 环境信息
@@ -129,6 +140,9 @@ module.exports = {
   // 缓存配置
   cache: cacheConfig,
   
+  // 前台站点配置
+  site: siteConfig,
+  
   // 向前兼容旧配置
   JWT_SECRET: jwtConfig.JWT_SECRET,
   JWT_EXPIRES_IN: jwtConfig.JWT_EXPIRES_IN,
@@ -6,7 +6,9 @@ const { logger } = require('../utils/logger');
  */
 module.exports = {
   JWT_SECRET: process.env.JWT_SECRET || 'xblog-test-secret-key-12345',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h'
+  // 访问令牌有效期较短，过期后使用刷新令牌换取
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '30d'
 };
 
 // JWT配置已加载（静默模式）
\ No newline at end of file
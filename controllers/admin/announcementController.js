@@ -5,6 +5,25 @@
 
 const { query } = require('../../config/db');
 const { logger } = require('../../utils/logger');
+const sensitiveWordService = require('../../services/sensitiveWordService');
+const permissionService = require('../../services/permissionService');
+
+/**
+ * 检查公告内容中的敏感词
+ * 命中 review 类时，只有拥有 content:review 权限的用户确认后才能启用，否则只能保存为禁用状态
+ * @param {string} content - 公告内容
+ * @param {Object} req - 请求对象，body.sensitiveReviewed 为是否已确认审核类敏感词
+ * @returns {Promise<Object>} - sensitiveWordService.check 的结果，附加 holdForReview
+ */
+const checkSensitiveWords = async (content, req) => {
+  const result = await sensitiveWordService.check(content);
+  if (result.action !== 'review') {
+    return { ...result, holdForReview: false };
+  }
+
+  const reviewed = req.body.sensitiveReviewed === true && await permissionService.hasPermission(req.user, 'content:review');
+  return { ...result, holdForReview: !reviewed };
+};
 
 /**
  * 获取所有公告列表
@@ -135,6 +154,15 @@ const createAnnouncement = async (req, res) => {
       });
     }
     
+    const filtered = await checkSensitiveWords(content, req);
+    if (filtered.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: '公告内容包含敏感词',
+        details: filtered.matches
+      });
+    }
+    
     // 获取当前用户ID
     const created_by = req.user.id;
     
@@ -143,7 +171,7 @@ const createAnnouncement = async (req, res) => {
       `INSERT INTO announcements 
        (content, type, status, priority, start_time, end_time, created_by)
        VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [content, type, status, priority, start_time, end_time, created_by]
+      [filtered.text, type, filtered.holdForReview ? 0 : status, priority, start_time, end_time, created_by]
     );
     
     // 查询刚刚创建的公告
@@ -154,7 +182,7 @@ const createAnnouncement = async (req, res) => {
     
     return res.status(201).json({
       success: true,
-      message: '创建公告成功',
+      message: filtered.holdForReview ? '公告包含需审核的敏感词，已保存为禁用状态' : '创建公告成功',
       data: announcement
     });
   } catch (error) {
@@ -199,9 +227,18 @@ const updateAnnouncement = async (req, res) => {
     const updateFields = [];
     const updateValues = [];
     
+    const filtered = await checkSensitiveWords(content, req);
+    if (filtered.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: '公告内容包含敏感词',
+        details: filtered.matches
+      });
+    }
+    
     if (content !== undefined) {
       updateFields.push('content = ?');
-      updateValues.push(content);
+      updateValues.push(filtered.text);
     }
     
     if (type !== undefined) {
@@ -216,7 +253,10 @@ const updateAnnouncement = async (req, res) => {
       updateValues.push(type);
     }
     
-    if (status !== undefined) {
+    if (filtered.holdForReview) {
+      updateFields.push('status = ?');
+      updateValues.push(0);
+    } else if (status !== undefined) {
       updateFields.push('status = ?');
       updateValues.push(status);
     }
@@ -261,7 +301,7 @@ const updateAnnouncement = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      message: '更新公告成功',
+      message: filtered.holdForReview ? '公告包含需审核的敏感词，已设为禁用状态' : '更新公告成功',
       data: updatedAnnouncement
     });
   } catch (error) {
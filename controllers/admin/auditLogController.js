@@ -0,0 +1,175 @@
+/**
+ * 管理操作审计日志控制器 - 管理员
+ * 日志只能查看和导出，没有修改和删除接口
+ */
+
+const auditLogService = require('../../services/auditLogService');
+const { toCsv } = require('../../utils/auditLog');
+const { logger } = require('../../utils/logger');
+
+const EXPORT_COLUMNS = [
+  { key: 'id', title: 'ID' },
+  { key: 'created_at', title: '时间' },
+  { key: 'actor_id', title: '操作人ID' },
+  { key: 'actor_name', title: '操作人' },
+  { key: 'actor_role', title: '角色' },
+  { key: 'api_token_id', title: '访问令牌ID' },
+  { key: 'action', title: '操作' },
+  { key: 'path', title: '请求路径' },
+  { key: 'entity_type', title: '对象类型' },
+  { key: 'entity_id', title: '对象ID' },
+  { key: 'status_code', title: '状态码' },
+  { key: 'before_data', title: '操作前' },
+  { key: 'after_data', title: '操作后' },
+  { key: 'request_body', title: '请求参数' },
+  { key: 'ip_address', title: 'IP' },
+  { key: 'user_agent', title: 'User-Agent' },
+  { key: 'request_id', title: '请求ID' }
+];
+
+/**
+ * 解析并校验筛选条件
+ * @returns {Object} - { filters } 或 { error }
+ */
+const parseFilters = (queryParams) => {
+  const { actorId, action, entityType, entityId, requestId, statusCode, from, to } = queryParams;
+  const method = queryParams.method ? String(queryParams.method).toUpperCase() : undefined;
+
+  if (method && !auditLogService.METHODS.includes(method)) {
+    return { error: `请求方法应为${auditLogService.METHODS.join('/')}之一` };
+  }
+
+  if (statusCode && !['2xx', '4xx', '5xx'].includes(statusCode)) {
+    return { error: '状态码应为2xx/4xx/5xx之一' };
+  }
+
+  for (const value of [from, to]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return { error: '时间格式不正确' };
+    }
+  }
+
+  return {
+    filters: {
+      actorId: actorId ? parseInt(actorId, 10) || undefined : undefined,
+      method,
+      action,
+      entityType,
+      entityId,
+      requestId,
+      statusCode,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    }
+  };
+};
+
+/**
+ * 获取审计日志
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const { logs, total } = await auditLogService.getLogs({ ...filters, page, limit });
+
+    return res.status(200).json({
+      success: true,
+      message: '获取审计日志成功',
+      data: {
+        logs,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取审计日志失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取审计日志失败'
+    });
+  }
+};
+
+/**
+ * 获取单条审计日志，包含完整的前后快照
+ */
+const getAuditLogById = async (req, res) => {
+  try {
+    const log = await auditLogService.getLogById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({ success: false, message: '审计日志不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '获取审计日志详情成功',
+      data: log
+    });
+  } catch (error) {
+    logger.error(`获取审计日志详情失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取审计日志详情失败'
+    });
+  }
+};
+
+/**
+ * 导出审计日志，支持 csv 和 json 格式
+ * 超过导出上限时只导出最近的记录，响应头 X-Export-Truncated 为 true
+ */
+const exportAuditLogs = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: '导出格式应为csv/json之一' });
+    }
+
+    const { filters, error } = parseFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { logs, truncated } = await auditLogService.exportLogs(filters);
+    const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.setHeader('X-Export-Truncated', String(truncated));
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      return res.status(200).send(JSON.stringify({ logs, truncated, limit: auditLogService.MAX_EXPORT_ROWS }, null, 2));
+    }
+
+    // 加 BOM，Excel 打开时中文不乱码
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.status(200).send(`\uFEFF${toCsv(logs, EXPORT_COLUMNS)}`);
+  } catch (error) {
+    logger.error(`导出审计日志失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '导出审计日志失败'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLogById,
+  exportAuditLogs
+};
@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const userService = require('../../services/userService');
+const authService = require('../../services/authService');
+const sessionService = require('../../services/sessionService');
+const mfaService = require('../../services/mfaService');
+const loginProtectionService = require('../../services/loginProtectionService');
+const apiTokenService = require('../../services/apiTokenService');
 const { responseSuccess, responseError } = require('../../utils/response');
 const jwtConfig = require('../../config/jwt');
 const { logger } = require('../../utils/logger');
@@ -91,6 +96,16 @@ async function register(req, res) {
   }
 }
 
+/**
+ * 登录时的设备信息
+ * @param {object} req - 请求对象
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getLoginContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
 /**
  * 管理员登录
  * @param {Object} req - 请求对象
@@ -116,15 +131,36 @@ async function login(req, res) {
     }
     
     // 登录处理
-    const result = await userService.loginAdminUser(username, password);
+    const result = await userService.loginAdminUser(username, password, getLoginContext(req));
     
     if (!result.success) {
       logger.error('管理员登录失败:', result.message);
-      return res.status(401).json({
+      // 失败次数过多被限制时返回需要等待的秒数
+      const status = result.status || 401;
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(status).json({
         success: false,
-        code: 401,
+        code: status,
         message: result.message,
-        errors: null
+        errors: null,
+        ...(result.retryAfter ? { data: { retryAfter: result.retryAfter } } : {})
+      });
+    }
+    
+    // 需要两步验证时只返回待验证令牌
+    if (result.mfaRequired) {
+      logger.info('管理员等待两步验证:', username);
+      return res.json({
+        success: true,
+        code: 200,
+        message: result.message,
+        data: {
+          mfaRequired: true,
+          mfaSetupRequired: result.mfaSetupRequired,
+          mfaToken: result.mfaToken
+        }
       });
     }
     
@@ -135,6 +171,7 @@ async function login(req, res) {
       message: '登录成功',
       data: {
         token: result.token,
+        refreshToken: result.refreshToken,
         admin: result.user // 修改为 admin 符合文档
       }
     });
@@ -149,6 +186,394 @@ async function login(req, res) {
   }
 }
 
+/**
+ * 两步验证被拒绝时的响应，账户被锁定时附带需要等待的秒数
+ * @param {object} res - 响应对象
+ * @param {Object} result - userService 返回的登录失败结果
+ */
+const respondMfaRejected = (res, result) => {
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  return responseError(res, result.message, result.status || 401);
+};
+
+/**
+ * 登录第二步：提交验证码或恢复码完成登录
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const verifyLoginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return responseError(res, '请输入验证码或恢复码', 400);
+    }
+
+    const pending = await mfaService.verifyPendingToken(mfaToken, 'verify');
+    if (pending.error) {
+      return responseError(res, pending.error, 401);
+    }
+
+    const locked = await userService.checkAdminMfaAttempt(pending.adminId, req.ip);
+    if (locked) {
+      return respondMfaRejected(res, locked);
+    }
+
+    const remaining = await mfaService.takeAttempt(pending.jti);
+    if (remaining === null) {
+      return responseError(res, '验证失败次数过多，请重新登录', 401);
+    }
+
+    const verified = await mfaService.verifySecondFactor(pending.adminId, { code, recoveryCode });
+    if (verified.error) {
+      logger.warn(`管理员两步验证失败: ID=${pending.adminId}, IP=${req.ip}`);
+      const message = remaining > 0 ? `${verified.error}，还可尝试 ${remaining} 次` : '验证失败次数过多，请重新登录';
+      return respondMfaRejected(res, await userService.rejectAdminMfa(pending.adminId, req.ip, message));
+    }
+
+    if (!(await mfaService.consumePendingToken(pending.jti))) {
+      return responseError(res, '验证已失效，请重新登录', 401);
+    }
+
+    const result = await userService.completeAdminLogin(pending.adminId, getLoginContext(req));
+    if (!result.success) {
+      return responseError(res, result.message, 401);
+    }
+
+    return responseSuccess(res, '登录成功', {
+      token: result.token,
+      refreshToken: result.refreshToken,
+      admin: result.user
+    });
+  } catch (err) {
+    logger.error('管理员两步验证错误:', err.message);
+    return responseError(res, '验证时发生错误', 500);
+  }
+};
+
+/**
+ * 登录时绑定两步验证（所在角色要求开启但尚未开启）：获取密钥
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const setupLoginMfa = async (req, res) => {
+  try {
+    const pending = await mfaService.verifyPendingToken(req.body.mfaToken, 'setup');
+    if (pending.error) {
+      return responseError(res, pending.error, 401);
+    }
+
+    const result = await mfaService.startEnrollment(pending.adminId);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(res, '请使用验证器应用扫描二维码', result);
+  } catch (err) {
+    logger.error('登录时绑定两步验证错误:', err.message);
+    return responseError(res, '获取两步验证密钥失败', 500);
+  }
+};
+
+/**
+ * 登录时绑定两步验证：确认验证码，开启后完成登录并返回恢复码
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const enableLoginMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    const pending = await mfaService.verifyPendingToken(mfaToken, 'setup');
+    if (pending.error) {
+      return responseError(res, pending.error, 401);
+    }
+
+    const locked = await userService.checkAdminMfaAttempt(pending.adminId, req.ip);
+    if (locked) {
+      return respondMfaRejected(res, locked);
+    }
+
+    if ((await mfaService.takeAttempt(pending.jti)) === null) {
+      return responseError(res, '验证失败次数过多，请重新登录', 401);
+    }
+
+    const enrolled = await mfaService.confirmEnrollment(pending.adminId, code);
+    if (enrolled.error) {
+      const rejected = await userService.rejectAdminMfa(pending.adminId, req.ip, enrolled.error);
+      return respondMfaRejected(res, { ...rejected, status: rejected.status || 400 });
+    }
+
+    if (!(await mfaService.consumePendingToken(pending.jti))) {
+      return responseError(res, '验证已失效，请重新登录', 401);
+    }
+
+    const result = await userService.completeAdminLogin(pending.adminId, getLoginContext(req));
+    if (!result.success) {
+      return responseError(res, result.message, 401);
+    }
+
+    return responseSuccess(res, '两步验证已开启，请妥善保存恢复码', {
+      token: result.token,
+      refreshToken: result.refreshToken,
+      admin: result.user,
+      recoveryCodes: enrolled.recoveryCodes
+    });
+  } catch (err) {
+    logger.error('登录时开启两步验证错误:', err.message);
+    return responseError(res, '开启两步验证失败', 500);
+  }
+};
+
+/**
+ * 获取当前管理员的两步验证状态
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const status = await mfaService.getStatus(req.user.id);
+    return responseSuccess(res, '获取两步验证状态成功', status);
+  } catch (err) {
+    logger.error('获取两步验证状态错误:', err.message);
+    return responseError(res, '获取两步验证状态失败', 500);
+  }
+};
+
+/**
+ * 开始绑定两步验证：生成密钥和二维码地址
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const result = await mfaService.startEnrollment(req.user.id);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(res, '请使用验证器应用扫描二维码', result);
+  } catch (err) {
+    logger.error('绑定两步验证错误:', err.message);
+    return responseError(res, '获取两步验证密钥失败', 500);
+  }
+};
+
+/**
+ * 确认验证码，开启两步验证并返回恢复码
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const result = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(res, '两步验证已开启，请妥善保存恢复码', result);
+  } catch (err) {
+    logger.error('开启两步验证错误:', err.message);
+    return responseError(res, '开启两步验证失败', 500);
+  }
+};
+
+/**
+ * 关闭两步验证
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return responseError(res, '请输入验证码或恢复码', 400);
+    }
+
+    const result = await mfaService.disable(req.user.id, { code, recoveryCode });
+    if (result.error) {
+      return responseError(res, result.error, result.status);
+    }
+
+    return responseSuccess(res, '两步验证已关闭', null);
+  } catch (err) {
+    logger.error('关闭两步验证错误:', err.message);
+    return responseError(res, '关闭两步验证失败', 500);
+  }
+};
+
+/**
+ * 重新生成恢复码
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(res, '恢复码已重新生成，旧的恢复码已失效', result);
+  } catch (err) {
+    logger.error('重新生成恢复码错误:', err.message);
+    return responseError(res, '重新生成恢复码失败', 500);
+  }
+};
+
+/**
+ * 获取两步验证策略
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getMfaPolicy = async (req, res) => {
+  try {
+    const policy = await mfaService.getPolicy();
+    return responseSuccess(res, '获取两步验证策略成功', policy);
+  } catch (err) {
+    logger.error('获取两步验证策略错误:', err.message);
+    return responseError(res, '获取两步验证策略失败', 500);
+  }
+};
+
+/**
+ * 更新两步验证策略：设置必须开启两步验证的角色
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const updateMfaPolicy = async (req, res) => {
+  try {
+    const result = await mfaService.updatePolicy(req.body);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(res, '两步验证策略已更新', result.policy);
+  } catch (err) {
+    logger.error('更新两步验证策略错误:', err.message);
+    return responseError(res, '更新两步验证策略失败', 500);
+  }
+};
+
+/**
+ * 获取当前管理员的个人访问令牌
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokenService.getTokens('admin', req.user.id);
+    return responseSuccess(res, '获取访问令牌成功', tokens);
+  } catch (err) {
+    logger.error('获取访问令牌错误:', err.message);
+    return responseError(res, '获取访问令牌失败', 500);
+  }
+};
+
+/**
+ * 获取可以授予访问令牌的权限代码
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getApiTokenScopes = async (req, res) => {
+  try {
+    const scopes = await apiTokenService.getAvailableScopes('admin', req.user.id);
+    return responseSuccess(res, '获取可用权限成功', scopes);
+  } catch (err) {
+    logger.error('获取访问令牌可用权限错误:', err.message);
+    return responseError(res, '获取可用权限失败', 500);
+  }
+};
+
+/**
+ * 创建个人访问令牌，令牌明文只返回这一次
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const createApiToken = async (req, res) => {
+  try {
+    const result = await apiTokenService.createToken('admin', req.user.id, req.body);
+    if (result.error) {
+      return responseError(res, result.error, 400);
+    }
+
+    return responseSuccess(
+      res,
+      '访问令牌已创建，请立即复制保存，之后将无法再次查看',
+      { ...result.apiToken, token: result.token },
+      201
+    );
+  } catch (err) {
+    logger.error('创建访问令牌错误:', err.message);
+    return responseError(res, '创建访问令牌失败', 500);
+  }
+};
+
+/**
+ * 撤销个人访问令牌
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const revokeApiToken = async (req, res) => {
+  try {
+    const revoked = await apiTokenService.revokeToken('admin', req.user.id, parseInt(req.params.id));
+    if (!revoked) {
+      return responseError(res, '访问令牌不存在或已撤销', 404);
+    }
+
+    return responseSuccess(res, '访问令牌已撤销');
+  } catch (err) {
+    logger.error('撤销访问令牌错误:', err.message);
+    return responseError(res, '撤销访问令牌失败', 500);
+  }
+};
+
+/**
+ * 获取管理员账户的登录锁定状态（超级管理员）
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getAdminLoginLock = async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+    if (!adminId) {
+      return responseError(res, '无效的管理员ID', 400);
+    }
+
+    const status = await loginProtectionService.getLockStatus('admin', adminId);
+    return responseSuccess(res, '获取登录锁定状态成功', status);
+  } catch (err) {
+    logger.error('获取管理员登录锁定状态错误:', err.message);
+    return responseError(res, '获取登录锁定状态失败', 500);
+  }
+};
+
+/**
+ * 解除管理员账户的登录锁定（超级管理员）
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const unlockAdmin = async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+    if (!adminId) {
+      return responseError(res, '无效的管理员ID', 400);
+    }
+
+    const admins = await query('SELECT id FROM admin_users WHERE id = ?', [adminId]);
+    if (admins.length === 0) {
+      return responseError(res, '管理员不存在', 404);
+    }
+
+    const wasLocked = await loginProtectionService.unlock('admin', adminId);
+    return responseSuccess(res, wasLocked ? '已解除登录锁定' : '账户未被锁定，已清除登录失败记录', { wasLocked });
+  } catch (err) {
+    logger.error('解除管理员登录锁定错误:', err.message);
+    return responseError(res, '解除登录锁定失败', 500);
+  }
+};
+
 /**
  * 获取当前管理员信息
  * @param {object} req - 请求对象
@@ -177,12 +602,15 @@ const getCurrentAdmin = async (req, res) => {
 };
 
 /**
- * 管理员登出
+ * 管理员登出，结束当前登录会话
  * @param {object} req - 请求对象
  * @param {object} res - 响应对象
  */
-const logout = (req, res) => {
+const logout = async (req, res) => {
   try {
+    const accessToken = req.headers.authorization.split(' ')[1];
+    await authService.revokeTokens(accessToken);
+
     // 清除cookie
     if (process.env.USE_COOKIE === 'true') {
       res.clearCookie('admin_token');
@@ -195,10 +623,95 @@ const logout = (req, res) => {
   }
 };
 
+/**
+ * 使用刷新令牌换取新的令牌对
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+    if (!token) {
+      return responseError(res, '未提供刷新令牌', 400);
+    }
+
+    const result = await authService.refreshAdminTokens(token, { ipAddress: req.ip });
+    if (!result.success) {
+      return responseError(res, result.message, result.status);
+    }
+
+    return responseSuccess(res, '令牌刷新成功', {
+      token: result.token,
+      refreshToken: result.refreshToken,
+      admin: result.user
+    });
+  } catch (err) {
+    logger.error('管理员刷新令牌错误:', err.message);
+    return responseError(res, '刷新令牌时发生错误', 500);
+  }
+};
+
+/**
+ * 获取当前管理员的登录设备
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getSessions('admin', req.user.id);
+    return responseSuccess(
+      res,
+      '获取登录设备成功',
+      sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    );
+  } catch (err) {
+    logger.error('获取管理员登录设备错误:', err.message);
+    return responseError(res, '获取登录设备失败', 500);
+  }
+};
+
+/**
+ * 退出当前管理员指定设备的登录
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeUserSession('admin', req.user.id, req.params.id, 'remote_logout');
+    if (!revoked) {
+      return responseError(res, '登录设备不存在或已退出', 404);
+    }
+
+    return responseSuccess(res, '已退出该设备的登录', null);
+  } catch (err) {
+    logger.error('退出管理员设备登录错误:', err.message);
+    return responseError(res, '退出设备登录失败', 500);
+  }
+};
+
 module.exports = {
   register,
   login,
   getCurrentAdmin,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  verifyLoginMfa,
+  setupLoginMfa,
+  enableLoginMfa,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  getMfaPolicy,
+  updateMfaPolicy,
+  getAdminLoginLock,
+  unlockAdmin,
+  getApiTokens,
+  getApiTokenScopes,
+  createApiToken,
+  revokeApiToken,
   disableRegister
 }; 
\ No newline at end of file
@@ -5,6 +5,50 @@
 
 const { query } = require('../../config/db');
 const { logger } = require('../../utils/logger');
+const moderationService = require('../../services/moderationService');
+const notificationService = require('../../services/notificationService');
+const permissionService = require('../../services/permissionService');
+
+// 评论所属文章在分类范围内
+const COMMENT_SCOPE_SQL = 'EXISTS (SELECT 1 FROM post_categories pcs WHERE pcs.post_id = c.post_id AND pcs.category_id IN (?))';
+
+/**
+ * 构建限定评论分类范围的查询条件
+ * @param {number[]|null} scope - permissionService.getCategoryScope 返回的范围
+ * @returns {Object} - { sql, params }，sql 以 AND 开头，可直接追加到 WHERE 子句
+ */
+const buildScopeCondition = (scope) => {
+  if (scope === null) {
+    return { sql: '', params: [] };
+  }
+  if (scope.length === 0) {
+    return { sql: ' AND 1 = 0', params: [] };
+  }
+  return { sql: ` AND ${COMMENT_SCOPE_SQL}`, params: [scope] };
+};
+
+/**
+ * 检查评论是否都在当前管理员某项权限的分类范围内，默认为审核权限
+ * @param {Object} user - req.user
+ * @param {Array<number>} ids - 评论ID
+ * @param {string|string[]} codes - 权限代码，拥有其中任一即可
+ * @returns {Promise<boolean>}
+ */
+const canModerateComments = async (user, ids, codes = 'comment:moderate') => {
+  const scope = await permissionService.getCategoryScope(user, codes);
+  if (scope === null) {
+    return true;
+  }
+  if (scope.length === 0) {
+    return false;
+  }
+  
+  const [{ count }] = await query(
+    `SELECT COUNT(*) AS count FROM comments c WHERE c.id IN (?) AND NOT ${COMMENT_SCOPE_SQL}`,
+    [ids, scope]
+  );
+  return count === 0;
+};
 
 /**
  * 获取所有评论列表
@@ -44,6 +88,11 @@ const getAllComments = async (req, res) => {
       params.push(`%${keyword}%`, `%${keyword}%`);
     }
     
+    // 范围受限的编辑只能看到负责分类中的评论
+    const scopeCondition = buildScopeCondition(await permissionService.getCategoryScope(req.user, 'comment:view'));
+    whereClause += scopeCondition.sql;
+    params.push(...scopeCondition.params);
+    
     logger.info(`构建的WHERE子句: ${whereClause}`);
     logger.info(`查询参数: ${JSON.stringify(params)}`);
     
@@ -123,6 +172,7 @@ const getAllComments = async (req, res) => {
 const getCommentById = async (req, res) => {
   try {
     const { id } = req.params;
+    const scopeCondition = buildScopeCondition(await permissionService.getCategoryScope(req.user, 'comment:view'));
     
     // 移除不存在的likes字段
     const [comment] = await query(
@@ -132,8 +182,8 @@ const getCommentById = async (req, res) => {
        FROM comments c
        LEFT JOIN public_users u ON c.author_id = u.id
        LEFT JOIN posts p ON c.post_id = p.id
-       WHERE c.id = ?`,
-      [id]
+       WHERE c.id = ?${scopeCondition.sql}`,
+      [id, ...scopeCondition.params]
     );
     
     if (!comment) {
@@ -171,6 +221,9 @@ const getCommentById = async (req, res) => {
     
     comment.replies = replies;
     
+    // 自动审核记录，包含各项检查的评分和原因
+    comment.moderation_logs = await moderationService.getModerationLogs(comment.id);
+    
     return res.status(200).json({
       status: 'success',
       message: '获取评论详情成功',
@@ -204,6 +257,13 @@ const approveComment = async (req, res) => {
       });
     }
     
+    if (!(await canModerateComments(req.user, [id]))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能审核负责分类中的评论'
+      });
+    }
+    
     // 更新评论状态
     await query(
       "UPDATE comments SET status = 'approved' WHERE id = ?",
@@ -216,6 +276,9 @@ const approveComment = async (req, res) => {
       [id, admin_id, 'approve']
     );
     
+    // 邮件在后台发送，不阻塞响应
+    notificationService.notifyApprovedComments([id]);
+    
     return res.status(200).json({
       status: 'success',
       message: '评论审核通过成功'
@@ -248,6 +311,13 @@ const rejectComment = async (req, res) => {
       });
     }
     
+    if (!(await canModerateComments(req.user, [id]))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能审核负责分类中的评论'
+      });
+    }
+    
     // 更新评论状态
     await query(
       "UPDATE comments SET status = 'rejected' WHERE id = ?",
@@ -291,6 +361,13 @@ const deleteComment = async (req, res) => {
       });
     }
     
+    if (!(await canModerateComments(req.user, [comment.id], ['comment:delete:any', 'comment:delete']))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能删除负责分类中的评论'
+      });
+    }
+    
     // 删除评论
     await query('DELETE FROM comments WHERE id = ?', [id]);
     
@@ -320,6 +397,7 @@ const getPendingComments = async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
+    const scopeCondition = buildScopeCondition(await permissionService.getCategoryScope(req.user, 'comment:moderate'));
     
     // 移除不存在的likes字段
     const pendingComments = await query(
@@ -329,17 +407,18 @@ const getPendingComments = async (req, res) => {
        FROM comments c
        LEFT JOIN public_users u ON c.author_id = u.id
        LEFT JOIN posts p ON c.post_id = p.id
-       WHERE c.status = 'pending'
+       WHERE c.status = 'pending'${scopeCondition.sql}
        ORDER BY c.created_at DESC
        LIMIT ? OFFSET ?`,
-      [parseInt(limit), offset]
+      [...scopeCondition.params, parseInt(limit), offset]
     );
     
     // 获取总数
     const [{ total }] = await query(
       `SELECT COUNT(*) as total 
        FROM comments c
-       WHERE c.status = 'pending'`
+       WHERE c.status = 'pending'${scopeCondition.sql}`,
+      scopeCondition.params
     );
     
     return res.status(200).json({
@@ -380,6 +459,13 @@ const batchApproveComments = async (req, res) => {
       });
     }
     
+    if (!(await canModerateComments(req.user, ids))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能审核负责分类中的评论'
+      });
+    }
+    
     // 批量更新评论状态
     await query(
       "UPDATE comments SET status = 'approved' WHERE id IN (?)",
@@ -393,6 +479,9 @@ const batchApproveComments = async (req, res) => {
       [values]
     );
     
+    // 同一收件人的通知合并为一封邮件
+    notificationService.notifyApprovedComments(ids);
+    
     return res.status(200).json({
       status: 'success',
       message: `成功批量通过 ${ids.length} 条评论`,
@@ -422,6 +511,13 @@ const batchRejectComments = async (req, res) => {
       });
     }
     
+    if (!(await canModerateComments(req.user, ids))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能审核负责分类中的评论'
+      });
+    }
+    
     // 批量更新评论状态
     await query(
       "UPDATE comments SET status = 'rejected' WHERE id IN (?)",
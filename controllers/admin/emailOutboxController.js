@@ -0,0 +1,108 @@
+/**
+ * 邮件发送记录控制器 - 管理员
+ * 查看邮件发送队列和发送结果，失败的邮件可以重新发送
+ */
+
+const emailOutboxService = require('../../services/emailOutboxService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * 获取邮件发送记录
+ */
+const getEmails = async (req, res) => {
+  try {
+    const { status, category, email } = req.query;
+
+    if (status && !emailOutboxService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态应为${emailOutboxService.STATUSES.join('/')}之一`
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const [{ emails, total }, stats] = await Promise.all([
+      emailOutboxService.getEmails({ status, category, email, page, limit }),
+      emailOutboxService.getStats()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: '获取邮件发送记录成功',
+      data: {
+        emails,
+        stats,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取邮件发送记录失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取邮件发送记录失败'
+    });
+  }
+};
+
+/**
+ * 获取单封邮件详情，包含正文
+ */
+const getEmailById = async (req, res) => {
+  try {
+    const email = await emailOutboxService.getEmailById(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({ success: false, message: '邮件不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '获取邮件详情成功',
+      data: email
+    });
+  } catch (error) {
+    logger.error(`获取邮件详情失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取邮件详情失败'
+    });
+  }
+};
+
+/**
+ * 重新发送邮件
+ */
+const resendEmail = async (req, res) => {
+  try {
+    const result = await emailOutboxService.resend(req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: '邮件已重新加入发送队列',
+      data: result.email
+    });
+  } catch (error) {
+    logger.error(`重新发送邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '重新发送邮件失败'
+    });
+  }
+};
+
+module.exports = {
+  getEmails,
+  getEmailById,
+  resendEmail
+};
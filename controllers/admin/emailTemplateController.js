@@ -0,0 +1,206 @@
+/**
+ * 邮件模板控制器 - 管理员
+ * 按类型和语言自定义邮件的主题和正文，未自定义时使用内置模板
+ */
+
+const emailTemplateService = require('../../services/emailTemplateService');
+const { logger } = require('../../utils/logger');
+
+// 主题和正文的最大长度，与数据表字段一致
+const MAX_SUBJECT_LENGTH = 255;
+const MAX_BODY_LENGTH = 200000;
+
+/**
+ * 校验路径中的模板类型和语言
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {string|null} - 语言，校验失败时已返回响应并返回null
+ */
+const resolveParams = (req, res) => {
+  if (!emailTemplateService.isValidType(req.params.type)) {
+    res.status(404).json({ success: false, message: '邮件模板类型不存在' });
+    return null;
+  }
+
+  const locale = (req.body && req.body.locale) || req.query.locale || emailTemplateService.DEFAULT_LOCALE;
+  if (!emailTemplateService.isValidLocale(locale)) {
+    res.status(400).json({ success: false, message: '语言格式错误，应为 zh-CN、en 等形式' });
+    return null;
+  }
+
+  return locale;
+};
+
+/**
+ * 获取模板类型列表，包含每种类型支持的变量和已自定义的语言
+ */
+const getTemplateTypes = async (req, res) => {
+  try {
+    const types = await emailTemplateService.listTypes();
+
+    return res.status(200).json({
+      success: true,
+      message: '获取邮件模板列表成功',
+      data: {
+        defaultLocale: emailTemplateService.DEFAULT_LOCALE,
+        types
+      }
+    });
+  } catch (error) {
+    logger.error(`获取邮件模板列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取邮件模板列表失败'
+    });
+  }
+};
+
+/**
+ * 获取当前生效的模板
+ */
+const getTemplate = async (req, res) => {
+  try {
+    const locale = resolveParams(req, res);
+    if (!locale) {
+      return;
+    }
+
+    const template = await emailTemplateService.getTemplate(req.params.type, locale);
+
+    return res.status(200).json({
+      success: true,
+      message: '获取邮件模板成功',
+      data: template
+    });
+  } catch (error) {
+    logger.error(`获取邮件模板失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取邮件模板失败'
+    });
+  }
+};
+
+/**
+ * 保存自定义模板
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const locale = resolveParams(req, res);
+    if (!locale) {
+      return;
+    }
+
+    const { subject, body } = req.body;
+
+    if (typeof subject !== 'string' || subject.trim() === '' || subject.length > MAX_SUBJECT_LENGTH) {
+      return res.status(400).json({ success: false, message: `邮件主题不能为空，且不超过${MAX_SUBJECT_LENGTH}个字符` });
+    }
+
+    if (typeof body !== 'string' || body.trim() === '' || body.length > MAX_BODY_LENGTH) {
+      return res.status(400).json({ success: false, message: '邮件正文不能为空，且不能过长' });
+    }
+
+    const result = await emailTemplateService.saveTemplate(req.params.type, {
+      locale,
+      subject: subject.trim(),
+      body,
+      adminId: req.user?.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: result.validation
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '保存邮件模板成功',
+      data: result.template
+    });
+  } catch (error) {
+    logger.error(`保存邮件模板失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '保存邮件模板失败'
+    });
+  }
+};
+
+/**
+ * 删除自定义模板，恢复为内置模板
+ */
+const resetTemplate = async (req, res) => {
+  try {
+    const locale = resolveParams(req, res);
+    if (!locale) {
+      return;
+    }
+
+    const deleted = await emailTemplateService.resetTemplate(req.params.type, locale);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: '该语言没有自定义模板' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '已恢复默认模板',
+      data: await emailTemplateService.getTemplate(req.params.type, locale)
+    });
+  } catch (error) {
+    logger.error(`恢复默认邮件模板失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '恢复默认邮件模板失败'
+    });
+  }
+};
+
+/**
+ * 用示例数据预览模板
+ * 提交 subject/body 时预览未保存的内容，否则预览当前生效的模板
+ */
+const previewTemplate = async (req, res) => {
+  try {
+    const locale = resolveParams(req, res);
+    if (!locale) {
+      return;
+    }
+
+    const { subject, body, values } = req.body;
+
+    if ((subject !== undefined && typeof subject !== 'string') || (body !== undefined && typeof body !== 'string')) {
+      return res.status(400).json({ success: false, message: '邮件主题和正文必须是字符串' });
+    }
+
+    if (values !== undefined && (typeof values !== 'object' || values === null || Array.isArray(values))) {
+      return res.status(400).json({ success: false, message: 'values必须是对象' });
+    }
+
+    const result = await emailTemplateService.preview(req.params.type, { locale, subject, body, values });
+
+    return res.status(200).json({
+      success: true,
+      message: '预览成功',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`预览邮件模板失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '预览邮件模板失败'
+    });
+  }
+};
+
+module.exports = {
+  getTemplateTypes,
+  getTemplate,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate
+};
@@ -1,5 +1,6 @@
 const path = require('path');
 const fileService = require('../../services/fileService');
+const permissionService = require('../../services/permissionService');
 const { logger } = require('../../utils/logger');
 
 /**
@@ -19,7 +20,7 @@ const uploadFile = async (req, res) => {
     logger.info(`上传请求体: ${JSON.stringify(req.body)}`);
     
     // 处理文件信息
-    const adminId = req.adminId;
+    const adminId = req.user?.id || req.admin?.id;
     let { folder_id, folderId } = req.body;
     
     // 支持两种参数名称
@@ -237,6 +238,22 @@ const deleteFile = async (req, res) => {
   try {
     const { id } = req.params;
     
+    const file = await fileService.getFileById(id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: '文件不存在或删除失败'
+      });
+    }
+    
+    // 只有 media:delete:own 权限时只能删除自己上传的文件
+    if (!(await permissionService.canActOnResource(req.user, 'media:delete', file.uploaded_by))) {
+      return res.status(403).json({
+        success: false,
+        message: '只能删除自己上传的文件'
+      });
+    }
+    
     // 删除文件
     const deleted = await fileService.deleteFile(id);
     
@@ -275,8 +292,11 @@ const deleteMultipleFiles = async (req, res) => {
       });
     }
     
+    // 没有 media:delete:any 权限时只删除自己上传的文件，其余跳过
+    const canDeleteAny = await permissionService.canActOnResource(req.user, 'media:delete', null);
+    
     // 删除多个文件
-    const deletedCount = await fileService.deleteMultipleFiles(ids);
+    const deletedCount = await fileService.deleteMultipleFiles(ids, canDeleteAny ? null : req.user.id);
     
     return res.status(200).json({
       status: 'success',
@@ -304,6 +324,21 @@ const updateFile = async (req, res) => {
     const { id } = req.params;
     const { description, folder_id } = req.body;
     
+    const file = await fileService.getFileById(id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: '文件不存在或更新失败'
+      });
+    }
+    
+    if (!(await permissionService.canActOnResource(req.user, 'media:edit', file.uploaded_by))) {
+      return res.status(403).json({
+        success: false,
+        message: '只能编辑自己上传的文件'
+      });
+    }
+    
     const fileData = {
       description,
       folder_id: folder_id ? parseInt(folder_id, 10) : null
@@ -0,0 +1,432 @@
+/**
+ * 邮件订阅控制器 - 管理员
+ * 管理订阅者、群发邮件和每周文章摘要
+ */
+
+const newsletterService = require('../../services/newsletterService');
+const { logger } = require('../../utils/logger');
+
+// 群发邮件正文的最大长度
+const MAX_CONTENT_LENGTH = 200000;
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} - { page, limit }
+ */
+const getPagination = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.max(1, Math.min(100, parseInt(query.limit, 10) || 20))
+});
+
+/**
+ * 校验群发邮件字段
+ * @param {Object} body - 请求体
+ * @param {boolean} partial - 是否允许缺少必填字段
+ * @returns {string|null} - 错误信息
+ */
+const validateCampaign = (body, partial) => {
+  const { subject, content, scheduledAt } = body;
+
+  if (subject !== undefined || !partial) {
+    if (typeof subject !== 'string' || subject.trim() === '' || subject.length > 255) {
+      return '邮件主题不能为空，且不超过255个字符';
+    }
+  }
+
+  if (content !== undefined || !partial) {
+    if (typeof content !== 'string' || content.trim() === '' || content.length > MAX_CONTENT_LENGTH) {
+      return '邮件正文不能为空，且不能过长';
+    }
+  }
+
+  if (scheduledAt !== undefined && scheduledAt !== null) {
+    const time = new Date(scheduledAt);
+    if (Number.isNaN(time.getTime())) {
+      return '定时发送时间格式错误';
+    }
+    if (time <= new Date()) {
+      return '定时发送时间必须晚于当前时间';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 获取订阅者列表
+ */
+const getSubscribers = async (req, res) => {
+  try {
+    const { status, email } = req.query;
+
+    if (status && !newsletterService.SUBSCRIBER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态应为${newsletterService.SUBSCRIBER_STATUSES.join('/')}之一`
+      });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const { subscribers, total, stats } = await newsletterService.getSubscribers({ status, email, page, limit });
+
+    return res.status(200).json({
+      success: true,
+      message: '获取订阅者列表成功',
+      data: {
+        subscribers,
+        stats,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取订阅者列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取订阅者列表失败'
+    });
+  }
+};
+
+/**
+ * 删除订阅者
+ */
+const deleteSubscriber = async (req, res) => {
+  try {
+    const deleted = await newsletterService.deleteSubscriber(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: '订阅者不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '删除订阅者成功'
+    });
+  } catch (error) {
+    logger.error(`删除订阅者失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '删除订阅者失败'
+    });
+  }
+};
+
+/**
+ * 获取群发邮件列表
+ */
+const getCampaigns = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+
+    if (status && !newsletterService.CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `状态应为${newsletterService.CAMPAIGN_STATUSES.join('/')}之一`
+      });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const { campaigns, total } = await newsletterService.getCampaigns({ status, type, page, limit });
+
+    return res.status(200).json({
+      success: true,
+      message: '获取群发邮件列表成功',
+      data: {
+        campaigns,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取群发邮件列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取群发邮件列表失败'
+    });
+  }
+};
+
+/**
+ * 获取群发邮件详情
+ */
+const getCampaignById = async (req, res) => {
+  try {
+    const campaign = await newsletterService.getCampaignById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: '群发邮件不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '获取群发邮件成功',
+      data: campaign
+    });
+  } catch (error) {
+    logger.error(`获取群发邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取群发邮件失败'
+    });
+  }
+};
+
+/**
+ * 创建群发邮件
+ */
+const createCampaign = async (req, res) => {
+  try {
+    const error = validateCampaign(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { subject, content, scheduledAt } = req.body;
+    const campaign = await newsletterService.createCampaign({
+      subject: subject.trim(),
+      content,
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+      adminId: req.user?.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: scheduledAt ? '群发邮件已安排定时发送' : '群发邮件已保存为草稿',
+      data: campaign
+    });
+  } catch (error) {
+    logger.error(`创建群发邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '创建群发邮件失败'
+    });
+  }
+};
+
+/**
+ * 更新未发送的群发邮件
+ */
+const updateCampaign = async (req, res) => {
+  try {
+    const error = validateCampaign(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { subject, content, scheduledAt } = req.body;
+    const result = await newsletterService.updateCampaign(req.params.id, {
+      subject: subject !== undefined ? subject.trim() : undefined,
+      content,
+      scheduledAt: scheduledAt === undefined ? undefined : (scheduledAt ? new Date(scheduledAt) : null)
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '更新群发邮件成功',
+      data: result.campaign
+    });
+  } catch (error) {
+    logger.error(`更新群发邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '更新群发邮件失败'
+    });
+  }
+};
+
+/**
+ * 取消未发送的群发邮件
+ */
+const cancelCampaign = async (req, res) => {
+  try {
+    const cancelled = await newsletterService.cancelCampaign(req.params.id);
+
+    if (!cancelled) {
+      return res.status(400).json({ success: false, message: '群发邮件不存在或已开始发送' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '已取消群发邮件'
+    });
+  } catch (error) {
+    logger.error(`取消群发邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '取消群发邮件失败'
+    });
+  }
+};
+
+/**
+ * 立即发送群发邮件
+ * 订阅者较多时在后台继续加入发送队列，接口立即返回
+ */
+const sendCampaign = async (req, res) => {
+  try {
+    const result = await newsletterService.sendCampaign(req.params.id, { background: true });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: '群发邮件开始发送',
+      data: result.campaign
+    });
+  } catch (error) {
+    logger.error(`发送群发邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '发送群发邮件失败'
+    });
+  }
+};
+
+/**
+ * 获取群发邮件的逐个订阅者发送记录
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const campaign = await newsletterService.getCampaignById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: '群发邮件不存在' });
+    }
+
+    const { page, limit } = getPagination(req.query);
+    const { deliveries, total } = await newsletterService.getDeliveries(campaign.id, {
+      status: req.query.status || null,
+      page,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: '获取发送记录成功',
+      data: {
+        deliveries,
+        stats: campaign.delivery_stats,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取发送记录失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取发送记录失败'
+    });
+  }
+};
+
+/**
+ * 获取每周文章摘要设置
+ */
+const getDigestConfig = async (req, res) => {
+  try {
+    const config = await newsletterService.getDigestConfig();
+
+    return res.status(200).json({
+      success: true,
+      message: '获取文章摘要设置成功',
+      data: config
+    });
+  } catch (error) {
+    logger.error(`获取文章摘要设置失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取文章摘要设置失败'
+    });
+  }
+};
+
+/**
+ * 更新每周文章摘要设置
+ */
+const updateDigestConfig = async (req, res) => {
+  try {
+    const result = await newsletterService.updateDigestConfig(req.body || {});
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '文章摘要设置已更新',
+      data: result.config
+    });
+  } catch (error) {
+    logger.error(`更新文章摘要设置失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '更新文章摘要设置失败'
+    });
+  }
+};
+
+/**
+ * 立即发送文章摘要，收录上次发送以来的文章
+ */
+const sendDigest = async (req, res) => {
+  try {
+    const result = await newsletterService.runDigest({ force: true });
+
+    if (!result) {
+      return res.status(409).json({ success: false, message: '文章摘要正在发送，请稍后再试' });
+    }
+
+    if (result.skipped) {
+      return res.status(200).json({
+        success: true,
+        message: '上次发送以来没有新文章，本次未发送'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: '文章摘要已加入发送队列',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`发送文章摘要失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '发送文章摘要失败'
+    });
+  }
+};
+
+module.exports = {
+  getSubscribers,
+  deleteSubscriber,
+  getCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  cancelCampaign,
+  sendCampaign,
+  getDeliveries,
+  getDigestConfig,
+  updateDigestConfig,
+  sendDigest
+};
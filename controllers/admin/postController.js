@@ -1,7 +1,43 @@
 const postService = require('../../services/postService');
+const postRevisionService = require('../../services/postRevisionService');
+const permissionService = require('../../services/permissionService');
 const { logger } = require('../../utils/logger');
+const { getOwnershipCodes } = require('../../utils/ownership');
+const { isWithinScope } = require('../../utils/categoryScope');
 const { validationResult } = require('express-validator');
 
+/**
+ * 判断分类是否都在当前用户某项权限的分类范围内，范围受限的编辑只能在负责的分类中操作
+ * @param {Object} user - req.user
+ * @param {string|string[]} codes - 权限代码
+ * @param {Array<number|string>} categoryIds - 文章的分类ID
+ * @returns {Promise<boolean>}
+ */
+const isInCategoryScope = async (user, codes, categoryIds) => (
+  isWithinScope(await permissionService.getCategoryScope(user, codes), categoryIds)
+);
+
+/**
+ * 判断当前用户能否查看文章，与文章列表的筛选一致：文章有任一分类在 post:view 的范围内即可
+ * @param {Object} user - req.user
+ * @param {Object} post - postService.getPostById 的结果
+ * @returns {Promise<boolean>}
+ */
+const isPostInViewScope = async (user, post) => {
+  const scope = await permissionService.getCategoryScope(user, 'post:view');
+  return scope === null || (post.categories || []).some(category => scope.includes(Number(category.id)));
+};
+
+/**
+ * 请求是否确认了待审核的敏感词
+ * 只有拥有 content:review 权限时确认才有效，否则命中审核类敏感词的文章只能保存为草稿
+ * @param {Object} req - 请求对象
+ * @returns {Promise<boolean>}
+ */
+const isSensitiveReviewConfirmed = async (req) => (
+  req.body.sensitiveReviewed === true && permissionService.hasPermission(req.user, 'content:review')
+);
+
 /**
  * 创建文章
  */
@@ -29,7 +65,9 @@ const createPost = async (req, res) => {
       featuredImage: req.body.featuredImage,
       status: req.body.isDraft ? 'draft' : 'published',
       authorId: req.user?.id, // 管理员ID作为作者
-      generateAiSummary: req.body.generateAiSummary // 是否生成AI摘要
+      generateAiSummary: req.body.generateAiSummary, // 是否生成AI摘要
+      // 只有拥有内容审核权限的用户才能确认待审核的敏感词并发布
+      sensitiveReviewed: await isSensitiveReviewConfirmed(req)
     };
 
     // 如果存在发布时间
@@ -37,6 +75,11 @@ const createPost = async (req, res) => {
       postData.publishedAt = new Date(req.body.publishTime);
     }
 
+    // 如果存在定时下线时间
+    if (req.body.expireTime) {
+      postData.expiresAt = new Date(req.body.expireTime);
+    }
+
     // 添加分类 - 支持多种格式
     let categories = [];
     if (req.body.categories && Array.isArray(req.body.categories)) {
@@ -56,6 +99,20 @@ const createPost = async (req, res) => {
     console.log('📂 处理分类:', categories);
     console.log('🏷️ 处理标签:', tags);
 
+    if (!(await isInCategoryScope(req.user, 'post:create', categories))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能在负责的分类中创建文章'
+      });
+    }
+
+    if (postData.status === 'published' && !(await isInCategoryScope(req.user, 'post:publish', categories))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '没有在该分类发布文章的权限'
+      });
+    }
+
     // 创建文章
     const post = await postService.createPost(postData);
 
@@ -74,15 +131,24 @@ const createPost = async (req, res) => {
 
     return res.status(201).json({
       status: 'success',
-      message: '文章创建成功',
+      message: post.sensitive_review ? '文章包含需审核的敏感词，已保存为草稿' : '文章创建成功',
       data: {
         id: updatedPost.id,
         title: updatedPost.title,
-        slug: updatedPost.slug
+        slug: updatedPost.slug,
+        status: updatedPost.status,
+        sensitiveWords: post.sensitive_review
       }
     });
   } catch (error) {
     logger.error(`创建文章失败: ${error.message}`);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        details: error.details
+      });
+    }
     return res.status(500).json({
       status: 'error',
       message: '创建文章失败',
@@ -105,7 +171,9 @@ const getAllPosts = async (req, res) => {
       categoryId: req.query.categoryId || null,
       authorId: req.query.authorId || null,
       sortBy: req.query.sortBy || 'created_at',
-      sortOrder: (req.query.sortOrder || 'DESC').toUpperCase()
+      sortOrder: (req.query.sortOrder || 'DESC').toUpperCase(),
+      // 范围受限的编辑只能看到负责分类中的文章
+      categoryScope: await permissionService.getCategoryScope(req.user, 'post:view')
     };
 
     // 获取文章列表
@@ -116,7 +184,8 @@ const getAllPosts = async (req, res) => {
       search: options.search,
       status: options.status,
       categoryId: options.categoryId,
-      authorId: options.authorId
+      authorId: options.authorId,
+      categoryScope: options.categoryScope
     });
 
     // 计算分页信息
@@ -188,6 +257,13 @@ const getPostById = async (req, res) => {
       });
     }
 
+    if (!(await isPostInViewScope(req.user, post))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能查看负责分类中的文章'
+      });
+    }
+
     // 格式化响应数据
     const formattedPost = {
       id: post.id,
@@ -203,6 +279,7 @@ const getPostById = async (req, res) => {
       tags: post.tags || [], // 完整的标签信息
       createdAt: post.created_at,
       publishedAt: post.publish_time,
+      expireTime: post.expire_time || null,
       author: {
         id: post.author_id,
         username: post.author_name
@@ -252,6 +329,14 @@ const updatePost = async (req, res) => {
       });
     }
 
+    // 只有 post:edit:own 权限时只能更新自己的文章
+    if (!(await permissionService.canActOnResource(req.user, 'post:edit', existingPost.author_id))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能编辑自己的文章'
+      });
+    }
+
     // 准备更新数据
     const postData = {
       title: req.body.title,
@@ -260,16 +345,43 @@ const updatePost = async (req, res) => {
       featuredImage: req.body.featuredImage,
       status: req.body.isDraft ? 'draft' : 'published',
       categories: req.body.categories || [], // 正确的分类字段
-      tags: req.body.tags || [] // 正确的标签字段
+      tags: req.body.tags || req.body.tagIds, // 未传入时保持原有标签
+      editorId: req.user?.id, // 记录到修订历史
+      sensitiveReviewed: await isSensitiveReviewConfirmed(req)
     };
 
+    // 原有分类和更新后的分类都要在编辑权限的范围内
+    const existingCategoryIds = (existingPost.categories || []).map(category => category.id);
+    const editCodes = getOwnershipCodes('post:edit');
+    if (!(await isInCategoryScope(req.user, editCodes, existingCategoryIds))
+      || !(await isInCategoryScope(req.user, editCodes, postData.categories))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能编辑负责分类中的文章'
+      });
+    }
+
+    // 由未发布变为发布时需要在该分类的发布权限
+    if (postData.status === 'published' && existingPost.status !== 'published'
+      && !(await isInCategoryScope(req.user, 'post:publish', postData.categories))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '没有在该分类发布文章的权限'
+      });
+    }
+
     console.log('📝 更新文章数据:', postData);
     console.log('📂 分类数据:', postData.categories);
     console.log('🏷️ 标签数据:', postData.tags);
 
-    // 如果存在发布时间
-    if (req.body.publishTime) {
-      postData.publishedAt = new Date(req.body.publishTime);
+    // 如果存在发布时间，传入null表示清除
+    if (req.body.publishTime !== undefined) {
+      postData.publishedAt = req.body.publishTime ? new Date(req.body.publishTime) : null;
+    }
+
+    // 如果存在定时下线时间，传入null表示取消下线
+    if (req.body.expireTime !== undefined) {
+      postData.expiresAt = req.body.expireTime ? new Date(req.body.expireTime) : null;
     }
 
     // 如果请求包含生成AI摘要的标志
@@ -288,13 +400,22 @@ const updatePost = async (req, res) => {
 
     return res.status(200).json({
       status: 'success',
-      message: '文章更新成功',
+      message: updatedPost.sensitive_review ? '文章包含需审核的敏感词，已保存为草稿' : '文章更新成功',
       data: {
-        id: updatedPost.id
+        id: updatedPost.id,
+        status: updatedPost.status,
+        sensitiveWords: updatedPost.sensitive_review
       }
     });
   } catch (error) {
     logger.error(`更新文章失败: ${error.message}`);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        details: error.details
+      });
+    }
     return res.status(500).json({
       status: 'error',
       message: '更新文章失败',
@@ -319,6 +440,13 @@ const deletePost = async (req, res) => {
       });
     }
 
+    if (!(await permissionService.canActOnResource(req.user, 'post:delete', existingPost.author_id))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能删除自己的文章'
+      });
+    }
+
     // 删除文章
     const result = await postService.deletePost(postId);
 
@@ -452,6 +580,200 @@ const generateAISummary = async (req, res) => {
   }
 };
 
+/**
+ * 获取文章修订列表
+ */
+const getPostRevisions = async (req, res) => {
+  try {
+    const postId = req.params.id;
+
+    const post = await postService.getPostById(postId);
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: '文章不存在'
+      });
+    }
+
+    if (!(await isPostInViewScope(req.user, post))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能查看负责分类中的文章'
+      });
+    }
+
+    const revisions = await postRevisionService.getRevisions(post.id);
+
+    return res.status(200).json({
+      status: 'success',
+      message: '获取文章修订列表成功',
+      data: {
+        revisions
+      }
+    });
+  } catch (error) {
+    logger.error(`获取文章修订列表失败: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: '获取文章修订列表失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 获取单个文章修订
+ */
+const getPostRevision = async (req, res) => {
+  try {
+    const post = await postService.getPostById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: '文章不存在'
+      });
+    }
+
+    if (!(await isPostInViewScope(req.user, post))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能查看负责分类中的文章'
+      });
+    }
+
+    const revision = await postRevisionService.getRevisionById(post.id, req.params.revisionId);
+
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        message: '修订不存在'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: '获取文章修订成功',
+      data: {
+        revision
+      }
+    });
+  } catch (error) {
+    logger.error(`获取文章修订失败: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: '获取文章修订失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 比较两个文章修订
+ */
+const diffPostRevisions = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        status: 'error',
+        message: '请提供要比较的两个修订ID(from, to)'
+      });
+    }
+
+    const post = await postService.getPostById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: '文章不存在'
+      });
+    }
+
+    if (!(await isPostInViewScope(req.user, post))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能查看负责分类中的文章'
+      });
+    }
+
+    const diff = await postRevisionService.diffRevisions(post.id, from, to);
+
+    if (!diff) {
+      return res.status(404).json({
+        status: 'error',
+        message: '修订不存在'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: '比较文章修订成功',
+      data: diff
+    });
+  } catch (error) {
+    logger.error(`比较文章修订失败: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: '比较文章修订失败',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * 将文章恢复到指定修订
+ */
+const restorePostRevision = async (req, res) => {
+  try {
+    const post = await postService.getPostById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        status: 'error',
+        message: '文章不存在'
+      });
+    }
+
+    if (!(await permissionService.canActOnResource(req.user, 'post:edit', post.author_id))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能编辑自己的文章'
+      });
+    }
+
+    const categoryIds = (post.categories || []).map(category => category.id);
+    if (!(await isInCategoryScope(req.user, getOwnershipCodes('post:edit'), categoryIds))) {
+      return res.status(403).json({
+        status: 'error',
+        message: '只能编辑负责分类中的文章'
+      });
+    }
+
+    const restoredPost = await postService.restorePostRevision(post.id, req.params.revisionId, req.user?.id);
+
+    if (!restoredPost) {
+      return res.status(404).json({
+        status: 'error',
+        message: '修订不存在'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: '文章已恢复到指定修订',
+      data: {
+        id: restoredPost.id
+      }
+    });
+  } catch (error) {
+    logger.error(`恢复文章修订失败: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: '恢复文章修订失败',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createPost,
   getAllPosts,
@@ -459,5 +781,9 @@ module.exports = {
   updatePost,
   deletePost,
   generateAISummary,
-  getMyPosts
+  getMyPosts,
+  getPostRevisions,
+  getPostRevision,
+  diffPostRevisions,
+  restorePostRevision
 }; 
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 const { logger } = require('../../utils/logger');
 const permissionService = require('../../services/permissionService');
+const roleGrantService = require('../../services/roleGrantService');
 const { responseSuccess, responseError } = require('../../utils/response');
 const { query } = require('../../config/db');
 
@@ -82,7 +83,7 @@ async function getRolePermissions(req, res) {
  */
 async function createRole(req, res) {
   try {
-    const { name, code, description } = req.body;
+    const { name, code, description, parentIds } = req.body;
     
     // 验证必填字段
     if (!name) {
@@ -92,7 +93,8 @@ async function createRole(req, res) {
     const result = await permissionService.createRole({
       name,
       code,
-      description: description || ''
+      description: description || '',
+      parentIds: parentIds || []
     });
     
     if (!result.success) {
@@ -114,7 +116,7 @@ async function createRole(req, res) {
 async function updateRole(req, res) {
   try {
     const { roleId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, parentIds } = req.body;
     
     // 验证角色ID
     if (!roleId || isNaN(parseInt(roleId))) {
@@ -128,7 +130,8 @@ async function updateRole(req, res) {
     
     const result = await permissionService.updateRole(roleId, {
       name,
-      description: description || ''
+      description: description || '',
+      parentIds
     });
     
     if (!result.success) {
@@ -275,13 +278,15 @@ async function assignRoleToUsers(req, res) {
 async function getUserPermissions(req, res) {
   try {
     const { userId } = req.params;
+    const userType = req.query.userType === 'admin' ? 'admin' : 'user';
     
     // 验证用户ID
     if (!userId || isNaN(parseInt(userId))) {
       return responseError(res, '无效的用户ID', 400);
     }
     
-    const permissions = await permissionService.getUserPermissions(userId);
+    // 每个权限带有 sources，说明来自哪个角色
+    const permissions = await permissionService.getUserPermissions(parseInt(userId, 10), userType);
     
     return responseSuccess(res, '获取用户权限成功', permissions);
   } catch (error) {
@@ -290,6 +295,180 @@ async function getUserPermissions(req, res) {
   }
 }
 
+/**
+ * 获取临时角色授权列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function getRoleGrants(req, res) {
+  try {
+    const { userType, userId, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    
+    const result = await roleGrantService.getGrants({
+      userType,
+      userId: userId ? parseInt(userId, 10) : null,
+      status,
+      page,
+      limit
+    });
+    
+    return responseSuccess(res, '获取临时角色授权成功', result);
+  } catch (error) {
+    logger.error(`获取临时角色授权失败: ${error.message}`);
+    return responseError(res, '获取临时角色授权时发生错误', 500);
+  }
+}
+
+/**
+ * 获取临时角色授权的审计记录
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function getRoleGrantLogs(req, res) {
+  try {
+    const { userType, userId, grantId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    
+    const result = await roleGrantService.getGrantLogs({
+      userType,
+      userId: userId ? parseInt(userId, 10) : null,
+      grantId: grantId ? parseInt(grantId, 10) : null,
+      page,
+      limit
+    });
+    
+    return responseSuccess(res, '获取临时角色授权记录成功', result);
+  } catch (error) {
+    logger.error(`获取临时角色授权记录失败: ${error.message}`);
+    return responseError(res, '获取临时角色授权记录时发生错误', 500);
+  }
+}
+
+/**
+ * 临时授予角色
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function createRoleGrant(req, res) {
+  try {
+    const { userType = 'user', userId, roleId, expiresAt, reason } = req.body;
+    
+    if (!userId || isNaN(parseInt(userId))) {
+      return responseError(res, '无效的用户ID', 400);
+    }
+    
+    if (!roleId || isNaN(parseInt(roleId))) {
+      return responseError(res, '无效的角色ID', 400);
+    }
+    
+    const result = await roleGrantService.grantRole({
+      userType,
+      userId: parseInt(userId, 10),
+      roleId: parseInt(roleId, 10),
+      expiresAt,
+      reason
+    }, req.user.id);
+    
+    if (!result.success) {
+      return responseError(res, result.message, 400);
+    }
+    
+    return responseSuccess(res, '临时授权成功', result.grant, 201);
+  } catch (error) {
+    logger.error(`临时授予角色失败: ${error.message}`);
+    return responseError(res, '临时授予角色时发生错误', 500);
+  }
+}
+
+/**
+ * 提前撤销临时角色授权
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function revokeRoleGrant(req, res) {
+  try {
+    const { grantId } = req.params;
+    
+    if (!grantId || isNaN(parseInt(grantId))) {
+      return responseError(res, '无效的授权ID', 400);
+    }
+    
+    const result = await roleGrantService.revokeGrant(parseInt(grantId, 10), req.user.id);
+    
+    if (!result.success) {
+      return responseError(res, result.message, 400);
+    }
+    
+    return responseSuccess(res, '临时授权已撤销');
+  } catch (error) {
+    logger.error(`撤销临时角色授权失败: ${error.message}`);
+    return responseError(res, '撤销临时角色授权时发生错误', 500);
+  }
+}
+
+/**
+ * 获取用户各角色的分类范围
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function getRoleScopes(req, res) {
+  try {
+    const { userType = 'user', userId } = req.query;
+    
+    if (!userId || isNaN(parseInt(userId))) {
+      return responseError(res, '无效的用户ID', 400);
+    }
+    
+    if (!['user', 'admin'].includes(userType)) {
+      return responseError(res, '用户类型必须是 user 或 admin', 400);
+    }
+    
+    const scopes = await permissionService.getRoleScopes(userType, parseInt(userId, 10));
+    return responseSuccess(res, '获取角色分类范围成功', scopes);
+  } catch (error) {
+    logger.error(`获取角色分类范围失败: ${error.message}`);
+    return responseError(res, '获取角色分类范围时发生错误', 500);
+  }
+}
+
+/**
+ * 设置用户某个角色的分类范围
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function setRoleScope(req, res) {
+  try {
+    const { userType = 'user', userId, roleId, categoryIds } = req.body;
+    
+    if (!userId || isNaN(parseInt(userId))) {
+      return responseError(res, '无效的用户ID', 400);
+    }
+    
+    if (!roleId || isNaN(parseInt(roleId))) {
+      return responseError(res, '无效的角色ID', 400);
+    }
+    
+    const result = await permissionService.setRoleScope({
+      userType,
+      userId: parseInt(userId, 10),
+      roleId: parseInt(roleId, 10),
+      categoryIds
+    }, req.user.id);
+    
+    if (!result.success) {
+      return responseError(res, result.message, 400);
+    }
+    
+    return responseSuccess(res, result.message);
+  } catch (error) {
+    logger.error(`设置角色分类范围失败: ${error.message}`);
+    return responseError(res, '设置角色分类范围时发生错误', 500);
+  }
+}
+
 /**
  * 清理重复角色
  * @param {Object} req - 请求对象
@@ -358,6 +537,11 @@ async function cleanDuplicateRoles(req, res) {
       // 提交事务
       await query('COMMIT');
       
+      // 合并后的角色权限和管理员的角色都可能变化
+      for (const mainRoleId of new Set(cleanResults.map(item => item.mainRole.id))) {
+        await permissionService.invalidateRolePermissions(mainRoleId);
+      }
+      
       return responseSuccess(res, `成功清理 ${cleanResults.length} 个重复角色`, { results: cleanResults });
       
     } catch (error) {
@@ -382,5 +566,11 @@ module.exports = {
   assignRoleToUser,
   assignRoleToUsers,
   getUserPermissions,
+  getRoleGrants,
+  getRoleGrantLogs,
+  createRoleGrant,
+  revokeRoleGrant,
+  getRoleScopes,
+  setRoleScope,
   cleanDuplicateRoles
 }; 
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * 敏感词控制器 - 管理员
+ * 管理敏感词分类和词库，修改后词库立即生效
+ */
+
+const sensitiveWordService = require('../../services/sensitiveWordService');
+const { logger } = require('../../utils/logger');
+
+// 单次最多提交的敏感词数量
+const MAX_WORDS_PER_REQUEST = 1000;
+
+// 单个敏感词的最大长度，与数据表字段一致
+const MAX_WORD_LENGTH = 100;
+
+/**
+ * 校验分类字段
+ * @param {Object} body - 请求体
+ * @param {boolean} partial - 是否允许缺少必填字段
+ * @returns {string|null} - 错误信息
+ */
+const validateCategory = (body, partial) => {
+  const { name, action, enabled } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 50) {
+      return '分类名称不能为空，且不超过50个字符';
+    }
+  }
+
+  if (action !== undefined && !sensitiveWordService.ACTIONS.includes(action)) {
+    return `处理动作应为${sensitiveWordService.ACTIONS.join('/')}之一`;
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled必须是布尔值';
+  }
+
+  return null;
+};
+
+/**
+ * 获取敏感词分类列表
+ */
+const getCategories = async (req, res) => {
+  try {
+    const categories = await sensitiveWordService.getCategories();
+
+    return res.status(200).json({
+      success: true,
+      message: '获取敏感词分类成功',
+      data: categories
+    });
+  } catch (error) {
+    logger.error(`获取敏感词分类失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取敏感词分类失败'
+    });
+  }
+};
+
+/**
+ * 创建敏感词分类
+ */
+const createCategory = async (req, res) => {
+  try {
+    const error = validateCategory(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { name, action, description, enabled } = req.body;
+    const category = await sensitiveWordService.createCategory({
+      name: name.trim(),
+      action,
+      description,
+      enabled
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: '创建敏感词分类成功',
+      data: category
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: '分类名称已存在' });
+    }
+
+    logger.error(`创建敏感词分类失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '创建敏感词分类失败'
+    });
+  }
+};
+
+/**
+ * 更新敏感词分类
+ */
+const updateCategory = async (req, res) => {
+  try {
+    const error = validateCategory(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { name, action, description, enabled } = req.body;
+    const category = await sensitiveWordService.updateCategory(req.params.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      action,
+      description,
+      enabled
+    });
+
+    if (!category) {
+      return res.status(404).json({ success: false, message: '敏感词分类不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '更新敏感词分类成功',
+      data: category
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ success: false, message: '分类名称已存在' });
+    }
+
+    logger.error(`更新敏感词分类失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '更新敏感词分类失败'
+    });
+  }
+};
+
+/**
+ * 删除敏感词分类，分类下的敏感词一并删除
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    const deleted = await sensitiveWordService.deleteCategory(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: '敏感词分类不存在' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '删除敏感词分类成功'
+    });
+  } catch (error) {
+    logger.error(`删除敏感词分类失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '删除敏感词分类失败'
+    });
+  }
+};
+
+/**
+ * 获取敏感词列表
+ */
+const getWords = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 50));
+
+    const { words, total } = await sensitiveWordService.getWords({
+      categoryId: parseInt(req.query.categoryId, 10) || null,
+      keyword: req.query.keyword || '',
+      page,
+      limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: '获取敏感词列表成功',
+      data: {
+        words,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`获取敏感词列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '获取敏感词列表失败'
+    });
+  }
+};
+
+/**
+ * 批量添加敏感词
+ * words 可以是数组，也可以是按行分隔的文本
+ */
+const addWords = async (req, res) => {
+  try {
+    const { categoryId } = req.body;
+    const words = Array.isArray(req.body.words)
+      ? req.body.words
+      : String(req.body.words || '').split(/\r?\n/);
+    const cleaned = words.map(word => String(word).trim()).filter(Boolean);
+
+    if (cleaned.length === 0) {
+      return res.status(400).json({ success: false, message: '敏感词不能为空' });
+    }
+
+    if (cleaned.length > MAX_WORDS_PER_REQUEST) {
+      return res.status(400).json({ success: false, message: `单次最多添加${MAX_WORDS_PER_REQUEST}个敏感词` });
+    }
+
+    if (cleaned.some(word => word.length > MAX_WORD_LENGTH)) {
+      return res.status(400).json({ success: false, message: `单个敏感词不能超过${MAX_WORD_LENGTH}个字符` });
+    }
+
+    const category = categoryId ? await sensitiveWordService.getCategoryById(categoryId) : null;
+    if (!category) {
+      return res.status(404).json({ success: false, message: '敏感词分类不存在' });
+    }
+
+    const added = await sensitiveWordService.addWords(category.id, cleaned);
+
+    return res.status(201).json({
+      success: true,
+      message: `已添加${added}个敏感词`,
+      data: { added, skipped: cleaned.length - added }
+    });
+  } catch (error) {
+    logger.error(`添加敏感词失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '添加敏感词失败'
+    });
+  }
+};
+
+/**
+ * 批量删除敏感词
+ */
+const deleteWords = async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id, 10)).filter(Boolean) : [];
+
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: '请选择要删除的敏感词' });
+    }
+
+    const deleted = await sensitiveWordService.deleteWords(ids);
+
+    return res.status(200).json({
+      success: true,
+      message: `已删除${deleted}个敏感词`,
+      data: { deleted }
+    });
+  } catch (error) {
+    logger.error(`删除敏感词失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '删除敏感词失败'
+    });
+  }
+};
+
+/**
+ * 用当前词库检测一段文本，便于调试词库
+ */
+const checkText = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || text === '') {
+      return res.status(400).json({ success: false, message: '检测文本不能为空' });
+    }
+
+    const result = await sensitiveWordService.check(text);
+
+    return res.status(200).json({
+      success: true,
+      message: '检测完成',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`敏感词检测失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '敏感词检测失败'
+    });
+  }
+};
+
+/**
+ * 重新加载词库，用于直接修改数据库之后
+ */
+const reloadWords = async (req, res) => {
+  try {
+    await sensitiveWordService.reload();
+
+    return res.status(200).json({
+      success: true,
+      message: '词库已重新加载'
+    });
+  } catch (error) {
+    logger.error(`重新加载敏感词库失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: '重新加载敏感词库失败'
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getWords,
+  addWords,
+  deleteWords,
+  checkText,
+  reloadWords
+};
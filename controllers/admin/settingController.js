@@ -2,6 +2,7 @@
  * 网站设置控制器
  */
 const settingService = require('../../services/settingService');
+const sitemapService = require('../../services/sitemapService');
 const { responseSuccess, responseError } = require('../../utils/response');
 const { logger } = require('../../utils/logger');
 const { upload } = require('../../middlewares/upload');
@@ -34,12 +35,12 @@ const updateWebsiteConfig = async (req, res) => {
     logger.info('正在更新网站基本配置');
     logger.info('请求体:', JSON.stringify(req.body));
     
-    const { siteName, siteLogo, recordNumber, siteDescription, siteKeywords, allowRegister, commentAudit, defaultLanguage, timeZone } = req.body;
+    const { siteName, siteLogo, recordNumber, siteDescription, siteKeywords, allowRegister, commentAudit, allowGuestComment, defaultLanguage, timeZone } = req.body;
     
     // 验证至少有一个设置项
     if (siteName === undefined && siteLogo === undefined && recordNumber === undefined &&
         siteDescription === undefined && siteKeywords === undefined && allowRegister === undefined &&
-        commentAudit === undefined && defaultLanguage === undefined && timeZone === undefined) {
+        commentAudit === undefined && allowGuestComment === undefined && defaultLanguage === undefined && timeZone === undefined) {
       return responseError(res, '至少需要提供一个设置项', 400);
     }
     
@@ -52,6 +53,7 @@ const updateWebsiteConfig = async (req, res) => {
       siteKeywords,
       allowRegister,
       commentAudit,
+      allowGuestComment,
       defaultLanguage,
       timeZone
     };
@@ -136,9 +138,60 @@ const getAllSettings = async (req, res) => {
   }
 };
 
+// robots.txt 自定义内容最大长度
+const MAX_ROBOTS_LENGTH = 10000;
+
+/**
+ * 获取 robots.txt 设置
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const getRobotsConfig = async (req, res) => {
+  try {
+    const content = await settingService.getRobotsTxt();
+    
+    return responseSuccess(res, '获取robots.txt设置成功', {
+      content: content || '',
+      isDefault: content === null,
+      defaultContent: sitemapService.DEFAULT_ROBOTS_TXT
+    });
+  } catch (error) {
+    logger.error('获取robots.txt设置失败:', error.message);
+    return responseError(res, '获取robots.txt设置失败', 500);
+  }
+};
+
+/**
+ * 更新 robots.txt 设置，内容为空时恢复默认规则
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ */
+const updateRobotsConfig = async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      return responseError(res, 'content必须是字符串', 400);
+    }
+    
+    if (content && content.length > MAX_ROBOTS_LENGTH) {
+      return responseError(res, `robots.txt内容不能超过${MAX_ROBOTS_LENGTH}个字符`, 400);
+    }
+    
+    await settingService.updateRobotsTxt(content ? content.replace(/\r\n?/g, '\n') : '');
+    
+    return responseSuccess(res, '更新robots.txt设置成功');
+  } catch (error) {
+    logger.error('更新robots.txt设置失败:', error.message);
+    return responseError(res, '更新robots.txt设置失败', 500);
+  }
+};
+
 module.exports = {
   getWebsiteConfig,
   updateWebsiteConfig,
   uploadSiteLogo,
-  getAllSettings
+  getAllSettings,
+  getRobotsConfig,
+  updateRobotsConfig
 }; 
\ No newline at end of file
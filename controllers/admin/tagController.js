@@ -6,6 +6,7 @@
 const { query } = require('../../config/db');
 const { logger } = require('../../utils/logger');
 const slugify = require('slugify');
+const { cacheInvalidationService } = require('../../services/cacheInvalidationService');
 
 /**
  * 获取所有标签
@@ -223,6 +224,8 @@ const updateTag = async (req, res) => {
       [name, slug, description || null, id]
     );
     
+    await cacheInvalidationService.invalidateTags();
+    
     // 获取更新后的标签
     const [updatedTag] = await query(
       'SELECT id, name, slug, description, IFNULL(count, 0) as count, created_at FROM tags WHERE id = ?',
@@ -273,6 +276,8 @@ const deleteTag = async (req, res) => {
       // 提交事务
       await query('COMMIT');
       
+      await cacheInvalidationService.invalidateTags();
+      
       return res.status(200).json({
         status: 'success',
         message: '删除标签成功'
@@ -484,6 +489,8 @@ const batchDeleteTags = async (req, res) => {
       // 提交事务
       await query('COMMIT');
       
+      await cacheInvalidationService.invalidateTags();
+      
       if (deleteResult.affectedRows === 0) {
         return res.status(404).json({
           status: 'error',
@@ -0,0 +1,521 @@
+const userService = require('../../services/userService');
+const authService = require('../../services/authService');
+const sessionService = require('../../services/sessionService');
+const apiTokenService = require('../../services/apiTokenService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * 前台用户认证控制器
+ */
+
+/**
+ * 用户注册
+ */
+const register = async (req, res) => {
+  try {
+    const { username, email, password, nickname } = req.body;
+
+    const result = await userService.registerPublicUser({ username, email, password, nickname });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: result.message
+      });
+    }
+
+    // 验证邮件发送失败不影响注册，用户可以稍后重新发送
+    let emailSent = false;
+    try {
+      emailSent = await authService.sendEmailVerification(email, username);
+    } catch (error) {
+      logger.warn(`注册验证邮件发送失败: ${email}, ${error.message}`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: emailSent ? '注册成功,请查收验证邮件' : '注册成功,验证邮件发送失败,请稍后重新发送',
+      data: { userId: result.userId }
+    });
+  } catch (error) {
+    logger.error(`用户注册异常: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '注册时发生错误'
+    });
+  }
+};
+
+/**
+ * 用户登录
+ */
+const login = async (req, res) => {
+  try {
+    const { email, username, password } = req.body;
+
+    const result = await userService.loginPublicUser(email || username, password, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+    if (!result.success) {
+      // 失败次数过多被限制时返回需要等待的秒数
+      const status = result.status || 401;
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(status).json({
+        success: false,
+        code: status,
+        message: result.message,
+        ...(result.retryAfter ? { data: { retryAfter: result.retryAfter } } : {})
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '登录成功',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        user: result.user
+      }
+    });
+  } catch (error) {
+    logger.error(`用户登录异常: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '登录时发生错误'
+    });
+  }
+};
+
+/**
+ * 获取当前用户信息
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const result = await userService.getCurrentUser(req.user.id, 'user');
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取用户信息成功',
+      data: result.user
+    });
+  } catch (error) {
+    logger.error(`获取当前用户信息失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取用户信息失败'
+    });
+  }
+};
+
+/**
+ * 用户登出
+ * 当前登录会话结束，访问令牌和该会话的刷新令牌都会失效
+ */
+const logout = async (req, res) => {
+  try {
+    const accessToken = req.headers.authorization.split(' ')[1];
+    await authService.revokeTokens(accessToken);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '登出成功'
+    });
+  } catch (error) {
+    logger.error(`用户登出失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '登出时发生错误'
+    });
+  }
+};
+
+/**
+ * 刷新令牌
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '未提供刷新令牌'
+      });
+    }
+
+    const result = await authService.refreshTokens(token, { ipAddress: req.ip });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        code: result.status,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '令牌刷新成功',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        user: result.user
+      }
+    });
+  } catch (error) {
+    logger.error(`刷新令牌异常: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '刷新令牌时发生错误'
+    });
+  }
+};
+
+/**
+ * 获取当前用户的登录设备
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getSessions('user', req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取登录设备成功',
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    logger.error(`获取登录设备失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取登录设备失败'
+    });
+  }
+};
+
+/**
+ * 退出指定设备的登录
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeUserSession('user', req.user.id, req.params.id, 'remote_logout');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '登录设备不存在或已退出'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '已退出该设备的登录'
+    });
+  } catch (error) {
+    logger.error(`退出设备登录失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '退出设备登录失败'
+    });
+  }
+};
+
+/**
+ * 退出除当前设备外的所有登录
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions('user', req.user.id, {
+      reason: 'remote_logout',
+      exceptSessionId: req.user.sessionId
+    });
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: `已退出 ${count} 个其他设备的登录`,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error(`退出其他设备登录失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '退出其他设备登录失败'
+    });
+  }
+};
+
+/**
+ * 获取当前用户的个人访问令牌
+ */
+const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokenService.getTokens('user', req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取访问令牌成功',
+      data: tokens
+    });
+  } catch (error) {
+    logger.error(`获取访问令牌失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取访问令牌失败'
+    });
+  }
+};
+
+/**
+ * 获取可以授予访问令牌的权限代码
+ */
+const getApiTokenScopes = async (req, res) => {
+  try {
+    const scopes = await apiTokenService.getAvailableScopes('user', req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取可用权限成功',
+      data: scopes
+    });
+  } catch (error) {
+    logger.error(`获取访问令牌可用权限失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取可用权限失败'
+    });
+  }
+};
+
+/**
+ * 创建个人访问令牌，令牌明文只返回这一次
+ */
+const createApiToken = async (req, res) => {
+  try {
+    const result = await apiTokenService.createToken('user', req.user.id, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: result.error
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      code: 201,
+      message: '访问令牌已创建，请立即复制保存，之后将无法再次查看',
+      data: { ...result.apiToken, token: result.token }
+    });
+  } catch (error) {
+    logger.error(`创建访问令牌失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '创建访问令牌失败'
+    });
+  }
+};
+
+/**
+ * 撤销个人访问令牌
+ */
+const revokeApiToken = async (req, res) => {
+  try {
+    const revoked = await apiTokenService.revokeToken('user', req.user.id, parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '访问令牌不存在或已撤销'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '访问令牌已撤销'
+    });
+  } catch (error) {
+    logger.error(`撤销访问令牌失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '撤销访问令牌失败'
+    });
+  }
+};
+
+/**
+ * 忘记密码
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const result = await authService.requestPasswordReset(req.body.email);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`忘记密码处理失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '发送密码重置邮件失败'
+    });
+  }
+};
+
+/**
+ * 重置密码
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { email, token, password } = req.body;
+
+    const result = await authService.resetPassword(email, token, password);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`重置密码处理失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '重置密码失败'
+    });
+  }
+};
+
+/**
+ * 验证邮箱
+ * 同时支持链接(GET查询参数)和表单(POST请求体)两种提交方式
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { email, token } = params;
+
+    if (!email || !token) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '邮箱和验证码不能为空'
+      });
+    }
+
+    const result = await authService.verifyEmail(email, token);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`验证邮箱处理失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '验证邮箱失败'
+    });
+  }
+};
+
+/**
+ * 重新发送邮箱验证码
+ * 邮箱未注册、已验证或邮件发送失败时返回同样的结果，避免被用来探测哪些邮箱已注册
+ */
+const resendVerification = async (req, res) => {
+  const sentResponse = {
+    success: true,
+    code: 200,
+    message: '如果该邮箱已注册且尚未验证，验证邮件将很快送达，请查收'
+  };
+
+  try {
+    const user = await userService.findPublicUserByEmail(req.body.email);
+
+    if (!user || user.email_verified) {
+      return res.status(200).json(sentResponse);
+    }
+
+    const sent = await authService.sendEmailVerification(user.email, user.username);
+    if (!sent) {
+      logger.error(`验证邮件发送失败: ${user.email}`);
+    }
+
+    return res.status(200).json(sentResponse);
+  } catch (error) {
+    logger.error(`重新发送验证邮件失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '验证邮件发送失败'
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  getCurrentUser,
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getApiTokens,
+  getApiTokenScopes,
+  createApiToken,
+  revokeApiToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
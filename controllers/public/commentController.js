@@ -0,0 +1,182 @@
+const commentService = require('../../services/commentService');
+const settingService = require('../../services/settingService');
+const permissionService = require('../../services/permissionService');
+const { logger } = require('../../utils/logger');
+
+// 前台评论列表每页最大条数
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * 获取文章已通过审核的评论
+ */
+const getComments = async (req, res) => {
+  try {
+    const postId = parseInt(req.params.postId, 10);
+    if (isNaN(postId)) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '文章不存在'
+      });
+    }
+
+    if (!(await commentService.isPostPublished(postId))) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '文章不存在'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+
+    const [comments, total] = await Promise.all([
+      commentService.getCommentsByPostId(postId, { page, limit, status: 'approved' }),
+      commentService.getCommentCountByPostId(postId, 'approved')
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取评论列表成功',
+      data: {
+        total,
+        page,
+        limit,
+        comments
+      }
+    });
+  } catch (error) {
+    logger.error(`获取前台评论列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取评论列表失败'
+    });
+  }
+};
+
+/**
+ * 发表评论或回复
+ * 登录用户直接发表，游客需在网站设置中开启游客评论并提供昵称和邮箱
+ */
+const createComment = async (req, res) => {
+  try {
+    const postId = parseInt(req.params.postId, 10);
+    if (isNaN(postId)) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '文章不存在'
+      });
+    }
+
+    const { content, parent_id: parentId, guest_name: guestName, guest_email: guestEmail } = req.body;
+    // 只有前台用户令牌对应 public_users，管理员令牌按游客处理
+    const authorId = req.user && req.user.role === 'user' ? req.user.id : null;
+
+    if (!authorId) {
+      const allowGuest = await settingService.getSetting('allow_guest_comment');
+      if (allowGuest !== 'true' && allowGuest !== '1') {
+        return res.status(401).json({
+          success: false,
+          code: 401,
+          message: '请登录后再发表评论'
+        });
+      }
+
+      if (!guestName || !guestEmail) {
+        return res.status(400).json({
+          success: false,
+          code: 400,
+          message: '游客评论需要填写昵称和邮箱'
+        });
+      }
+    }
+
+    const result = await commentService.createComment({
+      postId,
+      content,
+      parentId: parentId ? parseInt(parentId, 10) : null,
+      authorId,
+      guestName,
+      guestEmail,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        code: result.status,
+        message: result.message
+      });
+    }
+
+    const approved = result.comment.status === 'approved';
+
+    return res.status(201).json({
+      success: true,
+      code: 201,
+      message: approved ? '评论添加成功' : '评论已提交，等待审核',
+      data: result.comment
+    });
+  } catch (error) {
+    logger.error(`发表评论失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '发表评论失败'
+    });
+  }
+};
+
+/**
+ * 删除评论
+ * comment:delete:own 只能删除自己发表的评论，comment:delete:any 可以删除所有评论
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const postId = parseInt(req.params.postId, 10);
+    const commentId = parseInt(req.params.commentId, 10);
+
+    const comment = isNaN(commentId) ? null : await commentService.getCommentById(commentId);
+    if (!comment || comment.post_id !== postId) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '评论不存在'
+      });
+    }
+
+    if (!(await permissionService.canActOnResource(req.user, 'comment:delete', comment.author_id))) {
+      return res.status(403).json({
+        success: false,
+        code: 403,
+        message: '只能删除自己的评论'
+      });
+    }
+
+    await commentService.deleteComment(commentId);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '评论删除成功'
+    });
+  } catch (error) {
+    logger.error(`删除评论失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '删除评论失败'
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  deleteComment
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const postService = require('../../services/postService');
+const categoryService = require('../../services/categoryService');
+const tagService = require('../../services/tagService');
+const settingService = require('../../services/settingService');
+const { buildRss, buildAtom, buildJsonFeed } = require('../../utils/feed');
+const { getSiteUrl, getPostUrl, getCategoryUrl, getTagUrl } = require('../../utils/siteUrl');
+const { logger } = require('../../utils/logger');
+
+// 订阅源包含的文章数量
+const FEED_SIZE = 20;
+
+// 订阅源格式
+const FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+/**
+ * 解析订阅范围
+ * @param {string|null} scope - category、tag 或 null（全站）
+ * @param {string} slug - 分类或标签别名
+ * @returns {Promise<Object|null>} - { categoryId, tagId, name, description, url }，分类或标签不存在时返回null
+ */
+const resolveScope = async (scope, slug) => {
+  if (scope === 'category') {
+    const category = await categoryService.getCategoryBySlug(slug);
+    return category && {
+      categoryId: category.id,
+      name: category.name,
+      description: category.description,
+      url: getCategoryUrl(category.slug)
+    };
+  }
+
+  if (scope === 'tag') {
+    const tag = await tagService.getTagBySlug(slug);
+    return tag && {
+      tagId: tag.id,
+      name: tag.name,
+      description: tag.description,
+      url: getTagUrl(tag.slug)
+    };
+  }
+
+  return { url: getSiteUrl() };
+};
+
+/**
+ * 创建订阅源处理函数
+ * 文章列表和站点信息没有变化时返回 304，不再渲染正文
+ * @param {string} format - rss、atom 或 json
+ * @param {string|null} scope - category、tag 或 null（全站）
+ * @returns {Function} - Express 处理函数
+ */
+const createFeedHandler = (format, scope = null) => async (req, res) => {
+  try {
+    const target = await resolveScope(scope, req.params.slug);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: scope === 'category' ? '分类不存在' : '标签不存在'
+      });
+    }
+
+    const [config, posts] = await Promise.all([
+      settingService.getWebsiteConfig(),
+      postService.getAllPosts({
+        status: 'published',
+        categoryId: target.categoryId || null,
+        tagId: target.tagId || null,
+        limit: FEED_SIZE,
+        sortBy: 'publish_time',
+        sortOrder: 'DESC'
+      })
+    ]);
+
+    const title = target.name ? `${config.siteName} - ${target.name}` : config.siteName;
+    const description = target.description || config.siteDescription || title;
+
+    // 以最近一次文章更新作为订阅源的修改时间
+    const lastModified = posts.reduce((latest, post) => {
+      const time = new Date(post.updated_at || post.publish_time || post.created_at);
+      return time > latest ? time : latest;
+    }, new Date(0));
+
+    const etag = crypto
+      .createHash('md5')
+      .update(JSON.stringify([format, title, description, posts.map(post => [post.id, post.updated_at])]))
+      .digest('hex');
+
+    res.set('ETag', `W/"${etag}"`);
+    if (posts.length > 0) {
+      res.set('Last-Modified', lastModified.toUTCString());
+    }
+    res.set('Cache-Control', 'public, max-age=600');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const items = [];
+    for (const post of posts) {
+      const rendered = await postService.getRenderedContent(post);
+      items.push({
+        url: getPostUrl(post.slug),
+        title: post.title,
+        summary: post.excerpt || '',
+        contentHtml: rendered.html,
+        published: post.publish_time || post.created_at,
+        updated: post.updated_at,
+        author: post.author_name,
+        categories: [
+          ...(post.categories || []).map(category => category.name),
+          ...(post.tags || []).map(tag => tag.name)
+        ]
+      });
+    }
+
+    const body = FORMATS[format].build({
+      title,
+      description,
+      siteUrl: target.url,
+      feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+      language: config.defaultLanguage,
+      updated: posts.length > 0 ? lastModified : new Date(),
+      items
+    });
+
+    return res.type(FORMATS[format].contentType).send(body);
+  } catch (error) {
+    logger.error(`生成订阅源失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '生成订阅源失败'
+    });
+  }
+};
+
+module.exports = {
+  createFeedHandler
+};
@@ -0,0 +1,88 @@
+const newsletterService = require('../../services/newsletterService');
+const { normalizeEmail } = require('../../utils/newsletter');
+const { renderMessagePage } = require('../../utils/response');
+const { logger } = require('../../utils/logger');
+
+/**
+ * 订阅
+ * 无论邮箱是否已订阅都返回相同的提示，避免通过接口探测订阅者
+ */
+const subscribe = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '请输入有效的邮箱地址'
+      });
+    }
+
+    await newsletterService.subscribe(email, req.ip);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '请查收确认邮件，点击邮件中的链接完成订阅'
+    });
+  } catch (error) {
+    logger.error(`订阅失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '订阅失败，请稍后再试'
+    });
+  }
+};
+
+/**
+ * 确认订阅，确认邮件中的链接，返回页面
+ */
+const confirm = async (req, res) => {
+  try {
+    const confirmed = await newsletterService.confirm(req.query.token);
+
+    if (!confirmed) {
+      return res.status(400).type('html').send(renderMessagePage('确认失败', '确认链接无效或已过期，请重新订阅'));
+    }
+
+    return res.type('html').send(renderMessagePage('订阅成功', '感谢订阅，有新文章时我们会通过邮件通知您'));
+  } catch (error) {
+    logger.error(`确认订阅失败: ${error.message}`);
+    return res.status(500).type('html').send(renderMessagePage('确认失败', '服务暂时不可用，请稍后再试'));
+  }
+};
+
+/**
+ * 退订
+ * GET 为邮件正文中的链接，返回页面；POST 为邮件客户端的一键退订（RFC 8058）
+ */
+const unsubscribe = async (req, res) => {
+  const isPage = req.method === 'GET';
+
+  try {
+    const email = await newsletterService.unsubscribe(req.query.token);
+
+    if (!email) {
+      return isPage
+        ? res.status(400).type('html').send(renderMessagePage('退订失败', '退订链接无效或已损坏'))
+        : res.status(400).json({ success: false, code: 400, message: '退订链接无效' });
+    }
+
+    return isPage
+      ? res.type('html').send(renderMessagePage('退订成功', `${email} 将不再收到订阅邮件`))
+      : res.status(200).json({ success: true, code: 200, message: '退订成功' });
+  } catch (error) {
+    logger.error(`退订失败: ${error.message}`);
+    return isPage
+      ? res.status(500).type('html').send(renderMessagePage('退订失败', '服务暂时不可用，请稍后再试'))
+      : res.status(500).json({ success: false, code: 500, message: '退订失败' });
+  }
+};
+
+module.exports = {
+  subscribe,
+  confirm,
+  unsubscribe
+};
@@ -0,0 +1,106 @@
+const notificationService = require('../../services/notificationService');
+const { renderMessagePage } = require('../../utils/response');
+const { logger } = require('../../utils/logger');
+
+// 管理员令牌的通知偏好对应 admin_users 中的账号
+const getUserType = (user) => (['admin', 'superadmin'].includes(user.role) ? 'admin' : 'user');
+
+// 通知类型的中文名称
+const TYPE_LABELS = {
+  post_comment: '文章收到新评论',
+  comment_reply: '评论收到回复',
+  mention: '评论中提及我'
+};
+
+/**
+ * 获取当前用户的通知偏好
+ */
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id, getUserType(req.user));
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取通知设置成功',
+      data: preferences
+    });
+  } catch (error) {
+    logger.error(`获取通知设置失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取通知设置失败'
+    });
+  }
+};
+
+/**
+ * 更新当前用户的通知偏好
+ */
+const updatePreferences = async (req, res) => {
+  try {
+    const changes = req.body || {};
+    const invalid = Object.keys(changes).find(key => (
+      !notificationService.TYPES.includes(key) || typeof changes[key] !== 'boolean'
+    ));
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `无效的通知设置: ${invalid}`
+      });
+    }
+
+    const preferences = await notificationService.updatePreferences(req.user.id, changes, getUserType(req.user));
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '通知设置已更新',
+      data: preferences
+    });
+  } catch (error) {
+    logger.error(`更新通知设置失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '更新通知设置失败'
+    });
+  }
+};
+
+/**
+ * 一键退订
+ * GET 为邮件正文中的链接，返回页面；POST 为邮件客户端的一键退订（RFC 8058）
+ */
+const unsubscribe = async (req, res) => {
+  const isPage = req.method === 'GET';
+
+  try {
+    const types = await notificationService.unsubscribe(req.query.token);
+
+    if (!types) {
+      return isPage
+        ? res.status(400).type('html').send(renderMessagePage('退订失败', '退订链接无效或已损坏'))
+        : res.status(400).json({ success: false, code: 400, message: '退订链接无效' });
+    }
+
+    const labels = types.map(type => TYPE_LABELS[type]).join('、');
+    return isPage
+      ? res.type('html').send(renderMessagePage('退订成功', `您将不再收到以下邮件通知：${labels}`))
+      : res.status(200).json({ success: true, code: 200, message: '退订成功', data: { types } });
+  } catch (error) {
+    logger.error(`退订失败: ${error.message}`);
+    return isPage
+      ? res.status(500).type('html').send(renderMessagePage('退订失败', '服务暂时不可用，请稍后再试'))
+      : res.status(500).json({ success: false, code: 500, message: '退订失败' });
+  }
+};
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  unsubscribe
+};
@@ -0,0 +1,255 @@
+const postService = require('../../services/postService');
+const { logger } = require('../../utils/logger');
+
+// 前台列表每页最大条数
+const MAX_PAGE_SIZE = 50;
+
+// 前台允许的排序字段，relevance 仅在搜索时有效
+const SORT_FIELDS = ['created_at', 'updated_at', 'view_count', 'relevance'];
+
+// 搜索关键词最大长度
+const MAX_KEYWORD_LENGTH = 100;
+
+// 文章详情支持的正文格式
+const CONTENT_FORMATS = ['html', 'markdown', 'both'];
+
+/**
+ * 将数据库中的文章记录转换为前台Post模型
+ * @param {Object} post - 文章记录
+ * @param {boolean} withContent - 是否包含正文
+ * @returns {Object} - 前台文章数据
+ */
+const formatPost = (post, withContent = false) => {
+  const formatted = {
+    id: post.id,
+    title: post.title,
+    slug: post.slug,
+    summary: post.excerpt,
+    cover_image: post.featured_image,
+    status: post.status,
+    view_count: post.view_count || 0,
+    like_count: post.like_count || 0,
+    comment_count: post.comment_count || 0,
+    author_id: post.author_id,
+    author_name: post.author_name,
+    category_id: post.category_id || (post.categories && post.categories.length > 0 ? post.categories[0].id : null),
+    categories: post.categories || [],
+    tags: post.tags || [],
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+    published_at: post.publish_time || post.created_at,
+    expire_time: post.expire_time || null
+  };
+
+  if (withContent) {
+    formatted.content = post.content;
+  }
+
+  return formatted;
+};
+
+/**
+ * 获取已发布文章列表
+ */
+const getPosts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+    // 搜索时默认按相关度排序
+    const defaultSort = req.query.search ? 'relevance' : 'created_at';
+    const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : defaultSort;
+    const order = (req.query.order || '').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    const filters = {
+      search: req.query.search || '',
+      status: 'published',
+      categoryId: req.query.category || null,
+      tagId: req.query.tag || null,
+      authorId: req.query.author || null
+    };
+
+    const [posts, total] = await Promise.all([
+      postService.getAllPosts({
+        ...filters,
+        page,
+        limit,
+        sortBy: sort,
+        sortOrder: order
+      }),
+      postService.getPostsCount(filters)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取文章列表成功',
+      data: {
+        total,
+        page,
+        limit,
+        posts: posts.map(post => formatPost(post))
+      }
+    });
+  } catch (error) {
+    logger.error(`获取前台文章列表失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取文章列表失败'
+    });
+  }
+};
+
+/**
+ * 全文搜索已发布文章
+ */
+const searchPosts = async (req, res) => {
+  try {
+    const keyword = (req.query.q || '').trim();
+    if (!keyword) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '搜索关键词不能为空'
+      });
+    }
+    
+    if (keyword.length > MAX_KEYWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `搜索关键词不能超过${MAX_KEYWORD_LENGTH}个字符`
+      });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+    
+    const { total, posts } = await postService.searchPosts(keyword, { page, limit });
+    
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '搜索文章成功',
+      data: {
+        total,
+        page,
+        limit,
+        posts: posts.map(post => ({
+          ...formatPost(post),
+          relevance: post.relevance,
+          highlight: post.highlight
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error(`搜索文章失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '搜索文章失败'
+    });
+  }
+};
+
+/**
+ * 通过slug获取已发布文章详情
+ * 查询参数 format 控制正文格式：html 只返回渲染后的HTML，markdown 只返回原文，both（默认）两者都返回
+ */
+const getPostBySlug = async (req, res) => {
+  try {
+    const format = req.query.format || 'both';
+    if (!CONTENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: `format 参数只能是 ${CONTENT_FORMATS.join('、')}`
+      });
+    }
+    
+    const post = await postService.getPostBySlug(req.params.slug);
+
+    // 未发布的文章对前台不可见
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '文章不存在'
+      });
+    }
+
+    // 异步增加浏览次数，不阻塞响应
+    postService.incrementViewCount(post.id).catch(error => {
+      logger.error(`更新文章浏览次数失败: ID=${post.id}, ${error.message}`);
+    });
+
+    const data = formatPost(post, format !== 'html');
+    const rendered = await postService.getRenderedContent(post);
+    
+    if (format !== 'markdown') {
+      data.content_html = rendered.html;
+    }
+    
+    data.toc = rendered.toc;
+    data.word_count = rendered.wordCount;
+    data.reading_time = rendered.readingTime;
+    
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取文章详情成功',
+      data
+    });
+  } catch (error) {
+    logger.error(`获取前台文章详情失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取文章详情失败'
+    });
+  }
+};
+
+/**
+ * 获取文章的相关推荐
+ */
+const getRelatedPosts = async (req, res) => {
+  try {
+    const post = await postService.getPostBySlug(req.params.slug);
+    
+    if (!post || post.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '文章不存在'
+      });
+    }
+    
+    const posts = await postService.getRelatedPosts(post.id, req.query.limit || 5);
+    
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '获取相关文章成功',
+      data: posts.map(related => ({
+        ...formatPost(related),
+        related_score: related.related_score
+      }))
+    });
+  } catch (error) {
+    logger.error(`获取相关文章失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '获取相关文章失败'
+    });
+  }
+};
+
+module.exports = {
+  formatPost,
+  getPosts,
+  searchPosts,
+  getPostBySlug,
+  getRelatedPosts
+};
@@ -0,0 +1,78 @@
+const sitemapService = require('../../services/sitemapService');
+const { logger } = require('../../utils/logger');
+
+/**
+ * 获取本服务的访问地址
+ * @param {Object} req - 请求对象
+ * @returns {string} - 如 https://api.example.com
+ */
+const getOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * 发送站点地图，支持 If-Modified-Since 条件请求
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Object} result - { xml, lastModified }
+ */
+const sendSitemap = (req, res, result) => {
+  res.set('Last-Modified', new Date(result.lastModified).toUTCString());
+  res.set('Cache-Control', 'public, max-age=3600');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  return res.type('application/xml; charset=utf-8').send(result.xml);
+};
+
+/**
+ * 获取站点地图入口（链接过多时为站点地图索引）
+ */
+const getSitemap = async (req, res) => {
+  try {
+    const result = await sitemapService.getSitemap(getOrigin(req));
+    return sendSitemap(req, res, result);
+  } catch (error) {
+    logger.error(`获取站点地图失败: ${error.message}`);
+    return res.status(500).type('text/plain').send('站点地图生成失败');
+  }
+};
+
+/**
+ * 获取分页站点地图
+ */
+const getSitemapPage = async (req, res) => {
+  try {
+    const result = await sitemapService.getSitemapPage(parseInt(req.params.page, 10));
+
+    if (!result) {
+      return res.status(404).type('text/plain').send('站点地图不存在');
+    }
+
+    return sendSitemap(req, res, result);
+  } catch (error) {
+    logger.error(`获取分页站点地图失败: ${error.message}`);
+    return res.status(500).type('text/plain').send('站点地图生成失败');
+  }
+};
+
+/**
+ * 获取 robots.txt
+ */
+const getRobotsTxt = async (req, res) => {
+  try {
+    const content = await sitemapService.getRobotsTxt(getOrigin(req));
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.type('text/plain; charset=utf-8').send(content);
+  } catch (error) {
+    logger.error(`获取robots.txt失败: ${error.message}`);
+    return res.status(500).type('text/plain').send('robots.txt生成失败');
+  }
+};
+
+module.exports = {
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt
+};
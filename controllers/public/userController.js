@@ -0,0 +1,78 @@
+const bcrypt = require('bcryptjs');
+const { query } = require('../../config/db');
+const { logger } = require('../../utils/logger');
+const sessionService = require('../../services/sessionService');
+
+/**
+ * 修改当前用户密码
+ */
+const updatePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '当前密码和新密码不能为空'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '新密码长度不能少于6个字符'
+      });
+    }
+
+    const users = await query('SELECT id, password FROM public_users WHERE id = ?', [req.user.id]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        code: 404,
+        message: '用户不存在'
+      });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, users[0].password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        code: 400,
+        message: '当前密码错误'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await query(
+      'UPDATE public_users SET password = ?, updated_at = NOW() WHERE id = ?',
+      [hashedPassword, req.user.id]
+    );
+
+    // 退出其他设备的登录，保留当前设备
+    await sessionService.revokeAllSessions('user', req.user.id, {
+      reason: 'password_changed',
+      exceptSessionId: req.user.sessionId
+    });
+
+    logger.info(`用户修改密码成功: ID=${req.user.id}`);
+
+    return res.status(200).json({
+      success: true,
+      code: 200,
+      message: '密码修改成功'
+    });
+  } catch (error) {
+    logger.error(`修改密码失败: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      code: 500,
+      message: '修改密码失败'
+    });
+  }
+};
+
+module.exports = {
+  updatePassword
+};
@@ -0,0 +1,141 @@
+/**
+ * 管理操作审计中间件
+ * 挂载在 /api/admin 路由上，记录每一次已登录的 POST/PUT/PATCH/DELETE 请求：
+ * 操作人、路由、操作对象、操作前后的快照、IP 和请求ID。审计失败只记录错误日志，不影响请求本身
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const auditLogService = require('../services/auditLogService');
+const settingService = require('../services/settingService');
+const moderationService = require('../services/moderationService');
+const newsletterService = require('../services/newsletterService');
+const mfaService = require('../services/mfaService');
+const { resolveAuditTarget, getCreatedId, redactRequestBody } = require('../utils/auditLog');
+
+// 配置类接口的快照读取方式，与 utils/auditLog 中的 AUDIT_CONFIGS 对应
+const CONFIG_LOADERS = {
+  ai_config: () => settingService.getAIConfig(),
+  website_settings: () => settingService.getWebsiteConfig(),
+  robots_txt: async () => ({ content: await settingService.getRobotsTxt() }),
+  email_settings: async () => {
+    const value = await settingService.getSetting('emailSettings');
+    return value ? JSON.parse(value) : null;
+  },
+  comment_moderation_settings: () => moderationService.getConfig(),
+  newsletter_digest: () => newsletterService.getDigestConfig(),
+  mfa_policy: () => mfaService.getPolicy()
+};
+
+/**
+ * 读取操作对象的快照
+ * @param {Object} target - resolveAuditTarget 的结果
+ * @param {number|string|null} entityId - 对象ID
+ * @returns {Promise<Object|Array|null>}
+ */
+const loadSnapshot = async (target, entityId) => {
+  if (target.config) {
+    const loader = CONFIG_LOADERS[target.entityType];
+    return loader ? loader() : null;
+  }
+
+  if (!target.table || entityId === null || entityId === undefined) {
+    return null;
+  }
+
+  const rows = await query(`SELECT * FROM ${target.table} WHERE ${target.idColumn} = ?`, [entityId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  // 如邮件模板的同一类型有多个语言版本
+  return rows.length === 1 ? rows[0] : rows;
+};
+
+/**
+ * 读取快照，失败时返回 null
+ */
+const safeLoadSnapshot = async (target, entityId) => {
+  try {
+    return await loadSnapshot(target, entityId);
+  } catch (error) {
+    logger.warn(`读取审计快照失败: ${target.entityType}:${entityId}, ${error.message}`);
+    return null;
+  }
+};
+
+// 如 /api/admin/posts + / 得到 /api/admin/posts
+const getRoutePattern = (req) => (req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : null);
+
+// 认证由各模块路由自行完成，此时还不知道是否登录；没有携带令牌的请求必然无法通过认证
+const hasCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+  return Boolean(authHeader && authHeader.startsWith('Bearer '));
+};
+
+/**
+ * 审计中间件
+ */
+const auditAdminActions = async (req, res, next) => {
+  // 登录、两步验证等未认证的请求不记录，也不读取快照
+  if (!auditLogService.METHODS.includes(req.method) || !hasCredentials(req)) {
+    return next();
+  }
+
+  const adminPath = req.path;
+  const target = resolveAuditTarget(adminPath);
+  const before = await safeLoadSnapshot(target, target.entityId);
+  const path = req.originalUrl.split('?')[0];
+
+  // 记录响应体和匹配到的路由：新建接口的ID在响应中，出错时路由信息会随 next(error) 被重置
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditResponseBody = body;
+    if (req.route) {
+      res.locals.auditRoute = getRoutePattern(req);
+    }
+    return originalJson(body);
+  };
+
+  res.on('finish', async () => {
+    const actor = req.user || req.admin || null;
+    // 令牌无效、认证失败的请求没有操作人
+    if (!actor) {
+      return;
+    }
+
+    try {
+      const route = res.locals.auditRoute || getRoutePattern(req) || path;
+      const succeeded = res.statusCode < 400;
+      const entityId = target.entityId !== null
+        ? target.entityId
+        : (succeeded && req.method === 'POST' ? getCreatedId(res.locals.auditResponseBody) : null);
+      const after = succeeded && req.method !== 'DELETE' ? await safeLoadSnapshot(target, entityId) : null;
+
+      await auditLogService.record({
+        actorId: actor.id,
+        actorName: actor.username,
+        actorRole: actor.role,
+        apiTokenId: actor.apiToken ? actor.apiToken.id : null,
+        method: req.method,
+        action: `${req.method} ${route}`,
+        path,
+        entityType: target.entityType,
+        entityId,
+        statusCode: res.statusCode,
+        before,
+        after,
+        requestBody: redactRequestBody(adminPath, req.body),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        requestId: req.id
+      });
+    } catch (error) {
+      logger.error(`记录管理操作审计失败: ${req.method} ${path}, ${error.message}`);
+    }
+  });
+
+  return next();
+};
+
+module.exports = {
+  auditAdminActions
+};
@@ -3,6 +3,32 @@ const { logger } = require('../utils/logger');
 const { query } = require('../config/db');
 const jwtConfig = require('../config/jwt');
 const { responseError } = require('../utils/response');
+const sessionService = require('../services/sessionService');
+
+/**
+ * 检查已通过签名验证的访问令牌是否仍然可用
+ * 刷新令牌和两步验证的待验证令牌只能用于换取令牌，不能用于访问接口；
+ * 已登出的令牌在黑名单中；登录会话被注销（登出、在其他设备上退出、重置密码或账户被禁用）后令牌随之失效
+ * @param {string} token - 访问令牌
+ * @param {Object} decoded - 解码后的令牌数据
+ * @returns {Promise<string|null>} - 不可用时返回提示信息，可用时返回 null
+ */
+const checkAccessToken = async (token, decoded) => {
+  if (decoded.type) {
+    return '无效的令牌';
+  }
+
+  const tokenBlacklistService = require('../services/tokenBlacklistService');
+  if (await tokenBlacklistService.isBlacklisted(token)) {
+    return '令牌已失效，请重新登录';
+  }
+
+  if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+    return '登录已失效，请重新登录';
+  }
+
+  return null;
+};
 
 /**
  * 验证用户是否已登录
@@ -21,19 +47,17 @@ const verifyToken = async (req, res, next) => {
     // 提取Token
     const token = authHeader.split(' ')[1];
     
-    // 检查令牌是否在黑名单中
-    const tokenBlacklistService = require('../services/tokenBlacklistService');
-    const isBlacklisted = await tokenBlacklistService.isBlacklisted(token);
-    if (isBlacklisted) {
+    // 验证Token
+    const decoded = jwt.verify(token, jwtConfig.JWT_SECRET);
+    
+    const tokenError = await checkAccessToken(token, decoded);
+    if (tokenError) {
       return res.status(401).json({
         status: 'error',
-        message: '令牌已失效，请重新登录'
+        message: tokenError
       });
     }
     
-    // 验证Token
-    const decoded = jwt.verify(token, jwtConfig.JWT_SECRET);
-    
     // 确保角色字段存在，默认为'user'
     const role = decoded.role || 'user';
     
@@ -44,7 +68,8 @@ const verifyToken = async (req, res, next) => {
       email: decoded.email,
       role: role,
       // 添加roles数组以兼容前端需求
-      roles: [role]
+      roles: [role],
+      sessionId: decoded.sid
     };
     
     // 记录用户角色信息，帮助调试
@@ -78,7 +103,7 @@ const verifyToken = async (req, res, next) => {
 /**
  * 验证管理员身份
  */
-const verifyAdmin = (req, res, next) => {
+const verifyAdmin = async (req, res, next) => {
   try {
     // 从请求头获取Token
     const authHeader = req.headers.authorization;
@@ -103,12 +128,21 @@ const verifyAdmin = (req, res, next) => {
       });
     }
     
+    const tokenError = await checkAccessToken(token, decoded);
+    if (tokenError) {
+      return res.status(401).json({
+        status: 'error',
+        message: tokenError
+      });
+    }
+    
     // 将管理员信息添加到请求对象
     req.user = {
       id: decoded.id,
       username: decoded.username,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      sessionId: decoded.sid
     };
     
     next();
@@ -232,6 +266,14 @@ const auth = async (req, res, next) => {
     // 验证令牌
     const decoded = jwt.verify(token, jwtConfig.JWT_SECRET);
     
+    const tokenError = await checkAccessToken(token, decoded);
+    if (tokenError) {
+      return res.status(401).json({
+        status: 'error',
+        message: tokenError
+      });
+    }
+    
     // 查询用户信息
     const user = await query(
       'SELECT id, username, email, avatar, status FROM public_users WHERE id = ?',
@@ -256,7 +298,7 @@ const auth = async (req, res, next) => {
     }
     
     // 将用户信息添加到请求对象
-    req.user = userData;
+    req.user = { ...userData, sessionId: decoded.sid };
     
     // 继续处理请求
     next();
@@ -330,6 +372,7 @@ const checkPermission = (permission) => {
 
 // 导出认证中间件
 module.exports = {
+  checkAccessToken,
   verifyToken,
   verifyAdmin,
   isAdmin,
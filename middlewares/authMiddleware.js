@@ -6,6 +6,7 @@ const jwt = require('jsonwebtoken');
 const { logger } = require('../utils/logger');
 const { query } = require('../config/db');
 const jwtConfig = require('../config/jwt');
+const { checkAccessToken } = require('./auth');
 
 /**
  * 管理员认证中间件
@@ -28,6 +29,14 @@ const authMiddleware = async (req, res, next) => {
     // 验证令牌
     const decoded = jwt.verify(token, jwtConfig.JWT_SECRET);
     
+    const tokenError = await checkAccessToken(token, decoded);
+    if (tokenError) {
+      return res.status(401).json({
+        status: 'error',
+        message: tokenError
+      });
+    }
+    
     // 查询管理员信息
     const admin = await query(
       'SELECT id, username, role_id, email, avatar, status FROM admin_users WHERE id = ?',
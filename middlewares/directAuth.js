@@ -5,13 +5,14 @@
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../config/jwt');
 const { logger } = require('../utils/logger');
+const { checkAccessToken } = require('./auth');
 
 logger.info('直接认证中间件已加载');
 
 /**
  * 直接验证管理员令牌
  */
-const directVerifyAdmin = (req, res, next) => {
+const directVerifyAdmin = async (req, res, next) => {
   try {
     logger.debug(`处理请求: ${req.method} ${req.path}`);
     
@@ -32,6 +33,14 @@ const directVerifyAdmin = (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     logger.debug(`令牌验证成功: ${JSON.stringify(decoded)}`);
     
+    const tokenError = await checkAccessToken(token, decoded);
+    if (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError
+      });
+    }
+    
     // 检查是否是管理员角色
     if (decoded.role !== 'admin' && decoded.role !== 'superadmin') {
       return res.status(403).json({
@@ -45,7 +54,8 @@ const directVerifyAdmin = (req, res, next) => {
       id: decoded.id,
       username: decoded.username,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      sessionId: decoded.sid
     };
     
     // 为兼容性也添加到req.admin
@@ -6,6 +6,7 @@ const { logger } = require('../utils/logger');
 const permissionService = require('../services/permissionService');
 const { responseError } = require('../utils/response');
 const { query } = require('../config/db');
+const { hasScopes } = require('../utils/apiToken');
 
 /**
  * 检查用户是否具有指定权限
@@ -14,32 +15,38 @@ const { query } = require('../config/db');
  * @returns {Function} Express中间件
  */
 function checkPermission(requiredPermissions, requireAll = false) {
-  return async (req, res, next) => {
+  // 转换为数组形式
+  const permissions = Array.isArray(requiredPermissions) 
+    ? requiredPermissions 
+    : [requiredPermissions];
+  
+  const middleware = async (req, res, next) => {
     try {
       // 确保用户已认证
       if (!req.user || !req.user.id) {
         return responseError(res, '未认证的请求', 401);
       }
       
+      // 个人访问令牌只拥有创建时选择的权限，超级管理员的令牌也不例外
+      if (req.user.apiToken) {
+        if (hasScopes(req.user.apiToken.scopes, permissions, requireAll)) {
+          return next();
+        }
+        
+        logger.warn(`访问令牌 ${req.user.apiToken.id} (用户ID: ${req.user.id}) 缺少 ${permissions.join(', ')} 权限`);
+        return responseError(res, '访问令牌没有所需的权限', 403);
+      }
+      
       // 超级管理员始终有所有权限
       if (req.user.role === 'superadmin') {
         return next();
       }
       
-      // 转换为数组形式
-      const permissions = Array.isArray(requiredPermissions) 
-        ? requiredPermissions 
-        : [requiredPermissions];
-      
-      // 检查用户是否有所需权限
-      const permissionChecks = [];
-      for (const permission of permissions) {
-        const hasPermission = await permissionService.checkUserPermission(
-          req.user.id, 
-          permission
-        );
-        permissionChecks.push(hasPermission);
-      }
+      const userType = ['admin', 'superadmin'].includes(req.user.role) ? 'admin' : 'user';
+      
+      // 用户的有效权限一次解析并缓存，角色或权限变化时由 permissionService 清除
+      const userPermissions = await permissionService.getUserPermissionCodes(userType, req.user.id);
+      const permissionChecks = permissions.map(permission => userPermissions.includes(permission));
       
       // 根据requireAll参数决定权限验证逻辑
       const hasAccess = requireAll
@@ -59,6 +66,11 @@ function checkPermission(requiredPermissions, requireAll = false) {
       return responseError(res, '权限验证过程中发生错误', 500);
     }
   };
+  
+  // 供认证中间件判断路由是否声明了权限，见 unified-auth 中对个人访问令牌的处理
+  middleware.requiredPermissions = permissions;
+  
+  return middleware;
 }
 
 /**
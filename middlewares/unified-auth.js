@@ -11,13 +11,14 @@ const jwtConfig = require('../config/jwt');
 const { logger } = require('../utils/logger');
 const { query } = require('../config/db');
 const { responseError } = require('../utils/response');
+const { isApiToken } = require('../utils/apiToken');
 
 /**
  * 认证选项接口
  * @typedef {Object} AuthOptions
  * @property {boolean} requireAuth - 是否需要认证
  * @property {string[]} roles - 允许的角色列表
- * @property {boolean} checkBlacklist - 是否检查令牌黑名单
+ * @property {boolean} checkBlacklist - 是否检查令牌黑名单和登录会话
  * @property {boolean} checkUserStatus - 是否检查用户状态
  * @property {string} userTable - 用户表名 ('admin_users' | 'public_users')
  */
@@ -37,10 +38,16 @@ class UnifiedAuth {
     }
 
     const token = authHeader.split(' ')[1];
-    return {
-      token,
-      decoded: jwt.verify(token, jwtConfig.JWT_SECRET)
-    };
+    const decoded = jwt.verify(token, jwtConfig.JWT_SECRET);
+
+    // 刷新令牌和两步验证的待验证令牌只能用于换取令牌，不能用于访问接口
+    if (decoded.type) {
+      const error = new Error('无效的令牌');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return { token, decoded };
   }
 
   /**
@@ -58,6 +65,65 @@ class UnifiedAuth {
     }
   }
 
+  /**
+   * 检查令牌所属的登录会话是否仍然有效
+   * 启用会话管理之前签发的令牌没有 sid，不做检查
+   * @param {Object} decoded - 解码后的令牌数据
+   * @returns {Promise<boolean>} 是否有效
+   */
+  static async checkSession(decoded) {
+    if (!decoded.sid) {
+      return true;
+    }
+
+    const sessionService = require('../services/sessionService');
+    return sessionService.isSessionActive(decoded.sid);
+  }
+
+  /**
+   * 验证个人访问令牌，构建用户信息
+   * @param {string} token - 个人访问令牌
+   * @param {Object} req - Express请求对象
+   * @returns {Promise<Object>} 用户信息
+   */
+  static async verifyApiToken(token, req) {
+    const apiTokenService = require('../services/apiTokenService');
+    const result = await apiTokenService.authenticate(token, { ipAddress: req.ip });
+
+    if (!result) {
+      const error = new Error('无效或已过期的访问令牌');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const role = result.userType === 'admin'
+      ? (result.user.role_id === 1 ? 'superadmin' : 'admin')
+      : 'user';
+
+    return {
+      id: result.user.id,
+      username: result.user.username,
+      email: result.user.email,
+      role,
+      roles: [role],
+      userType: result.userType,
+      apiToken: {
+        id: result.tokenId,
+        scopes: result.scopes
+      }
+    };
+  }
+
+  /**
+   * 判断当前路由是否声明了所需权限（使用了 rbac.checkPermission）
+   * 个人访问令牌只能访问声明了权限的接口，令牌的权限范围由 checkPermission 校验
+   * @param {Object} req - Express请求对象
+   * @returns {boolean}
+   */
+  static routeRequiresPermission(req) {
+    return Boolean(req.route && req.route.stack.some(layer => layer.handle && layer.handle.requiredPermissions));
+  }
+
   /**
    * 验证用户状态
    * @param {number} userId - 用户ID
@@ -144,8 +210,35 @@ class UnifiedAuth {
 
     return async (req, res, next) => {
       try {
-        // 如果不需要认证，直接通过
-        if (!requireAuth) {
+        // 如果不需要认证且未携带令牌，以游客身份直接通过
+        // 携带了令牌时仍需校验，避免失效令牌被当作游客静默接受
+        const authHeader = req.headers.authorization;
+        if (!requireAuth && (!authHeader || !authHeader.startsWith('Bearer '))) {
+          return next();
+        }
+
+        // 个人访问令牌
+        if (isApiToken(authHeader.split(' ')[1])) {
+          const userInfo = await UnifiedAuth.verifyApiToken(authHeader.split(' ')[1], req);
+
+          if (!UnifiedAuth.routeRequiresPermission(req)) {
+            return res.status(403).json({
+              status: 'error',
+              message: '该接口不支持使用个人访问令牌'
+            });
+          }
+
+          if (!UnifiedAuth.verifyRole(userInfo.role, roles)) {
+            return res.status(403).json({
+              status: 'error',
+              message: '权限不足'
+            });
+          }
+
+          req.user = userInfo;
+          req.admin = userInfo; // 兼容性
+
+          logger.debug(`令牌认证成功: 用户ID=${userInfo.id}, 令牌ID=${userInfo.apiToken.id}`);
           return next();
         }
 
@@ -161,6 +254,13 @@ class UnifiedAuth {
               message: '令牌已失效，请重新登录'
             });
           }
+
+          if (!(await UnifiedAuth.checkSession(decoded))) {
+            return res.status(401).json({
+              status: 'error',
+              message: '登录已失效，请重新登录'
+            });
+          }
         }
 
         // 验证角色权限
@@ -178,7 +278,8 @@ class UnifiedAuth {
           username: decoded.username,
           email: decoded.email,
           role: userRole,
-          roles: [userRole]
+          roles: [userRole],
+          sessionId: decoded.sid
         };
 
         // 检查用户状态（可选）
@@ -239,7 +340,8 @@ const authMiddlewares = {
 
   // 可选认证（用户可以是游客或已登录用户）
   optionalAuth: UnifiedAuth.createAuthMiddleware({
-    requireAuth: false
+    requireAuth: false,
+    checkBlacklist: true
   }),
 
   // 直接管理员认证（不检查数据库状态，用于高频API）
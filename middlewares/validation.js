@@ -66,6 +66,7 @@ const registerValidationRules = [
     .isLength({ min: 6 })
     .withMessage('密码至少需要6个字符'),
   body('confirmPassword')
+    .optional()
     .custom((value, { req }) => {
       if (value !== req.body.password) {
         throw new Error('两次输入的密码不一致');
@@ -74,6 +75,29 @@ const registerValidationRules = [
     })
 ];
 
+// 邮箱验证规则 (忘记密码、重新发送验证邮件)
+const emailValidationRules = [
+  body('email')
+    .isEmail()
+    .withMessage('请提供有效的电子邮箱')
+    .normalizeEmail()
+];
+
+// 重置密码验证规则
+const resetPasswordValidationRules = [
+  body('email')
+    .isEmail()
+    .withMessage('请提供有效的电子邮箱')
+    .normalizeEmail(),
+  body('token')
+    .notEmpty()
+    .withMessage('验证码不能为空')
+    .trim(),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('密码至少需要6个字符')
+];
+
 // 文章验证规则
 const articleValidationRules = [
   body('title')
@@ -99,11 +123,37 @@ const commentValidationRules = [
     .withMessage('请提供有效的文章ID')
 ];
 
+// 前台发表评论验证规则 (文章ID取自路径参数)
+const postCommentValidationRules = [
+  body('content')
+    .trim()
+    .isLength({ min: 2, max: 1000 })
+    .withMessage('评论内容长度应为2-1000个字符'),
+  body('parent_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('请提供有效的父评论ID'),
+  body('guest_name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('昵称长度应为1-50个字符')
+    .escape(),
+  body('guest_email')
+    .optional()
+    .isEmail()
+    .withMessage('请提供有效的电子邮箱')
+    .normalizeEmail()
+];
+
 module.exports = {
   validate,
   loginValidationRules,
   registerValidationRules,
+  emailValidationRules,
+  resetPasswordValidationRules,
   articleValidationRules,
   commentValidationRules,
+  postCommentValidationRules,
   adminLoginValidationRules
 }; 
\ No newline at end of file
@@ -43,8 +43,25 @@ const postValidationRules = (isUpdate = false) => {
     
     body('status')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('状态必须是draft、published或archived'),
+      .isIn(['draft', 'scheduled', 'published', 'archived'])
+      .withMessage('状态必须是draft、scheduled、published或archived'),
+    
+    body('publishTime')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('发布时间格式无效'),
+    
+    body('expireTime')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('下线时间格式无效')
+      .custom((value, { req }) => {
+        const publishTime = req.body.publishTime ? new Date(req.body.publishTime) : new Date();
+        if (new Date(value) <= publishTime) {
+          throw new Error('下线时间必须晚于发布时间');
+        }
+        return true;
+      }),
     
     body('categories')
       .optional()
@@ -0,0 +1,7 @@
+-- 评论表增加游客评论与来源信息字段
+ALTER TABLE `comments`
+  MODIFY COLUMN `author_id` INT NULL COMMENT '评论用户ID，游客评论为空',
+  ADD COLUMN `guest_name` VARCHAR(50) NULL COMMENT '游客昵称' AFTER `author_id`,
+  ADD COLUMN `guest_email` VARCHAR(255) NULL COMMENT '游客邮箱' AFTER `guest_name`,
+  ADD COLUMN `ip_address` VARCHAR(45) NULL COMMENT '评论者IP地址',
+  ADD COLUMN `user_agent` VARCHAR(255) NULL COMMENT '评论者User-Agent';
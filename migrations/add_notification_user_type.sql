@@ -0,0 +1,10 @@
+-- 通知偏好区分前台用户和管理员：文章作者是管理员，两类用户的ID可能相同
+ALTER TABLE `notification_preferences`
+  ADD COLUMN `user_type` ENUM('user', 'admin') NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)，游客为空' AFTER `id`;
+
+-- 已有的记录都是前台用户
+UPDATE `notification_preferences` SET `user_type` = 'user' WHERE `user_id` IS NOT NULL;
+
+ALTER TABLE `notification_preferences`
+  DROP INDEX `uk_user`,
+  ADD UNIQUE KEY `uk_user` (`user_type`, `user_id`);
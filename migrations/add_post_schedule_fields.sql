@@ -0,0 +1,6 @@
+-- 文章定时发布与定时下线
+ALTER TABLE `posts`
+  MODIFY COLUMN `status` ENUM('draft', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft' COMMENT '文章状态',
+  ADD COLUMN `expire_time` DATETIME NULL COMMENT '定时下线时间' AFTER `publish_time`,
+  ADD INDEX `idx_status_publish_time` (`status`, `publish_time`),
+  ADD INDEX `idx_status_expire_time` (`status`, `expire_time`);
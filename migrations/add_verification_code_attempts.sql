@@ -0,0 +1,6 @@
+-- 验证码增加尝试次数，达到上限后验证码作废
+ALTER TABLE `public_users_verification`
+  ADD COLUMN `attempts` INT NOT NULL DEFAULT 0 COMMENT '已尝试次数，达到上限后验证码作废' AFTER `verification_expires`;
+
+ALTER TABLE `public_users_reset_password`
+  ADD COLUMN `attempts` INT NOT NULL DEFAULT 0 COMMENT '已尝试次数，达到上限后验证码作废' AFTER `reset_expires`;
@@ -0,0 +1,34 @@
+-- 管理操作审计日志，记录后台每一次 POST/PUT/PATCH/DELETE 请求的操作人、操作对象和前后快照
+-- 只追加不修改：应用中没有修改和删除的接口，触发器阻止直接在数据库中修改或删除
+CREATE TABLE IF NOT EXISTS `admin_audit_logs` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `actor_id` INT NULL COMMENT '操作的管理员ID，未登录的请求为空',
+  `actor_name` VARCHAR(100) NULL,
+  `actor_role` VARCHAR(50) NULL,
+  `api_token_id` INT NULL COMMENT '使用个人访问令牌时的令牌ID',
+  `method` VARCHAR(10) NOT NULL,
+  `action` VARCHAR(255) NOT NULL COMMENT '路由，如 DELETE /api/admin/posts/:id',
+  `path` VARCHAR(500) NOT NULL COMMENT '实际请求路径',
+  `entity_type` VARCHAR(50) NULL COMMENT '操作对象类型，如 post、user、ai_config',
+  `entity_id` VARCHAR(64) NULL,
+  `status_code` SMALLINT NOT NULL,
+  `before_data` JSON NULL COMMENT '操作前快照，密钥已脱敏',
+  `after_data` JSON NULL COMMENT '操作后快照，密钥已脱敏',
+  `request_body` JSON NULL COMMENT '请求参数，密钥已脱敏',
+  `ip_address` VARCHAR(45) NULL,
+  `user_agent` VARCHAR(500) NULL,
+  `request_id` VARCHAR(64) NULL COMMENT '与响应头 X-Request-ID 一致，可用于关联日志',
+  `created_at` TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  KEY `idx_actor` (`actor_id`, `created_at`),
+  KEY `idx_entity` (`entity_type`, `entity_id`),
+  KEY `idx_created_at` (`created_at`),
+  KEY `idx_request_id` (`request_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='管理操作审计日志';
+
+DROP TRIGGER IF EXISTS `admin_audit_logs_no_update`;
+CREATE TRIGGER `admin_audit_logs_no_update` BEFORE UPDATE ON `admin_audit_logs`
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_logs is append-only';
+
+DROP TRIGGER IF EXISTS `admin_audit_logs_no_delete`;
+CREATE TRIGGER `admin_audit_logs_no_delete` BEFORE DELETE ON `admin_audit_logs`
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_logs is append-only';
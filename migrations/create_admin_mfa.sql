@@ -0,0 +1,22 @@
+-- 管理员两步验证（TOTP）
+-- 密钥使用 AES-256-GCM 加密保存；开启前 enabled 为 0，确认验证码后才生效
+CREATE TABLE IF NOT EXISTS `admin_mfa` (
+  `admin_id` INT NOT NULL,
+  `secret_encrypted` VARCHAR(255) NOT NULL COMMENT '加密后的TOTP密钥',
+  `enabled` TINYINT(1) NOT NULL DEFAULT 0,
+  `last_used_step` BIGINT NULL COMMENT '最近一次使用的时间步长，防止同一验证码被重复使用',
+  `enabled_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`admin_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='管理员两步验证';
+
+-- 恢复码，每个只能使用一次，只保存哈希
+CREATE TABLE IF NOT EXISTS `admin_mfa_recovery_codes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `admin_id` INT NOT NULL,
+  `code_hash` CHAR(64) NOT NULL COMMENT '恢复码的SHA-256',
+  `used_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  KEY `idx_admin_id` (`admin_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='两步验证恢复码';
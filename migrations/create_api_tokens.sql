@@ -0,0 +1,18 @@
+-- 个人访问令牌，供CI脚本、桌面写作工具等自动化场景调用API，代替账号密码登录
+-- 令牌明文只在创建时返回一次，数据库只保存哈希；令牌只拥有创建时选择的权限，且不超过所有者当前的权限
+CREATE TABLE IF NOT EXISTS `api_tokens` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_type` ENUM('user', 'admin') NOT NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)',
+  `user_id` INT NOT NULL,
+  `name` VARCHAR(100) NOT NULL COMMENT '令牌名称，如 CI 发布脚本',
+  `token_prefix` VARCHAR(16) NOT NULL COMMENT '令牌开头几位，用于在列表中辨认',
+  `token_hash` CHAR(64) NOT NULL COMMENT '令牌的SHA-256',
+  `scopes` JSON NOT NULL COMMENT '权限代码数组，如 ["post:create", "media:upload"]',
+  `expires_at` DATETIME NOT NULL,
+  `last_used_at` DATETIME NULL,
+  `last_used_ip` VARCHAR(45) NULL,
+  `revoked_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_token_hash` (`token_hash`),
+  KEY `idx_user` (`user_type`, `user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='个人访问令牌';
@@ -0,0 +1,24 @@
+-- 评论通知偏好，注册用户和管理员按 user_type + user_id 保存，游客按邮箱保存；没有记录时默认全部开启
+CREATE TABLE IF NOT EXISTS `notification_preferences` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_type` ENUM('user', 'admin') NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)，游客为空',
+  `user_id` INT NULL COMMENT '用户ID',
+  `email` VARCHAR(255) NULL COMMENT '游客邮箱',
+  `post_comment` TINYINT(1) NOT NULL DEFAULT 1 COMMENT '我的文章收到新评论',
+  `comment_reply` TINYINT(1) NOT NULL DEFAULT 1 COMMENT '我的评论收到回复',
+  `mention` TINYINT(1) NOT NULL DEFAULT 1 COMMENT '评论中 @ 提及我',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_user` (`user_type`, `user_id`),
+  UNIQUE KEY `uk_email` (`email`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='评论通知偏好';
+
+-- 评论通知发送记录，同一条评论对同一收件人只通知一次
+CREATE TABLE IF NOT EXISTS `comment_notification_logs` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `comment_id` INT NOT NULL,
+  `recipient_email` VARCHAR(255) NOT NULL,
+  `type` ENUM('post_comment', 'comment_reply', 'mention') NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_comment_recipient` (`comment_id`, `recipient_email`),
+  FOREIGN KEY (`comment_id`) REFERENCES `comments`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='评论通知发送记录';
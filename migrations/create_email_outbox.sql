@@ -0,0 +1,26 @@
+-- 邮件发送队列，所有邮件先写入队列，由后台任务发送，同时作为发送记录
+-- pending 等待发送（含等待重试），sending 发送中，sent 已发送，dead 多次重试失败或永久失败
+CREATE TABLE IF NOT EXISTS `email_outbox` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `category` VARCHAR(50) NOT NULL DEFAULT 'notification' COMMENT '邮件类型，如 verification_code、password_reset、comment_notification',
+  `to_email` VARCHAR(255) NOT NULL COMMENT '收件人',
+  `subject` VARCHAR(255) NOT NULL COMMENT '主题',
+  `html` MEDIUMTEXT NULL COMMENT 'HTML正文',
+  `text` MEDIUMTEXT NULL COMMENT '纯文本正文',
+  `headers` TEXT NULL COMMENT '额外邮件头(JSON)',
+  `status` ENUM('pending', 'sending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+  `attempts` INT NOT NULL DEFAULT 0 COMMENT '已尝试次数',
+  `max_attempts` INT NOT NULL DEFAULT 5 COMMENT '最多尝试次数',
+  `next_attempt_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '下次尝试时间',
+  `locked_at` DATETIME NULL COMMENT '开始发送的时间，用于回收中断的任务',
+  `last_attempt_at` DATETIME NULL COMMENT '最近一次尝试时间，用于发送速率控制',
+  `last_error` TEXT NULL COMMENT '最近一次失败原因',
+  `message_id` VARCHAR(255) NULL COMMENT 'SMTP返回的Message-ID',
+  `resend_of` INT NULL COMMENT '重新发送时指向原邮件',
+  `sent_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY `idx_status_next_attempt` (`status`, `next_attempt_at`),
+  KEY `idx_last_attempt` (`last_attempt_at`),
+  KEY `idx_to_email` (`to_email`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='邮件发送队列';
@@ -0,0 +1,12 @@
+-- 后台自定义的邮件模板，按类型和语言保存；没有记录时使用 utils/emailTemplates.js 中的内置模板
+CREATE TABLE IF NOT EXISTS `email_templates` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `type` VARCHAR(50) NOT NULL COMMENT '模板类型，如 verification_code、welcome',
+  `locale` VARCHAR(10) NOT NULL DEFAULT 'zh-CN' COMMENT '语言',
+  `subject` VARCHAR(255) NOT NULL COMMENT '邮件主题，可使用 {{变量}}',
+  `body` MEDIUMTEXT NOT NULL COMMENT '邮件正文HTML，可使用 {{变量}}',
+  `updated_by` INT NULL COMMENT '最后修改的管理员',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_type_locale` (`type`, `locale`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='邮件模板';
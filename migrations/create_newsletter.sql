@@ -0,0 +1,46 @@
+-- 邮件订阅者，订阅后需点击确认邮件中的链接才会生效（双重确认）
+CREATE TABLE IF NOT EXISTS `newsletter_subscribers` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `email` VARCHAR(255) NOT NULL,
+  `status` ENUM('pending', 'active', 'unsubscribed') NOT NULL DEFAULT 'pending',
+  `confirm_token_hash` CHAR(64) NULL COMMENT '确认令牌的SHA-256',
+  `confirm_expires` DATETIME NULL,
+  `ip_address` VARCHAR(45) NULL COMMENT '订阅时的IP',
+  `confirmed_at` DATETIME NULL,
+  `unsubscribed_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_email` (`email`),
+  UNIQUE KEY `uk_confirm_token` (`confirm_token_hash`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='邮件订阅者';
+
+-- 群发邮件，broadcast 为管理员撰写的邮件，digest 为自动生成的每周文章摘要
+CREATE TABLE IF NOT EXISTS `newsletter_campaigns` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `type` ENUM('broadcast', 'digest') NOT NULL DEFAULT 'broadcast',
+  `subject` VARCHAR(255) NOT NULL,
+  `content` MEDIUMTEXT NOT NULL COMMENT '邮件正文HTML',
+  `status` ENUM('draft', 'scheduled', 'sending', 'sent', 'cancelled') NOT NULL DEFAULT 'draft',
+  `scheduled_at` DATETIME NULL COMMENT '定时发送时间',
+  `sent_at` DATETIME NULL COMMENT '发送完成时间',
+  `recipient_count` INT NOT NULL DEFAULT 0,
+  `created_by` INT NULL COMMENT '创建的管理员，自动摘要为空',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY `idx_status_scheduled` (`status`, `scheduled_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='群发邮件';
+
+-- 群发邮件的逐个订阅者发送记录，实际发送状态见 email_outbox
+CREATE TABLE IF NOT EXISTS `newsletter_deliveries` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `campaign_id` INT NOT NULL,
+  `subscriber_id` INT NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `email_outbox_id` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uk_campaign_subscriber` (`campaign_id`, `subscriber_id`),
+  KEY `idx_outbox` (`email_outbox_id`),
+  FOREIGN KEY (`campaign_id`) REFERENCES `newsletter_campaigns`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`subscriber_id`) REFERENCES `newsletter_subscribers`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='群发邮件发送记录';
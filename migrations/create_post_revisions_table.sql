@@ -0,0 +1,17 @@
+-- 创建文章修订历史表
+CREATE TABLE IF NOT EXISTS `post_revisions` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `post_id` INT NOT NULL COMMENT '文章ID',
+  `revision_number` INT UNSIGNED NOT NULL COMMENT '修订版本号，同一文章内递增',
+  `title` VARCHAR(255) NOT NULL COMMENT '标题快照',
+  `content` LONGTEXT NULL COMMENT '正文快照',
+  `excerpt` TEXT NULL COMMENT '摘要快照',
+  `author_id` INT NULL COMMENT '修订者ID',
+  `changed_fields` JSON NULL COMMENT '相对上一版本变更的字段',
+  `restored_from` INT UNSIGNED NULL COMMENT '从哪个修订恢复而来',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_post_revision` (`post_id`, `revision_number`),
+  INDEX `idx_post_created` (`post_id`, `created_at`),
+  FOREIGN KEY (`post_id`) REFERENCES `posts`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='文章修订历史表';
@@ -0,0 +1,19 @@
+-- 文章全文搜索索引
+-- 使用 ngram 分词器（默认两字一词）支持中文检索。
+-- InnoDB 默认停用词表中的单字母英文词会让包含它们的 ngram 片段被丢弃，建索引前关闭停用词。
+-- 表创建后执行 node scripts/rebuild-search-index.js 为已有文章建立索引。
+SET SESSION innodb_ft_enable_stopword = OFF;
+
+CREATE TABLE IF NOT EXISTS `post_search_index` (
+  `post_id` INT NOT NULL COMMENT '文章ID',
+  `title` VARCHAR(255) NOT NULL DEFAULT '' COMMENT '标题',
+  `excerpt` TEXT NULL COMMENT '摘要',
+  `content` LONGTEXT NULL COMMENT '去除Markdown标记后的正文',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '索引更新时间',
+  PRIMARY KEY (`post_id`),
+  FULLTEXT KEY `ft_title` (`title`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_excerpt` (`excerpt`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_content` (`content`) WITH PARSER ngram,
+  FULLTEXT KEY `ft_all` (`title`, `excerpt`, `content`) WITH PARSER ngram,
+  FOREIGN KEY (`post_id`) REFERENCES `posts`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='文章全文搜索索引';
@@ -256,6 +256,79 @@ async function migrate() {
       logger.info('user_roles表已存在，跳过创建');
     }
     
+    // 创建角色继承表：角色拥有父角色（及其祖先）的全部权限
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_parents (
+        role_id ${rolesIdType} NOT NULL,
+        parent_role_id ${rolesIdType} NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (role_id, parent_role_id),
+        KEY idx_parent_role_id (parent_role_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+    logger.info('role_parents表已就绪');
+    
+    // 创建临时角色授权表：到期后自动失效
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_grants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_type ENUM('user', 'admin') NOT NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)',
+        user_id INT NOT NULL,
+        role_id ${rolesIdType} NOT NULL,
+        expires_at DATETIME NOT NULL COMMENT '到期时间',
+        reason VARCHAR(255) NULL COMMENT '授权原因',
+        granted_by INT NULL COMMENT '授权的管理员ID',
+        revoked_at DATETIME NULL COMMENT '提前撤销时间',
+        revoked_by INT NULL COMMENT '撤销的管理员ID',
+        expired_at DATETIME NULL COMMENT '到期处理时间',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_user (user_type, user_id),
+        KEY idx_role_id (role_id),
+        KEY idx_expires_at (expires_at),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+    logger.info('role_grants表已就绪');
+    
+    // 临时角色授权的审计记录，只追加不修改，不随角色删除
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_grant_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        grant_id INT NOT NULL,
+        user_type ENUM('user', 'admin') NOT NULL,
+        user_id INT NOT NULL,
+        role_id ${rolesIdType} NOT NULL,
+        action ENUM('grant', 'revoke', 'expire') NOT NULL COMMENT 'grant-授权，revoke-提前撤销，expire-到期',
+        operator_id INT NULL COMMENT '操作的管理员ID，自动到期时为空',
+        expires_at DATETIME NOT NULL,
+        reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_grant_id (grant_id),
+        KEY idx_user (user_type, user_id)
+      )
+    `);
+    logger.info('role_grant_logs表已就绪');
+    
+    // 创建角色分类范围表：用户的某个角色只在指定分类（含子分类）内生效，没有记录时不限分类。
+    // 不对分类建外键，分类删除后范围只是变小，不会变成全站
+    await query(`
+      CREATE TABLE IF NOT EXISTS role_category_scopes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_type ENUM('user', 'admin') NOT NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)',
+        user_id INT NOT NULL,
+        role_id ${rolesIdType} NOT NULL,
+        category_id INT NOT NULL,
+        created_by INT NULL COMMENT '设置的管理员ID',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_scope (user_type, user_id, role_id, category_id),
+        KEY idx_role_id (role_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+    logger.info('role_category_scopes表已就绪');
+    
     // 创建默认角色
     const defaultRoles = [
       {
@@ -330,10 +403,16 @@ async function migrate() {
       // 文章管理权限
       { name: '查看文章', code: 'post:view', description: '查看文章列表和详情' },
       { name: '创建文章', code: 'post:create', description: '创建新文章' },
-      { name: '编辑文章', code: 'post:edit', description: '编辑文章' },
-      { name: '删除文章', code: 'post:delete', description: '删除文章' },
+      { name: '编辑文章', code: 'post:edit', description: '编辑文章（旧权限，等同于编辑任意文章）' },
+      { name: '删除文章', code: 'post:delete', description: '删除文章（旧权限，等同于删除任意文章）' },
       { name: '发布文章', code: 'post:publish', description: '发布文章' },
       
+      // 区分资源所有者的权限：own 只能操作自己创建的资源，any 可以操作所有资源
+      { name: '编辑自己的文章', code: 'post:edit:own', description: '编辑自己撰写的文章' },
+      { name: '编辑任意文章', code: 'post:edit:any', description: '编辑所有人的文章' },
+      { name: '删除自己的文章', code: 'post:delete:own', description: '删除自己撰写的文章' },
+      { name: '删除任意文章', code: 'post:delete:any', description: '删除所有人的文章' },
+      
       // 分类管理权限
       { name: '查看分类', code: 'category:view', description: '查看分类列表和详情' },
       { name: '创建分类', code: 'category:create', description: '创建新分类' },
@@ -350,8 +429,9 @@ async function migrate() {
       { name: '查看评论', code: 'comment:view', description: '查看评论列表和详情' },
       { name: '创建评论', code: 'comment:create', description: '创建新评论' },
       { name: '编辑评论', code: 'comment:edit', description: '编辑评论' },
-      { name: '删除评论', code: 'comment:delete', description: '删除评论' },
+      { name: '删除评论', code: 'comment:delete', description: '删除评论（旧权限，等同于删除任意评论）' },
       { name: '审核评论', code: 'comment:moderate', description: '审核评论' },
+      { name: '审核敏感内容', code: 'content:review', description: '确认文章和公告中需审核的敏感词后发布' },
       
       // 系统设置权限
       { name: '查看设置', code: 'setting:view', description: '查看系统设置' },
@@ -360,7 +440,18 @@ async function migrate() {
       // 媒体管理权限
       { name: '查看媒体', code: 'media:view', description: '查看媒体列表和详情' },
       { name: '上传媒体', code: 'media:upload', description: '上传媒体文件' },
-      { name: '删除媒体', code: 'media:delete', description: '删除媒体文件' }
+      { name: '删除媒体', code: 'media:delete', description: '删除媒体文件（旧权限，等同于删除任意媒体）' },
+      { name: '编辑自己的媒体', code: 'media:edit:own', description: '编辑自己上传的媒体文件信息' },
+      { name: '编辑任意媒体', code: 'media:edit:any', description: '编辑所有人上传的媒体文件信息' },
+      { name: '删除自己的媒体', code: 'media:delete:own', description: '删除自己上传的媒体文件' },
+      { name: '删除任意媒体', code: 'media:delete:any', description: '删除所有人上传的媒体文件' },
+      
+      // 评论的所有者权限
+      { name: '删除自己的评论', code: 'comment:delete:own', description: '删除自己发表的评论' },
+      { name: '删除任意评论', code: 'comment:delete:any', description: '删除所有人的评论' },
+      
+      // 审计日志权限
+      { name: '查看审计日志', code: 'audit:view', description: '查看和导出管理操作审计日志' }
     ];
     
     // 插入默认权限
@@ -388,37 +479,29 @@ async function migrate() {
       }
     }
     
-    // 为每个角色分配默认权限
+    // 为每个角色分配默认权限，只列出在父角色基础上增加的权限
     const rolePermissionMappings = {
       // 超级管理员拥有所有权限，不需要明确指定
       
-      // 管理员拥有除了角色和权限管理之外的所有权限
+      // 管理员在编辑的基础上可以管理用户和系统设置
       'admin': [
         'user:view', 'user:create', 'user:edit', 'user:delete',
-        'post:view', 'post:create', 'post:edit', 'post:delete', 'post:publish',
-        'category:view', 'category:create', 'category:edit', 'category:delete',
-        'tag:view', 'tag:create', 'tag:edit', 'tag:delete',
-        'comment:view', 'comment:create', 'comment:edit', 'comment:delete', 'comment:moderate',
-        'setting:view', 'setting:edit',
-        'media:view', 'media:upload', 'media:delete'
+        'setting:view', 'setting:edit'
       ],
       
-      // 编辑可以管理所有内容，但不能管理用户和系统设置
+      // 编辑在作者的基础上可以管理所有内容
       'editor': [
-        'post:view', 'post:create', 'post:edit', 'post:delete', 'post:publish',
-        'category:view', 'category:create', 'category:edit', 'category:delete',
-        'tag:view', 'tag:create', 'tag:edit', 'tag:delete',
-        'comment:view', 'comment:create', 'comment:edit', 'comment:delete', 'comment:moderate',
-        'media:view', 'media:upload', 'media:delete'
+        'post:edit:any', 'post:delete:any', 'post:publish',
+        'category:create', 'category:edit', 'category:delete',
+        'tag:create', 'tag:edit', 'tag:delete',
+        'comment:edit', 'comment:delete:any', 'comment:moderate', 'content:review',
+        'media:edit:any', 'media:delete:any'
       ],
       
-      // 作者只能管理自己的内容
+      // 作者在普通用户的基础上可以管理自己的内容
       'author': [
-        'post:view', 'post:create', 'post:edit',
-        'category:view',
-        'tag:view',
-        'comment:view', 'comment:create',
-        'media:view', 'media:upload'
+        'post:create', 'post:edit:own', 'post:delete:own',
+        'media:upload', 'media:edit:own', 'media:delete:own'
       ],
       
       // 普通用户只有基本权限
@@ -426,11 +509,44 @@ async function migrate() {
         'post:view',
         'category:view',
         'tag:view',
-        'comment:view', 'comment:create',
+        'comment:view', 'comment:create', 'comment:delete:own',
         'media:view'
       ]
     };
     
+    // 默认的角色继承关系：admin -> editor -> author -> user
+    const roleParentMappings = {
+      'admin': ['editor'],
+      'editor': ['author'],
+      'author': ['user']
+    };
+    
+    for (const [roleCode, parentCodes] of Object.entries(roleParentMappings)) {
+      try {
+        const [role] = await query('SELECT id FROM roles WHERE code = ?', [roleCode]);
+        if (!role) {
+          logger.warn(`角色 ${roleCode} 不存在，跳过继承设置`);
+          continue;
+        }
+        
+        await query('DELETE FROM role_parents WHERE role_id = ?', [role.id]);
+        
+        for (const parentCode of parentCodes) {
+          const [parent] = await query('SELECT id FROM roles WHERE code = ?', [parentCode]);
+          if (!parent) {
+            logger.warn(`父角色 ${parentCode} 不存在，跳过`);
+            continue;
+          }
+          
+          await query('INSERT INTO role_parents (role_id, parent_role_id) VALUES (?, ?)', [role.id, parent.id]);
+        }
+        
+        logger.info(`角色 ${roleCode} 继承: ${parentCodes.join(', ')}`);
+      } catch (error) {
+        logger.error(`设置角色 ${roleCode} 的继承关系时出错: ${error.message}`);
+      }
+    }
+    
     // 为每个角色分配权限
     for (const [roleCode, permissionCodes] of Object.entries(rolePermissionMappings)) {
       try {
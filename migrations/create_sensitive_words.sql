@@ -0,0 +1,23 @@
+-- 敏感词分类表
+CREATE TABLE IF NOT EXISTS `sensitive_word_categories` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `name` VARCHAR(50) NOT NULL COMMENT '分类名称',
+  `action` ENUM('reject', 'mask', 'review') NOT NULL DEFAULT 'reject' COMMENT '命中后的处理：reject-拒绝，mask-替换为*，review-转人工审核',
+  `description` VARCHAR(255) NULL COMMENT '分类说明',
+  `enabled` TINYINT NOT NULL DEFAULT 1 COMMENT '是否启用：0-禁用，1-启用',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT '更新时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='敏感词分类表';
+
+-- 敏感词表
+CREATE TABLE IF NOT EXISTS `sensitive_words` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `category_id` INT UNSIGNED NOT NULL COMMENT '所属分类',
+  `word` VARCHAR(100) NOT NULL COMMENT '敏感词',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '创建时间',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_category_word` (`category_id`, `word`),
+  CONSTRAINT `fk_sensitive_words_category` FOREIGN KEY (`category_id`) REFERENCES `sensitive_word_categories` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='敏感词表';
@@ -0,0 +1,23 @@
+-- 登录会话，每次登录创建一条记录，对应一台设备
+-- 访问令牌和刷新令牌都带有会话ID(sid)；刷新令牌只保存哈希，每次刷新都会轮换，
+-- 已轮换的旧令牌再次出现视为泄露，整个会话立即失效
+CREATE TABLE IF NOT EXISTS `user_sessions` (
+  `id` CHAR(36) NOT NULL COMMENT '会话ID(UUID)',
+  `user_type` ENUM('user', 'admin') NOT NULL COMMENT 'user-前台用户(public_users)，admin-管理员(admin_users)',
+  `user_id` INT NOT NULL,
+  `refresh_token_hash` CHAR(64) NOT NULL COMMENT '当前刷新令牌的SHA-256',
+  `previous_token_hash` CHAR(64) NULL COMMENT '上一个刷新令牌的SHA-256，用于识别并发刷新',
+  `rotated_at` DATETIME NULL COMMENT '最近一次轮换时间',
+  `user_agent` VARCHAR(500) NULL,
+  `device` VARCHAR(100) NULL COMMENT '由User-Agent解析的设备名称',
+  `ip_address` VARCHAR(45) NULL COMMENT '最近一次使用的IP',
+  `last_seen_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT '最近活跃时间',
+  `expires_at` DATETIME NOT NULL COMMENT '刷新令牌过期时间',
+  `revoked_at` DATETIME NULL,
+  `revoked_reason` VARCHAR(50) NULL COMMENT '如 user_logout、remote_logout、admin_revoked、account_disabled、account_deleted、password_reset、password_changed、token_reuse',
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_refresh_token_hash` (`refresh_token_hash`),
+  KEY `idx_user` (`user_type`, `user_id`),
+  KEY `idx_expires_at` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='登录会话';
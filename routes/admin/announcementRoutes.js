@@ -96,6 +96,9 @@ router.get('/:id', verifyAdmin, announcementController.getAnnouncement);
  *                 type: string
  *                 format: date-time
  *                 description: 生效结束时间
+ *               sensitiveReviewed:
+ *                 type: boolean
+ *                 description: 已确认内容中需审核的敏感词，需要 content:review 权限；未确认或没有该权限时公告保存为禁用状态
  *     responses:
  *       201:
  *         description: 创建成功
@@ -145,6 +148,9 @@ router.post('/', verifyAdmin, announcementController.createAnnouncement);
  *                 type: string
  *                 format: date-time
  *                 description: 生效结束时间
+ *               sensitiveReviewed:
+ *                 type: boolean
+ *                 description: 已确认内容中需审核的敏感词，需要 content:review 权限；未确认或没有该权限时公告保存为禁用状态
  *     responses:
  *       200:
  *         description: 更新成功
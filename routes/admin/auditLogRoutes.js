@@ -0,0 +1,144 @@
+/**
+ * 管理操作审计日志路由 - 管理员
+ */
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../../controllers/admin/auditLogController');
+const { verifyAdmin } = require('../../middlewares/unified-auth');
+const { checkPermission } = require('../../middlewares/rbac');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 审计日志
+ *   description: 后台每一次 POST/PUT/PATCH/DELETE 请求的操作记录，只能追加，不能修改或删除
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditLogFilters:
+ *       in: query
+ *       name: filters
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         properties:
+ *           actorId:
+ *             type: integer
+ *             description: 操作人ID
+ *           method:
+ *             type: string
+ *             enum: [POST, PUT, PATCH, DELETE]
+ *           action:
+ *             type: string
+ *             description: 路由关键词，如 /api/admin/posts
+ *           entityType:
+ *             type: string
+ *             description: 对象类型，如 post、user、role、ai_config
+ *           entityId:
+ *             type: string
+ *             description: 对象ID
+ *           requestId:
+ *             type: string
+ *             description: 请求ID，与响应头 X-Request-ID 一致
+ *           statusCode:
+ *             type: string
+ *             enum: [2xx, 4xx, 5xx]
+ *           from:
+ *             type: string
+ *             format: date-time
+ *           to:
+ *             type: string
+ *             format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: 获取审计日志
+ *     description: 按时间倒序分页返回，只包含已登录管理员的修改操作。快照和请求参数中的密码、密钥、两步验证码等字段已脱敏
+ *     tags: [审计日志]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditLogFilters'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 筛选条件错误
+ *       403:
+ *         description: 缺少 audit:view 权限
+ */
+router.get('/', verifyAdmin, checkPermission('audit:view'), auditLogController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: 导出审计日志
+ *     description: 按筛选条件导出，单次最多 10000 条；超出时只导出最近的记录，响应头 X-Export-Truncated 为 true
+ *     tags: [审计日志]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditLogFilters'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: 导出文件
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: 筛选条件或导出格式错误
+ *       403:
+ *         description: 缺少 audit:view 权限
+ */
+router.get('/export', verifyAdmin, checkPermission('audit:view'), auditLogController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/{id}:
+ *   get:
+ *     summary: 获取审计日志详情
+ *     tags: [审计日志]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 日志ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 审计日志不存在
+ */
+router.get('/:id', verifyAdmin, checkPermission('audit:view'), auditLogController.getAuditLogById);
+
+module.exports = router;
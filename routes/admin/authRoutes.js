@@ -4,7 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../../controllers/admin/authController');
-const { verifyToken, isAdmin } = require('../../middlewares/auth');
+const { verifyToken, isAdmin, isSuperAdmin } = require('../../middlewares/auth');
 const { validate, adminLoginValidationRules, registerValidationRules } = require('../../middlewares/validation');
 
 // 禁用管理员注册功能，改用拒绝请求的控制器方法
@@ -13,10 +13,65 @@ router.post('/register', authController.disableRegister);
 // POST /api/admin/auth/login - 管理员登录
 router.post('/login', adminLoginValidationRules, validate, authController.login);
 
+// POST /api/admin/auth/login/mfa - 登录第二步：提交两步验证码或恢复码
+router.post('/login/mfa', authController.verifyLoginMfa);
+
+// POST /api/admin/auth/login/mfa/setup - 角色要求开启两步验证时，登录过程中获取绑定密钥
+router.post('/login/mfa/setup', authController.setupLoginMfa);
+
+// POST /api/admin/auth/login/mfa/enable - 登录过程中确认绑定并完成登录
+router.post('/login/mfa/enable', authController.enableLoginMfa);
+
 // GET /api/admin/auth/me - 获取当前管理员信息
 router.get('/me', verifyToken, isAdmin, authController.getCurrentAdmin);
 
 // POST /api/admin/auth/logout - 管理员登出
 router.post('/logout', verifyToken, authController.logout);
 
+// POST /api/admin/auth/refresh-token - 使用刷新令牌换取新令牌
+router.post('/refresh-token', authController.refreshToken);
+
+// GET /api/admin/auth/sessions - 获取当前管理员的登录设备
+router.get('/sessions', verifyToken, isAdmin, authController.getSessions);
+
+// DELETE /api/admin/auth/sessions/:id - 退出指定设备的登录
+router.delete('/sessions/:id', verifyToken, isAdmin, authController.revokeSession);
+
+// GET /api/admin/auth/mfa - 获取两步验证状态
+router.get('/mfa', verifyToken, isAdmin, authController.getMfaStatus);
+
+// GET|PUT /api/admin/auth/mfa/policy - 必须开启两步验证的角色（超级管理员）
+router.get('/mfa/policy', verifyToken, isAdmin, isSuperAdmin, authController.getMfaPolicy);
+router.put('/mfa/policy', verifyToken, isAdmin, isSuperAdmin, authController.updateMfaPolicy);
+
+// GET /api/admin/auth/api-tokens - 获取个人访问令牌
+router.get('/api-tokens', verifyToken, isAdmin, authController.getApiTokens);
+
+// GET /api/admin/auth/api-tokens/scopes - 获取可以授予访问令牌的权限
+router.get('/api-tokens/scopes', verifyToken, isAdmin, authController.getApiTokenScopes);
+
+// POST /api/admin/auth/api-tokens - 创建个人访问令牌
+router.post('/api-tokens', verifyToken, isAdmin, authController.createApiToken);
+
+// DELETE /api/admin/auth/api-tokens/:id - 撤销个人访问令牌
+router.delete('/api-tokens/:id', verifyToken, isAdmin, authController.revokeApiToken);
+
+// GET /api/admin/auth/admins/:id/login-lock - 获取管理员账户的登录锁定状态（超级管理员）
+router.get('/admins/:id/login-lock', verifyToken, isAdmin, isSuperAdmin, authController.getAdminLoginLock);
+
+// POST /api/admin/auth/admins/:id/unlock - 解除管理员账户的登录锁定（超级管理员）
+router.post('/admins/:id/unlock', verifyToken, isAdmin, isSuperAdmin, authController.unlockAdmin);
+
+// POST /api/admin/auth/mfa/setup - 生成两步验证密钥和二维码地址
+router.post('/mfa/setup', verifyToken, isAdmin, authController.setupMfa);
+
+// POST /api/admin/auth/mfa/enable - 确认验证码，开启两步验证
+router.post('/mfa/enable', verifyToken, isAdmin, authController.enableMfa);
+
+// POST /api/admin/auth/mfa/disable - 关闭两步验证
+router.post('/mfa/disable', verifyToken, isAdmin, authController.disableMfa);
+
+// POST /api/admin/auth/mfa/recovery-codes - 重新生成恢复码
+router.post('/mfa/recovery-codes', verifyToken, isAdmin, authController.regenerateRecoveryCodes);
+
 module.exports = router; 
\ No newline at end of file
@@ -8,64 +8,65 @@ const router = express.Router();
 const commentController = require('../../controllers/admin/commentController');
 // 使用统一认证中间件
 const { verifyAdmin } = require('../../middlewares/unified-auth');
+const { checkPermission } = require('../../middlewares/rbac');
 const ApiResponse = require('../../utils/response');
 const { query } = require('../../config/db');
 
 /**
  * @route GET /api/admin/comments/pending
- * @desc 获取待审核评论
+ * @desc 获取待审核评论（分类范围受限的编辑只能看到负责分类中的评论）
  * @access Private (管理员)
  */
-router.get('/pending', verifyAdmin, commentController.getPendingComments);
+router.get('/pending', verifyAdmin, checkPermission('comment:moderate'), commentController.getPendingComments);
 
 /**
  * @route PUT /api/admin/comments/batch/approve
  * @desc 批量审核通过评论
  * @access Private (管理员)
  */
-router.put('/batch/approve', verifyAdmin, commentController.batchApproveComments);
+router.put('/batch/approve', verifyAdmin, checkPermission('comment:moderate'), commentController.batchApproveComments);
 
 /**
  * @route PUT /api/admin/comments/batch/reject
  * @desc 批量拒绝评论
  * @access Private (管理员)
  */
-router.put('/batch/reject', verifyAdmin, commentController.batchRejectComments);
+router.put('/batch/reject', verifyAdmin, checkPermission('comment:moderate'), commentController.batchRejectComments);
 
 /**
  * @route GET /api/admin/comments
- * @desc 获取所有评论列表
+ * @desc 获取所有评论列表（分类范围受限的编辑只能看到负责分类中的评论）
  * @access Private (管理员)
  */
-router.get('/', verifyAdmin, commentController.getAllComments);
+router.get('/', verifyAdmin, checkPermission('comment:view'), commentController.getAllComments);
 
 /**
  * @route GET /api/admin/comments/:id
- * @desc 获取单个评论详情
+ * @desc 获取单个评论详情，包含自动审核记录
  * @access Private (管理员)
  */
-router.get('/:id', verifyAdmin, commentController.getCommentById);
+router.get('/:id', verifyAdmin, checkPermission('comment:view'), commentController.getCommentById);
 
 /**
  * @route PUT /api/admin/comments/:id/approve
- * @desc 审核通过评论
+ * @desc 审核通过评论（comment:moderate 限定分类时只能审核负责分类中的评论）
  * @access Private (管理员)
  */
-router.put('/:id/approve', verifyAdmin, commentController.approveComment);
+router.put('/:id/approve', verifyAdmin, checkPermission('comment:moderate'), commentController.approveComment);
 
 /**
  * @route PUT /api/admin/comments/:id/reject
  * @desc 拒绝评论
  * @access Private (管理员)
  */
-router.put('/:id/reject', verifyAdmin, commentController.rejectComment);
+router.put('/:id/reject', verifyAdmin, checkPermission('comment:moderate'), commentController.rejectComment);
 
 /**
  * @route DELETE /api/admin/comments/:id
- * @desc 删除评论
+ * @desc 删除评论（后台删除的是前台用户的评论，需要 comment:delete:any 权限）
  * @access Private (管理员)
  */
-router.delete('/:id', verifyAdmin, commentController.deleteComment);
+router.delete('/:id', verifyAdmin, checkPermission(['comment:delete:any', 'comment:delete']), commentController.deleteComment);
 
 // 获取评论数量
 router.get('/count', verifyAdmin, async (req, res) => {
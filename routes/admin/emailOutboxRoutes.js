@@ -0,0 +1,108 @@
+/**
+ * 邮件发送记录路由 - 管理员
+ */
+const express = require('express');
+const router = express.Router();
+const emailOutboxController = require('../../controllers/admin/emailOutboxController');
+const { verifyAdmin } = require('../../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 邮件发送记录
+ *   description: 邮件发送队列与发送记录，所有邮件由后台任务发送，失败后自动重试
+ */
+
+/**
+ * @swagger
+ * /api/admin/emails:
+ *   get:
+ *     summary: 获取邮件发送记录
+ *     description: 返回分页的发送记录和各状态的邮件数量
+ *     tags: [邮件发送记录]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, dead]
+ *         description: 状态(pending-等待发送或等待重试,sending-发送中,sent-已发送,dead-发送失败不再重试)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: 邮件类型，如 verification_code、password_reset_code、comment_notification
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: 收件人关键词
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 状态参数错误
+ */
+router.get('/', verifyAdmin, emailOutboxController.getEmails);
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}:
+ *   get:
+ *     summary: 获取邮件详情
+ *     description: 包含邮件正文、邮件头和最近一次失败原因
+ *     tags: [邮件发送记录]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 邮件ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 邮件不存在
+ */
+router.get('/:id', verifyAdmin, emailOutboxController.getEmailById);
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}/resend:
+ *   post:
+ *     summary: 重新发送邮件
+ *     description: 复制原邮件重新加入发送队列，原记录保留；等待发送或发送中的邮件不能重新发送
+ *     tags: [邮件发送记录]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 邮件ID
+ *     responses:
+ *       201:
+ *         description: 已重新加入发送队列
+ *       400:
+ *         description: 邮件正在等待发送
+ *       404:
+ *         description: 邮件不存在
+ */
+router.post('/:id/resend', verifyAdmin, emailOutboxController.resendEmail);
+
+module.exports = router;
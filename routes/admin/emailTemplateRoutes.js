@@ -0,0 +1,201 @@
+/**
+ * 邮件模板路由 - 管理员
+ */
+const express = require('express');
+const router = express.Router();
+const emailTemplateController = require('../../controllers/admin/emailTemplateController');
+const { verifyAdmin } = require('../../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 邮件模板
+ *   description: 自定义系统邮件的主题和正文，正文使用 {{变量}} 引用数据，未自定义时使用内置模板
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [verification_code, email_verification, password_reset, password_reset_code, welcome, comment_notification, newsletter_confirmation, account_locked]
+ *         locale:
+ *           type: string
+ *           example: zh-CN
+ *         subject:
+ *           type: string
+ *           description: 邮件主题，可使用变量，不转义
+ *         body:
+ *           type: string
+ *           description: 邮件正文HTML，可使用变量，变量值默认转义
+ *         customized:
+ *           type: boolean
+ *           description: 是否为自定义模板，false 表示内置模板
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/email-templates:
+ *   get:
+ *     summary: 获取邮件模板类型列表
+ *     description: 包含每种类型支持的变量（名称、说明、示例值、是否必需）和已自定义的语言
+ *     tags: [邮件模板]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/', verifyAdmin, emailTemplateController.getTemplateTypes);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{type}:
+ *   get:
+ *     summary: 获取当前生效的邮件模板
+ *     description: 指定语言没有自定义模板时依次返回默认语言的自定义模板和内置模板
+ *     tags: [邮件模板]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 模板类型
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: 语言，默认 zh-CN
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/EmailTemplate'
+ *       404:
+ *         description: 模板类型不存在
+ */
+router.get('/:type', verifyAdmin, emailTemplateController.getTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{type}:
+ *   put:
+ *     summary: 保存自定义邮件模板
+ *     description: 模板中只能使用该类型支持的变量，且正文必须包含必需变量（如验证码）
+ *     tags: [邮件模板]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 模板类型
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, body]
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 example: zh-CN
+ *               subject:
+ *                 type: string
+ *                 example: 您的注册验证码：{{code}}
+ *               body:
+ *                 type: string
+ *                 example: <p>{{username}}，您好！验证码为 <strong>{{code}}</strong></p>
+ *     responses:
+ *       200:
+ *         description: 保存成功
+ *       400:
+ *         description: 参数错误，或使用了不支持的变量、缺少必需变量
+ */
+router.put('/:type', verifyAdmin, emailTemplateController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{type}:
+ *   delete:
+ *     summary: 恢复默认邮件模板
+ *     description: 删除该语言的自定义模板
+ *     tags: [邮件模板]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 模板类型
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: 语言，默认 zh-CN
+ *     responses:
+ *       200:
+ *         description: 已恢复默认模板
+ *       404:
+ *         description: 没有自定义模板
+ */
+router.delete('/:type', verifyAdmin, emailTemplateController.resetTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{type}/preview:
+ *   post:
+ *     summary: 预览邮件模板
+ *     description: 用示例数据渲染模板，提交 subject/body 时预览未保存的内容；同时返回变量校验结果
+ *     tags: [邮件模板]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 模板类型
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               values:
+ *                 type: object
+ *                 description: 覆盖示例数据的变量值
+ *     responses:
+ *       200:
+ *         description: 预览结果，包含 subject、html 和 validation（unknown 不支持的变量，missing 缺少的必需变量）
+ */
+router.post('/:type/preview', verifyAdmin, emailTemplateController.previewTemplate);
+
+module.exports = router;
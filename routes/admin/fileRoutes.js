@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const fileController = require('../../controllers/admin/fileController');
 const { directVerifyAdmin } = require('../../middlewares/directAuth');
+const { verifyAdmin } = require('../../middlewares/unified-auth');
+const { checkPermission } = require('../../middlewares/rbac');
+const { getOwnershipCodes } = require('../../utils/ownership');
 const { upload, handleUploadError } = require('../../middlewares/upload');
 
 /**
@@ -11,7 +14,8 @@ const { upload, handleUploadError } = require('../../middlewares/upload');
  */
 router.post(
   '/upload',
-  directVerifyAdmin,
+  verifyAdmin,
+  checkPermission('media:upload'),
   upload.single('file'),
   handleUploadError,
   fileController.uploadFile
@@ -41,31 +45,38 @@ router.get(
 
 /**
  * @route DELETE /api/admin/files/:id
- * @desc 删除文件
+ * @desc 删除文件（media:delete:own 只能删除自己上传的文件）
  * @access Private (Admin)
  */
 router.delete(
   '/:id',
-  directVerifyAdmin,
+  verifyAdmin,
+  checkPermission(getOwnershipCodes('media:delete')),
   fileController.deleteFile
 );
 
 /**
  * @route DELETE /api/admin/files
- * @desc 批量删除文件
+ * @desc 批量删除文件（media:delete:own 只能删除自己上传的文件）
  * @access Private (Admin)
  */
 router.delete(
   '/',
-  directVerifyAdmin,
+  verifyAdmin,
+  checkPermission(getOwnershipCodes('media:delete')),
   fileController.deleteMultipleFiles
 );
 
 /**
  * @route PUT /api/admin/files/:id
- * @desc 更新文件
+ * @desc 更新文件（media:edit:own 只能更新自己上传的文件）
  * @access Private (Admin)
  */
-router.put('/:id', directVerifyAdmin, fileController.updateFile);
+router.put(
+  '/:id',
+  verifyAdmin,
+  checkPermission(getOwnershipCodes('media:edit')),
+  fileController.updateFile
+);
 
 module.exports = router; 
\ No newline at end of file
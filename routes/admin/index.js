@@ -13,8 +13,17 @@ const settingRoutes = require('./settingRoutes');
 const announcementRoutes = require('./announcementRoutes'); // 添加公告路由
 const userRoutes = require('./userRoutes'); // 添加用户管理路由
 const roleRoutes = require('./roleRoutes'); // 添加角色管理路由
+const sensitiveWordRoutes = require('./sensitiveWordRoutes');
+const emailOutboxRoutes = require('./emailOutboxRoutes');
+const emailTemplateRoutes = require('./emailTemplateRoutes');
+const newsletterRoutes = require('./newsletterRoutes');
+const auditLogRoutes = require('./auditLogRoutes');
+const { auditAdminActions } = require('../../middlewares/auditLog');
 const { logger } = require('../../utils/logger');
 
+// 记录所有修改类请求，需在各模块路由之前注册
+router.use(auditAdminActions);
+
 // 注册各模块路由
 router.use('/auth', authRoutes);
 router.use('/posts', postRoutes);
@@ -29,10 +38,20 @@ router.use('/settings', settingRoutes);
 router.use('/announcements', announcementRoutes); // 注册公告路由
 router.use('/users', userRoutes); // 注册用户管理路由
 router.use('/roles', roleRoutes); // 注册角色管理路由
+router.use('/sensitive-words', sensitiveWordRoutes);
+router.use('/emails', emailOutboxRoutes);
+router.use('/email-templates', emailTemplateRoutes);
+router.use('/newsletter', newsletterRoutes);
+router.use('/audit-logs', auditLogRoutes);
 
 logger.info('已加载路由: /admin/settings');
 logger.info('已加载路由: /admin/announcements');
 logger.info('已加载路由: /admin/users');
 logger.info('已加载路由: /admin/roles');
+logger.info('已加载路由: /admin/sensitive-words');
+logger.info('已加载路由: /admin/emails');
+logger.info('已加载路由: /admin/email-templates');
+logger.info('已加载路由: /admin/newsletter');
+logger.info('已加载路由: /admin/audit-logs');
 
 module.exports = router; 
\ No newline at end of file
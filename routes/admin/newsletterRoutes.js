@@ -0,0 +1,330 @@
+/**
+ * 邮件订阅路由 - 管理员
+ */
+const express = require('express');
+const router = express.Router();
+const newsletterController = require('../../controllers/admin/newsletterController');
+const { verifyAdmin } = require('../../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 邮件订阅
+ *   description: 订阅者管理、群发邮件和每周文章摘要，邮件通过邮件发送队列发出
+ */
+
+/**
+ * @swagger
+ * /api/admin/newsletter/subscribers:
+ *   get:
+ *     summary: 获取订阅者列表
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, unsubscribed]
+ *         description: 状态(pending-待确认,active-已订阅,unsubscribed-已退订)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: 邮箱关键词
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功，包含各状态的订阅者数量
+ */
+router.get('/subscribers', verifyAdmin, newsletterController.getSubscribers);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/subscribers/{id}:
+ *   delete:
+ *     summary: 删除订阅者
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 订阅者不存在
+ */
+router.delete('/subscribers/:id', verifyAdmin, newsletterController.deleteSubscriber);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/digest:
+ *   get:
+ *     summary: 获取每周文章摘要设置
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *   put:
+ *     summary: 更新每周文章摘要设置
+ *     description: 按服务器本地时间在每周指定时间发送上次发送以来发布的文章，没有新文章时跳过
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               dayOfWeek:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: 星期几发送，0表示周日
+ *               hour:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 23
+ *               subject:
+ *                 type: string
+ *               maxPosts:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误
+ */
+router.get('/digest', verifyAdmin, newsletterController.getDigestConfig);
+router.put('/digest', verifyAdmin, newsletterController.updateDigestConfig);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/digest/send:
+ *   post:
+ *     summary: 立即发送文章摘要
+ *     description: 收录上次发送以来的文章，并作为本周期的发送记录
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 没有新文章，未发送
+ *       201:
+ *         description: 已加入发送队列
+ */
+router.post('/digest/send', verifyAdmin, newsletterController.sendDigest);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/campaigns:
+ *   get:
+ *     summary: 获取群发邮件列表
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [broadcast, digest]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *   post:
+ *     summary: 创建群发邮件
+ *     description: 指定 scheduledAt 时定时发送，否则保存为草稿
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, content]
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: 邮件正文HTML
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ */
+router.get('/campaigns', verifyAdmin, newsletterController.getCampaigns);
+router.post('/campaigns', verifyAdmin, newsletterController.createCampaign);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/campaigns/{id}:
+ *   get:
+ *     summary: 获取群发邮件详情
+ *     description: 包含按发送状态统计的数量（delivery_stats）
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 群发邮件不存在
+ *   put:
+ *     summary: 更新未发送的群发邮件
+ *     description: scheduledAt 传 null 时取消定时改为草稿
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误或已开始发送
+ *   delete:
+ *     summary: 取消未发送的群发邮件
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *       400:
+ *         description: 不存在或已开始发送
+ */
+router.get('/campaigns/:id', verifyAdmin, newsletterController.getCampaignById);
+router.put('/campaigns/:id', verifyAdmin, newsletterController.updateCampaign);
+router.delete('/campaigns/:id', verifyAdmin, newsletterController.cancelCampaign);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/campaigns/{id}/send:
+ *   post:
+ *     summary: 立即发送群发邮件
+ *     description: 向所有已确认的订阅者发送，订阅者较多时在后台继续加入发送队列
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       202:
+ *         description: 开始发送
+ *       400:
+ *         description: 只能发送草稿或定时发送的群发邮件
+ *       404:
+ *         description: 群发邮件不存在
+ */
+router.post('/campaigns/:id/send', verifyAdmin, newsletterController.sendCampaign);
+
+/**
+ * @swagger
+ * /api/admin/newsletter/campaigns/{id}/deliveries:
+ *   get:
+ *     summary: 获取群发邮件的发送记录
+ *     description: 每个订阅者一条记录，状态来自邮件发送队列
+ *     tags: [邮件订阅]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, dead, unqueued]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/campaigns/:id/deliveries', verifyAdmin, newsletterController.getDeliveries);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const postController = require('../../controllers/admin/postController');
 const { verifyAdmin } = require('../../middlewares/unified-auth');
+const { checkPermission } = require('../../middlewares/rbac');
+const { getOwnershipCodes } = require('../../utils/ownership');
 const { postValidationRules } = require('../../middlewares/validators');
 const ApiResponse = require('../../utils/response');
 const PostModel = require('../../models/post.model');
@@ -14,6 +16,7 @@ const PostModel = require('../../models/post.model');
 router.post(
   '/',
   verifyAdmin,
+  checkPermission('post:create'),
   postValidationRules(),
   postController.createPost
 );
@@ -26,6 +29,7 @@ router.post(
 router.get(
   '/',
   verifyAdmin,
+  checkPermission('post:view'),
   postController.getAllPosts
 );
 
@@ -37,6 +41,7 @@ router.get(
 router.get(
   '/my-posts',
   verifyAdmin,
+  checkPermission('post:view'),
   postController.getMyPosts
 );
 
@@ -48,34 +53,85 @@ router.get(
 router.get(
   '/:id',
   verifyAdmin,
+  checkPermission('post:view'),
   postController.getPostById
 );
 
 /**
  * @route PUT /api/admin/posts/:id
- * @desc 更新文章
+ * @desc 更新文章（post:edit:own 只能更新自己的文章）
  * @access Private (Admin)
  */
 router.put(
   '/:id',
   verifyAdmin,
+  checkPermission(getOwnershipCodes('post:edit')),
   postValidationRules(true),
   postController.updatePost
 );
 
+/**
+ * @route GET /api/admin/posts/:id/revisions
+ * @desc 获取文章修订列表
+ * @access Private (Admin)
+ */
+router.get(
+  '/:id/revisions',
+  verifyAdmin,
+  checkPermission('post:view'),
+  postController.getPostRevisions
+);
+
+/**
+ * @route GET /api/admin/posts/:id/revisions/diff?from=:revisionId&to=:revisionId
+ * @desc 比较两个修订的行级差异
+ * @access Private (Admin)
+ */
+router.get(
+  '/:id/revisions/diff',
+  verifyAdmin,
+  checkPermission('post:view'),
+  postController.diffPostRevisions
+);
+
+/**
+ * @route GET /api/admin/posts/:id/revisions/:revisionId
+ * @desc 获取单个修订
+ * @access Private (Admin)
+ */
+router.get(
+  '/:id/revisions/:revisionId',
+  verifyAdmin,
+  checkPermission('post:view'),
+  postController.getPostRevision
+);
+
+/**
+ * @route POST /api/admin/posts/:id/revisions/:revisionId/restore
+ * @desc 将文章恢复到指定修订（生成一条新修订）
+ * @access Private (Admin)
+ */
+router.post(
+  '/:id/revisions/:revisionId/restore',
+  verifyAdmin,
+  checkPermission(getOwnershipCodes('post:edit')),
+  postController.restorePostRevision
+);
+
 /**
  * @route DELETE /api/admin/posts/:id
- * @desc 删除文章
+ * @desc 删除文章（post:delete:own 只能删除自己的文章）
  * @access Private (Admin)
  */
 router.delete(
   '/:id',
   verifyAdmin,
+  checkPermission(getOwnershipCodes('post:delete')),
   postController.deletePost
 );
 
 // 获取文章数量
-router.get('/count', verifyAdmin, async (req, res) => {
+router.get('/count', verifyAdmin, checkPermission('post:view'), async (req, res) => {
   try {
     const count = await PostModel.countDocuments();
     return res.json({ success: true, data: { count } });
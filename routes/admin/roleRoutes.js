@@ -24,12 +24,24 @@ router.get('/:roleId/permissions', roleController.getRolePermissions);
 // GET /api/admin/users/:userId/permissions - 获取用户的权限
 router.get('/users/:userId/permissions', roleController.getUserPermissions);
 
+// GET /api/admin/roles/grants - 获取临时角色授权
+router.get('/grants', roleController.getRoleGrants);
+
+// GET /api/admin/roles/grants/logs - 获取临时角色授权的审计记录
+router.get('/grants/logs', roleController.getRoleGrantLogs);
+
+// GET /api/admin/roles/scopes - 获取用户各角色的分类范围
+router.get('/scopes', roleController.getRoleScopes);
+
 // 以下路由需要超级管理员权限
 router.use(checkRole('superadmin'));
 
 // POST /api/admin/roles - 创建角色
 router.post('/', roleController.createRole);
 
+// PUT /api/admin/roles/scopes - 设置用户某个角色的分类范围，分类为空时不限分类（需在 /:roleId 之前）
+router.put('/scopes', roleController.setRoleScope);
+
 // PUT /api/admin/roles/:roleId - 更新角色
 router.put('/:roleId', roleController.updateRole);
 
@@ -45,6 +57,12 @@ router.put('/users/:userId/role', roleController.assignRoleToUser);
 // POST /api/admin/roles/batch-assign - 批量为用户分配角色
 router.post('/batch-assign', roleController.assignRoleToUsers);
 
+// POST /api/admin/roles/grants - 临时授予角色，到期自动失效
+router.post('/grants', roleController.createRoleGrant);
+
+// DELETE /api/admin/roles/grants/:grantId - 提前撤销临时角色授权
+router.delete('/grants/:grantId', roleController.revokeRoleGrant);
+
 // 添加角色管理相关的路由
 router.post('/clean-duplicates', verifyToken, checkPermission('role.manage'), roleController.cleanDuplicateRoles);
 
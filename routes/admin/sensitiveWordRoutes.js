@@ -0,0 +1,255 @@
+/**
+ * 敏感词路由 - 管理员
+ */
+const express = require('express');
+const router = express.Router();
+const sensitiveWordController = require('../../controllers/admin/sensitiveWordController');
+const { verifyAdmin } = require('../../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 敏感词
+ *   description: 敏感词库管理API，文章、用户名、公告和评论保存前都会经过敏感词检查
+ */
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/categories:
+ *   get:
+ *     summary: 获取敏感词分类列表
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/categories', verifyAdmin, sensitiveWordController.getCategories);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/categories:
+ *   post:
+ *     summary: 创建敏感词分类
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 分类名称
+ *               action:
+ *                 type: string
+ *                 enum: [reject, mask, review]
+ *                 description: 命中后的处理(reject-拒绝,mask-替换为*,review-转人工审核)
+ *               description:
+ *                 type: string
+ *                 description: 分类说明
+ *               enabled:
+ *                 type: boolean
+ *                 description: 是否启用
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误或分类名称已存在
+ */
+router.post('/categories', verifyAdmin, sensitiveWordController.createCategory);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/categories/{id}:
+ *   put:
+ *     summary: 更新敏感词分类
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 分类ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [reject, mask, review]
+ *               description:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       404:
+ *         description: 分类不存在
+ */
+router.put('/categories/:id', verifyAdmin, sensitiveWordController.updateCategory);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/categories/{id}:
+ *   delete:
+ *     summary: 删除敏感词分类及其下的敏感词
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 分类ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 分类不存在
+ */
+router.delete('/categories/:id', verifyAdmin, sensitiveWordController.deleteCategory);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/check:
+ *   post:
+ *     summary: 用当前词库检测文本
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 检测结果，包含最严格的处理动作、替换后的文本和命中的敏感词
+ */
+router.post('/check', verifyAdmin, sensitiveWordController.checkText);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words/reload:
+ *   post:
+ *     summary: 重新加载词库
+ *     description: 通过接口修改词库时会自动重新加载，直接修改数据库后可调用此接口
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 加载成功
+ */
+router.post('/reload', verifyAdmin, sensitiveWordController.reloadWords);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words:
+ *   get:
+ *     summary: 获取敏感词列表
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         description: 分类ID
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 关键词
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/', verifyAdmin, sensitiveWordController.getWords);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words:
+ *   post:
+ *     summary: 批量添加敏感词
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [categoryId, words]
+ *             properties:
+ *               categoryId:
+ *                 type: integer
+ *               words:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     description: 每行一个敏感词
+ *     responses:
+ *       201:
+ *         description: 添加成功，分类中已有的词会被跳过
+ */
+router.post('/', verifyAdmin, sensitiveWordController.addWords);
+
+/**
+ * @swagger
+ * /api/admin/sensitive-words:
+ *   delete:
+ *     summary: 批量删除敏感词
+ *     tags: [敏感词]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ */
+router.delete('/', verifyAdmin, sensitiveWordController.deleteWords);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const settingController = require('../../controllers/admin/settingController');
+const moderationService = require('../../services/moderationService');
 const { verifyAdmin } = require('../../middlewares/auth');
 const { upload, handleUploadError } = require('../../middlewares/upload');
 const { query } = require('../../config/db'); // 修正导入路径
@@ -189,6 +190,115 @@ router.get('/all', verifyAdmin, settingController.getAllSettings);
  */
 router.get('/', verifyAdmin, settingController.getAllSettings);
 
+/**
+ * @swagger
+ * /api/admin/settings/robots:
+ *   get:
+ *     summary: 获取robots.txt设置
+ *     tags: [网站设置]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     content:
+ *                       type: string
+ *                       description: 自定义内容，未设置时为空
+ *                     isDefault:
+ *                       type: boolean
+ *                       description: 是否使用默认规则
+ *                     defaultContent:
+ *                       type: string
+ *                       description: 默认规则
+ */
+router.get('/robots', verifyAdmin, settingController.getRobotsConfig);
+
+/**
+ * @swagger
+ * /api/admin/settings/robots:
+ *   put:
+ *     summary: 更新robots.txt设置
+ *     description: 内容为空时恢复默认规则；未包含 Sitemap 指令时会自动追加站点地图地址
+ *     tags: [网站设置]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 10000
+ *                 example: "User-agent: *\nDisallow: /admin/"
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误
+ */
+router.put('/robots', verifyAdmin, settingController.updateRobotsConfig);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommentModerationConfig:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: 是否启用自动审核
+ *         threshold:
+ *           type: number
+ *           description: 安全阈值(0-1)，安全分低于该值的评论进入待审核
+ *           example: 0.7
+ *         rejectThreshold:
+ *           type: number
+ *           description: 拒绝阈值(0-1)，安全分低于该值的评论直接拒绝，不能大于threshold
+ *           example: 0.2
+ *         autoApprove:
+ *           type: boolean
+ *           description: 通过审核后是否自动批准
+ *         rules:
+ *           type: object
+ *           description: 各项检查的设置，每项都包含 enabled 和 weight(0-1)，提交时只需包含要修改的字段
+ *           properties:
+ *             blocklist:
+ *               type: object
+ *               description: 屏蔽词和正则规则
+ *               example: { enabled: true, weight: 1, keywords: ["加微信"], patterns: ["\\d{5,}@qq\\.com"] }
+ *             links:
+ *               type: object
+ *               description: 链接数量上限
+ *               example: { enabled: true, weight: 0.6, maxLinks: 2 }
+ *             duplicate:
+ *               type: object
+ *               description: 时间窗口（小时）内的重复内容，短于 minLength 的评论不检查
+ *               example: { enabled: true, weight: 0.8, windowHours: 24, minLength: 10 }
+ *             burst:
+ *               type: object
+ *               description: 时间窗口（秒）内同一IP或用户的评论次数上限
+ *               example: { enabled: true, weight: 0.7, windowSeconds: 60, maxPerIp: 3, maxPerUser: 3 }
+ *             ai:
+ *               type: object
+ *               description: 使用AI设置中配置的服务判断，AI服务未启用时跳过
+ *               example: { enabled: false, weight: 1 }
+ */
+
 /**
  * @swagger
  * /api/admin/settings/comment-moderation:
@@ -212,41 +322,11 @@ router.get('/', verifyAdmin, settingController.getAllSettings);
  *                   type: string
  *                   example: 获取评论审核设置成功
  *                 data:
- *                   type: object
- *                   properties:
- *                     enabled:
- *                       type: boolean
- *                       description: 是否启用AI审核
- *                     threshold:
- *                       type: number
- *                       description: 安全阈值(0-1)
- *                     autoApprove:
- *                       type: boolean
- *                       description: 通过审核后是否自动批准
+ *                   $ref: '#/components/schemas/CommentModerationConfig'
  */
 router.get('/comment-moderation', verifyAdmin, async (req, res) => {
   try {
-    const [settings] = await query(
-      `SELECT setting_value FROM settings WHERE setting_key = 'commentModeration'`
-    );
-    
-    let config = {
-      enabled: false,
-      threshold: 0.7,
-      autoApprove: false
-    };
-    
-    if (settings && settings.setting_value) {
-      try {
-        const parsed = JSON.parse(settings.setting_value);
-        config = {
-          ...config,
-          ...parsed
-        };
-      } catch (e) {
-        console.error('解析评论审核设置失败:', e);
-      }
-    }
+    const config = await moderationService.getConfig();
     
     return res.json({
       status: 'success',
@@ -267,6 +347,7 @@ router.get('/comment-moderation', verifyAdmin, async (req, res) => {
  * /api/admin/settings/comment-moderation:
  *   put:
  *     summary: 更新评论审核设置
+ *     description: 未提交的字段保留原值
  *     tags: [网站设置]
  *     security:
  *       - BearerAuth: []
@@ -275,62 +356,24 @@ router.get('/comment-moderation', verifyAdmin, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               enabled:
- *                 type: boolean
- *                 description: 是否启用AI审核
- *               threshold:
- *                 type: number
- *                 description: 安全阈值(0-1)
- *               autoApprove:
- *                 type: boolean
- *                 description: 通过审核后是否自动批准
+ *             $ref: '#/components/schemas/CommentModerationConfig'
  *     responses:
  *       200:
  *         description: 更新成功
+ *       400:
+ *         description: 参数错误
  */
 router.put('/comment-moderation', verifyAdmin, async (req, res) => {
   try {
-    const { enabled, threshold, autoApprove } = req.body;
+    const { error, config } = await moderationService.updateConfig(req.body || {});
     
-    // 验证参数
-    if (typeof enabled !== 'boolean') {
+    if (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'enabled必须是布尔值'
+        message: error
       });
     }
     
-    if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'threshold必须是0-1之间的数字'
-      });
-    }
-    
-    if (typeof autoApprove !== 'boolean') {
-      return res.status(400).json({
-        status: 'error',
-        message: 'autoApprove必须是布尔值'
-      });
-    }
-    
-    // 需要保存的配置
-    const config = {
-      enabled,
-      threshold: threshold || 0.7,
-      autoApprove
-    };
-    
-    // 更新或创建设置
-    await query(
-      `INSERT INTO settings (setting_key, setting_value) 
-       VALUES ('commentModeration', ?)
-       ON DUPLICATE KEY UPDATE setting_value = ?`,
-      [JSON.stringify(config), JSON.stringify(config)]
-    );
-    
     return res.json({
       status: 'success',
       message: '更新评论审核设置成功',
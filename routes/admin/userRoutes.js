@@ -4,6 +4,8 @@
 const express = require('express');
 const router = express.Router();
 const userService = require('../../services/userService');
+const sessionService = require('../../services/sessionService');
+const loginProtectionService = require('../../services/loginProtectionService');
 const { verifyToken, isAdmin } = require('../../middlewares/auth');
 const ApiResponse = require('../../utils/response');
 const { logger } = require('../../utils/logger');
@@ -485,6 +487,7 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
  * /api/admin/users/{id}/status:
  *   patch:
  *     summary: 更新用户状态
+ *     description: 禁用用户时会注销该用户的所有登录会话
  *     tags: [用户管理]
  *     security:
  *       - BearerAuth: []
@@ -526,6 +529,9 @@ router.put('/:id', verifyToken, isAdmin, async (req, res) => {
  *                     status:
  *                       type: integer
  *                       example: 1
+ *                     revokedSessions:
+ *                       type: integer
+ *                       description: 禁用时注销的登录会话数量
  *       400:
  *         description: 请求参数错误
  *       401:
@@ -580,11 +586,18 @@ router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
       });
     }
     
+    // 禁用用户时注销其所有登录会话，已签发的令牌立即失效
+    let revokedSessions = 0;
+    if (parseInt(status) === 0) {
+      revokedSessions = await sessionService.revokeAllSessions('user', userId, { reason: 'account_disabled' });
+    }
+    
     return res.json({
       success: true,
       message: '用户状态更新成功',
       data: {
-        status: parseInt(status)
+        status: parseInt(status),
+        revokedSessions
       }
     });
   } catch (error) {
@@ -597,11 +610,224 @@ router.patch('/:id/status', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions:
+ *   get:
+ *     summary: 获取用户的登录设备
+ *     tags: [用户管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 获取成功，包含设备名称、IP、登录时间和最近活跃时间
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权访问
+ *   delete:
+ *     summary: 退出用户在所有设备上的登录
+ *     tags: [用户管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 已注销，返回注销的会话数量
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权访问
+ */
+router.get('/:id/sessions', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (!userId || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    const sessions = await sessionService.getSessions('user', userId);
+    
+    return res.json({
+      success: true,
+      message: '获取登录设备成功',
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('获取用户登录设备失败:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      message: '获取用户登录设备时发生错误',
+      error: process.env.NODE_ENV === 'production' ? null : error.message
+    });
+  }
+});
+
+router.delete('/:id/sessions', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (!userId || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    const count = await sessionService.revokeAllSessions('user', userId, { reason: 'admin_revoked' });
+    
+    return res.json({
+      success: true,
+      message: `已注销 ${count} 个登录会话`,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('注销用户登录会话失败:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      message: '注销用户登录会话时发生错误',
+      error: process.env.NODE_ENV === 'production' ? null : error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/login-lock:
+ *   get:
+ *     summary: 获取用户的登录锁定状态
+ *     description: 连续登录失败达到阈值后账户会被临时锁定，返回是否锁定、剩余秒数和当前失败次数
+ *     tags: [用户管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 返回 locked、retryAfter、failedAttempts 和 maxAttempts
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权访问
+ */
+router.get('/:id/login-lock', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (!userId || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    const status = await loginProtectionService.getLockStatus('user', userId);
+    
+    return res.json({
+      success: true,
+      message: '获取登录锁定状态成功',
+      data: status
+    });
+  } catch (error) {
+    logger.error('获取用户登录锁定状态失败:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      message: '获取用户登录锁定状态时发生错误',
+      error: process.env.NODE_ENV === 'production' ? null : error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: 解除用户的登录锁定
+ *     description: 解除临时锁定并清除登录失败次数
+ *     tags: [用户管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 用户ID
+ *     responses:
+ *       200:
+ *         description: 已解除，wasLocked 表示解除前是否处于锁定状态
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权访问
+ *       404:
+ *         description: 用户不存在
+ */
+router.post('/:id/unlock', verifyToken, isAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (!userId || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    const users = await query('SELECT id FROM public_users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+    
+    const wasLocked = await loginProtectionService.unlock('user', userId);
+    
+    return res.json({
+      success: true,
+      message: wasLocked ? '已解除登录锁定' : '账户未被锁定，已清除登录失败记录',
+      data: { wasLocked }
+    });
+  } catch (error) {
+    logger.error('解除用户登录锁定失败:', error.message, error.stack);
+    return res.status(500).json({
+      success: false,
+      message: '解除用户登录锁定时发生错误',
+      error: process.env.NODE_ENV === 'production' ? null : error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/users/{id}/reset-password:
  *   post:
  *     summary: 重置用户密码
+ *     description: 重置后该用户的所有登录会话被注销，已签发的令牌立即失效
  *     tags: [用户管理]
  *     security:
  *       - BearerAuth: []
@@ -695,9 +921,15 @@ router.post('/:id/reset-password', verifyToken, isAdmin, async (req, res) => {
       });
     }
     
+    // 注销该用户的所有登录会话，旧密码登录的设备需用新密码重新登录
+    const revokedSessions = await sessionService.revokeAllSessions('user', userId, { reason: 'password_reset' });
+    
     return res.json({
       success: true,
-      message: '密码重置成功'
+      message: '密码重置成功',
+      data: {
+        revokedSessions
+      }
     });
   } catch (error) {
     logger.error('重置用户密码失败:', error.message, error.stack);
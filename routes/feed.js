@@ -0,0 +1,39 @@
+/**
+ * 订阅源路由
+ * 挂载在站点根路径，提供全站及分类、标签的 RSS、Atom 和 JSON Feed
+ */
+const express = require('express');
+const router = express.Router();
+const { createFeedHandler } = require('../controllers/public/feedController');
+
+// 各格式订阅源的文件名
+const FEED_FILES = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json'
+};
+
+Object.entries(FEED_FILES).forEach(([format, file]) => {
+  /**
+   * @route GET /feed.xml | /atom.xml | /feed.json
+   * @desc 全站最新文章订阅源
+   * @access Public
+   */
+  router.get(`/${file}`, createFeedHandler(format));
+
+  /**
+   * @route GET /category/:slug/feed.xml | atom.xml | feed.json
+   * @desc 分类订阅源
+   * @access Public
+   */
+  router.get(`/category/:slug/${file}`, createFeedHandler(format, 'category'));
+
+  /**
+   * @route GET /tag/:slug/feed.xml | atom.xml | feed.json
+   * @desc 标签订阅源
+   * @access Public
+   */
+  router.get(`/tag/:slug/${file}`, createFeedHandler(format, 'tag'));
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * 前台用户认证路由
+ */
+const express = require('express');
+const router = express.Router();
+const authController = require('../../controllers/public/authController');
+const { verifyToken } = require('../../middlewares/auth');
+const { createRateLimit } = require('../../middlewares/enhanced-validation');
+const {
+  validate,
+  loginValidationRules,
+  registerValidationRules,
+  emailValidationRules,
+  resetPasswordValidationRules
+} = require('../../middlewares/validation');
+
+// 发送验证码的接口按IP限制频率，避免被用来大量发送邮件
+const sendCodeLimit = createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: '验证码发送过于频繁，请1小时后再试'
+});
+
+// 提交验证码的接口按IP限制频率，每个验证码另有尝试次数上限
+const verifyCodeLimit = createRateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: '验证码尝试过于频繁，请15分钟后再试'
+});
+
+// POST /api/auth/register - 用户注册
+router.post('/register', registerValidationRules, validate, authController.register);
+
+// POST /api/auth/login - 用户登录
+router.post('/login', loginValidationRules, validate, authController.login);
+
+// GET /api/auth/me - 获取当前用户信息
+router.get('/me', verifyToken, authController.getCurrentUser);
+
+// POST /api/auth/logout - 用户登出
+router.post('/logout', verifyToken, authController.logout);
+
+// POST /api/auth/refresh-token - 使用刷新令牌换取新令牌
+router.post('/refresh-token', authController.refreshToken);
+
+// GET /api/auth/sessions - 获取当前用户的登录设备
+router.get('/sessions', verifyToken, authController.getSessions);
+
+// DELETE /api/auth/sessions - 退出除当前设备外的所有登录
+router.delete('/sessions', verifyToken, authController.revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:id - 退出指定设备的登录
+router.delete('/sessions/:id', verifyToken, authController.revokeSession);
+
+// GET /api/auth/api-tokens - 获取个人访问令牌
+router.get('/api-tokens', verifyToken, authController.getApiTokens);
+
+// GET /api/auth/api-tokens/scopes - 获取可以授予访问令牌的权限
+router.get('/api-tokens/scopes', verifyToken, authController.getApiTokenScopes);
+
+// POST /api/auth/api-tokens - 创建个人访问令牌
+router.post('/api-tokens', verifyToken, authController.createApiToken);
+
+// DELETE /api/auth/api-tokens/:id - 撤销个人访问令牌
+router.delete('/api-tokens/:id', verifyToken, authController.revokeApiToken);
+
+// POST /api/auth/forgot-password - 发送密码重置验证码
+router.post('/forgot-password', sendCodeLimit, emailValidationRules, validate, authController.forgotPassword);
+
+// POST /api/auth/reset-password - 使用验证码重置密码
+router.post('/reset-password', verifyCodeLimit, resetPasswordValidationRules, validate, authController.resetPassword);
+
+// GET|POST /api/auth/verify-email - 验证邮箱
+router.get('/verify-email', verifyCodeLimit, authController.verifyEmail);
+router.post('/verify-email', verifyCodeLimit, authController.verifyEmail);
+
+// POST /api/auth/resend-verification - 重新发送邮箱验证码
+router.post('/resend-verification', sendCodeLimit, emailValidationRules, validate, authController.resendVerification);
+
+module.exports = router;
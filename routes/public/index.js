@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const authRoutes = require('./authRoutes');
+const postRoutes = require('./postRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const newsletterRoutes = require('./newsletterRoutes');
+
+// 注册各模块路由
+router.use('/auth', authRoutes);
+router.use('/posts', postRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/newsletter', newsletterRoutes);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const newsletterController = require('../../controllers/public/newsletterController');
+const { createRateLimit } = require('../../middlewares/enhanced-validation');
+
+// 订阅会发送确认邮件，按IP限制频率
+const subscribeLimit = createRateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: '订阅请求过于频繁，请1小时后再试'
+});
+
+// POST /api/newsletter/subscribe - 订阅，发送确认邮件
+router.post('/subscribe', subscribeLimit, newsletterController.subscribe);
+
+// GET /api/newsletter/confirm - 确认邮件中的链接，完成订阅
+router.get('/confirm', newsletterController.confirm);
+
+// GET|POST /api/newsletter/unsubscribe - 通过邮件中的签名链接退订
+router.get('/unsubscribe', newsletterController.unsubscribe);
+router.post('/unsubscribe', newsletterController.unsubscribe);
+
+module.exports = router;
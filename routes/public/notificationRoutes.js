@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../../controllers/public/notificationController');
+const { verifyToken } = require('../../middlewares/auth');
+
+// GET /api/notifications/preferences - 获取评论通知设置
+router.get('/preferences', verifyToken, notificationController.getPreferences);
+
+// PUT /api/notifications/preferences - 更新评论通知设置
+router.put('/preferences', verifyToken, notificationController.updatePreferences);
+
+// GET|POST /api/notifications/unsubscribe - 通过邮件中的签名链接退订，无需登录
+router.get('/unsubscribe', notificationController.unsubscribe);
+router.post('/unsubscribe', notificationController.unsubscribe);
+
+module.exports = router;
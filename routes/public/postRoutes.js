@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const postController = require('../../controllers/public/postController');
+const commentController = require('../../controllers/public/commentController');
+const { optionalAuth, verifyUser } = require('../../middlewares/unified-auth');
+const { checkPermission } = require('../../middlewares/rbac');
+const { getOwnershipCodes } = require('../../utils/ownership');
+const { validate, postCommentValidationRules } = require('../../middlewares/validation');
+
+/**
+ * @route GET /api/posts
+ * @desc 获取已发布文章列表（支持分类、标签、作者筛选和分页）
+ * @access Public
+ */
+router.get('/', postController.getPosts);
+
+/**
+ * @route GET /api/posts/search
+ * @desc 全文搜索已发布文章，按相关度排序并返回高亮片段
+ * @access Public
+ */
+router.get('/search', postController.searchPosts);
+
+/**
+ * @route GET /api/posts/:slug
+ * @desc 通过slug获取文章详情
+ * @access Public
+ */
+router.get('/:slug', postController.getPostBySlug);
+
+/**
+ * @route GET /api/posts/:slug/related
+ * @desc 获取相关文章推荐（按标签、分类重合度排序，不足时以热门文章补齐）
+ * @access Public
+ */
+router.get('/:slug/related', postController.getRelatedPosts);
+
+/**
+ * @route GET /api/posts/:postId/comments
+ * @desc 获取文章已通过审核的评论
+ * @access Public
+ */
+router.get('/:postId/comments', commentController.getComments);
+
+/**
+ * @route POST /api/posts/:postId/comments
+ * @desc 发表评论或回复（登录用户，或开启游客评论后的游客）
+ * @access Public
+ */
+router.post(
+  '/:postId/comments',
+  optionalAuth,
+  postCommentValidationRules,
+  validate,
+  commentController.createComment
+);
+
+/**
+ * @route DELETE /api/posts/:postId/comments/:commentId
+ * @desc 删除评论（comment:delete:own 只能删除自己的评论）
+ * @access Private (User)
+ */
+router.delete(
+  '/:postId/comments/:commentId',
+  verifyUser,
+  checkPermission(getOwnershipCodes('comment:delete')),
+  commentController.deleteComment
+);
+
+module.exports = router;
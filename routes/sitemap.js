@@ -0,0 +1,30 @@
+/**
+ * 站点地图和 robots.txt 路由
+ * 挂载在站点根路径
+ */
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/public/sitemapController');
+
+/**
+ * @route GET /sitemap.xml
+ * @desc 站点地图，链接超过50000个时返回站点地图索引
+ * @access Public
+ */
+router.get('/sitemap.xml', sitemapController.getSitemap);
+
+/**
+ * @route GET /sitemap-:page.xml
+ * @desc 分页站点地图，由站点地图索引引用
+ * @access Public
+ */
+router.get('/sitemap-:page(\\d+).xml', sitemapController.getSitemapPage);
+
+/**
+ * @route GET /robots.txt
+ * @desc robots.txt，内容可在后台设置中修改
+ * @access Public
+ */
+router.get('/robots.txt', sitemapController.getRobotsTxt);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * 重建文章全文搜索索引的脚本
+ */
+
+// 确保环境变量已加载
+require('dotenv').config();
+
+const { logger } = require('../utils/logger');
+const searchIndexService = require('../services/searchIndexService');
+
+async function rebuild() {
+  try {
+    const count = await searchIndexService.rebuildIndex();
+    console.log(`\n✅ 搜索索引重建完成，共 ${count} 篇文章`);
+  } catch (error) {
+    logger.error(`重建搜索索引出错: ${error.message}`);
+    console.error('\n❌ 搜索索引重建失败:', error.message);
+  }
+
+  // 退出进程
+  process.exit(0);
+}
+
+rebuild();
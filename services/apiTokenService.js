@@ -0,0 +1,228 @@
+/**
+ * 个人访问令牌服务
+ * 管理员和用户可以创建带名称、有效期和权限范围的令牌，供CI脚本、桌面写作工具等调用API。
+ * 令牌明文只在创建时返回一次，数据库只保存哈希。使用令牌时实际拥有的权限为
+ * 令牌的权限范围与所有者当前权限的交集，所有者被降权或禁用后令牌随之受限或失效。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const permissionService = require('./permissionService');
+const {
+  generateApiToken,
+  hashApiToken,
+  normalizeScopes,
+  parseExpiresInDays,
+  MAX_EXPIRES_IN_DAYS
+} = require('../utils/apiToken');
+
+// 每个账户最多同时拥有的有效令牌数
+const MAX_ACTIVE_TOKENS = 20;
+
+// 最近使用时间的更新间隔（秒），避免每次请求都写数据库
+const LAST_USED_UPDATE_INTERVAL = 60;
+
+const DEFAULT_EXPIRES_IN_DAYS = 30;
+
+/**
+ * 解析保存的权限范围
+ * @param {string|Array} scopes - 数据库中的值
+ * @returns {string[]}
+ */
+const parseScopes = (scopes) => {
+  if (Array.isArray(scopes)) {
+    return scopes;
+  }
+
+  try {
+    return JSON.parse(scopes) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * 转换为接口返回的格式，不包含哈希
+ * @param {Object} row - 数据库记录
+ * @returns {Object}
+ */
+const formatToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.token_prefix,
+  scopes: parseScopes(row.scopes),
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  createdAt: row.created_at,
+  expired: new Date(row.expires_at) <= new Date()
+});
+
+/**
+ * 获取账户可以授予令牌的权限代码
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<string[]>}
+ */
+const getAvailableScopes = async (userType, userId) => {
+  try {
+    return (await permissionService.getUserPermissionCodes(userType, userId)).sort();
+  } catch (error) {
+    logger.error(`获取可用令牌权限失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 创建令牌
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @param {Object} input - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} - { token, apiToken }，token 为明文只返回一次；或 { error }
+ */
+const createToken = async (userType, userId, { name, scopes, expiresInDays = DEFAULT_EXPIRES_IN_DAYS } = {}) => {
+  try {
+    const tokenName = typeof name === 'string' ? name.trim() : '';
+    if (!tokenName || tokenName.length > 100) {
+      return { error: '令牌名称不能为空且不超过100个字符' };
+    }
+
+    const days = parseExpiresInDays(expiresInDays);
+    if (!days) {
+      return { error: `有效期必须是1到${MAX_EXPIRES_IN_DAYS}之间的整数天数` };
+    }
+
+    const normalized = normalizeScopes(scopes);
+    if (normalized.error) {
+      return { error: normalized.error };
+    }
+
+    // 令牌的权限不能超过所有者自己的权限
+    const available = await getAvailableScopes(userType, userId);
+    const notGranted = normalized.scopes.filter(scope => !available.includes(scope));
+    if (notGranted.length > 0) {
+      return { error: `您没有以下权限，不能授予令牌: ${notGranted.join(', ')}` };
+    }
+
+    const [{ count }] = await query(
+      `SELECT COUNT(*) AS count FROM api_tokens
+       WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [userType, userId]
+    );
+    if (count >= MAX_ACTIVE_TOKENS) {
+      return { error: `最多只能同时拥有${MAX_ACTIVE_TOKENS}个有效令牌，请先撤销不用的令牌` };
+    }
+
+    const { token, prefix, hash } = generateApiToken();
+    const result = await query(
+      `INSERT INTO api_tokens (user_type, user_id, name, token_prefix, token_hash, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+      [userType, userId, tokenName, prefix, hash, JSON.stringify(normalized.scopes), days]
+    );
+
+    const [row] = await query('SELECT * FROM api_tokens WHERE id = ?', [result.insertId]);
+    logger.info(`已创建个人访问令牌: ${userType}:${userId}, ID=${result.insertId}, 权限=${normalized.scopes.join(',')}`);
+
+    return { token, apiToken: formatToken(row) };
+  } catch (error) {
+    logger.error(`创建个人访问令牌失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取账户未撤销的令牌
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>}
+ */
+const getTokens = async (userType, userId) => {
+  try {
+    const rows = await query(
+      `SELECT * FROM api_tokens
+       WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [userType, userId]
+    );
+
+    return rows.map(formatToken);
+  } catch (error) {
+    logger.error(`获取个人访问令牌失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 撤销账户自己的令牌
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @param {number} tokenId - 令牌ID
+ * @returns {Promise<boolean>} - 是否撤销成功
+ */
+const revokeToken = async (userType, userId, tokenId) => {
+  try {
+    const result = await query(
+      `UPDATE api_tokens SET revoked_at = NOW()
+       WHERE id = ? AND user_type = ? AND user_id = ? AND revoked_at IS NULL`,
+      [tokenId, userType, userId]
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`已撤销个人访问令牌: ${userType}:${userId}, ID=${tokenId}`);
+    }
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`撤销个人访问令牌失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 校验令牌并获取所有者信息
+ * @param {string} token - 令牌明文
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object|null>} - { tokenId, userType, user, scopes }，令牌无效时为 null
+ */
+const authenticate = async (token, { ipAddress } = {}) => {
+  const rows = await query(
+    `SELECT id, user_type, user_id, scopes, last_used_at FROM api_tokens
+     WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [hashApiToken(token)]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  const owners = row.user_type === 'admin'
+    ? await query('SELECT id, username, email, role_id, status FROM admin_users WHERE id = ?', [row.user_id])
+    : await query('SELECT id, username, email, status FROM public_users WHERE id = ?', [row.user_id]);
+
+  if (owners.length === 0 || owners[0].status !== 1) {
+    return null;
+  }
+
+  // 所有者权限变化后立即生效
+  const ownerScopes = await permissionService.getUserPermissionCodes(row.user_type, row.user_id);
+  const scopes = parseScopes(row.scopes).filter(scope => ownerScopes.includes(scope));
+
+  const lastUsedAt = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsedAt > LAST_USED_UPDATE_INTERVAL * 1000) {
+    query('UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [ipAddress || null, row.id])
+      .catch(error => logger.warn(`更新令牌使用时间失败: ${error.message}`));
+  }
+
+  return {
+    tokenId: row.id,
+    userType: row.user_type,
+    user: owners[0],
+    scopes
+  };
+};
+
+module.exports = {
+  getAvailableScopes,
+  createToken,
+  getTokens,
+  revokeToken,
+  authenticate
+};
@@ -0,0 +1,214 @@
+/**
+ * 管理操作审计日志服务
+ * 日志只追加不修改，快照和请求参数在写入前脱敏
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { redactSecrets } = require('../utils/auditLog');
+
+// 单次导出的最大条数
+const MAX_EXPORT_ROWS = 10000;
+
+const METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(redactSecrets(value)));
+
+// mysql2 通常已将 JSON 列解析为对象，个别驱动配置下仍为字符串
+const parseJson = (value) => {
+  if (typeof value !== 'string') {
+    return value === undefined ? null : value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const formatLog = (row) => ({
+  ...row,
+  before_data: parseJson(row.before_data),
+  after_data: parseJson(row.after_data),
+  request_body: parseJson(row.request_body)
+});
+
+/**
+ * 写入一条审计日志
+ * @param {Object} entry - { actorId, actorName, actorRole, apiTokenId, method, action, path, entityType, entityId,
+ *   statusCode, before, after, requestBody, ipAddress, userAgent, requestId }
+ */
+const record = async (entry) => {
+  try {
+    const requestBody = entry.requestBody && Object.keys(entry.requestBody).length > 0 ? entry.requestBody : null;
+
+    await query(
+      `INSERT INTO admin_audit_logs
+        (actor_id, actor_name, actor_role, api_token_id, method, action, path, entity_type, entity_id,
+         status_code, before_data, after_data, request_body, ip_address, user_agent, request_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.actorId || null,
+        entry.actorName || null,
+        entry.actorRole || null,
+        entry.apiTokenId || null,
+        entry.method,
+        String(entry.action).slice(0, 255),
+        String(entry.path).slice(0, 500),
+        entry.entityType || null,
+        entry.entityId !== null && entry.entityId !== undefined ? String(entry.entityId).slice(0, 64) : null,
+        entry.statusCode,
+        toJson(entry.before),
+        toJson(entry.after),
+        toJson(requestBody),
+        entry.ipAddress || null,
+        entry.userAgent ? String(entry.userAgent).slice(0, 500) : null,
+        entry.requestId || null
+      ]
+    );
+  } catch (error) {
+    logger.error(`写入审计日志失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 构建筛选条件
+ * @param {Object} filters - { actorId, method, action, entityType, entityId, requestId, statusCode, from, to }
+ * @returns {Object} - { whereClause, params }
+ */
+const buildFilters = ({ actorId, method, action, entityType, entityId, requestId, statusCode, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (actorId) {
+    conditions.push('actor_id = ?');
+    params.push(actorId);
+  }
+
+  if (method && METHODS.includes(method)) {
+    conditions.push('method = ?');
+    params.push(method);
+  }
+
+  if (action) {
+    conditions.push('action LIKE ?');
+    params.push(`%${action}%`);
+  }
+
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+
+  if (entityId) {
+    conditions.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+
+  if (requestId) {
+    conditions.push('request_id = ?');
+    params.push(requestId);
+  }
+
+  // 如 4xx 只看失败或被拒绝的操作
+  if (statusCode === '2xx' || statusCode === '4xx' || statusCode === '5xx') {
+    const base = parseInt(statusCode, 10) * 100;
+    conditions.push('status_code >= ? AND status_code < ?');
+    params.push(base, base + 100);
+  }
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * 分页查询审计日志
+ * @param {Object} options - 筛选条件，以及 page、limit
+ * @returns {Promise<Object>} - { logs, total }
+ */
+const getLogs = async ({ page = 1, limit = 20, ...filters } = {}) => {
+  try {
+    const { whereClause, params } = buildFilters(filters);
+
+    const logs = await query(
+      `SELECT * FROM admin_audit_logs
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM admin_audit_logs ${whereClause}`,
+      params
+    );
+
+    return { logs: logs.map(formatLog), total };
+  } catch (error) {
+    logger.error(`获取审计日志失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取单条审计日志
+ * @param {number} id - 日志ID
+ * @returns {Promise<Object|null>}
+ */
+const getLogById = async (id) => {
+  try {
+    const [log] = await query('SELECT * FROM admin_audit_logs WHERE id = ?', [id]);
+    return log ? formatLog(log) : null;
+  } catch (error) {
+    logger.error(`获取审计日志详情失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 导出审计日志，按时间倒序，最多 MAX_EXPORT_ROWS 条
+ * @param {Object} filters - 筛选条件
+ * @returns {Promise<Object>} - { logs, truncated }
+ */
+const exportLogs = async (filters = {}) => {
+  try {
+    const { whereClause, params } = buildFilters(filters);
+
+    const logs = await query(
+      `SELECT * FROM admin_audit_logs
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [...params, MAX_EXPORT_ROWS + 1]
+    );
+
+    return {
+      logs: logs.slice(0, MAX_EXPORT_ROWS).map(formatLog),
+      truncated: logs.length > MAX_EXPORT_ROWS
+    };
+  } catch (error) {
+    logger.error(`导出审计日志失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  METHODS,
+  MAX_EXPORT_ROWS,
+  record,
+  getLogs,
+  getLogById,
+  exportLogs
+};
@@ -0,0 +1,345 @@
+/**
+ * 用户认证服务
+ * 负责访问令牌的签发、刷新令牌的轮换、邮箱验证和密码重置
+ * 登录会话由 sessionService 管理，访问令牌中的 sid 指向所属会话
+ */
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+const jwtConfig = require('../config/jwt');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const tokenBlacklistService = require('./tokenBlacklistService');
+const sessionService = require('./sessionService');
+
+// 验证码有效期（分钟）
+const CODE_EXPIRES_MINUTES = 10;
+
+// 每个验证码最多可尝试的次数，用完后验证码作废，需要重新获取
+const MAX_CODE_ATTEMPTS = 5;
+
+const VERIFICATION_CODES = {
+  table: 'public_users_verification',
+  codeColumn: 'verification_code',
+  expiresColumn: 'verification_expires'
+};
+
+const RESET_CODES = {
+  table: 'public_users_reset_password',
+  codeColumn: 'reset_code',
+  expiresColumn: 'reset_expires'
+};
+
+/**
+ * 签发前台用户访问令牌
+ * @param {Object} user - 用户信息
+ * @param {string} sessionId - 会话ID
+ * @returns {string} JWT访问令牌
+ */
+function generateAccessToken(user, sessionId) {
+  const payload = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: 'user',
+    sid: sessionId
+  };
+
+  return jwt.sign(payload, jwtConfig.JWT_SECRET, { expiresIn: jwtConfig.JWT_EXPIRES_IN });
+}
+
+/**
+ * 签发管理员访问令牌
+ * @param {Object} admin - 管理员信息，需包含 role_id
+ * @param {string} sessionId - 会话ID
+ * @returns {string} JWT访问令牌
+ */
+function generateAdminAccessToken(admin, sessionId) {
+  const payload = {
+    id: admin.id,
+    username: admin.username,
+    email: admin.email,
+    role: admin.role_id === 1 ? 'superadmin' : 'admin',
+    sid: sessionId
+  };
+
+  return jwt.sign(payload, jwtConfig.JWT_SECRET, { expiresIn: jwtConfig.JWT_EXPIRES_IN });
+}
+
+/**
+ * 使用刷新令牌换取新的令牌对（前台用户）
+ * 旧的刷新令牌立即失效，再次使用会导致整个会话失效
+ * @param {string} refreshToken - 刷新令牌
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} 刷新结果
+ */
+async function refreshTokens(refreshToken, context = {}) {
+  try {
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, 'user', context);
+    if (rotated.error) {
+      return { success: false, status: rotated.status, message: rotated.error };
+    }
+
+    const users = await query(
+      'SELECT id, username, email, nickname, avatar, status, email_verified FROM public_users WHERE id = ?',
+      [rotated.userId]
+    );
+
+    if (users.length === 0 || users[0].status !== 1) {
+      await sessionService.revokeSession(rotated.sessionId, 'account_disabled');
+      return { success: false, status: 401, message: '用户不存在或已被禁用' };
+    }
+
+    const user = users[0];
+
+    return {
+      success: true,
+      token: generateAccessToken(user, rotated.sessionId),
+      refreshToken: rotated.refreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        nickname: user.nickname || user.username,
+        avatar: user.avatar,
+        email_verified: user.email_verified
+      }
+    };
+  } catch (error) {
+    logger.error(`刷新令牌失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 使用刷新令牌换取新的令牌对（管理员）
+ * @param {string} refreshToken - 刷新令牌
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} 刷新结果
+ */
+async function refreshAdminTokens(refreshToken, context = {}) {
+  try {
+    const rotated = await sessionService.rotateRefreshToken(refreshToken, 'admin', context);
+    if (rotated.error) {
+      return { success: false, status: rotated.status, message: rotated.error };
+    }
+
+    const admins = await query(
+      `SELECT a.id, a.username, a.email, a.status, a.role_id, r.name as role_name
+       FROM admin_users a
+       LEFT JOIN roles r ON a.role_id = r.id
+       WHERE a.id = ?`,
+      [rotated.userId]
+    );
+
+    if (admins.length === 0 || admins[0].status !== 1) {
+      await sessionService.revokeSession(rotated.sessionId, 'account_disabled');
+      return { success: false, status: 401, message: '账户不存在或已被禁用' };
+    }
+
+    const admin = admins[0];
+
+    return {
+      success: true,
+      token: generateAdminAccessToken(admin, rotated.sessionId),
+      refreshToken: rotated.refreshToken,
+      user: {
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role_name || 'admin'
+      }
+    };
+  } catch (error) {
+    logger.error(`刷新管理员令牌失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 注销当前登录：结束访问令牌所属的会话，并将访问令牌加入黑名单
+ * @param {string} accessToken - 访问令牌
+ * @returns {Promise<void>}
+ */
+async function revokeTokens(accessToken) {
+  await tokenBlacklistService.addToBlacklist(accessToken, 'user_logout');
+
+  const decoded = jwt.decode(accessToken);
+  if (decoded && decoded.sid) {
+    await sessionService.revokeSession(decoded.sid, 'user_logout');
+  }
+}
+
+/**
+ * 校验邮箱验证码
+ * 先累加尝试次数再比对，并发的请求也不会超过 MAX_CODE_ATTEMPTS 次
+ * @param {Object} codes - VERIFICATION_CODES 或 RESET_CODES
+ * @param {string} email - 用户邮箱
+ * @param {string} code - 验证码
+ * @returns {Promise<boolean>} 验证码是否正确
+ */
+async function checkCode({ table, codeColumn, expiresColumn }, email, code) {
+  const result = await query(
+    `UPDATE ${table} SET attempts = attempts + 1
+     WHERE email = ? AND ${expiresColumn} > NOW() AND attempts < ?`,
+    [email, MAX_CODE_ATTEMPTS]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  const records = await query(
+    `SELECT id FROM ${table}
+     WHERE email = ? AND ${codeColumn} = ? AND ${expiresColumn} > NOW()`,
+    [email, String(code)]
+  );
+
+  return records.length > 0;
+}
+
+/**
+ * 发送邮箱验证码
+ * @param {string} email - 用户邮箱
+ * @param {string} username - 用户名
+ * @returns {Promise<boolean>} 是否发送成功
+ */
+async function sendEmailVerification(email, username) {
+  try {
+    const result = await mailer.sendVerificationCode(email, username, CODE_EXPIRES_MINUTES);
+    if (!result.success) {
+      return false;
+    }
+
+    // 旧验证码作废，只保留最新一条
+    await query('DELETE FROM public_users_verification WHERE email = ?', [email]);
+    await query(
+      `INSERT INTO public_users_verification (email, verification_code, verification_expires)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [email, result.code, CODE_EXPIRES_MINUTES]
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(`发送邮箱验证码失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 验证邮箱
+ * @param {string} email - 用户邮箱
+ * @param {string} code - 验证码
+ * @returns {Promise<Object>} 验证结果
+ */
+async function verifyEmail(email, code) {
+  try {
+    if (!(await checkCode(VERIFICATION_CODES, email, code))) {
+      return { success: false, message: '验证码无效或已过期' };
+    }
+
+    const result = await query(
+      'UPDATE public_users SET email_verified = 1, updated_at = NOW() WHERE email = ?',
+      [email]
+    );
+
+    if (result.affectedRows === 0) {
+      return { success: false, message: '用户不存在' };
+    }
+
+    await query('DELETE FROM public_users_verification WHERE email = ?', [email]);
+
+    logger.info(`邮箱验证成功: ${email}`);
+    return { success: true, message: '邮箱验证成功' };
+  } catch (error) {
+    logger.error(`验证邮箱失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 申请重置密码，向用户邮箱发送重置验证码
+ * 邮箱未注册或邮件发送失败时返回同样的结果，避免被用来探测哪些邮箱已注册
+ * @param {string} email - 用户邮箱
+ * @returns {Promise<Object>} 处理结果
+ */
+async function requestPasswordReset(email) {
+  const sentResult = { success: true, message: '如果该邮箱已注册，密码重置邮件将很快送达，请查收' };
+
+  try {
+    const users = await query('SELECT id, username FROM public_users WHERE email = ?', [email]);
+    if (users.length === 0) {
+      logger.info(`未注册的邮箱申请重置密码: ${email}`);
+      return sentResult;
+    }
+
+    const result = await mailer.sendPasswordResetCode(email, users[0].username, CODE_EXPIRES_MINUTES);
+    if (!result.success) {
+      logger.error(`密码重置邮件发送失败: ${email}`);
+      return sentResult;
+    }
+
+    await query('DELETE FROM public_users_reset_password WHERE email = ?', [email]);
+    await query(
+      `INSERT INTO public_users_reset_password (email, reset_code, reset_expires)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [email, result.code, CODE_EXPIRES_MINUTES]
+    );
+
+    return sentResult;
+  } catch (error) {
+    logger.error(`申请重置密码失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 使用验证码重置密码
+ * @param {string} email - 用户邮箱
+ * @param {string} code - 重置验证码
+ * @param {string} password - 新密码
+ * @returns {Promise<Object>} 重置结果
+ */
+async function resetPassword(email, code, password) {
+  try {
+    if (!(await checkCode(RESET_CODES, email, code))) {
+      return { success: false, message: '验证码无效或已过期' };
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const users = await query('SELECT id FROM public_users WHERE email = ?', [email]);
+    if (users.length === 0) {
+      return { success: false, message: '用户不存在' };
+    }
+
+    await query(
+      'UPDATE public_users SET password = ?, updated_at = NOW() WHERE id = ?',
+      [hashedPassword, users[0].id]
+    );
+
+    await query('DELETE FROM public_users_reset_password WHERE email = ?', [email]);
+
+    // 密码可能已泄露，所有设备上的登录和刷新令牌随之失效
+    await sessionService.revokeAllSessions('user', users[0].id, { reason: 'password_reset' });
+
+    logger.info(`用户重置密码成功: ${email}`);
+    return { success: true, message: '密码重置成功,请使用新密码登录' };
+  } catch (error) {
+    logger.error(`重置密码失败: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  generateAccessToken,
+  generateAdminAccessToken,
+  refreshTokens,
+  refreshAdminTokens,
+  revokeTokens,
+  sendEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
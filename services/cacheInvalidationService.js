@@ -23,14 +23,16 @@ class CacheInvalidationService {
       categories: [
         'categories:all',
         'categories:hierarchy',
-        'db:*:categories*'
+        'db:*:categories*',
+        'sitemap:*'
       ],
       
       // 文章相关缓存
       posts: [
         'posts:*',
         'db:*:posts*',
-        'dashboard:*'
+        'dashboard:*',
+        'sitemap:*'
       ],
       
       // 用户相关缓存
@@ -49,13 +51,19 @@ class CacheInvalidationService {
       // 标签相关缓存
       tags: [
         'tags:*',
-        'db:*:tags*'
+        'db:*:tags*',
+        'sitemap:*'
       ],
       
       // 仪表板相关缓存
       dashboard: [
         'dashboard:*',
         'stats:*'
+      ],
+      
+      // 站点地图和 robots.txt
+      sitemap: [
+        'sitemap:*'
       ]
     };
   }
@@ -176,6 +184,14 @@ class CacheInvalidationService {
     logger.info('仪表板相关缓存已清理');
   }
 
+  /**
+   * 站点地图相关缓存失效，下次访问时重新生成
+   */
+  async invalidateSitemap() {
+    await this.invalidateByPatterns(this.cachePatterns.sitemap);
+    logger.info('站点地图缓存已清理');
+  }
+
   /**
    * 清理所有缓存
    */
@@ -273,5 +289,6 @@ module.exports = {
   invalidateComments: cacheInvalidationService.invalidateComments.bind(cacheInvalidationService),
   invalidateTags: cacheInvalidationService.invalidateTags.bind(cacheInvalidationService),
   invalidateDashboard: cacheInvalidationService.invalidateDashboard.bind(cacheInvalidationService),
+  invalidateSitemap: cacheInvalidationService.invalidateSitemap.bind(cacheInvalidationService),
   createInvalidationMiddleware: cacheInvalidationService.createInvalidationMiddleware.bind(cacheInvalidationService)
 };
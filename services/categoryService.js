@@ -1,6 +1,7 @@
 const { query, queryWithCache } = require('../config/db');
 const { logger } = require('../utils/logger');
 const slugify = require('slugify');
+const { cacheInvalidationService } = require('./cacheInvalidationService');
 
 /**
  * 创建分类
@@ -272,6 +273,8 @@ const updateCategory = async (categoryId, categoryData) => {
       throw new Error('分类更新失败');
     }
     
+    await cacheInvalidationService.invalidateCategories();
+    
     return getCategoryById(categoryId);
   } catch (error) {
     logger.error(`更新分类失败: ${error.message}`);
@@ -317,6 +320,8 @@ const deleteCategory = async (categoryId) => {
     // 删除分类
     const result = await query('DELETE FROM categories WHERE id = ?', [categoryId]);
     
+    await cacheInvalidationService.invalidateCategories();
+    
     return result.affectedRows > 0;
   } catch (error) {
     logger.error(`删除分类失败: ${error.message}`);
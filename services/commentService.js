@@ -1,5 +1,24 @@
 const { query } = require('../config/db');
 const { logger } = require('../utils/logger');
+const moderationService = require('./moderationService');
+const sensitiveWordService = require('./sensitiveWordService');
+const notificationService = require('./notificationService');
+
+// 前台可见的评论字段，游客邮箱、IP和User-Agent只在后台审核时使用
+const PUBLIC_COMMENT_COLUMNS = `
+  c.id, c.post_id, c.parent_id, c.author_id, c.guest_name, c.content, c.status, c.created_at,
+  u.username, u.avatar
+`;
+
+/**
+ * 判断文章是否已发布，前台只能查看和评论已发布的文章
+ * @param {number} postId - 文章ID
+ * @returns {Promise<boolean>}
+ */
+const isPostPublished = async (postId) => {
+  const posts = await query('SELECT status FROM posts WHERE id = ?', [postId]);
+  return posts.length > 0 && posts[0].status === 'published';
+};
 
 /**
  * 获取文章的评论
@@ -15,7 +34,7 @@ const getCommentsByPostId = async (postId, options = {}) => {
       throw new Error(`无效的文章ID: ${postId}`);
     }
     
-    const { page = 1, limit = 10, includeReplies = true } = options;
+    const { page = 1, limit = 10, includeReplies = true, status = null } = options;
     
     // 确保分页参数是数字
     const pageNum = parseInt(page, 10);
@@ -24,20 +43,22 @@ const getCommentsByPostId = async (postId, options = {}) => {
     
     // 先获取顶级评论
     const sql = `
-      SELECT c.*, u.username, u.avatar 
+      SELECT ${PUBLIC_COMMENT_COLUMNS}
       FROM comments c
       LEFT JOIN public_users u ON c.author_id = u.id
       WHERE c.post_id = ? AND c.parent_id IS NULL
+      ${status ? 'AND c.status = ?' : ''}
       ORDER BY c.created_at DESC
       LIMIT ? OFFSET ?
     `;
     
-    const comments = await query(sql, [postIdNum, limitNum, offset]);
+    const params = status ? [postIdNum, status, limitNum, offset] : [postIdNum, limitNum, offset];
+    const comments = await query(sql, params);
     
     // 如果需要包含回复，则为每个评论获取回复
     if (includeReplies && comments.length > 0) {
       for (const comment of comments) {
-        comment.replies = await getRepliesByCommentId(comment.id);
+        comment.replies = await getRepliesByCommentId(comment.id, status);
       }
     }
     
@@ -51,26 +72,213 @@ const getCommentsByPostId = async (postId, options = {}) => {
 /**
  * 获取评论的回复
  * @param {number} commentId - 父评论ID
+ * @param {string|null} status - 评论状态，为空时不过滤
  * @returns {Promise<Array>} - 回复数组
  */
-const getRepliesByCommentId = async (commentId) => {
+const getRepliesByCommentId = async (commentId, status = null) => {
   try {
     const sql = `
-      SELECT c.*, u.username, u.avatar 
+      SELECT ${PUBLIC_COMMENT_COLUMNS}
       FROM comments c
       LEFT JOIN public_users u ON c.author_id = u.id
       WHERE c.parent_id = ?
+      ${status ? 'AND c.status = ?' : ''}
       ORDER BY c.created_at ASC
     `;
     
-    return await query(sql, [commentId]);
+    return await query(sql, status ? [commentId, status] : [commentId]);
   } catch (error) {
     logger.error(`获取评论回复失败: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * 获取文章的顶级评论数
+ * @param {number} postId - 文章ID
+ * @param {string|null} status - 评论状态，为空时不过滤
+ * @returns {Promise<number>} - 评论数量
+ */
+const getCommentCountByPostId = async (postId, status = null) => {
+  try {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM comments
+      WHERE post_id = ? AND parent_id IS NULL
+      ${status ? 'AND status = ?' : ''}
+    `;
+    
+    const result = await query(sql, status ? [postId, status] : [postId]);
+    return result[0].count;
+  } catch (error) {
+    logger.error(`获取文章评论数失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 发表评论
+ * 新评论会先经过审核流程，根据审核设置进入 approved 或 pending 状态
+ * @param {Object} commentData - 评论数据
+ * @param {number} commentData.postId - 文章ID
+ * @param {string} commentData.content - 评论内容
+ * @param {number} [commentData.parentId] - 父评论ID
+ * @param {number} [commentData.authorId] - 登录用户ID，游客评论为空
+ * @param {string} [commentData.guestName] - 游客昵称
+ * @param {string} [commentData.guestEmail] - 游客邮箱
+ * @param {string} [commentData.ipAddress] - 评论者IP
+ * @param {string} [commentData.userAgent] - 评论者User-Agent
+ * @returns {Promise<Object>} - 发表结果
+ */
+const createComment = async (commentData) => {
+  try {
+    const {
+      postId,
+      content,
+      parentId = null,
+      authorId = null,
+      guestName = null,
+      guestEmail = null,
+      ipAddress = null,
+      userAgent = null
+    } = commentData;
+    
+    if (!(await isPostPublished(postId))) {
+      return { success: false, status: 404, message: '文章不存在' };
+    }
+    
+    if (authorId) {
+      const users = await query('SELECT status FROM public_users WHERE id = ?', [authorId]);
+      if (users.length === 0 || users[0].status !== 1) {
+        return { success: false, status: 403, message: '用户不存在或已被禁用' };
+      }
+    }
+    
+    // 回复只能针对同一篇文章下已通过审核的评论
+    if (parentId) {
+      const parents = await query(
+        'SELECT id, post_id, status FROM comments WHERE id = ?',
+        [parentId]
+      );
+      
+      if (parents.length === 0 || parents[0].post_id !== postId || parents[0].status !== 'approved') {
+        return { success: false, status: 400, message: '回复的评论不存在' };
+      }
+    }
+    
+    // 敏感词：reject 类直接拒绝，mask 类替换后保存，review 类不会自动通过
+    const filtered = await sensitiveWordService.checkFields({
+      content,
+      guestName: authorId ? null : guestName
+    });
+    if (filtered.action === 'reject') {
+      return { success: false, status: 400, message: '评论包含敏感词' };
+    }
+    const finalContent = filtered.fields.content;
+    
+    const outcome = await moderationService.reviewComment({ content: finalContent, postId, authorId, ipAddress });
+    
+    if (filtered.matches.length > 0) {
+      outcome.rawData = { ...outcome.rawData, sensitiveWords: filtered.matches };
+    }
+    
+    if (filtered.action === 'review' && outcome.status === 'approved') {
+      outcome.status = 'pending';
+      outcome.result = 'pending';
+      outcome.reason = '包含需人工审核的敏感词';
+    }
+    
+    const result = await query(
+      `INSERT INTO comments
+       (post_id, author_id, guest_name, guest_email, parent_id, content, status, ip_address, user_agent, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        postId,
+        authorId,
+        filtered.fields.guestName,
+        authorId ? null : guestEmail,
+        parentId,
+        finalContent,
+        outcome.status,
+        ipAddress,
+        userAgent ? userAgent.substring(0, 255) : null
+      ]
+    );
+    
+    // 审核日志写入失败不影响评论本身
+    try {
+      await moderationService.logModeration(result.insertId, outcome);
+    } catch (logError) {
+      logger.error(`记录评论审核日志失败: 评论ID=${result.insertId}, ${logError.message}`);
+    }
+    
+    const comments = await query(
+      `SELECT c.id, c.post_id, c.author_id, c.guest_name, c.parent_id, c.content, c.status, c.created_at,
+              u.username, u.avatar
+       FROM comments c
+       LEFT JOIN public_users u ON c.author_id = u.id
+       WHERE c.id = ?`,
+      [result.insertId]
+    );
+    
+    logger.info(`新评论已提交: ID=${result.insertId}, 文章ID=${postId}, 状态=${outcome.status}`);
+    
+    // 自动通过的评论立即通知，邮件在后台发送，不阻塞响应
+    if (outcome.status === 'approved') {
+      notificationService.notifyApprovedComments([result.insertId]);
+    }
+    
+    return { success: true, comment: comments[0] };
+  } catch (error) {
+    logger.error(`发表评论失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取评论的基本信息，用于权限判断
+ * @param {number} commentId - 评论ID
+ * @returns {Promise<Object|null>} - { id, post_id, author_id, status }
+ */
+const getCommentById = async (commentId) => {
+  try {
+    const comments = await query(
+      'SELECT id, post_id, author_id, status FROM comments WHERE id = ?',
+      [commentId]
+    );
+    
+    return comments.length > 0 ? comments[0] : null;
+  } catch (error) {
+    logger.error(`获取评论失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 删除评论
+ * @param {number} commentId - 评论ID
+ * @returns {Promise<boolean>} - 是否删除成功
+ */
+const deleteComment = async (commentId) => {
+  try {
+    const result = await query('DELETE FROM comments WHERE id = ?', [commentId]);
+    
+    if (result.affectedRows > 0) {
+      logger.info(`评论已删除: ID=${commentId}`);
+    }
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`删除评论失败: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
+  isPostPublished,
   getCommentsByPostId,
-  getRepliesByCommentId
-}; 
\ No newline at end of file
+  getRepliesByCommentId,
+  getCommentCountByPostId,
+  createComment,
+  getCommentById,
+  deleteComment
+};
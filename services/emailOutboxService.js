@@ -0,0 +1,417 @@
+/**
+ * 邮件发送队列服务
+ * 所有邮件先写入 email_outbox，请求内不再直接连接SMTP；后台任务按每分钟上限取出待发送的邮件，
+ * 失败后按指数退避重试，超过最多尝试次数或遇到永久失败时进入死信（dead），等待管理员处理。
+ *
+ * 每封邮件通过带原状态条件的 UPDATE 领取，多实例同时运行时只有一个实例会发送；
+ * 发送中进程退出留下的 sending 记录超时后重新放回队列。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const { getRetryDelay, isPermanentError, getAvailableSlots, formatError } = require('../utils/emailQueue');
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// 最长轮询间隔（毫秒）
+const POLL_INTERVAL = parseInt(process.env.MAIL_QUEUE_INTERVAL, 10) || 10 * 1000;
+
+// 每分钟最多发送的邮件数量，0 表示不限制
+const RATE_LIMIT = parseInt(process.env.MAIL_RATE_LIMIT, 10) >= 0 ? parseInt(process.env.MAIL_RATE_LIMIT, 10) : 30;
+
+// 每封邮件最多尝试次数
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+
+// 首次重试延迟和最大重试延迟（毫秒）
+const RETRY_BASE_DELAY = 60 * 1000;
+const RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+
+// 单轮最多发送数量
+const BATCH_SIZE = 20;
+
+// sending 状态超过此时间（分钟）视为发送中断
+const STALE_LOCK_MINUTES = 10;
+
+let timer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * 将邮件加入发送队列
+ * @param {Object} mail - { to, subject, html, text, headers, category, maxAttempts }
+ * @returns {Promise<number>} - 邮件ID
+ */
+const enqueue = async ({ to, subject, html = null, text = null, headers = null, category = 'notification', maxAttempts = MAX_ATTEMPTS }) => {
+  try {
+    const hasHeaders = headers && Object.keys(headers).length > 0;
+    const result = await query(
+      `INSERT INTO email_outbox (category, to_email, subject, html, text, headers, max_attempts, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [category, to, subject, html, text, hasHeaders ? JSON.stringify(headers) : null, maxAttempts]
+    );
+
+    wake();
+    return result.insertId;
+  } catch (error) {
+    logger.error(`邮件加入发送队列失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 解析保存的邮件头
+ * @param {string|null} headers - JSON字符串
+ * @returns {Object|undefined} - 邮件头
+ */
+const parseHeaders = (headers) => {
+  if (!headers) {
+    return undefined;
+  }
+
+  try {
+    return typeof headers === 'string' ? JSON.parse(headers) : headers;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * 领取并发送一封邮件
+ * @param {Object} mail - 队列中的邮件
+ * @returns {Promise<string|null>} - 处理后的状态，未领取到时返回null
+ */
+const deliver = async (mail) => {
+  const claimed = await query(
+    `UPDATE email_outbox
+     SET status = 'sending', locked_at = NOW(), last_attempt_at = NOW(), attempts = attempts + 1
+     WHERE id = ? AND status = 'pending'`,
+    [mail.id]
+  );
+
+  if (claimed.affectedRows !== 1) {
+    return null;
+  }
+
+  const attempts = mail.attempts + 1;
+
+  try {
+    const info = await mailer.deliverMail({
+      to: mail.to_email,
+      subject: mail.subject,
+      html: mail.html || undefined,
+      text: mail.text || undefined,
+      headers: parseHeaders(mail.headers)
+    });
+
+    await query(
+      `UPDATE email_outbox
+       SET status = 'sent', message_id = ?, last_error = NULL, locked_at = NULL, sent_at = NOW()
+       WHERE id = ?`,
+      [info && info.messageId ? String(info.messageId).slice(0, 255) : null, mail.id]
+    );
+
+    logger.info(`邮件发送成功: #${mail.id} -> ${mail.to_email}`);
+    return 'sent';
+  } catch (error) {
+    const dead = isPermanentError(error) || attempts >= mail.max_attempts;
+    const delay = getRetryDelay(attempts, { baseDelay: RETRY_BASE_DELAY, maxDelay: RETRY_MAX_DELAY });
+
+    await query(
+      `UPDATE email_outbox
+       SET status = ?, last_error = ?, locked_at = NULL,
+           next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [dead ? 'dead' : 'pending', formatError(error), Math.ceil(delay / 1000), mail.id]
+    );
+
+    if (dead) {
+      logger.error(`邮件发送失败，已进入死信: #${mail.id} -> ${mail.to_email}, 第${attempts}次, ${error.message}`);
+    } else {
+      logger.warn(`邮件发送失败，${Math.ceil(delay / 1000)}秒后重试: #${mail.id} -> ${mail.to_email}, 第${attempts}次, ${error.message}`);
+    }
+
+    return dead ? 'dead' : 'pending';
+  }
+};
+
+/**
+ * 发送到期的邮件
+ * @returns {Promise<Object>} - { sent, retrying, dead, limited }，limited 表示已达到每分钟发送上限
+ */
+const processQueue = async () => {
+  const summary = { sent: 0, retrying: 0, dead: 0, limited: false };
+
+  // 回收发送过程中进程退出留下的记录
+  await query(
+    `UPDATE email_outbox SET status = 'pending', locked_at = NULL
+     WHERE status = 'sending' AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [STALE_LOCK_MINUTES]
+  );
+
+  // 速率按最近一分钟的发送尝试计算，多实例共享同一个上限
+  const [{ count }] = await query(
+    `SELECT COUNT(*) as count FROM email_outbox
+     WHERE last_attempt_at > DATE_SUB(NOW(), INTERVAL 1 MINUTE)`
+  );
+  const slots = getAvailableSlots(RATE_LIMIT, count, BATCH_SIZE);
+  if (slots === 0) {
+    summary.limited = true;
+    return summary;
+  }
+
+  const mails = await query(
+    `SELECT * FROM email_outbox
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC, id ASC
+     LIMIT ?`,
+    [slots]
+  );
+
+  for (const mail of mails) {
+    const status = await deliver(mail);
+    if (status === 'sent') {
+      summary.sent++;
+    } else if (status === 'pending') {
+      summary.retrying++;
+    } else if (status === 'dead') {
+      summary.dead++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * 获取距离下一封待发送邮件的毫秒数
+ * @returns {Promise<number|null>} - 队列为空时返回null
+ */
+const getNextDueDelay = async () => {
+  const rows = await query(
+    `SELECT GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), MIN(next_attempt_at))) as seconds
+     FROM email_outbox WHERE status = 'pending'`
+  );
+
+  const seconds = rows[0] && rows[0].seconds;
+  return seconds === null || seconds === undefined ? null : seconds * 1000;
+};
+
+/**
+ * 执行一次发送并安排下一次执行
+ */
+const tick = async () => {
+  if (running || stopped) {
+    return;
+  }
+
+  running = true;
+  let delay = POLL_INTERVAL;
+
+  try {
+    const summary = await processQueue();
+    const nextDelay = await getNextDueDelay();
+    if (nextDelay !== null) {
+      // 达到速率上限时按轮询间隔等待，否则在最近一封邮件到期时唤醒
+      delay = summary.limited ? POLL_INTERVAL : Math.min(POLL_INTERVAL, nextDelay + 1000);
+    }
+  } catch (error) {
+    logger.error(`邮件发送任务执行失败: ${error.message}`);
+  } finally {
+    running = false;
+  }
+
+  schedule(delay);
+};
+
+/**
+ * 安排下一次执行
+ * @param {number} delay - 延迟毫秒数
+ */
+const schedule = (delay) => {
+  if (stopped) {
+    return;
+  }
+
+  clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+
+  // 定时器不阻止进程退出
+  if (timer.unref) {
+    timer.unref();
+  }
+};
+
+/**
+ * 有新邮件入队时立即执行一次
+ */
+const wake = () => {
+  if (!stopped && !running) {
+    schedule(0);
+  }
+};
+
+/**
+ * 初始化邮件发送任务
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+  if (!stopped) {
+    return;
+  }
+
+  stopped = false;
+  logger.info(`邮件发送队列已启动，每分钟最多发送 ${RATE_LIMIT || '不限'} 封，最多尝试 ${MAX_ATTEMPTS} 次`);
+
+  await tick();
+};
+
+/**
+ * 停止邮件发送任务
+ */
+const stop = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * 分页获取发送记录
+ * @param {Object} options - { status, category, email, page, limit }
+ * @returns {Promise<Object>} - { emails, total }
+ */
+const getEmails = async ({ status = null, category = null, email = '', page = 1, limit = 20 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+
+    if (email) {
+      conditions.push('to_email LIKE ?');
+      params.push(`%${email}%`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const emails = await query(
+      `SELECT id, category, to_email, subject, status, attempts, max_attempts, next_attempt_at,
+              last_error, message_id, resend_of, sent_at, created_at, updated_at
+       FROM email_outbox
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM email_outbox ${whereClause}`,
+      params
+    );
+
+    return { emails, total };
+  } catch (error) {
+    logger.error(`获取邮件发送记录失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 按状态统计邮件数量
+ * @returns {Promise<Object>} - 状态到数量的映射
+ */
+const getStats = async () => {
+  try {
+    const rows = await query('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status');
+    const stats = Object.fromEntries(STATUSES.map(status => [status, 0]));
+
+    for (const row of rows) {
+      stats[row.status] = row.count;
+    }
+
+    return stats;
+  } catch (error) {
+    logger.error(`获取邮件发送统计失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取单封邮件，包含正文
+ * @param {number} id - 邮件ID
+ * @returns {Promise<Object|null>} - 邮件
+ */
+const getEmailById = async (id) => {
+  try {
+    const [email] = await query('SELECT * FROM email_outbox WHERE id = ?', [id]);
+    if (!email) {
+      return null;
+    }
+
+    email.headers = parseHeaders(email.headers) || null;
+    return email;
+  } catch (error) {
+    logger.error(`获取邮件详情失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 重新发送邮件
+ * 复制原邮件重新入队，原记录保留作为发送历史；发送中或等待发送的邮件不能重新发送
+ * @param {number} id - 邮件ID
+ * @returns {Promise<Object>} - { email } 新的邮件，或 { error, status }
+ */
+const resend = async (id) => {
+  try {
+    const original = await getEmailById(id);
+    if (!original) {
+      return { error: '邮件不存在', status: 404 };
+    }
+
+    if (original.status === 'pending' || original.status === 'sending') {
+      return { error: '邮件正在等待发送，无需重新发送', status: 400 };
+    }
+
+    const result = await query(
+      `INSERT INTO email_outbox (category, to_email, subject, html, text, headers, max_attempts, resend_of, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        original.category,
+        original.to_email,
+        original.subject,
+        original.html,
+        original.text,
+        original.headers ? JSON.stringify(original.headers) : null,
+        MAX_ATTEMPTS,
+        original.id
+      ]
+    );
+
+    wake();
+    logger.info(`邮件已重新加入发送队列: #${original.id} -> #${result.insertId}`);
+    return { email: await getEmailById(result.insertId) };
+  } catch (error) {
+    logger.error(`重新发送邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  STATUSES,
+  enqueue,
+  processQueue,
+  wake,
+  init,
+  stop,
+  getEmails,
+  getStats,
+  getEmailById,
+  resend
+};
@@ -0,0 +1,231 @@
+/**
+ * 邮件模板服务
+ * 后台可按类型和语言自定义邮件的主题和正文，正文中用 {{变量}} 引用该类型支持的变量；
+ * 查找顺序为 指定语言 → 默认语言 → 内置模板，读取失败时同样使用内置模板，保证邮件总能发出。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const emailTemplates = require('../utils/emailTemplates');
+
+const DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE || 'zh-CN';
+
+// 语言代码格式，如 zh-CN、en
+const LOCALE_REGEX = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// 自定义模板缓存时间（秒）
+const CACHE_TTL = 10 * 60;
+
+/**
+ * 模板类型的缓存键
+ * @param {string} type - 模板类型
+ * @returns {string} - 缓存键
+ */
+const cacheKey = (type) => `email_templates:${type}`;
+
+/**
+ * 是否为支持的模板类型
+ * @param {string} type - 模板类型
+ * @returns {boolean}
+ */
+const isValidType = (type) => Object.prototype.hasOwnProperty.call(emailTemplates.TEMPLATE_TYPES, type);
+
+/**
+ * 是否为合法的语言代码
+ * @param {string} locale - 语言代码
+ * @returns {boolean}
+ */
+const isValidLocale = (locale) => typeof locale === 'string' && LOCALE_REGEX.test(locale);
+
+/**
+ * 获取某个类型的全部自定义模板
+ * @param {string} type - 模板类型
+ * @returns {Promise<Array>} - 自定义模板列表
+ */
+const getCustomTemplates = async (type) => {
+  const cached = await cacheService.get(cacheKey(type));
+  if (cached) {
+    return cached;
+  }
+
+  const templates = await query(
+    `SELECT id, type, locale, subject, body, updated_by, updated_at
+     FROM email_templates WHERE type = ?`,
+    [type]
+  );
+
+  await cacheService.set(cacheKey(type), templates, CACHE_TTL);
+  return templates;
+};
+
+/**
+ * 获取实际生效的模板
+ * @param {string} type - 模板类型
+ * @param {string} locale - 语言
+ * @returns {Promise<Object>} - { type, locale, subject, body, customized, updatedAt }
+ */
+const getTemplate = async (type, locale = DEFAULT_LOCALE) => {
+  try {
+    const templates = await getCustomTemplates(type);
+    const template = templates.find(item => item.locale === locale) ||
+      templates.find(item => item.locale === DEFAULT_LOCALE);
+
+    if (template) {
+      return {
+        type,
+        locale: template.locale,
+        subject: template.subject,
+        body: template.body,
+        customized: true,
+        updatedAt: template.updated_at
+      };
+    }
+  } catch (error) {
+    logger.error(`获取邮件模板失败，使用内置模板: ${type}, ${error.message}`);
+  }
+
+  return {
+    type,
+    locale: DEFAULT_LOCALE,
+    ...emailTemplates.getDefaultTemplate(type),
+    customized: false,
+    updatedAt: null
+  };
+};
+
+/**
+ * 用当前生效的模板生成邮件
+ * @param {string} type - 模板类型
+ * @param {Object} values - 变量值
+ * @param {Object} options - { locale, unsubscribeUrl }
+ * @returns {Promise<Object>} - { subject, html }
+ */
+const render = async (type, values, { locale = DEFAULT_LOCALE, ...options } = {}) => {
+  const template = await getTemplate(type, locale);
+  return emailTemplates.renderEmail(type, template, values, options);
+};
+
+/**
+ * 获取模板类型的示例数据
+ * @param {string} type - 模板类型
+ * @returns {Object} - 变量名到示例值的映射
+ */
+const getSampleValues = (type) => {
+  const variables = emailTemplates.getTemplateVariables(type);
+  return Object.fromEntries(Object.entries(variables).map(([name, variable]) => [name, variable.sample]));
+};
+
+/**
+ * 用示例数据预览模板
+ * @param {string} type - 模板类型
+ * @param {Object} options - { locale, subject, body, values }，未提供 subject/body 时使用当前生效的模板
+ * @returns {Promise<Object>} - { subject, html, validation }
+ */
+const preview = async (type, { locale = DEFAULT_LOCALE, subject, body, values = {} } = {}) => {
+  const current = await getTemplate(type, locale);
+  const template = {
+    subject: subject !== undefined ? subject : current.subject,
+    body: body !== undefined ? body : current.body
+  };
+
+  const sample = getSampleValues(type);
+  // 只接受该类型支持的变量覆盖示例数据
+  for (const name of Object.keys(values)) {
+    if (Object.prototype.hasOwnProperty.call(sample, name)) {
+      sample[name] = values[name];
+    }
+  }
+
+  return {
+    ...emailTemplates.renderEmail(type, template, sample, {
+      unsubscribeUrl: type === 'comment_notification' ? '#unsubscribe' : undefined
+    }),
+    validation: emailTemplates.validateTemplate(type, template)
+  };
+};
+
+/**
+ * 获取所有模板类型及其自定义情况
+ * @returns {Promise<Array>} - 模板类型列表
+ */
+const listTypes = async () => {
+  try {
+    const rows = await query('SELECT type, locale, updated_at FROM email_templates ORDER BY type, locale');
+
+    return Object.entries(emailTemplates.TEMPLATE_TYPES).map(([type, definition]) => ({
+      type,
+      label: definition.label,
+      variables: emailTemplates.getTemplateVariables(type),
+      customizedLocales: rows.filter(row => row.type === type).map(row => ({
+        locale: row.locale,
+        updatedAt: row.updated_at
+      }))
+    }));
+  } catch (error) {
+    logger.error(`获取邮件模板列表失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 保存自定义模板
+ * @param {string} type - 模板类型
+ * @param {Object} data - { locale, subject, body, adminId }
+ * @returns {Promise<Object>} - { template } 或 { error, validation }
+ */
+const saveTemplate = async (type, { locale = DEFAULT_LOCALE, subject, body, adminId = null }) => {
+  try {
+    const validation = emailTemplates.validateTemplate(type, { subject, body });
+    if (validation.unknown.length > 0) {
+      return { error: `模板包含不支持的变量: ${validation.unknown.join(', ')}`, validation };
+    }
+    if (validation.missing.length > 0) {
+      return { error: `模板正文缺少必需的变量: ${validation.missing.join(', ')}`, validation };
+    }
+
+    await query(
+      `INSERT INTO email_templates (type, locale, subject, body, updated_by)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE subject = VALUES(subject), body = VALUES(body), updated_by = VALUES(updated_by)`,
+      [type, locale, subject, body, adminId]
+    );
+
+    await cacheService.del(cacheKey(type));
+    logger.info(`邮件模板已更新: ${type} (${locale})`);
+
+    return { template: await getTemplate(type, locale) };
+  } catch (error) {
+    logger.error(`保存邮件模板失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 删除自定义模板，恢复为内置模板
+ * @param {string} type - 模板类型
+ * @param {string} locale - 语言
+ * @returns {Promise<boolean>} - 是否删除
+ */
+const resetTemplate = async (type, locale = DEFAULT_LOCALE) => {
+  try {
+    const result = await query('DELETE FROM email_templates WHERE type = ? AND locale = ?', [type, locale]);
+
+    await cacheService.del(cacheKey(type));
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`恢复默认邮件模板失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  isValidType,
+  isValidLocale,
+  getTemplate,
+  render,
+  preview,
+  listTypes,
+  saveTemplate,
+  resetTemplate
+};
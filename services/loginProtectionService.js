@@ -0,0 +1,250 @@
+/**
+ * 登录防暴力破解服务
+ * 按账户和IP统计登录失败次数：账户连续失败后需等待递增的时间才能再次尝试，达到阈值后临时锁定并邮件通知本人；
+ * 同一IP失败过多时暂停该IP的登录。计数保存在 Redis 中，Redis 不可用时由 utils/redis 切换到内存。
+ */
+const redis = require('../utils/redis');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const { loadConfig, getDelaySeconds, formatWait, normalizeIdentifier } = require('../utils/loginProtection');
+
+const KEY_PREFIX = 'login_guard';
+
+const config = loadConfig();
+
+/**
+ * 获取账户的计数键前缀
+ * 账户存在时按ID统计，不存在的账号按输入的用户名/邮箱统计，避免通过是否锁定判断账号是否存在
+ * @param {string} userType - user 或 admin
+ * @param {Object} account - { id } 或 { identifier }
+ * @returns {string}
+ */
+const getAccountKey = (userType, account) => (
+  account.id
+    ? `${KEY_PREFIX}:${userType}:${account.id}`
+    : `${KEY_PREFIX}:${userType}:name:${normalizeIdentifier(account.identifier)}`
+);
+
+const getIpKey = (ipAddress) => `${KEY_PREFIX}:ip:${ipAddress}`;
+
+/**
+ * 读取截止时间键，返回剩余秒数
+ * @param {string} key - 键
+ * @returns {Promise<number>} - 剩余秒数，未设置或已过期为0
+ */
+const getRemainingSeconds = async (key) => {
+  const until = parseInt(await redis.redisClient.get(key), 10);
+  if (!until) {
+    return 0;
+  }
+
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+/**
+ * 设置截止时间键
+ * @param {string} key - 键
+ * @param {number} seconds - 持续秒数
+ */
+const setUntil = async (key, seconds) => {
+  await redis.redisClient.set(key, String(Date.now() + seconds * 1000), { EX: seconds });
+};
+
+/**
+ * 失败次数加一，第一次失败时开始计算统计窗口
+ * @param {string} key - 键
+ * @returns {Promise<number>} - 当前失败次数
+ */
+const incrementFailures = async (key) => {
+  const failures = await redis.redisClient.incr(key);
+  if (failures === 1) {
+    await redis.redisClient.expire(key, config.windowMinutes * 60);
+  }
+  return failures;
+};
+
+/**
+ * 生成锁定结果
+ * @param {number} retryAfter - 剩余秒数
+ * @returns {Object}
+ */
+const lockedResult = (retryAfter) => ({
+  allowed: false,
+  status: 423,
+  retryAfter,
+  message: `登录失败次数过多，账户已被临时锁定，请${formatWait(retryAfter)}后再试`
+});
+
+/**
+ * 登录前检查是否允许尝试
+ * 计数服务出错时放行，不影响正常登录
+ * @param {string} userType - user 或 admin
+ * @param {Object|null} account - { id } 或 { identifier }，为空时只检查IP
+ * @param {string} ipAddress - 客户端IP
+ * @returns {Promise<Object>} - { allowed: true } 或 { allowed: false, status, message, retryAfter }
+ */
+const checkAttempt = async (userType, account, ipAddress) => {
+  try {
+    if (ipAddress) {
+      const ipWait = await getRemainingSeconds(`${getIpKey(ipAddress)}:lock`);
+      if (ipWait > 0) {
+        return {
+          allowed: false,
+          status: 429,
+          retryAfter: ipWait,
+          message: `登录失败次数过多，请${formatWait(ipWait)}后再试`
+        };
+      }
+    }
+
+    if (!account) {
+      return { allowed: true };
+    }
+
+    const accountKey = getAccountKey(userType, account);
+    const lockWait = await getRemainingSeconds(`${accountKey}:lock`);
+    if (lockWait > 0) {
+      return lockedResult(lockWait);
+    }
+
+    const delayWait = await getRemainingSeconds(`${accountKey}:delay`);
+    if (delayWait > 0) {
+      return {
+        allowed: false,
+        status: 429,
+        retryAfter: delayWait,
+        message: `尝试过于频繁，请${formatWait(delayWait)}后再试`
+      };
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    logger.error(`检查登录限制失败: ${error.message}`);
+    return { allowed: true };
+  }
+};
+
+/**
+ * 记录一次登录失败
+ * 账户达到失败阈值时锁定，账户存在且有邮箱时发送通知邮件
+ * @param {string} userType - user 或 admin
+ * @param {Object} account - { id, email, username } 或 { identifier }
+ * @param {string} ipAddress - 客户端IP
+ * @returns {Promise<Object>} - 刚被锁定时为 lockedResult，否则为 { allowed: true }
+ */
+const recordFailure = async (userType, account, ipAddress) => {
+  try {
+    if (ipAddress) {
+      const ipKey = getIpKey(ipAddress);
+      const ipFailures = await incrementFailures(`${ipKey}:failures`);
+      if (ipFailures >= config.ipMaxAttempts) {
+        await setUntil(`${ipKey}:lock`, config.lockoutMinutes * 60);
+        await redis.redisClient.del(`${ipKey}:failures`);
+        logger.warn(`IP登录失败次数过多，暂停登录${config.lockoutMinutes}分钟: ${ipAddress}`);
+      }
+    }
+
+    const accountKey = getAccountKey(userType, account);
+    const failures = await incrementFailures(`${accountKey}:failures`);
+
+    if (failures >= config.maxAttempts) {
+      const lockSeconds = config.lockoutMinutes * 60;
+      await setUntil(`${accountKey}:lock`, lockSeconds);
+      await redis.redisClient.del(`${accountKey}:failures`);
+      await redis.redisClient.del(`${accountKey}:delay`);
+
+      logger.warn(`账户登录失败${failures}次，已临时锁定: ${accountKey}, IP=${ipAddress}`);
+
+      if (account.email) {
+        await mailer.sendAccountLockedEmail(account.email, account.username, {
+          failedAttempts: failures,
+          lockedMinutes: config.lockoutMinutes,
+          ipAddress: ipAddress || '未知',
+          lockedAt: new Date().toLocaleString('zh-CN', { hour12: false })
+        });
+      }
+
+      return lockedResult(lockSeconds);
+    }
+
+    const delay = getDelaySeconds(failures, config);
+    if (delay > 0) {
+      await setUntil(`${accountKey}:delay`, delay);
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    logger.error(`记录登录失败次数失败: ${error.message}`);
+    return { allowed: true };
+  }
+};
+
+/**
+ * 登录成功后清除账户的失败计数，IP计数保留到窗口结束
+ * @param {string} userType - user 或 admin
+ * @param {Object} account - { id }
+ */
+const recordSuccess = async (userType, account) => {
+  try {
+    const accountKey = getAccountKey(userType, account);
+    await redis.redisClient.del(`${accountKey}:failures`);
+    await redis.redisClient.del(`${accountKey}:delay`);
+  } catch (error) {
+    logger.error(`清除登录失败次数失败: ${error.message}`);
+  }
+};
+
+/**
+ * 获取账户的锁定状态
+ * @param {string} userType - user 或 admin
+ * @param {number} accountId - 账户ID
+ * @returns {Promise<Object>} - { locked, retryAfter, failedAttempts, maxAttempts }
+ */
+const getLockStatus = async (userType, accountId) => {
+  try {
+    const accountKey = getAccountKey(userType, { id: accountId });
+    const retryAfter = await getRemainingSeconds(`${accountKey}:lock`);
+    const failures = parseInt(await redis.redisClient.get(`${accountKey}:failures`), 10) || 0;
+
+    return {
+      locked: retryAfter > 0,
+      retryAfter,
+      failedAttempts: failures,
+      maxAttempts: config.maxAttempts
+    };
+  } catch (error) {
+    logger.error(`获取账户锁定状态失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 解除账户锁定并清除失败计数
+ * @param {string} userType - user 或 admin
+ * @param {number} accountId - 账户ID
+ * @returns {Promise<boolean>} - 解除前是否处于锁定状态
+ */
+const unlock = async (userType, accountId) => {
+  try {
+    const accountKey = getAccountKey(userType, { id: accountId });
+    const locked = (await getRemainingSeconds(`${accountKey}:lock`)) > 0;
+
+    await redis.redisClient.del(`${accountKey}:lock`);
+    await redis.redisClient.del(`${accountKey}:failures`);
+    await redis.redisClient.del(`${accountKey}:delay`);
+
+    logger.info(`已解除账户登录锁定: ${accountKey}`);
+    return locked;
+  } catch (error) {
+    logger.error(`解除账户锁定失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  checkAttempt,
+  recordFailure,
+  recordSuccess,
+  getLockStatus,
+  unlock
+};
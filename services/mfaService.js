@@ -0,0 +1,476 @@
+/**
+ * 管理员两步验证服务
+ * 管理员可用验证器应用绑定 TOTP 密钥，开启后登录分两步：密码正确时只签发短期的待验证令牌，
+ * 再提交验证码或一次性恢复码换取正式的登录令牌。超级管理员可以要求指定角色必须开启，
+ * 这些角色的管理员未开启时，登录后需先完成绑定才能进入后台。
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+const jwtConfig = require('../config/jwt');
+const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const settingService = require('./settingService');
+const totp = require('../utils/totp');
+
+const POLICY_SETTING_KEY = 'adminMfaPolicy';
+
+const DEFAULT_POLICY = {
+  requiredRoleIds: []
+};
+
+// 验证器应用中显示的发行方名称
+const ISSUER = process.env.MFA_ISSUER || process.env.BLOG_NAME || 'Xblog';
+
+// 加密 TOTP 密钥的密钥，未单独配置时由 JWT 密钥派生
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || jwtConfig.JWT_SECRET)
+  .digest();
+
+// 待验证令牌的有效期和允许的验证失败次数
+const PENDING_TOKEN_EXPIRES_IN = '5m';
+const PENDING_TOKEN_TTL = 5 * 60;
+const MAX_PENDING_ATTEMPTS = 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 加密 TOTP 密钥
+ * @param {string} secret - Base32 密钥
+ * @returns {string} - iv:tag:密文（十六进制）
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(buffer => buffer.toString('hex')).join(':');
+};
+
+/**
+ * 解密 TOTP 密钥
+ * @param {string} value - encryptSecret 的结果
+ * @returns {string} - Base32 密钥
+ */
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * 计算恢复码的哈希
+ * @param {string} code - 恢复码
+ * @returns {string} - SHA-256
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(totp.normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * 获取两步验证策略
+ * @returns {Promise<Object>} - { requiredRoleIds }
+ */
+const getPolicy = async () => {
+  const value = await settingService.getSetting(POLICY_SETTING_KEY);
+  if (!value) {
+    return { ...DEFAULT_POLICY };
+  }
+
+  try {
+    return { ...DEFAULT_POLICY, ...JSON.parse(value) };
+  } catch (error) {
+    logger.error(`解析两步验证策略失败: ${error.message}`);
+    return { ...DEFAULT_POLICY };
+  }
+};
+
+/**
+ * 更新两步验证策略
+ * @param {Object} input - { requiredRoleIds }
+ * @returns {Promise<Object>} - { policy } 或 { error }
+ */
+const updatePolicy = async ({ requiredRoleIds }) => {
+  if (!Array.isArray(requiredRoleIds) || !requiredRoleIds.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'requiredRoleIds必须是角色ID数组' };
+  }
+
+  const roleIds = [...new Set(requiredRoleIds)];
+  if (roleIds.length > 0) {
+    const roles = await query('SELECT id FROM roles WHERE id IN (?)', [roleIds]);
+    const missing = roleIds.filter(id => !roles.some(role => role.id === id));
+    if (missing.length > 0) {
+      return { error: `角色不存在: ${missing.join(', ')}` };
+    }
+  }
+
+  const policy = { ...(await getPolicy()), requiredRoleIds: roleIds };
+  await settingService.setSetting(POLICY_SETTING_KEY, JSON.stringify(policy));
+
+  logger.info(`两步验证策略已更新，必须开启的角色: ${roleIds.join(', ') || '无'}`);
+  return { policy };
+};
+
+/**
+ * 判断角色是否必须开启两步验证
+ * @param {number} roleId - 角色ID
+ * @returns {Promise<boolean>}
+ */
+const isRequiredForRole = async (roleId) => {
+  const policy = await getPolicy();
+  return policy.requiredRoleIds.includes(roleId);
+};
+
+/**
+ * 获取管理员的两步验证记录
+ * @param {number} adminId - 管理员ID
+ * @returns {Promise<Object|null>}
+ */
+const getRecord = async (adminId) => {
+  const records = await query(
+    'SELECT admin_id, secret_encrypted, enabled, last_used_step, enabled_at FROM admin_mfa WHERE admin_id = ?',
+    [adminId]
+  );
+  return records[0] || null;
+};
+
+/**
+ * 获取管理员的两步验证状态
+ * @param {number} adminId - 管理员ID
+ * @returns {Promise<Object>} - { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+const getStatus = async (adminId) => {
+  try {
+    const [record, admins, codes] = await Promise.all([
+      getRecord(adminId),
+      query('SELECT role_id FROM admin_users WHERE id = ?', [adminId]),
+      query('SELECT COUNT(*) AS count FROM admin_mfa_recovery_codes WHERE admin_id = ? AND used_at IS NULL', [adminId])
+    ]);
+
+    const enabled = Boolean(record && record.enabled);
+
+    return {
+      enabled,
+      enabledAt: enabled ? record.enabled_at : null,
+      required: admins.length > 0 && await isRequiredForRole(admins[0].role_id),
+      recoveryCodesRemaining: enabled ? codes[0].count : 0
+    };
+  } catch (error) {
+    logger.error(`获取两步验证状态失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 判断管理员登录时需要进行的两步验证步骤
+ * @param {Object} admin - 管理员信息，需包含 id 和 role_id
+ * @returns {Promise<string|null>} - verify 需输入验证码，setup 需先绑定，null 不需要
+ */
+const getLoginRequirement = async (admin) => {
+  const record = await getRecord(admin.id);
+  if (record && record.enabled) {
+    return 'verify';
+  }
+
+  return (await isRequiredForRole(admin.role_id)) ? 'setup' : null;
+};
+
+/**
+ * 签发待验证令牌，只能用于完成两步验证，不能访问其他接口
+ * @param {number} adminId - 管理员ID
+ * @param {string} purpose - verify 或 setup
+ * @returns {string} - JWT
+ */
+const createPendingToken = (adminId, purpose) => jwt.sign(
+  {
+    id: adminId,
+    type: 'mfa_pending',
+    purpose,
+    jti: crypto.randomBytes(16).toString('hex')
+  },
+  jwtConfig.JWT_SECRET,
+  { expiresIn: PENDING_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * 校验待验证令牌
+ * @param {string} token - 待验证令牌
+ * @param {string} purpose - 期望的用途
+ * @returns {Promise<Object>} - { adminId, jti } 或 { error }
+ */
+const verifyPendingToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), jwtConfig.JWT_SECRET);
+  } catch (error) {
+    return { error: '验证已过期，请重新登录' };
+  }
+
+  if (decoded.type !== 'mfa_pending' || decoded.purpose !== purpose) {
+    return { error: '无效的验证令牌' };
+  }
+
+  const [attempts, used] = await Promise.all([
+    cacheService.get(`mfa_pending:${decoded.jti}:attempts`),
+    cacheService.get(`mfa_pending:${decoded.jti}:used`)
+  ]);
+  if (used || attempts >= MAX_PENDING_ATTEMPTS) {
+    return { error: '验证已失效，请重新登录' };
+  }
+
+  return { adminId: decoded.id, jti: decoded.jti };
+};
+
+/**
+ * 占用一次验证机会，需在校验验证码之前调用
+ * 先原子地计数再校验，同一令牌的并发请求也不会超过次数限制
+ * @param {string} jti - 待验证令牌ID
+ * @returns {Promise<number|null>} - 本次之后剩余的尝试次数，次数已用完时返回 null
+ */
+const takeAttempt = async (jti) => {
+  const attempts = await cacheService.incr(`mfa_pending:${jti}:attempts`, PENDING_TOKEN_TTL);
+  return attempts > MAX_PENDING_ATTEMPTS ? null : MAX_PENDING_ATTEMPTS - attempts;
+};
+
+/**
+ * 作废已使用的待验证令牌
+ * @param {string} jti - 待验证令牌ID
+ * @returns {Promise<boolean>} - 是否为第一次使用，并发提交时只有一个请求能完成登录
+ */
+const consumePendingToken = async (jti) => {
+  const uses = await cacheService.incr(`mfa_pending:${jti}:used`, PENDING_TOKEN_TTL);
+  return uses === 1;
+};
+
+/**
+ * 生成新的恢复码，旧的恢复码全部作废
+ * @param {number} adminId - 管理员ID
+ * @returns {Promise<string[]>} - 恢复码明文，只在生成时返回一次
+ */
+const replaceRecoveryCodes = async (adminId) => {
+  const codes = totp.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+  await query('DELETE FROM admin_mfa_recovery_codes WHERE admin_id = ?', [adminId]);
+  await query(
+    'INSERT INTO admin_mfa_recovery_codes (admin_id, code_hash) VALUES ?',
+    [codes.map(code => [adminId, hashRecoveryCode(code)])]
+  );
+
+  return codes;
+};
+
+/**
+ * 开始绑定：生成新密钥，确认验证码之前不会生效
+ * @param {number} adminId - 管理员ID
+ * @returns {Promise<Object>} - { secret, otpauthUri } 或 { error }
+ */
+const startEnrollment = async (adminId) => {
+  try {
+    const admins = await query('SELECT id, username FROM admin_users WHERE id = ?', [adminId]);
+    if (admins.length === 0) {
+      return { error: '管理员不存在' };
+    }
+
+    const admin = admins[0];
+    const record = await getRecord(admin.id);
+    if (record && record.enabled) {
+      return { error: '已开启两步验证，如需更换请先关闭' };
+    }
+
+    const secret = totp.generateSecret();
+    await query(
+      `INSERT INTO admin_mfa (admin_id, secret_encrypted, enabled)
+       VALUES (?, ?, 0)
+       ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), last_used_step = NULL`,
+      [admin.id, encryptSecret(secret)]
+    );
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpAuthUri({ secret, account: admin.username, issuer: ISSUER })
+    };
+  } catch (error) {
+    logger.error(`开始绑定两步验证失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 确认绑定：验证码正确后开启两步验证并生成恢复码
+ * @param {number} adminId - 管理员ID
+ * @param {string} code - 验证器应用显示的验证码
+ * @returns {Promise<Object>} - { recoveryCodes } 或 { error }
+ */
+const confirmEnrollment = async (adminId, code) => {
+  try {
+    const record = await getRecord(adminId);
+    if (!record) {
+      return { error: '请先获取绑定密钥' };
+    }
+    if (record.enabled) {
+      return { error: '已开启两步验证' };
+    }
+
+    const step = totp.verifyTotp(decryptSecret(record.secret_encrypted), code);
+    if (step === null) {
+      return { error: '验证码不正确' };
+    }
+
+    const result = await query(
+      `UPDATE admin_mfa SET enabled = 1, enabled_at = NOW(), last_used_step = ?
+       WHERE admin_id = ? AND enabled = 0`,
+      [step, adminId]
+    );
+    if (result.affectedRows === 0) {
+      return { error: '已开启两步验证' };
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(adminId);
+    logger.info(`管理员已开启两步验证: ID=${adminId}`);
+
+    return { recoveryCodes };
+  } catch (error) {
+    logger.error(`确认绑定两步验证失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 校验验证码，同一时间步长内的验证码只能使用一次
+ * @param {Object} record - 两步验证记录
+ * @param {string} code - 验证码
+ * @returns {Promise<boolean>}
+ */
+const verifyCode = async (record, code) => {
+  const step = totp.verifyTotp(decryptSecret(record.secret_encrypted), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await query(
+    `UPDATE admin_mfa SET last_used_step = ?
+     WHERE admin_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, record.admin_id, step]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * 使用恢复码，每个恢复码只能使用一次
+ * @param {number} adminId - 管理员ID
+ * @param {string} code - 恢复码
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (adminId, code) => {
+  const result = await query(
+    `UPDATE admin_mfa_recovery_codes SET used_at = NOW()
+     WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [adminId, hashRecoveryCode(code)]
+  );
+
+  if (result.affectedRows > 0) {
+    logger.warn(`管理员使用了两步验证恢复码: ID=${adminId}`);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * 校验第二因素：验证码或恢复码
+ * @param {number} adminId - 管理员ID
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - { method } 或 { error }
+ */
+const verifySecondFactor = async (adminId, { code, recoveryCode } = {}) => {
+  try {
+    const record = await getRecord(adminId);
+    if (!record || !record.enabled) {
+      return { error: '未开启两步验证' };
+    }
+
+    if (code && await verifyCode(record, code)) {
+      return { method: 'totp' };
+    }
+    if (recoveryCode && await useRecoveryCode(adminId, recoveryCode)) {
+      return { method: 'recovery_code' };
+    }
+
+    return { error: code ? '验证码不正确或已使用' : '恢复码不正确或已使用' };
+  } catch (error) {
+    logger.error(`校验两步验证失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 关闭两步验证，需要验证码或恢复码确认；所在角色要求开启时不能关闭
+ * @param {number} adminId - 管理员ID
+ * @param {Object} factor - { code, recoveryCode }
+ * @returns {Promise<Object>} - { disabled: true } 或 { error, status }
+ */
+const disable = async (adminId, factor) => {
+  try {
+    const status = await getStatus(adminId);
+    if (!status.enabled) {
+      return { error: '未开启两步验证', status: 400 };
+    }
+    if (status.required) {
+      return { error: '所在角色要求开启两步验证，不能关闭', status: 403 };
+    }
+
+    const verified = await verifySecondFactor(adminId, factor);
+    if (verified.error) {
+      return { error: verified.error, status: 400 };
+    }
+
+    await query('DELETE FROM admin_mfa_recovery_codes WHERE admin_id = ?', [adminId]);
+    await query('DELETE FROM admin_mfa WHERE admin_id = ?', [adminId]);
+
+    logger.info(`管理员已关闭两步验证: ID=${adminId}`);
+    return { disabled: true };
+  } catch (error) {
+    logger.error(`关闭两步验证失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 重新生成恢复码，需要验证码确认
+ * @param {number} adminId - 管理员ID
+ * @param {string} code - 验证码
+ * @returns {Promise<Object>} - { recoveryCodes } 或 { error }
+ */
+const regenerateRecoveryCodes = async (adminId, code) => {
+  try {
+    const record = await getRecord(adminId);
+    if (!record || !record.enabled) {
+      return { error: '未开启两步验证' };
+    }
+
+    if (!(await verifyCode(record, code))) {
+      return { error: '验证码不正确或已使用' };
+    }
+
+    return { recoveryCodes: await replaceRecoveryCodes(adminId) };
+  } catch (error) {
+    logger.error(`重新生成恢复码失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getPolicy,
+  updatePolicy,
+  getStatus,
+  getLoginRequirement,
+  createPendingToken,
+  verifyPendingToken,
+  takeAttempt,
+  consumePendingToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes
+};
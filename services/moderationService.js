@@ -1,58 +1,454 @@
-const axios = require('axios');
 const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const settingService = require('./settingService');
+const { createAIService } = require('./aiService');
+const {
+  extractLinks,
+  matchBlocklist,
+  overLimitScore,
+  findDuplicates,
+  parseAIVerdict,
+  combineScores,
+  decide
+} = require('../utils/moderationRules');
+
+// 评论审核默认设置
+const DEFAULT_CONFIG = {
+  enabled: false,
+  threshold: 0.7,
+  rejectThreshold: 0.2,
+  autoApprove: false,
+  rules: {
+    blocklist: { enabled: true, weight: 1, keywords: [], patterns: [] },
+    links: { enabled: true, weight: 0.6, maxLinks: 2 },
+    duplicate: { enabled: true, weight: 0.8, windowHours: 24, minLength: 10 },
+    burst: { enabled: true, weight: 0.7, windowSeconds: 60, maxPerIp: 3, maxPerUser: 3 },
+    ai: { enabled: false, weight: 1 }
+  }
+};
+
+// 重复内容检查最多比较的近期评论数量
+const DUPLICATE_SCAN_LIMIT = 200;
+
+// 发送给AI的评论最大长度
+const AI_CONTENT_LIMIT = 2000;
+
+// 审核日志 reason 字段长度
+const REASON_MAX_LENGTH = 255;
+
+const AI_PROMPT = `判断下面的博客评论是否为垃圾评论（广告、引流、刷屏、辱骂或与文章无关的灌水）。
+只返回JSON，格式为 {"spam": 0到1之间的数字, "reason": "简短理由"}。
+
+评论内容：
+{content}`;
+
+/**
+ * 合并审核设置，规则按项合并，缺少的字段使用默认值
+ * @param {Object} value - 已保存的设置
+ * @returns {Object} - 完整的审核设置
+ */
+const mergeConfig = (value = {}) => {
+  const rules = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_CONFIG.rules)) {
+    rules[name] = { ...defaults, ...((value.rules || {})[name] || {}) };
+  }
+
+  return { ...DEFAULT_CONFIG, ...value, rules };
+};
+
+/**
+ * 屏蔽词和正则规则检查
+ */
+const blocklistCheck = {
+  name: 'blocklist',
+  label: '屏蔽词',
+  async run(comment, options) {
+    const matched = matchBlocklist(comment.content, options);
+    const hits = [...matched.keywords, ...matched.patterns];
+
+    return {
+      score: hits.length > 0 ? 1 : 0,
+      reasons: hits.length > 0 ? [`包含屏蔽内容: ${hits.join(', ')}`] : [],
+      details: matched
+    };
+  }
+};
+
+/**
+ * 链接数量检查
+ */
+const linksCheck = {
+  name: 'links',
+  label: '链接数量',
+  async run(comment, options) {
+    const links = extractLinks(comment.content);
+    const score = overLimitScore(links.length, options.maxLinks);
+
+    return {
+      score,
+      reasons: score > 0 ? [`包含${links.length}个链接，超过上限${options.maxLinks}个`] : [],
+      details: { count: links.length, links: links.slice(0, 10) }
+    };
+  }
+};
+
+/**
+ * 重复内容检查
+ * 同一评论者重复发表相同内容视为刷屏，不同评论者发表相同内容视为批量灌水
+ */
+const duplicateCheck = {
+  name: 'duplicate',
+  label: '重复内容',
+  async run(comment, options) {
+    if (comment.content.trim().length < options.minLength) {
+      return { score: 0, reasons: [], details: { skipped: '内容过短' } };
+    }
+
+    const candidates = await query(
+      `SELECT content, author_id, ip_address FROM comments
+       WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+       ORDER BY id DESC
+       LIMIT ?`,
+      [options.windowHours, DUPLICATE_SCAN_LIMIT]
+    );
+
+    const duplicates = findDuplicates(comment.content, candidates, comment);
+    const reasons = [];
+    let score = 0;
+
+    if (duplicates.own > 0) {
+      score = 1;
+      reasons.push(`${options.windowHours}小时内重复发表相同内容${duplicates.own}次`);
+    } else if (duplicates.others > 0) {
+      score = overLimitScore(duplicates.others + 1, 1);
+      reasons.push(`${options.windowHours}小时内有${duplicates.others}条其他人发表的相同内容`);
+    }
+
+    return { score, reasons, details: duplicates };
+  }
+};
+
+/**
+ * 短时间内频繁评论检查，按IP和用户分别计数
+ */
+const burstCheck = {
+  name: 'burst',
+  label: '频繁评论',
+  async run(comment, options) {
+    const count = async (column, value) => {
+      if (!value) {
+        return 0;
+      }
+
+      const [row] = await query(
+        `SELECT COUNT(*) as count FROM comments
+         WHERE ${column} = ? AND created_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+        [value, options.windowSeconds]
+      );
+      return row.count;
+    };
+
+    // 计数包含当前这条评论
+    const ipCount = (await count('ip_address', comment.ipAddress)) + (comment.ipAddress ? 1 : 0);
+    const userCount = (await count('author_id', comment.authorId)) + (comment.authorId ? 1 : 0);
+
+    const ipScore = overLimitScore(ipCount, options.maxPerIp);
+    const userScore = overLimitScore(userCount, options.maxPerUser);
+    const reasons = [];
+
+    if (ipScore > 0) {
+      reasons.push(`同一IP在${options.windowSeconds}秒内评论${ipCount}次`);
+    }
+    if (userScore > 0) {
+      reasons.push(`同一用户在${options.windowSeconds}秒内评论${userCount}次`);
+    }
+
+    return {
+      score: Math.max(ipScore, userScore),
+      reasons,
+      details: { ipCount, userCount }
+    };
+  }
+};
 
 /**
- * AI评论审核服务
- * 用于检测评论内容是否包含不适当内容
+ * AI判断，使用后台配置的AI服务
+ * AI服务未配置或已禁用时跳过
+ */
+const aiCheck = {
+  name: 'ai',
+  label: 'AI判断',
+  async run(comment) {
+    const aiConfig = await settingService.getAIConfig();
+    if (!aiConfig || !aiConfig.enabled) {
+      return { skipped: true, reasons: [], details: { skipped: 'AI服务未配置或已禁用' } };
+    }
+
+    const prompt = AI_PROMPT.replace('{content}', comment.content.substring(0, AI_CONTENT_LIMIT));
+    const text = await createAIService(aiConfig).generateCompletion(prompt);
+    const verdict = parseAIVerdict(text);
+
+    if (!verdict) {
+      throw new Error('无法解析AI返回的结果');
+    }
+
+    return {
+      score: verdict.score,
+      reasons: verdict.score >= 0.5 ? [`AI判断为垃圾评论${verdict.reason ? `: ${verdict.reason}` : ''}`] : [],
+      details: { provider: aiConfig.provider, model: aiConfig.model, ...verdict }
+    };
+  }
+};
+
+/**
+ * 评论审核服务
+ * 由多项可插拔的检查组成，在本地完成评分，AI判断只是其中一项可选检查
  */
 class ModerationService {
+  constructor() {
+    this.checks = new Map();
+
+    [blocklistCheck, linksCheck, duplicateCheck, burstCheck, aiCheck].forEach(check => this.registerCheck(check));
+  }
+
   /**
-   * 审核评论内容
-   * @param {string} content - 要审核的评论内容
-   * @returns {Object} - 审核结果
+   * 注册审核检查
+   * 检查的配置从审核设置的 rules[name] 读取，未配置的检查默认启用，权重为1
+   * @param {Object} check - { name, label, run(comment, options) }
+   *   run 返回 { score, reasons, details }，不适用时返回 { skipped: true }
    */
-  async moderateComment(content) {
+  registerCheck(check) {
+    this.checks.set(check.name, check);
+  }
+
+  /**
+   * 获取评论审核设置
+   * @returns {Promise<Object>} - { enabled, threshold, rejectThreshold, autoApprove, rules }
+   */
+  async getConfig() {
+    const value = await settingService.getSetting('commentModeration');
+
+    if (!value) {
+      return mergeConfig();
+    }
+
     try {
-      // 获取AI审核设置
-      const [settings] = await query(
-        `SELECT value FROM settings WHERE \`key\` = 'commentModeration'`
-      );
-      
-      let config = { threshold: 0.7 };
-      if (settings && settings.value) {
+      return mergeConfig(JSON.parse(value));
+    } catch (e) {
+      logger.error(`解析评论审核设置失败: ${e.message}`);
+      return mergeConfig();
+    }
+  }
+
+  /**
+   * 校验并保存评论审核设置
+   * @param {Object} input - 提交的设置，未提交的字段保留原值
+   * @returns {Promise<Object>} - { error } 或 { config }
+   */
+  async updateConfig(input) {
+    const current = await this.getConfig();
+
+    for (const key of ['enabled', 'autoApprove']) {
+      if (input[key] !== undefined && typeof input[key] !== 'boolean') {
+        return { error: `${key}必须是布尔值` };
+      }
+    }
+
+    for (const key of ['threshold', 'rejectThreshold']) {
+      if (input[key] !== undefined && (typeof input[key] !== 'number' || input[key] < 0 || input[key] > 1)) {
+        return { error: `${key}必须是0-1之间的数字` };
+      }
+    }
+
+    const rules = input.rules || {};
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      return { error: 'rules必须是对象' };
+    }
+
+    for (const [name, options] of Object.entries(rules)) {
+      const defaults = current.rules[name];
+      if (!defaults || !options || typeof options !== 'object') {
+        return { error: `未知的审核规则: ${name}` };
+      }
+
+      for (const [key, value] of Object.entries(options)) {
+        if (!(key in defaults) || typeof value !== typeof defaults[key] || Array.isArray(value) !== Array.isArray(defaults[key])) {
+          return { error: `审核规则 ${name}.${key} 无效` };
+        }
+        if (typeof value === 'number' && (value < 0 || (key === 'weight' && value > 1))) {
+          return { error: `审核规则 ${name}.${key} 超出范围` };
+        }
+        if (Array.isArray(value) && value.some(item => typeof item !== 'string')) {
+          return { error: `审核规则 ${name}.${key} 必须是字符串数组` };
+        }
+      }
+    }
+
+    if (rules.blocklist && rules.blocklist.patterns) {
+      for (const pattern of rules.blocklist.patterns) {
         try {
-          config = JSON.parse(settings.value);
+          new RegExp(pattern, 'iu');
         } catch (e) {
-          console.error('解析评论审核设置失败:', e);
+          return { error: `无效的正则表达式: ${pattern}` };
         }
       }
-      
-      const threshold = config.threshold || 0.7;
-      
-      // 调用AI审核API (以OpenAI Moderation API为例)
-      const response = await axios.post('https://api.openai.com/v1/moderations', 
-      { input: content },
-      { headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const result = response.data.results[0];
-      const approved = !result.flagged || result.category_scores.sexual < threshold;
-      
+    }
+
+    const pick = (key) => (input[key] !== undefined ? input[key] : current[key]);
+    const config = mergeConfig({
+      enabled: pick('enabled'),
+      threshold: pick('threshold'),
+      rejectThreshold: pick('rejectThreshold'),
+      autoApprove: pick('autoApprove'),
+      rules: Object.fromEntries(
+        Object.entries(current.rules).map(([name, options]) => [name, { ...options, ...(rules[name] || {}) }])
+      )
+    });
+
+    if (config.rejectThreshold > config.threshold) {
+      return { error: 'rejectThreshold不能大于threshold' };
+    }
+
+    await settingService.setSetting('commentModeration', JSON.stringify(config));
+    return { config };
+  }
+
+  /**
+   * 运行各项检查并计算评分
+   * 检查出错时不计入评分，但会阻止评论自动通过
+   * @param {Object} comment - { content, postId, authorId, ipAddress }
+   * @param {Object} config - 审核设置
+   * @returns {Promise<Object>} - { spamScore, safety, verdict, reasons, checks, errors }
+   */
+  async moderateComment(comment, config) {
+    const enabled = [...this.checks.values()].filter(check => {
+      const options = config.rules[check.name];
+      return !options || options.enabled !== false;
+    });
+
+    const checks = await Promise.all(enabled.map(async check => {
+      const options = config.rules[check.name] || {};
+      const weight = typeof options.weight === 'number' ? options.weight : 1;
+
+      try {
+        const result = await check.run(comment, options);
+        return { name: check.name, label: check.label, weight, ...result };
+      } catch (error) {
+        logger.error(`评论审核检查失败: ${check.label}, ${error.message}`);
+        return { name: check.name, label: check.label, weight, error: error.message };
+      }
+    }));
+
+    const scored = checks.filter(check => !check.skipped && !check.error);
+    const errors = checks.filter(check => check.error);
+    const spamScore = combineScores(scored);
+    const safety = Number((1 - spamScore).toFixed(4));
+
+    let verdict = decide(safety, config);
+    if (verdict === 'approved' && errors.length > 0) {
+      verdict = 'review';
+    }
+
+    return {
+      spamScore,
+      safety,
+      verdict,
+      reasons: [
+        ...scored.flatMap(check => check.reasons || []),
+        ...errors.map(check => `${check.label}检查失败`)
+      ],
+      checks,
+      errors: errors.length
+    };
+  }
+
+  /**
+   * 根据审核设置决定新评论的状态
+   * 安全分低于 rejectThreshold 的评论直接拒绝，低于 threshold 或有检查出错的进入待审核队列
+   * @param {Object} comment - { content, postId, authorId, ipAddress }
+   * @returns {Promise<Object>} - { status, result, reason, score, rawData }
+   */
+  async reviewComment(comment) {
+    const config = await this.getConfig();
+
+    if (!config.enabled) {
+      const auditSetting = await settingService.getSetting('comment_audit');
+      const needAudit = auditSetting === null || auditSetting === 'true' || auditSetting === '1';
+      const status = needAudit ? 'pending' : 'approved';
+
       return {
-        approved,
-        reason: approved ? null : '包含不适内容',
-        score: 1 - (result.category_scores.sexual || 0),
-        categories: result.category_scores
+        status,
+        result: status,
+        reason: needAudit ? '未启用自动审核，等待人工审核' : '未启用自动审核，评论无需审核',
+        score: null,
+        rawData: { config: { enabled: false } }
       };
-    } catch (error) {
-      console.error('评论审核失败:', error);
-      // 审核出错时默认通过，避免阻塞用户评论
-      return { approved: true, error: error.message };
     }
+
+    const moderation = await this.moderateComment(comment, config);
+    const rawData = {
+      config: {
+        threshold: config.threshold,
+        rejectThreshold: config.rejectThreshold,
+        autoApprove: config.autoApprove
+      },
+      spamScore: moderation.spamScore,
+      verdict: moderation.verdict,
+      checks: moderation.checks
+    };
+    const reason = moderation.reasons.join('；').substring(0, REASON_MAX_LENGTH) || null;
+
+    if (moderation.verdict === 'rejected') {
+      return { status: 'rejected', result: 'rejected', reason, score: moderation.safety, rawData };
+    }
+
+    if (moderation.verdict === 'review') {
+      return { status: 'pending', result: 'pending', reason, score: moderation.safety, rawData };
+    }
+
+    return {
+      status: config.autoApprove ? 'approved' : 'pending',
+      result: 'approved',
+      reason: config.autoApprove ? null : '自动审核通过，等待人工确认',
+      score: moderation.safety,
+      rawData
+    };
+  }
+
+  /**
+   * 获取评论的审核记录
+   * @param {number} commentId - 评论ID
+   * @returns {Promise<Array>} - 审核记录，最新的在前
+   */
+  async getModerationLogs(commentId) {
+    return query(
+      `SELECT id, result, reason, score, raw_data, created_at
+       FROM comment_moderation_logs
+       WHERE comment_id = ?
+       ORDER BY id DESC`,
+      [commentId]
+    );
+  }
+
+  /**
+   * 记录评论审核日志
+   * @param {number} commentId - 评论ID
+   * @param {Object} outcome - reviewComment 返回的审核结果
+   * @returns {Promise<void>}
+   */
+  async logModeration(commentId, outcome) {
+    await query(
+      `INSERT INTO comment_moderation_logs (comment_id, result, reason, score, raw_data)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        commentId,
+        outcome.result,
+        outcome.reason || null,
+        outcome.score,
+        JSON.stringify(outcome.rawData || null)
+      ]
+    );
   }
 }
 
-module.exports = new ModerationService(); 
\ No newline at end of file
+module.exports = new ModerationService();
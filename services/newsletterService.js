@@ -0,0 +1,796 @@
+/**
+ * 邮件订阅服务
+ * 读者订阅后需点击确认邮件中的链接才会生效（双重确认），每封群发邮件都带有签名的一键退订链接。
+ * 管理员可以撰写群发邮件立即或定时发送，也可以开启每周文章摘要，自动汇总上次发送以来发布的文章。
+ *
+ * 群发时先为每个订阅者写入发送记录再加入邮件发送队列，发送记录的唯一键保证同一封群发邮件
+ * 不会重复发给同一订阅者；进程中断后由定时任务继续发送剩余的订阅者。
+ */
+const crypto = require('crypto');
+const { query } = require('../config/db');
+const { server } = require('../config');
+const jwtConfig = require('../config/jwt');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const settingService = require('./settingService');
+const { createToken, parseToken } = require('../utils/unsubscribeToken');
+const { getPostUrl } = require('../utils/siteUrl');
+const { isDigestDue, getDigestSince, buildDigestContent } = require('../utils/newsletter');
+
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed'];
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// 退订令牌中的类型，与评论通知的退订令牌区分
+const TOKEN_TYPE = 'newsletter';
+
+// 确认链接有效时间（小时）
+const CONFIRM_EXPIRES_HOURS = 48;
+
+// 群发时每批读取的订阅者数量
+const SEND_BATCH_SIZE = 200;
+
+// 发送中的群发邮件超过此时间（分钟）没有进展视为中断
+const STALE_SENDING_MINUTES = 10;
+
+// 定时任务轮询间隔（毫秒）
+const POLL_INTERVAL = parseInt(process.env.NEWSLETTER_SCHEDULER_INTERVAL, 10) || 60 * 1000;
+
+const DIGEST_SETTING_KEY = 'newsletterDigest';
+
+const DEFAULT_DIGEST_CONFIG = {
+  enabled: false,
+  dayOfWeek: 1,
+  hour: 9,
+  subject: '本周新文章',
+  maxPosts: 10,
+  lastRunAt: null
+};
+
+let timer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * 计算确认令牌的哈希，数据库中只保存哈希
+ * @param {string} token - 确认令牌
+ * @returns {string} - SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * 生成退订链接
+ * @param {string} email - 订阅邮箱
+ * @returns {string} - 退订链接
+ */
+const getUnsubscribeUrl = (email) => {
+  const token = createToken({ email, types: [TOKEN_TYPE] }, jwtConfig.JWT_SECRET);
+  return `${server.publicUrl}/api/newsletter/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * 订阅
+ * 已确认的邮箱不重复发送确认邮件；未确认或已退订的邮箱重新生成确认链接
+ * @param {string} email - 规范化后的邮箱
+ * @param {string} ipAddress - 请求IP
+ * @returns {Promise<string>} - 订阅状态 active 或 pending
+ */
+const subscribe = async (email, ipAddress = null) => {
+  try {
+    const [existing] = await query('SELECT id, status FROM newsletter_subscribers WHERE email = ?', [email]);
+    if (existing && existing.status === 'active') {
+      return 'active';
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await query(
+      `INSERT INTO newsletter_subscribers (email, status, confirm_token_hash, confirm_expires, ip_address)
+       VALUES (?, 'pending', ?, DATE_ADD(NOW(), INTERVAL ? HOUR), ?)
+       ON DUPLICATE KEY UPDATE status = 'pending', confirm_token_hash = VALUES(confirm_token_hash),
+         confirm_expires = VALUES(confirm_expires), ip_address = VALUES(ip_address)`,
+      [email, hashToken(token), CONFIRM_EXPIRES_HOURS, ipAddress]
+    );
+
+    const confirmUrl = `${server.publicUrl}/api/newsletter/confirm?token=${token}`;
+    await mailer.sendNewsletterConfirmationEmail(email, confirmUrl, CONFIRM_EXPIRES_HOURS);
+
+    logger.info(`新的订阅请求: ${email}`);
+    return 'pending';
+  } catch (error) {
+    logger.error(`订阅失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 确认订阅
+ * @param {string} token - 确认令牌
+ * @returns {Promise<boolean>} - 是否确认成功
+ */
+const confirm = async (token) => {
+  if (!token || typeof token !== 'string') {
+    return false;
+  }
+
+  try {
+    const result = await query(
+      `UPDATE newsletter_subscribers
+       SET status = 'active', confirmed_at = NOW(), unsubscribed_at = NULL,
+           confirm_token_hash = NULL, confirm_expires = NULL
+       WHERE confirm_token_hash = ? AND confirm_expires > NOW()`,
+      [hashToken(token)]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`确认订阅失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 通过签名链接退订
+ * @param {string} token - 退订令牌
+ * @returns {Promise<string|null>} - 退订的邮箱，令牌无效时返回null
+ */
+const unsubscribe = async (token) => {
+  const data = parseToken(token, jwtConfig.JWT_SECRET);
+  if (!data || !data.email || !data.types.includes(TOKEN_TYPE)) {
+    return null;
+  }
+
+  try {
+    const result = await query(
+      `UPDATE newsletter_subscribers
+       SET status = 'unsubscribed', unsubscribed_at = NOW(), confirm_token_hash = NULL, confirm_expires = NULL
+       WHERE email = ? AND status <> 'unsubscribed'`,
+      [data.email]
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`订阅已退订: ${data.email}`);
+    }
+    return data.email;
+  } catch (error) {
+    logger.error(`退订失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 分页获取订阅者
+ * @param {Object} options - { status, email, page, limit }
+ * @returns {Promise<Object>} - { subscribers, total, stats }
+ */
+const getSubscribers = async ({ status = null, email = '', page = 1, limit = 20 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (email) {
+      conditions.push('email LIKE ?');
+      params.push(`%${email}%`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const subscribers = await query(
+      `SELECT id, email, status, ip_address, confirmed_at, unsubscribed_at, created_at, updated_at
+       FROM newsletter_subscribers
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM newsletter_subscribers ${whereClause}`,
+      params
+    );
+
+    const rows = await query('SELECT status, COUNT(*) as count FROM newsletter_subscribers GROUP BY status');
+    const stats = Object.fromEntries(SUBSCRIBER_STATUSES.map(item => [item, 0]));
+    rows.forEach(row => {
+      stats[row.status] = row.count;
+    });
+
+    return { subscribers, total, stats };
+  } catch (error) {
+    logger.error(`获取订阅者列表失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 删除订阅者及其发送记录
+ * @param {number} id - 订阅者ID
+ * @returns {Promise<boolean>} - 是否删除
+ */
+const deleteSubscriber = async (id) => {
+  try {
+    const result = await query('DELETE FROM newsletter_subscribers WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`删除订阅者失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 根据ID获取群发邮件，包含按发送状态统计的数量
+ * @param {number} id - 群发邮件ID
+ * @returns {Promise<Object|null>} - 群发邮件
+ */
+const getCampaignById = async (id) => {
+  try {
+    const [campaign] = await query('SELECT * FROM newsletter_campaigns WHERE id = ?', [id]);
+    if (!campaign) {
+      return null;
+    }
+
+    // 未能加入发送队列的记录统计为 unqueued
+    const rows = await query(
+      `SELECT COALESCE(o.status, 'unqueued') as status, COUNT(*) as count
+       FROM newsletter_deliveries d
+       LEFT JOIN email_outbox o ON o.id = d.email_outbox_id
+       WHERE d.campaign_id = ?
+       GROUP BY COALESCE(o.status, 'unqueued')`,
+      [id]
+    );
+    campaign.delivery_stats = Object.fromEntries(rows.map(row => [row.status, row.count]));
+
+    return campaign;
+  } catch (error) {
+    logger.error(`获取群发邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 分页获取群发邮件
+ * @param {Object} options - { status, type, page, limit }
+ * @returns {Promise<Object>} - { campaigns, total }
+ */
+const getCampaigns = async ({ status = null, type = null, page = 1, limit = 20 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const campaigns = await query(
+      `SELECT id, type, subject, status, scheduled_at, sent_at, recipient_count, created_by, created_at, updated_at
+       FROM newsletter_campaigns
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM newsletter_campaigns ${whereClause}`,
+      params
+    );
+
+    return { campaigns, total };
+  } catch (error) {
+    logger.error(`获取群发邮件列表失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 创建群发邮件，指定发送时间时进入定时发送，否则保存为草稿
+ * @param {Object} data - { subject, content, scheduledAt, adminId }
+ * @returns {Promise<Object>} - 群发邮件
+ */
+const createCampaign = async ({ subject, content, scheduledAt = null, adminId = null }) => {
+  try {
+    const result = await query(
+      `INSERT INTO newsletter_campaigns (type, subject, content, status, scheduled_at, created_by)
+       VALUES ('broadcast', ?, ?, ?, ?, ?)`,
+      [subject, content, scheduledAt ? 'scheduled' : 'draft', scheduledAt, adminId]
+    );
+
+    return getCampaignById(result.insertId);
+  } catch (error) {
+    logger.error(`创建群发邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 更新未发送的群发邮件
+ * @param {number} id - 群发邮件ID
+ * @param {Object} data - { subject, content, scheduledAt }，scheduledAt 为 null 时取消定时改为草稿
+ * @returns {Promise<Object>} - { campaign } 或 { error, status }
+ */
+const updateCampaign = async (id, { subject, content, scheduledAt }) => {
+  try {
+    const existing = await getCampaignById(id);
+    if (!existing) {
+      return { error: '群发邮件不存在', status: 404 };
+    }
+
+    if (existing.status !== 'draft' && existing.status !== 'scheduled') {
+      return { error: '只能修改草稿或定时发送的群发邮件', status: 400 };
+    }
+
+    const nextScheduledAt = scheduledAt !== undefined ? scheduledAt : existing.scheduled_at;
+
+    const result = await query(
+      `UPDATE newsletter_campaigns
+       SET subject = ?, content = ?, scheduled_at = ?, status = ?
+       WHERE id = ? AND status IN ('draft', 'scheduled')`,
+      [
+        subject !== undefined ? subject : existing.subject,
+        content !== undefined ? content : existing.content,
+        nextScheduledAt,
+        nextScheduledAt ? 'scheduled' : 'draft',
+        id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return { error: '群发邮件已开始发送', status: 400 };
+    }
+
+    return { campaign: await getCampaignById(id) };
+  } catch (error) {
+    logger.error(`更新群发邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 取消未发送的群发邮件
+ * @param {number} id - 群发邮件ID
+ * @returns {Promise<boolean>} - 是否取消
+ */
+const cancelCampaign = async (id) => {
+  try {
+    const result = await query(
+      `UPDATE newsletter_campaigns SET status = 'cancelled'
+       WHERE id = ? AND status IN ('draft', 'scheduled')`,
+      [id]
+    );
+
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`取消群发邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 为订阅者写入发送记录并加入发送队列
+ * 加入队列失败时保留发送记录，由后续的继续发送重试
+ * @param {Object} campaign - 群发邮件
+ * @param {Object} delivery - { id, email }
+ * @returns {Promise<boolean>} - 是否加入发送队列
+ */
+const queueDelivery = async (campaign, delivery) => {
+  try {
+    const outboxId = await mailer.sendNewsletterEmail(delivery.email, campaign.subject, campaign.content, {
+      unsubscribeUrl: getUnsubscribeUrl(delivery.email)
+    });
+
+    await query('UPDATE newsletter_deliveries SET email_outbox_id = ? WHERE id = ?', [outboxId, delivery.id]);
+    return true;
+  } catch (error) {
+    logger.error(`群发邮件加入发送队列失败: #${campaign.id} -> ${delivery.email}, ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * 向所有已确认的订阅者发送群发邮件，调用前群发邮件已处于 sending 状态
+ * 已有发送记录的订阅者会被跳过，因此可以安全地重复执行
+ * @param {Object} campaign - 群发邮件
+ * @returns {Promise<number>} - 收件人数量
+ */
+const deliverCampaign = async (campaign) => {
+  // 先补发此前未能加入队列的记录
+  const unqueued = await query(
+    'SELECT id, email FROM newsletter_deliveries WHERE campaign_id = ? AND email_outbox_id IS NULL',
+    [campaign.id]
+  );
+  for (const delivery of unqueued) {
+    await queueDelivery(campaign, delivery);
+  }
+
+  let lastId = 0;
+  for (;;) {
+    const subscribers = await query(
+      `SELECT id, email FROM newsletter_subscribers
+       WHERE status = 'active' AND id > ?
+       ORDER BY id ASC
+       LIMIT ?`,
+      [lastId, SEND_BATCH_SIZE]
+    );
+
+    if (subscribers.length === 0) {
+      break;
+    }
+
+    for (const subscriber of subscribers) {
+      const result = await query(
+        `INSERT IGNORE INTO newsletter_deliveries (campaign_id, subscriber_id, email)
+         VALUES (?, ?, ?)`,
+        [campaign.id, subscriber.id, subscriber.email]
+      );
+
+      if (result.affectedRows === 1) {
+        await queueDelivery(campaign, { id: result.insertId, email: subscriber.email });
+      }
+    }
+
+    lastId = subscribers[subscribers.length - 1].id;
+
+    // 更新时间表示仍在发送，避免被当作中断的任务
+    await query('UPDATE newsletter_campaigns SET updated_at = NOW() WHERE id = ?', [campaign.id]);
+  }
+
+  const [{ total }] = await query(
+    'SELECT COUNT(*) as total FROM newsletter_deliveries WHERE campaign_id = ?',
+    [campaign.id]
+  );
+
+  await query(
+    `UPDATE newsletter_campaigns SET status = 'sent', sent_at = NOW(), recipient_count = ?
+     WHERE id = ?`,
+    [total, campaign.id]
+  );
+
+  logger.info(`群发邮件已加入发送队列: #${campaign.id}, 收件人 ${total} 个`);
+  return total;
+};
+
+/**
+ * 立即发送草稿或定时发送的群发邮件
+ * @param {number} id - 群发邮件ID
+ * @param {Object} options - { background }，为 true 时领取后在后台发送，立即返回 sending 状态的群发邮件
+ * @returns {Promise<Object>} - { campaign } 或 { error, status }
+ */
+const sendCampaign = async (id, { background = false } = {}) => {
+  try {
+    const claimed = await query(
+      `UPDATE newsletter_campaigns SET status = 'sending'
+       WHERE id = ? AND status IN ('draft', 'scheduled')`,
+      [id]
+    );
+
+    if (claimed.affectedRows === 0) {
+      const existing = await getCampaignById(id);
+      return existing
+        ? { error: '只能发送草稿或定时发送的群发邮件', status: 400 }
+        : { error: '群发邮件不存在', status: 404 };
+    }
+
+    const campaign = await getCampaignById(id);
+
+    if (background) {
+      // 发送失败时群发邮件保持 sending 状态，由定时任务继续发送
+      deliverCampaign(campaign).catch(error => {
+        logger.error(`发送群发邮件失败: #${id}, ${error.message}`);
+      });
+      return { campaign };
+    }
+
+    await deliverCampaign(campaign);
+    return { campaign: await getCampaignById(id) };
+  } catch (error) {
+    logger.error(`发送群发邮件失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 分页获取群发邮件的逐个订阅者发送记录
+ * @param {number} campaignId - 群发邮件ID
+ * @param {Object} options - { status, page, limit }，status 为发送队列中的状态，unqueued 表示未能加入队列
+ * @returns {Promise<Object>} - { deliveries, total }
+ */
+const getDeliveries = async (campaignId, { status = null, page = 1, limit = 50 } = {}) => {
+  try {
+    const conditions = ['d.campaign_id = ?'];
+    const params = [campaignId];
+
+    if (status === 'unqueued') {
+      conditions.push('d.email_outbox_id IS NULL');
+    } else if (status) {
+      conditions.push('o.status = ?');
+      params.push(status);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const deliveries = await query(
+      `SELECT d.id, d.subscriber_id, d.email, d.email_outbox_id, d.created_at,
+              COALESCE(o.status, 'unqueued') as status, o.attempts, o.last_error, o.sent_at
+       FROM newsletter_deliveries d
+       LEFT JOIN email_outbox o ON o.id = d.email_outbox_id
+       ${whereClause}
+       ORDER BY d.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total
+       FROM newsletter_deliveries d
+       LEFT JOIN email_outbox o ON o.id = d.email_outbox_id
+       ${whereClause}`,
+      params
+    );
+
+    return { deliveries, total };
+  } catch (error) {
+    logger.error(`获取群发邮件发送记录失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 解析保存的摘要设置
+ * @param {string|null} value - 设置值
+ * @returns {Object} - 摘要设置
+ */
+const parseDigestConfig = (value) => {
+  if (!value) {
+    return { ...DEFAULT_DIGEST_CONFIG };
+  }
+
+  try {
+    return { ...DEFAULT_DIGEST_CONFIG, ...JSON.parse(value) };
+  } catch (error) {
+    logger.error(`解析文章摘要设置失败: ${error.message}`);
+    return { ...DEFAULT_DIGEST_CONFIG };
+  }
+};
+
+/**
+ * 获取每周文章摘要设置
+ * @returns {Promise<Object>} - { enabled, dayOfWeek, hour, subject, maxPosts, lastRunAt }
+ */
+const getDigestConfig = async () => parseDigestConfig(await settingService.getSetting(DIGEST_SETTING_KEY));
+
+/**
+ * 更新每周文章摘要设置
+ * 首次开启时从当前时间开始计算，不会立即补发
+ * @param {Object} input - { enabled, dayOfWeek, hour, subject, maxPosts }
+ * @returns {Promise<Object>} - { config } 或 { error }
+ */
+const updateDigestConfig = async (input) => {
+  const current = await getDigestConfig();
+  const { enabled, dayOfWeek, hour, subject, maxPosts } = input;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { error: 'enabled必须是布尔值' };
+  }
+  if (dayOfWeek !== undefined && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    return { error: 'dayOfWeek应为0-6的整数，0表示周日' };
+  }
+  if (hour !== undefined && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+    return { error: 'hour应为0-23的整数' };
+  }
+  if (subject !== undefined && (typeof subject !== 'string' || subject.trim() === '' || subject.length > 255)) {
+    return { error: '邮件主题不能为空，且不超过255个字符' };
+  }
+  if (maxPosts !== undefined && !(Number.isInteger(maxPosts) && maxPosts >= 1 && maxPosts <= 50)) {
+    return { error: 'maxPosts应为1-50的整数' };
+  }
+
+  const config = {
+    ...current,
+    ...Object.fromEntries(Object.entries({ enabled, dayOfWeek, hour, maxPosts }).filter(([, value]) => value !== undefined)),
+    subject: subject !== undefined ? subject.trim() : current.subject
+  };
+
+  if (config.enabled && !current.lastRunAt) {
+    config.lastRunAt = new Date().toISOString();
+  }
+
+  await settingService.setSetting(DIGEST_SETTING_KEY, JSON.stringify(config));
+  return { config };
+};
+
+/**
+ * 领取一次摘要执行，多实例同时到期时只有一个实例会成功
+ * @param {string} previousValue - 读取时的设置值
+ * @param {Object} config - 写入的新设置
+ * @returns {Promise<boolean>} - 是否领取成功
+ */
+const claimDigestRun = async (previousValue, config) => {
+  if (previousValue === null) {
+    await settingService.setSetting(DIGEST_SETTING_KEY, JSON.stringify(config));
+    return true;
+  }
+
+  const result = await query(
+    `UPDATE settings SET setting_value = ?, updated_at = NOW()
+     WHERE setting_key = ? AND setting_value = ?`,
+    [JSON.stringify(config), DIGEST_SETTING_KEY, previousValue]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * 生成并发送文章摘要
+ * 没有新文章时跳过本次，但同样记录执行时间
+ * @param {Object} options - { force }，force 为 true 时不检查是否开启和是否到期
+ * @returns {Promise<Object|null>} - 创建的群发邮件，未执行时返回null，没有新文章时返回 { skipped: true }
+ */
+const runDigest = async ({ force = false } = {}) => {
+  const previousValue = await settingService.getSetting(DIGEST_SETTING_KEY);
+  const config = parseDigestConfig(previousValue);
+  const now = new Date();
+
+  if (!force && (!config.enabled || !isDigestDue(now, config.lastRunAt, config))) {
+    return null;
+  }
+
+  const since = getDigestSince(now, config.lastRunAt);
+  if (!(await claimDigestRun(previousValue, { ...config, lastRunAt: now.toISOString() }))) {
+    return null;
+  }
+
+  const posts = await query(
+    `SELECT id, title, slug, excerpt, publish_time, created_at
+     FROM posts
+     WHERE status = 'published' AND COALESCE(publish_time, created_at) > ? AND COALESCE(publish_time, created_at) <= ?
+     ORDER BY COALESCE(publish_time, created_at) DESC
+     LIMIT ?`,
+    [since, now, config.maxPosts]
+  );
+
+  if (posts.length === 0) {
+    logger.info('文章摘要: 上次发送以来没有新文章，跳过本次发送');
+    return { skipped: true };
+  }
+
+  const content = buildDigestContent(posts.map(post => ({
+    title: post.title,
+    url: getPostUrl(post.slug),
+    excerpt: post.excerpt
+  })));
+
+  const result = await query(
+    `INSERT INTO newsletter_campaigns (type, subject, content, status)
+     VALUES ('digest', ?, ?, 'sending')`,
+    [config.subject, content]
+  );
+
+  const campaign = await getCampaignById(result.insertId);
+  await deliverCampaign(campaign);
+
+  return getCampaignById(result.insertId);
+};
+
+/**
+ * 执行到期的定时任务：定时群发、继续中断的群发和每周摘要
+ * @returns {Promise<void>}
+ */
+const runDueTasks = async () => {
+  const dueCampaigns = await query(
+    `SELECT id FROM newsletter_campaigns
+     WHERE status = 'scheduled' AND scheduled_at <= NOW()
+     ORDER BY scheduled_at ASC`
+  );
+
+  for (const campaign of dueCampaigns) {
+    await sendCampaign(campaign.id);
+  }
+
+  const staleCampaigns = await query(
+    `SELECT id FROM newsletter_campaigns
+     WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [STALE_SENDING_MINUTES]
+  );
+
+  for (const stale of staleCampaigns) {
+    // 通过更新时间领取，避免多个实例同时继续发送
+    const claimed = await query(
+      `UPDATE newsletter_campaigns SET updated_at = NOW()
+       WHERE id = ? AND status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [stale.id, STALE_SENDING_MINUTES]
+    );
+
+    if (claimed.affectedRows === 1) {
+      logger.warn(`继续发送中断的群发邮件: #${stale.id}`);
+      await deliverCampaign(await getCampaignById(stale.id));
+    }
+  }
+
+  await runDigest();
+};
+
+/**
+ * 执行一次定时任务并安排下一次执行
+ */
+const tick = async () => {
+  if (running || stopped) {
+    return;
+  }
+
+  running = true;
+
+  try {
+    await runDueTasks();
+  } catch (error) {
+    logger.error(`邮件订阅定时任务执行失败: ${error.message}`);
+  } finally {
+    running = false;
+  }
+
+  if (!stopped) {
+    timer = setTimeout(tick, POLL_INTERVAL);
+
+    // 定时器不阻止进程退出
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+};
+
+/**
+ * 初始化邮件订阅定时任务
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+  if (!stopped) {
+    return;
+  }
+
+  stopped = false;
+  logger.info(`邮件订阅定时任务已启动，轮询间隔 ${POLL_INTERVAL / 1000} 秒`);
+
+  await tick();
+};
+
+/**
+ * 停止邮件订阅定时任务
+ */
+const stop = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  SUBSCRIBER_STATUSES,
+  CAMPAIGN_STATUSES,
+  subscribe,
+  confirm,
+  unsubscribe,
+  getSubscribers,
+  deleteSubscriber,
+  getCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  cancelCampaign,
+  sendCampaign,
+  getDeliveries,
+  getDigestConfig,
+  updateDigestConfig,
+  runDigest,
+  init,
+  stop
+};
@@ -0,0 +1,382 @@
+/**
+ * 评论通知服务
+ * 评论审核通过后通知文章作者、被回复的评论者和被 @ 提及的用户
+ *
+ * 同一条评论对同一收件人只通知一次（收件人同时是文章作者和被回复者时按回复通知），
+ * 一次审核通过多条评论时，同一收件人的通知合并为一封汇总邮件。
+ * 文章作者是管理员(admin_users)，评论者和被提及者是前台用户(public_users)，两者的ID可能相同，
+ * 因此通知偏好和退订令牌都按 用户类型 + 用户ID 区分。
+ */
+const { query } = require('../config/db');
+const { server } = require('../config');
+const jwtConfig = require('../config/jwt');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+const { escapeHtml } = require('../utils/search');
+const { extractMentions } = require('../utils/mention');
+const { createToken, parseToken } = require('../utils/unsubscribeToken');
+const { getPostUrl } = require('../utils/siteUrl');
+
+// 通知类型，与 notification_preferences 的字段对应
+const TYPES = ['post_comment', 'comment_reply', 'mention'];
+
+// 汇总邮件中最多列出的通知数量
+const MAX_DIGEST_ITEMS = 20;
+
+// 邮件中评论内容的最大长度
+const EXCERPT_LENGTH = 300;
+
+/**
+ * 默认通知偏好，全部开启
+ * @returns {Object} - { post_comment, comment_reply, mention }
+ */
+const defaultPreferences = () => Object.fromEntries(TYPES.map(type => [type, true]));
+
+/**
+ * 数据库记录转换为通知偏好
+ * @param {Object} row - notification_preferences 记录
+ * @returns {Object} - 通知偏好
+ */
+const toPreferences = (row) => Object.fromEntries(TYPES.map(type => [type, Boolean(row[type])]));
+
+/**
+ * 生成退订链接
+ * @param {Object} recipient - { userType, userId, email }
+ * @param {string[]} types - 退订的通知类型
+ * @returns {string} - 退订链接
+ */
+const getUnsubscribeUrl = (recipient, types) => {
+  const token = createToken({
+    userType: recipient.userType,
+    userId: recipient.userId || null,
+    email: recipient.userId ? null : recipient.email,
+    types
+  }, jwtConfig.JWT_SECRET);
+
+  return `${server.publicUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * 获取注册用户的通知偏好
+ * @param {number} userId - 用户ID
+ * @param {string} userType - user 或 admin
+ * @returns {Promise<Object>} - 通知偏好
+ */
+const getPreferences = async (userId, userType = 'user') => {
+  try {
+    const [row] = await query(
+      'SELECT * FROM notification_preferences WHERE user_type = ? AND user_id = ?',
+      [userType, userId]
+    );
+    return row ? toPreferences(row) : defaultPreferences();
+  } catch (error) {
+    logger.error(`获取通知偏好失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 保存通知偏好
+ * @param {Object} owner - { userType, userId } 或 { email }
+ * @param {Object} preferences - 完整的通知偏好
+ * @returns {Promise<void>}
+ */
+const savePreferences = async ({ userType = 'user', userId = null, email = null }, preferences) => {
+  const values = TYPES.map(type => (preferences[type] ? 1 : 0));
+
+  await query(
+    `INSERT INTO notification_preferences (user_type, user_id, email, ${TYPES.join(', ')})
+     VALUES (?, ?, ?, ${TYPES.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${TYPES.map(type => `${type} = VALUES(${type})`).join(', ')}`,
+    [userId ? userType : null, userId, userId ? null : email, ...values]
+  );
+};
+
+/**
+ * 更新注册用户的通知偏好，未传入的类型保持不变
+ * @param {number} userId - 用户ID
+ * @param {Object} changes - 要修改的通知偏好
+ * @param {string} userType - user 或 admin
+ * @returns {Promise<Object>} - 更新后的通知偏好
+ */
+const updatePreferences = async (userId, changes, userType = 'user') => {
+  try {
+    const preferences = { ...(await getPreferences(userId, userType)) };
+    for (const type of TYPES) {
+      if (typeof changes[type] === 'boolean') {
+        preferences[type] = changes[type];
+      }
+    }
+
+    await savePreferences({ userType, userId }, preferences);
+    return preferences;
+  } catch (error) {
+    logger.error(`更新通知偏好失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 通过退订链接退订
+ * @param {string} token - 退订令牌
+ * @returns {Promise<string[]|null>} - 已退订的通知类型，令牌无效时返回null
+ */
+const unsubscribe = async (token) => {
+  const data = parseToken(token, jwtConfig.JWT_SECRET);
+  const types = data ? data.types.filter(type => TYPES.includes(type)) : [];
+  if (types.length === 0) {
+    return null;
+  }
+
+  try {
+    const [row] = data.userId
+      ? await query(
+        'SELECT * FROM notification_preferences WHERE user_type = ? AND user_id = ?',
+        [data.userType, data.userId]
+      )
+      : await query('SELECT * FROM notification_preferences WHERE email = ?', [data.email]);
+
+    const preferences = row ? toPreferences(row) : defaultPreferences();
+    types.forEach(type => {
+      preferences[type] = false;
+    });
+
+    await savePreferences(data, preferences);
+    logger.info(`通知已退订: ${data.userId ? `${data.userType}:${data.userId}` : data.email}, 类型=${types.join(',')}`);
+    return types;
+  } catch (error) {
+    logger.error(`退订通知失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 批量读取收件人的通知偏好
+ * @param {Array<Object>} recipients - 收件人 { userType, userId, email }
+ * @returns {Promise<Function>} - 根据收件人返回通知偏好的函数
+ */
+const loadPreferences = async (recipients) => {
+  const userIds = [...new Set(recipients.filter(r => r.userId).map(r => r.userId))];
+  const emails = [...new Set(recipients.filter(r => !r.userId).map(r => r.email))];
+
+  const [userRows, emailRows] = await Promise.all([
+    userIds.length > 0 ? query('SELECT * FROM notification_preferences WHERE user_id IN (?)', [userIds]) : [],
+    emails.length > 0 ? query('SELECT * FROM notification_preferences WHERE email IN (?)', [emails]) : []
+  ]);
+
+  const byUser = new Map(userRows.map(row => [`${row.user_type}:${row.user_id}`, toPreferences(row)]));
+  const byEmail = new Map(emailRows.map(row => [row.email.toLowerCase(), toPreferences(row)]));
+
+  return (recipient) => (
+    recipient.userId ? byUser.get(`${recipient.userType}:${recipient.userId}`) : byEmail.get(recipient.email)
+  ) || defaultPreferences();
+};
+
+/**
+ * 生成一条评论需要发送的通知
+ * 优先级：回复 > 提及 > 文章新评论，评论者本人不会收到通知
+ * @param {Object} comment - 评论及关联信息
+ * @param {Map} mentionedUsers - 用户名到用户的映射
+ * @returns {Array<Object>} - 通知 { type, recipient, comment }
+ */
+const buildNotifications = (comment, mentionedUsers) => {
+  const commenterEmail = (comment.author_email || comment.guest_email || '').toLowerCase();
+  const notifications = [];
+  const notified = new Set();
+
+  // 评论者是前台用户或游客，只和前台用户比较ID
+  const add = (type, userType, userId, email, name) => {
+    const normalized = (email || '').toLowerCase();
+    if (!normalized || notified.has(normalized)) {
+      return;
+    }
+    if ((userType === 'user' && userId && userId === comment.author_id) || normalized === commenterEmail) {
+      return;
+    }
+
+    notified.add(normalized);
+    notifications.push({
+      type,
+      recipient: { userType: userId ? userType : null, userId: userId || null, email: normalized, name },
+      comment
+    });
+  };
+
+  if (comment.parent_id) {
+    add(
+      'comment_reply',
+      'user',
+      comment.parent_author_id,
+      comment.parent_author_id ? comment.parent_email : comment.parent_guest_email,
+      comment.parent_username || comment.parent_guest_name
+    );
+  }
+
+  for (const username of extractMentions(comment.content)) {
+    const user = mentionedUsers.get(username);
+    if (user) {
+      add('mention', 'user', user.id, user.email, user.username);
+    }
+  }
+
+  // 文章作者是管理员，已停用的管理员不再通知
+  if (comment.post_author_active) {
+    add('post_comment', 'admin', comment.post_author_id, comment.post_author_email, comment.post_author_username);
+  }
+
+  return notifications;
+};
+
+/**
+ * 生成邮件中的单条通知内容
+ * @param {Object} notification - 通知
+ * @returns {Object} - { intro, content, url, subject }
+ */
+const describe = ({ type, comment }) => {
+  const commenter = escapeHtml(comment.author_username || comment.guest_name || '游客');
+  const title = escapeHtml(comment.post_title);
+  const text = comment.content.length > EXCERPT_LENGTH
+    ? `${comment.content.substring(0, EXCERPT_LENGTH)}…`
+    : comment.content;
+
+  const descriptions = {
+    post_comment: {
+      intro: `${commenter} 评论了您的文章 <strong>${title}</strong>：`,
+      subject: `您的文章《${comment.post_title}》收到了新评论`
+    },
+    comment_reply: {
+      intro: `${commenter} 回复了您在 <strong>${title}</strong> 中的评论：`,
+      subject: `${comment.author_username || comment.guest_name || '游客'} 回复了您的评论`
+    },
+    mention: {
+      intro: `${commenter} 在 <strong>${title}</strong> 的评论中提到了您：`,
+      subject: `${comment.author_username || comment.guest_name || '游客'} 在评论中提到了您`
+    }
+  };
+
+  return {
+    ...descriptions[type],
+    content: escapeHtml(text).replace(/\n/g, '<br>'),
+    url: `${getPostUrl(comment.post_slug)}#comment-${comment.id}`
+  };
+};
+
+/**
+ * 给同一收件人发送通知，多条时合并为汇总邮件
+ * @param {Array<Object>} notifications - 同一收件人的通知
+ * @returns {Promise<boolean>} - 是否发送成功
+ */
+const sendToRecipient = async (notifications) => {
+  const { recipient } = notifications[0];
+  const username = escapeHtml(recipient.name || recipient.email.split('@')[0]);
+  const types = [...new Set(notifications.map(notification => notification.type))];
+  const unsubscribeUrl = getUnsubscribeUrl(recipient, types);
+
+  if (notifications.length === 1) {
+    const item = describe(notifications[0]);
+    return mailer.sendCommentNotificationEmail(
+      recipient.email,
+      username,
+      escapeHtml(notifications[0].comment.post_title),
+      item.content,
+      item.url,
+      { subject: item.subject, intro: item.intro, unsubscribeUrl }
+    );
+  }
+
+  const items = notifications.slice(0, MAX_DIGEST_ITEMS).map(describe);
+  return mailer.sendCommentDigestEmail(recipient.email, username, items, {
+    unsubscribeUrl,
+    more: notifications.length - items.length
+  });
+};
+
+/**
+ * 评论审核通过后发送通知
+ * 通知失败不影响评论本身，错误只记录日志
+ * @param {number[]} commentIds - 审核通过的评论ID
+ * @returns {Promise<number>} - 发送的通知数量
+ */
+const notifyApprovedComments = async (commentIds) => {
+  try {
+    if (!commentIds || commentIds.length === 0) {
+      return 0;
+    }
+
+    const comments = await query(
+      `SELECT c.id, c.post_id, c.parent_id, c.author_id, c.guest_name, c.guest_email, c.content,
+              u.username as author_username, u.email as author_email,
+              p.title as post_title, p.slug as post_slug, p.author_id as post_author_id,
+              pa.username as post_author_username, pa.email as post_author_email,
+              pa.status = 1 as post_author_active,
+              pc.author_id as parent_author_id, pc.guest_name as parent_guest_name, pc.guest_email as parent_guest_email,
+              pcu.username as parent_username, pcu.email as parent_email
+       FROM comments c
+       JOIN posts p ON p.id = c.post_id
+       LEFT JOIN public_users u ON u.id = c.author_id
+       LEFT JOIN admin_users pa ON pa.id = p.author_id
+       LEFT JOIN comments pc ON pc.id = c.parent_id
+       LEFT JOIN public_users pcu ON pcu.id = pc.author_id
+       WHERE c.id IN (?) AND c.status = 'approved'
+       ORDER BY c.id ASC`,
+      [commentIds]
+    );
+
+    if (comments.length === 0) {
+      return 0;
+    }
+
+    const usernames = [...new Set(comments.flatMap(comment => extractMentions(comment.content)))];
+    const users = usernames.length > 0
+      ? await query('SELECT id, username, email FROM public_users WHERE username IN (?) AND status = 1', [usernames])
+      : [];
+    const mentionedUsers = new Map(users.map(user => [user.username, user]));
+
+    const candidates = comments.flatMap(comment => buildNotifications(comment, mentionedUsers));
+    const getPreferencesOf = await loadPreferences(candidates.map(candidate => candidate.recipient));
+
+    // 发送记录的唯一索引保证重复审核通过同一条评论时不会再次通知
+    const groups = new Map();
+    for (const notification of candidates) {
+      if (!getPreferencesOf(notification.recipient)[notification.type]) {
+        continue;
+      }
+
+      const result = await query(
+        `INSERT IGNORE INTO comment_notification_logs (comment_id, recipient_email, type)
+         VALUES (?, ?, ?)`,
+        [notification.comment.id, notification.recipient.email, notification.type]
+      );
+      if (result.affectedRows === 0) {
+        continue;
+      }
+
+      const group = groups.get(notification.recipient.email) || [];
+      group.push(notification);
+      groups.set(notification.recipient.email, group);
+    }
+
+    let sent = 0;
+    for (const notifications of groups.values()) {
+      if (await sendToRecipient(notifications)) {
+        sent += notifications.length;
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`评论通知已发送: ${sent} 条，${groups.size} 位收件人`);
+    }
+    return sent;
+  } catch (error) {
+    logger.error(`发送评论通知失败: ${error.message}`);
+    return 0;
+  }
+};
+
+module.exports = {
+  TYPES,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+  notifyApprovedComments
+};
@@ -4,6 +4,137 @@
  */
 const { query } = require('../config/db');
 const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const { canActOn } = require('../utils/ownership');
+const { hasScopes } = require('../utils/apiToken');
+const { mergeRolePermissions } = require('../utils/permissionResolver');
+const {
+  buildParentMap,
+  findInheritanceCycle,
+  getDescendantRoleIds,
+  expandInheritedRoles
+} = require('../utils/roleHierarchy');
+const {
+  buildScopeMap,
+  resolveRoleScopes,
+  getPermissionScope,
+  expandCategoryScope
+} = require('../utils/categoryScope');
+const categoryService = require('./categoryService');
+
+// 用户有效权限的缓存时间（秒）。角色或权限变化时会主动清除，过期时间只是兜底
+const PERMISSION_CACHE_TTL = 10 * 60;
+
+const permissionCacheKey = (userType, userId) => `permissions:${userType}:${userId}`;
+
+/**
+ * 清除用户的有效权限缓存
+ * 只在 Redis 中缓存，多个服务实例共用，清除后所有实例立即生效
+ * @param {string} userType - user 或 admin
+ * @param {Array<number>} userIds - 用户ID数组
+ */
+async function invalidateUserPermissions(userType, userIds) {
+  await Promise.all(userIds.map(userId => cacheService.del(permissionCacheKey(userType, userId))));
+}
+
+/**
+ * 获取所有角色的父角色映射
+ * @returns {Promise<Map<number, number[]>>}
+ */
+async function getParentMap() {
+  return buildParentMap(await query('SELECT role_id, parent_role_id FROM role_parents'));
+}
+
+/**
+ * 获取权限会受某个角色影响的用户：直接拥有、临时授权或通过继承拥有该角色
+ * @param {number} roleId - 角色ID
+ * @returns {Promise<Object>} - { user: [用户ID], admin: [管理员ID] }
+ */
+async function getRoleAffectedUsers(roleId) {
+  const roleIds = getDescendantRoleIds(await getParentMap(), Number(roleId));
+  
+  const [users, admins, grants] = await Promise.all([
+    query('SELECT DISTINCT user_id FROM user_roles WHERE role_id IN (?)', [roleIds]),
+    query('SELECT id FROM admin_users WHERE role_id IN (?)', [roleIds]),
+    query(`
+      SELECT DISTINCT user_type, user_id FROM role_grants
+      WHERE role_id IN (?) AND revoked_at IS NULL AND expires_at > NOW()
+    `, [roleIds])
+  ]);
+  
+  const grantedTo = (userType) => grants.filter(grant => grant.user_type === userType).map(grant => grant.user_id);
+  
+  return {
+    user: [...new Set([...users.map(row => row.user_id), ...grantedTo('user')])],
+    admin: [...new Set([...admins.map(row => row.id), ...grantedTo('admin')])]
+  };
+}
+
+/**
+ * 清除权限会受某个角色影响的所有用户的权限缓存
+ * @param {number} roleId - 角色ID
+ */
+async function invalidateRolePermissions(roleId) {
+  try {
+    const { user, admin } = await getRoleAffectedUsers(roleId);
+    
+    await invalidateUserPermissions('user', user);
+    await invalidateUserPermissions('admin', admin);
+    logger.debug(`已清除角色 ${roleId} 相关的权限缓存: 用户${user.length}个, 管理员${admin.length}个`);
+  } catch (error) {
+    logger.error(`清除角色权限缓存失败: ${error.message}`);
+  }
+}
+
+/**
+ * 校验角色的父角色
+ * @param {number|null} roleId - 角色ID，新建角色时为 null
+ * @param {*} parentIds - 父角色ID数组
+ * @returns {Promise<Object>} - { parentIds } 或 { error }
+ */
+async function validateParentIds(roleId, parentIds) {
+  if (!Array.isArray(parentIds)) {
+    return { error: '父角色必须是角色ID数组' };
+  }
+  
+  const ids = [...new Set(parentIds.map(id => parseInt(id, 10)))];
+  if (ids.some(id => isNaN(id))) {
+    return { error: '无效的父角色ID' };
+  }
+  if (ids.length === 0) {
+    return { parentIds: [] };
+  }
+  
+  const roles = await query('SELECT id, code FROM roles');
+  const codes = new Map(roles.map(role => [role.id, role.code]));
+  
+  const missing = ids.filter(id => !codes.has(id));
+  if (missing.length > 0) {
+    return { error: `父角色不存在: ${missing.join(', ')}` };
+  }
+  
+  if (roleId !== null) {
+    const cycle = findInheritanceCycle(await getParentMap(), Number(roleId), ids);
+    if (cycle) {
+      return { error: `角色继承存在循环: ${cycle.map(id => codes.get(id)).join(' -> ')}` };
+    }
+  }
+  
+  return { parentIds: ids };
+}
+
+/**
+ * 设置角色的父角色，替换原有的父角色
+ * @param {number} roleId - 角色ID
+ * @param {number[]} parentIds - 父角色ID数组
+ */
+async function setRoleParents(roleId, parentIds) {
+  await query('DELETE FROM role_parents WHERE role_id = ?', [roleId]);
+  
+  if (parentIds.length > 0) {
+    await query('INSERT INTO role_parents (role_id, parent_role_id) VALUES ?', [parentIds.map(parentId => [roleId, parentId])]);
+  }
+}
 
 /**
  * 获取角色的所有权限
@@ -34,7 +165,9 @@ async function getRolePermissions(roleId) {
 async function getAllRoles() {
   try {
     const sql = 'SELECT id, name, code, description FROM roles';
-    return await query(sql);
+    const [roles, parentMap] = await Promise.all([query(sql), getParentMap()]);
+    
+    return roles.map(role => ({ ...role, parentIds: parentMap.get(role.id) || [] }));
   } catch (error) {
     logger.error(`获取所有角色失败: ${error.message}`);
     throw error;
@@ -123,9 +256,12 @@ async function getRolesWithStats() {
       }
     });
     
+    const parentMap = await getParentMap();
+    
     // 整合数据
     const result = roles.map(role => ({
       ...role,
+      parentIds: parentMap.get(role.id) || [],
       userCount: roleStats.get(role.id) || 0,
       userSources: roleUserSources.get(role.id) || { publicUsers: 0, adminUsers: 0, adminUserRoles: 0 }
     }));
@@ -156,11 +292,12 @@ async function getAllPermissions() {
  * @param {Object} roleData - 角色数据
  * @param {string} roleData.name - 角色名称
  * @param {string} roleData.description - 角色描述
+ * @param {Array<number>} [roleData.parentIds] - 继承的父角色ID
  * @returns {Promise<Object>} 创建结果
  */
 async function createRole(roleData) {
   try {
-    const { name, code, description } = roleData;
+    const { name, code, description, parentIds = [] } = roleData;
     
     // 如果没有提供code，则根据name生成
     const roleCode = code || name.toLowerCase().replace(/\s+/g, '_');
@@ -171,9 +308,16 @@ async function createRole(roleData) {
       return { success: false, message: '角色名或角色代码已存在' };
     }
     
+    const parents = await validateParentIds(null, parentIds);
+    if (parents.error) {
+      return { success: false, message: parents.error };
+    }
+    
     const sql = 'INSERT INTO roles (name, code, description) VALUES (?, ?, ?)';
     const result = await query(sql, [name, roleCode, description]);
     
+    await setRoleParents(result.insertId, parents.parentIds);
+    
     return { 
       success: true, 
       message: '角色创建成功', 
@@ -188,12 +332,12 @@ async function createRole(roleData) {
 /**
  * 更新角色
  * @param {number} roleId - 角色ID
- * @param {Object} roleData - 角色数据
+ * @param {Object} roleData - 角色数据，parentIds 未传入时保持原有的父角色
  * @returns {Promise<Object>} 更新结果
  */
 async function updateRole(roleId, roleData) {
   try {
-    const { name, description } = roleData;
+    const { name, description, parentIds } = roleData;
     
     // 检查角色是否存在
     const existingRole = await query('SELECT id FROM roles WHERE id = ?', [roleId]);
@@ -207,9 +351,24 @@ async function updateRole(roleId, roleData) {
       return { success: false, message: '角色名已被其他角色使用' };
     }
     
+    let parents = null;
+    if (parentIds !== undefined) {
+      parents = await validateParentIds(roleId, parentIds);
+      if (parents.error) {
+        return { success: false, message: parents.error };
+      }
+    }
+    
     const sql = 'UPDATE roles SET name = ?, description = ? WHERE id = ?';
     await query(sql, [name, description, roleId]);
     
+    if (parents) {
+      await setRoleParents(roleId, parents.parentIds);
+    }
+    
+    // 权限来源中包含角色名称，父角色变化时继承的权限也会变化
+    await invalidateRolePermissions(roleId);
+    
     return { success: true, message: '角色更新成功' };
   } catch (error) {
     logger.error(`更新角色失败: ${error.message}`);
@@ -242,6 +401,19 @@ async function deleteRole(roleId) {
       return { success: false, message: '该角色正在被用户使用，无法删除' };
     }
     
+    const [{ count: activeGrants }] = await query(
+      'SELECT COUNT(*) AS count FROM role_grants WHERE role_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [roleId]
+    );
+    if (activeGrants > 0) {
+      return { success: false, message: '该角色有未到期的临时授权，无法删除' };
+    }
+    
+    const children = await query('SELECT role_id FROM role_parents WHERE parent_role_id = ?', [roleId]);
+    if (children.length > 0) {
+      return { success: false, message: '该角色被其他角色继承，无法删除' };
+    }
+    
     // 开始事务
     await query('START TRANSACTION');
     
@@ -249,12 +421,17 @@ async function deleteRole(roleId) {
       // 删除角色权限关联
       await query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
       
+      // 删除角色的父角色关系
+      await query('DELETE FROM role_parents WHERE role_id = ?', [roleId]);
+      
       // 删除角色
       await query('DELETE FROM roles WHERE id = ?', [roleId]);
       
       // 提交事务
       await query('COMMIT');
       
+      await invalidateRolePermissions(roleId);
+      
       return { success: true, message: '角色删除成功' };
     } catch (error) {
       // 回滚事务
@@ -301,6 +478,8 @@ async function assignPermissionsToRole(roleId, permissionIds) {
       // 提交事务
       await query('COMMIT');
       
+      await invalidateRolePermissions(roleId);
+      
       return { success: true, message: '权限分配成功' };
     } catch (error) {
       // 回滚事务
@@ -313,31 +492,343 @@ async function assignPermissionsToRole(roleId, permissionIds) {
   }
 }
 
+/**
+ * 从数据库解析用户的角色和有效权限
+ * 前台用户的角色保存在 user_roles 中，管理员的角色为 admin_users.role_id，超级管理员（role_id = 1）拥有所有权限。
+ * 此外加上未到期的临时授权，以及这些角色继承的父角色；限定了分类范围的角色带有 categoryIds
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} - { roles, permissions }
+ */
+async function resolveUserPermissions(userType, userId) {
+  let directRoles;
+  let rows;
+  
+  if (userType === 'admin') {
+    directRoles = (await query(`
+      SELECT r.id, r.code, r.name
+      FROM admin_users au
+      JOIN roles r ON au.role_id = r.id
+      WHERE au.id = ?
+    `, [userId])).map(role => ({ ...role, source: role.id === 1 ? 'superadmin' : 'admin_users' }));
+  } else {
+    directRoles = (await query(`
+      SELECT r.id, r.code, r.name
+      FROM user_roles ur
+      JOIN roles r ON ur.role_id = r.id
+      WHERE ur.user_id = ?
+    `, [userId])).map(role => ({ ...role, source: 'user_roles' }));
+  }
+  
+  // 同一角色有多条临时授权时以最晚到期的为准
+  const grantedRoles = (await query(`
+    SELECT r.id, r.code, r.name, g.expires_at
+    FROM role_grants g
+    JOIN roles r ON g.role_id = r.id
+    WHERE g.user_type = ? AND g.user_id = ? AND g.revoked_at IS NULL AND g.expires_at > NOW()
+    ORDER BY g.expires_at DESC
+  `, [userType, userId])).map(role => ({
+    id: role.id,
+    code: role.code,
+    name: role.name,
+    source: 'grant',
+    expiresAt: role.expires_at
+  }));
+  
+  if (directRoles.length === 0 && grantedRoles.length === 0) {
+    return { roles: [], permissions: [] };
+  }
+  
+  const [allRoles, parentMap, scopeRows] = await Promise.all([
+    query('SELECT id, code, name FROM roles'),
+    getParentMap(),
+    query('SELECT role_id, category_id FROM role_category_scopes WHERE user_type = ? AND user_id = ?', [userType, userId])
+  ]);
+  const baseRoles = [...directRoles, ...grantedRoles];
+  const roleScopes = resolveRoleScopes(baseRoles.map(role => role.id), parentMap, buildScopeMap(scopeRows));
+  const roles = expandInheritedRoles(
+    baseRoles,
+    parentMap,
+    new Map(allRoles.map(role => [role.id, role]))
+  ).map(role => (roleScopes.get(role.id) ? { ...role, categoryIds: roleScopes.get(role.id) } : role));
+  
+  if (roles.some(role => role.source === 'superadmin')) {
+    rows = await query('SELECT 1 AS role_id, id, name, code, display_name, description FROM permissions');
+  } else {
+    rows = await query(`
+      SELECT rp.role_id, p.id, p.name, p.code, p.display_name, p.description
+      FROM role_permissions rp
+      JOIN permissions p ON rp.permission_id = p.id
+      WHERE rp.role_id IN (?)
+    `, [roles.map(role => role.id)]);
+  }
+  
+  return { roles, permissions: mergeRolePermissions(roles, rows) };
+}
+
+/**
+ * 计算有效权限的缓存时间，不超过最早到期的临时授权
+ * @param {Array} roles - 解析得到的角色
+ * @returns {number} - 秒
+ */
+function getPermissionCacheTtl(roles) {
+  const expiries = roles
+    .filter(role => role.expiresAt)
+    .map(role => Math.ceil((new Date(role.expiresAt).getTime() - Date.now()) / 1000));
+  
+  return Math.max(1, Math.min(PERMISSION_CACHE_TTL, ...expiries));
+}
+
+/**
+ * 获取用户的角色和有效权限，优先读取缓存
+ * Redis 不可用时不缓存：内存缓存无法在其他服务实例上清除，角色变更后会在过期前一直使用旧权限
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} - { roles, permissions }，每个权限带有 sources 说明来自哪些角色
+ */
+async function getEffectivePermissions(userType, userId) {
+  try {
+    if (!cacheService.isShared()) {
+      return await resolveUserPermissions(userType, userId);
+    }
+    
+    const key = permissionCacheKey(userType, userId);
+    const cached = await cacheService.get(key);
+    if (cached) {
+      return cached;
+    }
+    
+    const resolved = await resolveUserPermissions(userType, userId);
+    await cacheService.set(key, resolved, getPermissionCacheTtl(resolved.roles));
+    return resolved;
+  } catch (error) {
+    logger.error(`获取用户有效权限失败: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * 检查用户是否有特定权限
  * @param {number} userId - 用户ID
  * @param {string} permissionCode - 权限代码
+ * @param {string} userType - user 或 admin
  * @returns {Promise<boolean>} 是否有权限
  */
-async function checkUserPermission(userId, permissionCode) {
+async function checkUserPermission(userId, permissionCode, userType = 'user') {
   try {
-    const sql = `
-      SELECT COUNT(*) as count
-      FROM public_users pu
-      JOIN user_roles ur ON pu.id = ur.user_id
-      JOIN role_permissions rp ON ur.role_id = rp.role_id
-      JOIN permissions p ON rp.permission_id = p.id
-      WHERE pu.id = ? AND p.code = ?
-    `;
-    
-    const result = await query(sql, [userId, permissionCode]);
-    return result[0].count > 0;
+    const codes = await getUserPermissionCodes(userType, userId);
+    return codes.includes(permissionCode);
   } catch (error) {
     logger.error(`检查用户权限失败: ${error.message}`);
     return false;
   }
 }
 
+/**
+ * 获取用户拥有的全部权限代码
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<string[]>} 权限代码
+ */
+async function getUserPermissionCodes(userType, userId) {
+  const { permissions } = await getEffectivePermissions(userType, userId);
+  return permissions.map(permission => permission.code);
+}
+
+/**
+ * 判断当前用户是否拥有某项权限
+ * 个人访问令牌还需包含该权限，超级管理员不受限制
+ * @param {Object} user - req.user
+ * @param {string} code - 权限代码
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, code) {
+  try {
+    if (!user) {
+      return false;
+    }
+    
+    if (user.apiToken && !hasScopes(user.apiToken.scopes, [code])) {
+      return false;
+    }
+    
+    if (user.role === 'superadmin') {
+      return true;
+    }
+    
+    const userType = user.role === 'admin' ? 'admin' : 'user';
+    const codes = await getUserPermissionCodes(userType, user.id);
+    return codes.includes(code);
+  } catch (error) {
+    logger.error(`检查权限失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 判断当前用户能否对某个资源执行区分所有者的操作
+ * 个人访问令牌按令牌的权限范围判断，超级管理员不受限制
+ * @param {Object} user - req.user
+ * @param {string} action - 操作，如 post:edit
+ * @param {number|null} ownerId - 资源所有者ID
+ * @returns {Promise<boolean>}
+ */
+async function canActOnResource(user, action, ownerId) {
+  try {
+    if (user.apiToken) {
+      return canActOn(user.apiToken.scopes, action, ownerId, user.id);
+    }
+    
+    if (user.role === 'superadmin') {
+      return true;
+    }
+    
+    const userType = user.role === 'admin' ? 'admin' : 'user';
+    const codes = await getUserPermissionCodes(userType, user.id);
+    return canActOn(codes, action, ownerId, user.id);
+  } catch (error) {
+    logger.error(`检查资源操作权限失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 获取当前用户某项权限生效的分类范围（已展开子分类）
+ * 个人访问令牌还需包含该权限，范围沿用令牌所有者的范围；超级管理员不受限制
+ * @param {Object} user - req.user
+ * @param {string|string[]} codes - 权限代码，拥有其中任一即可
+ * @returns {Promise<number[]|null>} - null 表示不限分类，空数组表示没有该权限
+ */
+async function getCategoryScope(user, codes) {
+  try {
+    const codeList = Array.isArray(codes) ? codes : [codes];
+    
+    if (user.apiToken && !hasScopes(user.apiToken.scopes, codeList)) {
+      return [];
+    }
+    
+    if (user.role === 'superadmin') {
+      return null;
+    }
+    
+    const userType = ['admin', 'superadmin'].includes(user.role) ? 'admin' : 'user';
+    const { permissions } = await getEffectivePermissions(userType, user.id);
+    const scope = getPermissionScope(permissions, codeList);
+    
+    if (scope === null || scope.length === 0) {
+      return scope;
+    }
+    return expandCategoryScope(await categoryService.getCategoryHierarchy(), scope);
+  } catch (error) {
+    logger.error(`获取权限分类范围失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 获取用户各角色限定的分类范围
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} - [{ roleId, roleCode, roleName, categories: [{ id, name }] }]
+ */
+async function getRoleScopes(userType, userId) {
+  try {
+    const rows = await query(`
+      SELECT s.role_id, r.code AS role_code, r.name AS role_name, s.category_id, c.name AS category_name
+      FROM role_category_scopes s
+      JOIN roles r ON s.role_id = r.id
+      LEFT JOIN categories c ON s.category_id = c.id
+      WHERE s.user_type = ? AND s.user_id = ?
+      ORDER BY s.role_id, s.category_id
+    `, [userType, userId]);
+    
+    const scopes = new Map();
+    for (const row of rows) {
+      if (!scopes.has(row.role_id)) {
+        scopes.set(row.role_id, { roleId: row.role_id, roleCode: row.role_code, roleName: row.role_name, categories: [] });
+      }
+      scopes.get(row.role_id).categories.push({ id: row.category_id, name: row.category_name });
+    }
+    
+    return [...scopes.values()];
+  } catch (error) {
+    logger.error(`获取角色分类范围失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 设置用户某个角色的分类范围，替换原有范围，categoryIds 为空时取消限制
+ * @param {Object} input - { userType, userId, roleId, categoryIds }
+ * @param {number} operatorId - 操作的管理员ID
+ * @returns {Promise<Object>} - { success, message }
+ */
+async function setRoleScope({ userType, userId, roleId, categoryIds }, operatorId) {
+  try {
+    if (!['user', 'admin'].includes(userType)) {
+      return { success: false, message: '用户类型必须是 user 或 admin' };
+    }
+    if (!Array.isArray(categoryIds)) {
+      return { success: false, message: '分类范围必须是分类ID数组' };
+    }
+    
+    const ids = [...new Set(categoryIds.map(id => parseInt(id, 10)))];
+    if (ids.some(id => isNaN(id))) {
+      return { success: false, message: '无效的分类ID' };
+    }
+    
+    const users = userType === 'admin'
+      ? await query('SELECT id FROM admin_users WHERE id = ?', [userId])
+      : await query('SELECT id FROM public_users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      return { success: false, message: '用户不存在' };
+    }
+    
+    const roles = await query('SELECT id FROM roles WHERE id = ?', [roleId]);
+    if (roles.length === 0) {
+      return { success: false, message: '角色不存在' };
+    }
+    
+    if (ids.length > 0) {
+      const categories = await query('SELECT id FROM categories WHERE id IN (?)', [ids]);
+      const existing = new Set(categories.map(category => category.id));
+      const missing = ids.filter(id => !existing.has(id));
+      if (missing.length > 0) {
+        return { success: false, message: `分类不存在: ${missing.join(', ')}` };
+      }
+    }
+    
+    await query('START TRANSACTION');
+    
+    try {
+      await query(
+        'DELETE FROM role_category_scopes WHERE user_type = ? AND user_id = ? AND role_id = ?',
+        [userType, userId, roleId]
+      );
+      
+      if (ids.length > 0) {
+        await query(
+          'INSERT INTO role_category_scopes (user_type, user_id, role_id, category_id, created_by) VALUES ?',
+          [ids.map(categoryId => [userType, userId, roleId, categoryId, operatorId])]
+        );
+      }
+      
+      await query('COMMIT');
+    } catch (error) {
+      await query('ROLLBACK');
+      throw error;
+    }
+    
+    await invalidateUserPermissions(userType, [userId]);
+    
+    logger.info(`设置角色分类范围: ${userType}:${userId}, 角色=${roleId}, 分类=${ids.join(',') || '不限'}, 操作人=${operatorId}`);
+    return { success: true, message: ids.length > 0 ? '角色分类范围设置成功' : '已取消角色的分类范围限制' };
+  } catch (error) {
+    logger.error(`设置角色分类范围失败: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * 为用户分配角色
  * @param {number} userId - 用户ID
@@ -370,6 +861,8 @@ async function assignRoleToUser(userId, roleId) {
       // 提交事务
       await query('COMMIT');
       
+      await invalidateUserPermissions('user', [userId]);
+      
       return { success: true, message: '角色分配成功' };
     } catch (error) {
       // 回滚事务
@@ -412,6 +905,8 @@ async function assignRoleToUsers(userIds, roleId) {
       // 提交事务
       await query('COMMIT');
       
+      await invalidateUserPermissions('user', userIds);
+      
       return { 
         success: true, 
         message: `已成功为 ${userIds.length} 个用户分配角色` 
@@ -428,30 +923,14 @@ async function assignRoleToUsers(userIds, roleId) {
 }
 
 /**
- * 获取用户拥有的所有权限
+ * 获取用户拥有的所有权限及其来源
  * @param {number} userId - 用户ID
- * @returns {Promise<Array>} 权限列表
+ * @param {string} userType - user 或 admin
+ * @returns {Promise<Array>} 权限列表，每项带 sources: [{ roleId, roleCode, roleName, via }]
  */
-async function getUserPermissions(userId) {
+async function getUserPermissions(userId, userType = 'user') {
   try {
-    // 查询用户角色
-    const userRoles = await query('SELECT role_id FROM user_roles WHERE user_id = ?', [userId]);
-    
-    if (!userRoles || userRoles.length === 0) {
-      return [];
-    }
-    
-    // 提取角色ID
-    const roleIds = userRoles.map(role => role.role_id);
-    
-    // 查询角色权限
-    const permissions = await query(`
-      SELECT p.id, p.name, p.code, p.display_name, p.description
-      FROM permissions p
-      JOIN role_permissions rp ON p.id = rp.permission_id
-      WHERE rp.role_id IN (?)
-    `, [roleIds]);
-    
+    const { permissions } = await getEffectivePermissions(userType, userId);
     return permissions;
   } catch (error) {
     logger.error(`获取用户权限失败: ${error.message}`);
@@ -469,6 +948,15 @@ module.exports = {
   deleteRole,
   assignPermissionsToRole,
   checkUserPermission,
+  getUserPermissionCodes,
+  getEffectivePermissions,
+  invalidateUserPermissions,
+  invalidateRolePermissions,
+  hasPermission,
+  canActOnResource,
+  getCategoryScope,
+  getRoleScopes,
+  setRoleScope,
   assignRoleToUser,
   assignRoleToUsers,
   getUserPermissions
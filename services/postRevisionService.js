@@ -0,0 +1,228 @@
+/**
+ * 文章修订历史服务
+ * 修订记录只增不改，每次保存文章都会生成一条新的快照
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { diffLines, summarize } = require('../utils/diff');
+
+// 纳入修订历史的文章字段
+const REVISION_FIELDS = ['title', 'content', 'excerpt'];
+
+// 并发保存时版本号冲突的重试次数
+const MAX_INSERT_RETRIES = 5;
+
+/**
+ * 比较两份快照，返回发生变化的字段
+ * @param {Object} before - 修改前的文章
+ * @param {Object} after - 修改后的文章
+ * @returns {string[]} - 变更字段
+ */
+const getChangedFields = (before, after) => {
+  return REVISION_FIELDS.filter(field => (before[field] || '') !== (after[field] || ''));
+};
+
+/**
+ * 创建修订记录
+ * @param {Object} post - 文章快照 (id, title, content, excerpt)
+ * @param {Object} options - 修订选项
+ * @param {number} [options.authorId] - 修订者ID
+ * @param {string[]} [options.changedFields] - 变更字段
+ * @param {number} [options.restoredFrom] - 恢复来源修订ID
+ * @returns {Promise<Object>} - 创建的修订记录
+ */
+const createRevision = async (post, options = {}) => {
+  try {
+    const { authorId = null, changedFields = REVISION_FIELDS, restoredFrom = null } = options;
+
+    // 版本号在插入语句中计算，并发保存时两条语句可能算出同一个版本号，
+    // 由唯一索引拒绝后一条，重新计算版本号再插入
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await query(
+          `INSERT INTO post_revisions
+           (post_id, revision_number, title, content, excerpt, author_id, changed_fields, restored_from)
+           SELECT ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?, ?
+           FROM post_revisions WHERE post_id = ?`,
+          [
+            post.id,
+            post.title,
+            post.content || null,
+            post.excerpt || null,
+            authorId,
+            JSON.stringify(changedFields),
+            restoredFrom,
+            post.id
+          ]
+        );
+
+        return getRevisionById(post.id, result.insertId);
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY' || attempt >= MAX_INSERT_RETRIES) {
+          throw error;
+        }
+        logger.warn(`文章修订版本号冲突，重试: 文章ID=${post.id}, 第${attempt}次`);
+      }
+    }
+  } catch (error) {
+    logger.error(`创建文章修订记录失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 保存文章时记录修订
+ * 历史文章首次修改时，会先把修改前的内容记为基线版本
+ * @param {Object} before - 修改前的文章
+ * @param {Object} after - 修改后的文章
+ * @param {Object} options - 修订选项 (authorId, restoredFrom)
+ * @returns {Promise<Object|null>} - 新的修订记录，没有变更时返回null
+ */
+const recordRevision = async (before, after, options = {}) => {
+  try {
+    const changedFields = getChangedFields(before, after);
+    if (changedFields.length === 0) {
+      return null;
+    }
+
+    const existing = await query(
+      'SELECT COUNT(*) as count FROM post_revisions WHERE post_id = ?',
+      [before.id]
+    );
+
+    if (existing[0].count === 0) {
+      await createRevision(before, { authorId: before.author_id, changedFields: [] });
+    }
+
+    return await createRevision(after, { ...options, changedFields });
+  } catch (error) {
+    logger.error(`记录文章修订失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取文章的修订列表（不含正文）
+ * @param {number} postId - 文章ID
+ * @returns {Promise<Array>} - 修订列表，按版本号倒序
+ */
+const getRevisions = async (postId) => {
+  try {
+    const revisions = await query(
+      `SELECT r.id, r.post_id, r.revision_number, r.title, r.author_id,
+              a.username as author_name, r.changed_fields, r.restored_from, r.created_at
+       FROM post_revisions r
+       LEFT JOIN admin_users a ON r.author_id = a.id
+       WHERE r.post_id = ?
+       ORDER BY r.revision_number DESC`,
+      [postId]
+    );
+
+    return revisions.map(parseRevision);
+  } catch (error) {
+    logger.error(`获取文章修订列表失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取单个修订
+ * @param {number} postId - 文章ID
+ * @param {number} revisionId - 修订ID
+ * @returns {Promise<Object|null>} - 修订记录
+ */
+const getRevisionById = async (postId, revisionId) => {
+  try {
+    const revisions = await query(
+      `SELECT r.*, a.username as author_name
+       FROM post_revisions r
+       LEFT JOIN admin_users a ON r.author_id = a.id
+       WHERE r.post_id = ? AND r.id = ?`,
+      [postId, revisionId]
+    );
+
+    return revisions.length ? parseRevision(revisions[0]) : null;
+  } catch (error) {
+    logger.error(`获取文章修订失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 比较同一文章的两个修订
+ * @param {number} postId - 文章ID
+ * @param {number} fromId - 旧修订ID
+ * @param {number} toId - 新修订ID
+ * @returns {Promise<Object|null>} - 差异结果，任一修订不存在时返回null
+ */
+const diffRevisions = async (postId, fromId, toId) => {
+  try {
+    const [from, to] = await Promise.all([
+      getRevisionById(postId, fromId),
+      getRevisionById(postId, toId)
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const fields = {};
+    const stats = { added: 0, removed: 0 };
+
+    REVISION_FIELDS.forEach(field => {
+      const changes = diffLines(from[field], to[field]);
+      const fieldStats = summarize(changes);
+
+      fields[field] = { changes, ...fieldStats };
+      stats.added += fieldStats.added;
+      stats.removed += fieldStats.removed;
+    });
+
+    return {
+      from: stripContent(from),
+      to: stripContent(to),
+      fields,
+      stats
+    };
+  } catch (error) {
+    logger.error(`比较文章修订失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 解析修订记录中的JSON字段
+ * @param {Object} revision - 数据库记录
+ * @returns {Object} - 修订记录
+ */
+const parseRevision = (revision) => {
+  if (typeof revision.changed_fields === 'string') {
+    try {
+      revision.changed_fields = JSON.parse(revision.changed_fields);
+    } catch (e) {
+      revision.changed_fields = [];
+    }
+  }
+
+  return revision;
+};
+
+/**
+ * 去掉修订中的大字段，只保留元信息
+ * @param {Object} revision - 修订记录
+ * @returns {Object} - 修订元信息
+ */
+const stripContent = (revision) => {
+  const { content, excerpt, ...meta } = revision;
+  return meta;
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  getChangedFields,
+  createRevision,
+  recordRevision,
+  getRevisions,
+  getRevisionById,
+  diffRevisions
+};
@@ -0,0 +1,181 @@
+/**
+ * 文章定时发布服务
+ * 到达发布时间的 scheduled 文章自动发布，到达下线时间的 published 文章自动归档
+ *
+ * 状态保存在数据库中，重启后首次执行会补齐错过的任务；
+ * 每篇文章通过带原状态条件的 UPDATE 切换，多实例同时运行时只有一个实例会成功。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { cacheInvalidationService } = require('./cacheInvalidationService');
+
+// 最长轮询间隔（毫秒）
+const POLL_INTERVAL = parseInt(process.env.POST_SCHEDULER_INTERVAL, 10) || 60 * 1000;
+
+let timer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * 将单篇文章从一个状态切换到另一个状态
+ * @param {number} postId - 文章ID
+ * @param {string} fromStatus - 期望的当前状态
+ * @param {string} toStatus - 目标状态
+ * @param {string} timeColumn - 判断是否到期的时间字段
+ * @returns {Promise<boolean>} - 本实例是否完成了切换
+ */
+const transition = async (postId, fromStatus, toStatus, timeColumn) => {
+  const result = await query(
+    `UPDATE posts SET status = ?, updated_at = NOW()
+     WHERE id = ? AND status = ? AND ${timeColumn} IS NOT NULL AND ${timeColumn} <= NOW()`,
+    [toStatus, postId, fromStatus]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * 执行所有到期的发布和下线任务
+ * @returns {Promise<Object>} - { published: [id], expired: [id] }
+ */
+const runDueTasks = async () => {
+  const published = [];
+  const expired = [];
+
+  const duePosts = await query(
+    `SELECT id FROM posts
+     WHERE status = 'scheduled' AND publish_time IS NOT NULL AND publish_time <= NOW()`
+  );
+
+  for (const post of duePosts) {
+    if (await transition(post.id, 'scheduled', 'published', 'publish_time')) {
+      published.push(post.id);
+    }
+  }
+
+  const expiredPosts = await query(
+    `SELECT id FROM posts
+     WHERE status = 'published' AND expire_time IS NOT NULL AND expire_time <= NOW()`
+  );
+
+  for (const post of expiredPosts) {
+    if (await transition(post.id, 'published', 'archived', 'expire_time')) {
+      expired.push(post.id);
+    }
+  }
+
+  if (published.length > 0 || expired.length > 0) {
+    await cacheInvalidationService.invalidatePosts();
+    logger.info(`定时任务完成: 发布文章 [${published.join(', ')}], 下线文章 [${expired.join(', ')}]`);
+  }
+
+  return { published, expired };
+};
+
+/**
+ * 获取距离下一个待执行任务的毫秒数
+ * @returns {Promise<number|null>} - 没有待执行任务时返回null
+ */
+const getNextDueDelay = async () => {
+  const rows = await query(
+    `SELECT GREATEST(0, TIMESTAMPDIFF(SECOND, NOW(), MIN(due_time))) as seconds
+     FROM (
+       SELECT MIN(publish_time) as due_time FROM posts
+       WHERE status = 'scheduled' AND publish_time IS NOT NULL
+       UNION ALL
+       SELECT MIN(expire_time) as due_time FROM posts
+       WHERE status = 'published' AND expire_time IS NOT NULL
+     ) t`
+  );
+
+  const seconds = rows[0] && rows[0].seconds;
+  return seconds === null || seconds === undefined ? null : seconds * 1000;
+};
+
+/**
+ * 执行一次任务并安排下一次执行
+ * 下一次执行时间取最近到期任务与最长轮询间隔中的较小者
+ */
+const tick = async () => {
+  if (running || stopped) {
+    return;
+  }
+
+  running = true;
+  let delay = POLL_INTERVAL;
+
+  try {
+    await runDueTasks();
+
+    const nextDelay = await getNextDueDelay();
+    if (nextDelay !== null) {
+      // 多等1秒，避免与数据库时钟存在亚秒级误差时提前唤醒
+      delay = Math.min(POLL_INTERVAL, nextDelay + 1000);
+    }
+  } catch (error) {
+    logger.error(`文章定时任务执行失败: ${error.message}`);
+  } finally {
+    running = false;
+  }
+
+  schedule(delay);
+};
+
+/**
+ * 安排下一次执行
+ * @param {number} delay - 延迟毫秒数
+ */
+const schedule = (delay) => {
+  if (stopped) {
+    return;
+  }
+
+  clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+
+  // 定时器不阻止进程退出
+  if (timer.unref) {
+    timer.unref();
+  }
+};
+
+/**
+ * 文章的定时设置变化后立即重新计算下一次执行时间
+ */
+const reschedule = () => {
+  if (!stopped && !running) {
+    schedule(0);
+  }
+};
+
+/**
+ * 初始化定时发布服务
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+  if (!stopped) {
+    return;
+  }
+
+  stopped = false;
+  logger.info(`文章定时发布服务已启动，最长轮询间隔 ${POLL_INTERVAL / 1000} 秒`);
+
+  // 启动时立即执行一次，补齐停机期间错过的任务
+  await tick();
+};
+
+/**
+ * 停止定时发布服务
+ */
+const stop = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  runDueTasks,
+  reschedule,
+  init,
+  stop
+};
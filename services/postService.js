@@ -1,7 +1,165 @@
 const { query, queryWithCache } = require('../config/db');
 const { logger } = require('../utils/logger');
 const slugify = require('slugify');
+const crypto = require('crypto');
+const { cacheService } = require('../utils/cache');
+const { renderMarkdown } = require('../utils/markdown');
 const aiService = require('./aiService');
+const postRevisionService = require('./postRevisionService');
+const postSchedulerService = require('./postSchedulerService');
+const searchIndexService = require('./searchIndexService');
+const sensitiveWordService = require('./sensitiveWordService');
+const { ApiError } = require('../middlewares/error-handler');
+const { cacheInvalidationService } = require('./cacheInvalidationService');
+const { parseQuery, buildBooleanQuery, getHighlightTerms, highlight } = require('../utils/search');
+
+/**
+ * 根据发布时间计算文章状态
+ * 选择发布但发布时间在未来的文章进入 scheduled 状态，由定时任务到点发布
+ * @param {string} status - 请求的状态
+ * @param {Date|string|null} publishedAt - 发布时间
+ * @returns {string} - 实际保存的状态
+ */
+const resolvePublishStatus = (status, publishedAt) => {
+  if (status !== 'published' && status !== 'scheduled') {
+    return status;
+  }
+  
+  return publishedAt && new Date(publishedAt) > new Date() ? 'scheduled' : 'published';
+};
+
+/**
+ * 检查文章中的敏感词
+ * 命中 reject 类时拒绝保存；命中 review 类且未经确认时，文章只能保存为草稿
+ * @param {Object} fields - { title, excerpt, content }
+ * @param {boolean} reviewed - 是否已确认审核类敏感词
+ * @returns {Promise<Object>} - { fields, holdForReview, matches }，fields 中的 mask 类敏感词已替换
+ */
+const filterSensitiveWords = async (fields, reviewed = false) => {
+  const result = await sensitiveWordService.checkFields(fields);
+  
+  if (result.action === 'reject') {
+    throw new ApiError('文章包含敏感词', 400, { words: result.matches });
+  }
+  
+  return {
+    fields: result.fields,
+    holdForReview: result.action === 'review' && !reviewed,
+    matches: result.matches
+  };
+};
+
+/**
+ * 待审核的文章不能发布或定时发布
+ * @param {string} status - 状态
+ * @param {boolean} holdForReview - 是否待审核
+ * @returns {string} - 实际保存的状态
+ */
+const holdStatus = (status, holdForReview) => (
+  holdForReview && (status === 'published' || status === 'scheduled') ? 'draft' : status
+);
+
+// 搜索相关度中标题、摘要、正文的权重
+const RELEVANCE_SQL = `(
+  MATCH(si.title) AGAINST (? IN BOOLEAN MODE) * 3
+  + MATCH(si.excerpt) AGAINST (? IN BOOLEAN MODE) * 2
+  + MATCH(si.content) AGAINST (? IN BOOLEAN MODE)
+)`;
+
+// 命中所有搜索条件的筛选条件
+const SEARCH_MATCH_SQL = 'MATCH(si.title, si.excerpt, si.content) AGAINST (? IN BOOLEAN MODE)';
+
+// 渲染结果缓存时间（秒），正文变化时通过内容哈希失效
+const RENDER_CACHE_TTL = 24 * 60 * 60;
+
+/**
+ * 渲染结果的缓存键
+ * 不放在 posts: 前缀下，避免文章列表缓存失效时一并清除
+ * @param {number} postId - 文章ID
+ * @returns {string} - 缓存键
+ */
+const getRenderCacheKey = (postId) => `post_render:${postId}`;
+
+/**
+ * 计算正文哈希
+ * @param {string|null} content - 正文
+ * @returns {string} - md5 哈希
+ */
+const hashContent = (content) => crypto.createHash('md5').update(content || '').digest('hex');
+
+/**
+ * 渲染文章正文并写入缓存
+ * @param {Object} post - 文章记录 (id, content)
+ * @returns {Promise<Object>} - { html, toc, wordCount, readingTime }
+ */
+const refreshRenderedContent = async (post) => {
+  const rendered = { hash: hashContent(post.content), ...renderMarkdown(post.content) };
+  
+  await cacheService.set(getRenderCacheKey(post.id), rendered, RENDER_CACHE_TTL);
+  
+  return rendered;
+};
+
+/**
+ * 获取文章正文的渲染结果，缓存中的内容哈希与当前正文不一致时重新渲染
+ * @param {Object} post - 文章记录 (id, content)
+ * @returns {Promise<Object>} - { html, toc, wordCount, readingTime }
+ */
+const getRenderedContent = async (post) => {
+  try {
+    const cached = await cacheService.get(getRenderCacheKey(post.id));
+    
+    const rendered = cached && cached.hash === hashContent(post.content)
+      ? cached
+      : await refreshRenderedContent(post);
+    const { html, toc, wordCount, readingTime } = rendered;
+    
+    return { html, toc, wordCount, readingTime };
+  } catch (error) {
+    logger.error(`渲染文章内容失败: ID=${post.id}, ${error.message}`);
+    throw error;
+  }
+};
+
+// 相关文章评分：每个相同标签、相同分类的得分，以及新近度加分
+const RELATED_TAG_WEIGHT = 3;
+const RELATED_CATEGORY_WEIGHT = 1;
+const RELATED_RECENCY_WEIGHT = 2;
+
+// 新近度加分的半衰期（天），发布时间每过一个半衰期加分减半
+const RELATED_RECENCY_HALF_LIFE = 30;
+
+// 相关文章最多返回条数，缓存按该数量保存
+const MAX_RELATED_POSTS = 10;
+
+// 相关文章缓存时间（秒）
+const RELATED_CACHE_TTL = 60 * 60;
+
+/**
+ * 相关文章的缓存键
+ * 使用 posts: 前缀，文章发布、更新时随文章缓存一起失效
+ * @param {number} postId - 文章ID
+ * @returns {string} - 缓存键
+ */
+const getRelatedCacheKey = (postId) => `posts:related:${postId}`;
+
+/**
+ * 限定文章所属分类的查询条件，用于分类范围受限的编辑
+ * @param {number[]|null|undefined} categoryScope - 分类ID数组，null 或未传入表示不限
+ * @param {Array} whereConditions - 查询条件
+ * @param {Array} params - 查询参数
+ */
+const addCategoryScopeCondition = (categoryScope, whereConditions, params) => {
+  if (!Array.isArray(categoryScope)) {
+    return;
+  }
+  if (categoryScope.length === 0) {
+    whereConditions.push('1 = 0');
+    return;
+  }
+  whereConditions.push('EXISTS (SELECT 1 FROM post_categories pcs WHERE pcs.post_id = p.id AND pcs.category_id IN (?))');
+  params.push(categoryScope);
+};
 
 /**
  * 创建文章
@@ -11,15 +169,30 @@ const aiService = require('./aiService');
 const createPost = async (postData) => {
   try {
     const { 
-      title, 
-      content, 
-      excerpt, 
       featuredImage, 
       status, 
       authorId, 
-      generateAiSummary = false 
+      publishedAt = null,
+      expiresAt = null,
+      generateAiSummary = false,
+      sensitiveReviewed = false
     } = postData;
     
+    const filtered = await filterSensitiveWords({
+      title: postData.title,
+      content: postData.content,
+      excerpt: postData.excerpt
+    }, sensitiveReviewed);
+    const { title, content, excerpt } = filtered.fields;
+    
+    const finalStatus = holdStatus(resolvePublishStatus(status || 'draft', publishedAt), filtered.holdForReview);
+    
+    // 直接发布且未指定时间的文章以当前时间作为发布时间
+    let publishTime = publishedAt ? new Date(publishedAt) : null;
+    if (!publishTime && finalStatus === 'published') {
+      publishTime = new Date();
+    }
+    
     // 生成slug
     let slug = slugify(title, {
       lower: true,      // 转换为小写
@@ -44,8 +217,8 @@ const createPost = async (postData) => {
     
     const sql = `
       INSERT INTO posts 
-      (title, slug, content, excerpt, featured_image, status, author_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (title, slug, content, excerpt, featured_image, status, author_id, publish_time, expire_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const result = await query(sql, [
@@ -54,15 +227,44 @@ const createPost = async (postData) => {
       content,
       finalExcerpt || null,
       featuredImage || null,
-      status || 'draft',
-      authorId || null
+      finalStatus,
+      authorId || null,
+      publishTime,
+      expiresAt ? new Date(expiresAt) : null
     ]);
     
     if (result.affectedRows === 0) {
       throw new Error('文章创建失败');
     }
     
-    return getPostById(result.insertId);
+    if (finalStatus === 'scheduled' || expiresAt) {
+      postSchedulerService.reschedule();
+    }
+    
+    const post = await getPostById(result.insertId);
+    
+    if (filtered.holdForReview) {
+      post.sensitive_review = filtered.matches;
+      logger.warn(`文章包含待审核的敏感词，已保存为草稿: ID=${post.id}`);
+    }
+    
+    // 记录初始版本
+    try {
+      await postRevisionService.createRevision(post, { authorId: authorId || null });
+    } catch (revisionError) {
+      logger.error(`记录文章初始版本失败: ID=${post.id}, ${revisionError.message}`);
+    }
+    
+    try {
+      await searchIndexService.indexPost(post);
+    } catch (indexError) {
+      logger.error(`建立文章搜索索引失败: ID=${post.id}, ${indexError.message}`);
+    }
+    
+    // 文章列表、相关文章和站点地图随之失效
+    await cacheInvalidationService.invalidatePosts();
+    
+    return post;
   } catch (error) {
     logger.error(`创建文章失败: ${error.message}`);
     throw error;
@@ -193,6 +395,20 @@ const getPostBySlug = async (slug) => {
     const categories = await query(categoriesSql, [post.id]);
     post.categories = categories;
     
+    // 获取文章的标签
+    const tagsSql = `
+      SELECT t.id, t.name, t.slug
+      FROM tags t
+      JOIN post_tags pt ON t.id = pt.tag_id
+      WHERE pt.post_id = ?
+    `;
+    
+    const tags = await query(tagsSql, [post.id]);
+    post.tags = tags;
+    
+    // 为了兼容前端，添加category_id字段
+    post.category_id = categories.length > 0 ? categories[0].id : null;
+    
     return post;
   } catch (error) {
     logger.error(`通过slug获取文章失败: ${error.message}`);
@@ -202,7 +418,7 @@ const getPostBySlug = async (slug) => {
 
 /**
  * 获取所有文章
- * @param {Object} options - 分页和筛选选项
+ * @param {Object} options - 分页和筛选选项，categoryScope 限定文章所属的分类
  * @returns {Promise<Array>} - 文章记录数组
  */
 const getAllPosts = async (options = {}) => {
@@ -213,7 +429,9 @@ const getAllPosts = async (options = {}) => {
       search = '', 
       status = null,
       categoryId = null,
+      tagId = null,
       authorId = null,
+      categoryScope = null,
       sortBy = 'created_at',
       sortOrder = 'DESC'
     } = options;
@@ -232,6 +450,15 @@ const getAllPosts = async (options = {}) => {
       }
     }
     
+    // 验证tagId (如果存在)
+    let tagIdParam = null;
+    if (tagId !== null) {
+      tagIdParam = parseInt(tagId, 10);
+      if (isNaN(tagIdParam)) {
+        logger.warn(`无效的标签ID: ${tagId}, 使用null替代`);
+      }
+    }
+    
     // 验证authorId (如果存在)
     let authorIdParam = null;
     if (authorId !== null) {
@@ -241,29 +468,43 @@ const getAllPosts = async (options = {}) => {
       }
     }
     
-    // 构建SQL查询 - 修复分类关联
+    // 解析搜索关键词，搜索时关联全文索引并计算相关度
+    const searchQuery = search ? buildBooleanQuery(parseQuery(search)) : null;
+    
+    // 构建SQL查询 - 只关联第一个分类，避免多分类文章重复出现
     let sql = `
       SELECT p.*,
              u.username as author_name,
              c.name as category_name,
-             c.slug as category_slug
+             c.slug as category_slug${searchQuery ? `,
+             ${RELEVANCE_SQL} as relevance` : ''}
       FROM posts p
       LEFT JOIN public_users u ON p.author_id = u.id
-      LEFT JOIN post_categories pc ON p.id = pc.post_id
-      LEFT JOIN categories c ON pc.category_id = c.id
+      LEFT JOIN categories c ON c.id = (
+        SELECT MIN(pc.category_id) FROM post_categories pc WHERE pc.post_id = p.id
+      )
+      ${searchQuery ? 'JOIN post_search_index si ON si.post_id = p.id' : ''}
     `;
     
     const whereConditions = [];
-    const params = [];
+    const params = searchQuery ? [searchQuery.rank, searchQuery.rank, searchQuery.rank] : [];
     
     if (categoryIdParam && !isNaN(categoryIdParam)) {
-      whereConditions.push('pc.category_id = ?');
+      whereConditions.push('EXISTS (SELECT 1 FROM post_categories pc2 WHERE pc2.post_id = p.id AND pc2.category_id = ?)');
       params.push(categoryIdParam);
     }
     
-    if (search) {
-      whereConditions.push('(p.title LIKE ? OR p.content LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
+    if (tagIdParam && !isNaN(tagIdParam)) {
+      whereConditions.push('EXISTS (SELECT 1 FROM post_tags pt WHERE pt.post_id = p.id AND pt.tag_id = ?)');
+      params.push(tagIdParam);
+    }
+    
+    if (searchQuery) {
+      whereConditions.push(SEARCH_MATCH_SQL);
+      params.push(searchQuery.filter);
+    } else if (search) {
+      // 关键词中只有排除词或运算符，没有可匹配的内容
+      whereConditions.push('1 = 0');
     }
     
     if (status) {
@@ -276,12 +517,14 @@ const getAllPosts = async (options = {}) => {
       params.push(authorIdParam);
     }
     
+    addCategoryScopeCondition(categoryScope, whereConditions, params);
+    
     if (whereConditions.length > 0) {
       sql += ' WHERE ' + whereConditions.join(' AND ');
     }
     
     // 确保排序字段安全
-    const safeSortBy = ['id', 'title', 'created_at', 'updated_at', 'view_count', 'like_count'].includes(sortBy) 
+    const safeSortBy = ['id', 'title', 'created_at', 'updated_at', 'view_count', 'like_count', 'publish_time'].includes(sortBy) 
       ? sortBy 
       : 'created_at';
     
@@ -290,8 +533,12 @@ const getAllPosts = async (options = {}) => {
       ? sortOrder.toUpperCase()
       : 'DESC';
     
-    // 添加排序
-    sql += ` ORDER BY p.${safeSortBy} ${safeSortOrder}`;
+    // 添加排序，按相关度排序仅在搜索时有效
+    if (sortBy === 'relevance' && searchQuery) {
+      sql += ` ORDER BY relevance DESC, p.created_at DESC`;
+    } else {
+      sql += ` ORDER BY p.${safeSortBy} ${safeSortOrder}`;
+    }
     
     // 添加分页，使用简单的字符串插值而不是参数化查询处理LIMIT/OFFSET
     sql += ` LIMIT ${limitNum} OFFSET ${offset}`;
@@ -341,11 +588,21 @@ const getAllPosts = async (options = {}) => {
  * 更新文章
  * @param {number} postId - 文章ID
  * @param {Object} postData - 更新的文章数据
+ * @param {number} [postData.editorId] - 修改者ID，记录到修订历史
+ * @param {number} [postData.restoredFrom] - 从哪个修订恢复，记录到修订历史
  * @returns {Promise<Object|null>} - 更新后的文章记录
  */
 const updatePost = async (postId, postData) => {
   try {
-    const { title, content, excerpt, featuredImage, status } = postData;
+    const {
+      featuredImage,
+      status,
+      publishedAt,
+      expiresAt,
+      editorId = null,
+      restoredFrom = null,
+      sensitiveReviewed = false
+    } = postData;
     
     // 检查文章是否存在
     const existingPost = await getPostById(postId);
@@ -353,6 +610,13 @@ const updatePost = async (postId, postData) => {
       throw new Error('文章不存在');
     }
     
+    const filtered = await filterSensitiveWords({
+      title: postData.title,
+      content: postData.content,
+      excerpt: postData.excerpt
+    }, sensitiveReviewed);
+    const { title, content, excerpt } = filtered.fields;
+    
     // 准备更新字段
     const updates = [];
     const params = [];
@@ -389,9 +653,26 @@ const updatePost = async (postId, postData) => {
       params.push(featuredImage);
     }
     
-    if (status !== undefined) {
+    // 发布时间：未传入时沿用原值，直接发布且从未设置过时使用当前时间
+    const nextPublishTime = publishedAt !== undefined ? publishedAt : existingPost.publish_time;
+    const nextStatus = holdStatus(resolvePublishStatus(
+      status !== undefined ? status : existingPost.status,
+      nextPublishTime
+    ), filtered.holdForReview);
+    
+    if (nextStatus !== existingPost.status) {
       updates.push('status = ?');
-      params.push(status);
+      params.push(nextStatus);
+    }
+    
+    if (publishedAt !== undefined || (nextStatus === 'published' && !nextPublishTime)) {
+      updates.push('publish_time = ?');
+      params.push(nextPublishTime ? new Date(nextPublishTime) : (nextStatus === 'published' ? new Date() : null));
+    }
+    
+    if (expiresAt !== undefined) {
+      updates.push('expire_time = ?');
+      params.push(expiresAt ? new Date(expiresAt) : null);
     }
     
     if (updates.length === 0) {
@@ -409,18 +690,92 @@ const updatePost = async (postId, postData) => {
       throw new Error('文章更新失败');
     }
     
+    if (nextStatus === 'scheduled' || publishedAt !== undefined || expiresAt !== undefined) {
+      postSchedulerService.reschedule();
+    }
+    
     // 如果有分类更新
     if (postData.categories && Array.isArray(postData.categories)) {
       await updatePostCategories(postId, postData.categories);
     }
     
-    return getPostById(postId);
+    // 如果有标签更新
+    if (postData.tags && Array.isArray(postData.tags)) {
+      await updatePostTags(postId, postData.tags);
+    }
+    
+    const updatedPost = await getPostById(postId);
+    
+    // 正文变化时立即重新渲染，避免首个访客承担渲染开销
+    if (content !== undefined && content !== existingPost.content) {
+      try {
+        await refreshRenderedContent(updatedPost);
+      } catch (renderError) {
+        logger.error(`渲染文章内容失败: ID=${postId}, ${renderError.message}`);
+      }
+    }
+    
+    // 标题、摘要或正文变化时更新搜索索引
+    if (postRevisionService.getChangedFields(existingPost, updatedPost).length > 0) {
+      try {
+        await searchIndexService.indexPost(updatedPost);
+      } catch (indexError) {
+        logger.error(`更新文章搜索索引失败: ID=${postId}, ${indexError.message}`);
+      }
+    }
+    
+    // 文章已保存成功，修订记录失败只记录日志
+    try {
+      await postRevisionService.recordRevision(existingPost, updatedPost, {
+        authorId: editorId,
+        restoredFrom
+      });
+    } catch (revisionError) {
+      logger.error(`记录文章修订失败: ID=${postId}, ${revisionError.message}`);
+    }
+    
+    await cacheInvalidationService.invalidatePosts();
+    
+    if (filtered.holdForReview) {
+      updatedPost.sensitive_review = filtered.matches;
+      logger.warn(`文章包含待审核的敏感词，未发布: ID=${postId}`);
+    }
+    
+    return updatedPost;
   } catch (error) {
     logger.error(`更新文章失败: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * 将文章恢复到指定修订
+ * 恢复操作本身会生成一条新的修订，原有历史保持不变
+ * @param {number} postId - 文章ID
+ * @param {number} revisionId - 修订ID
+ * @param {number} editorId - 操作者ID
+ * @returns {Promise<Object|null>} - 恢复后的文章，修订不存在时返回null
+ */
+const restorePostRevision = async (postId, revisionId, editorId) => {
+  try {
+    const revision = await postRevisionService.getRevisionById(postId, revisionId);
+    if (!revision) {
+      return null;
+    }
+    
+    return await updatePost(postId, {
+      title: revision.title,
+      content: revision.content,
+      excerpt: revision.excerpt,
+      editorId,
+      restoredFrom: revision.id
+    });
+  } catch (error) {
+    logger.error(`恢复文章修订失败: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * 更新文章分类
  * @param {number} postId - 文章ID
@@ -445,6 +800,8 @@ const updatePostCategories = async (postId, categoryIds) => {
       await query(sql, params);
     }
     
+    await cacheService.del(getRelatedCacheKey(postId));
+    
     return true;
   } catch (error) {
     logger.error(`更新文章分类失败: ${error.message}`);
@@ -476,6 +833,8 @@ const updatePostTags = async (postId, tagIds) => {
       await query(sql, params);
     }
     
+    await cacheService.del(getRelatedCacheKey(postId));
+    
     return true;
   } catch (error) {
     logger.error(`更新文章标签失败: ${error.message}`);
@@ -493,9 +852,15 @@ const deletePost = async (postId) => {
     // 删除文章的分类关联
     await query('DELETE FROM post_categories WHERE post_id = ?', [postId]);
     
+    // 删除文章的搜索索引
+    await searchIndexService.removePost(postId);
+    
     // 删除文章
     const result = await query('DELETE FROM posts WHERE id = ?', [postId]);
     
+    await cacheService.del(getRenderCacheKey(postId));
+    await cacheInvalidationService.invalidatePosts();
+    
     return result.affectedRows > 0;
   } catch (error) {
     logger.error(`删除文章失败: ${error.message}`);
@@ -505,7 +870,7 @@ const deletePost = async (postId) => {
 
 /**
  * 获取文章总数
- * @param {Object} options - 筛选选项
+ * @param {Object} options - 筛选选项，categoryScope 限定文章所属的分类
  * @returns {Promise<number>} - 文章总数
  */
 const getPostsCount = async (options = {}) => {
@@ -514,7 +879,9 @@ const getPostsCount = async (options = {}) => {
       search = '', 
       status = null,
       categoryId = null,
-      authorId = null 
+      tagId = null,
+      authorId = null,
+      categoryScope = null
     } = options;
     
     let sql = 'SELECT COUNT(*) as count FROM posts p';
@@ -528,9 +895,20 @@ const getPostsCount = async (options = {}) => {
       params.push(categoryId);
     }
     
+    if (tagId) {
+      whereConditions.push('EXISTS (SELECT 1 FROM post_tags pt WHERE pt.post_id = p.id AND pt.tag_id = ?)');
+      params.push(tagId);
+    }
+    
     if (search) {
-      whereConditions.push('(p.title LIKE ? OR p.content LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
+      const searchQuery = buildBooleanQuery(parseQuery(search));
+      if (searchQuery) {
+        sql += ' JOIN post_search_index si ON si.post_id = p.id';
+        whereConditions.push(SEARCH_MATCH_SQL);
+        params.push(searchQuery.filter);
+      } else {
+        whereConditions.push('1 = 0');
+      }
     }
     
     if (status) {
@@ -543,6 +921,8 @@ const getPostsCount = async (options = {}) => {
       params.push(authorId);
     }
     
+    addCategoryScopeCondition(categoryScope, whereConditions, params);
+    
     if (whereConditions.length > 0) {
       sql += ' WHERE ' + whereConditions.join(' AND ');
     }
@@ -574,9 +954,10 @@ const incrementViewCount = async (postId) => {
 
 /**
  * 搜索文章
- * @param {string} keyword - 搜索关键词
+ * 按相关度排序，标题命中的权重高于摘要和正文，并返回高亮后的标题和正文片段
+ * @param {string} keyword - 搜索关键词，支持多个词语、"短语" 和 -排除词
  * @param {Object} options - 分页选项
- * @returns {Promise<Array>} - 搜索结果
+ * @returns {Promise<Object>} - { total, posts }
  */
 const searchPosts = async (keyword, options = {}) => {
   try {
@@ -591,34 +972,52 @@ const searchPosts = async (keyword, options = {}) => {
     const limitNum = parseInt(limit, 10);
     const offset = (pageNum - 1) * limitNum;
     
-    // 构建SQL查询
-    let sql = `
-      SELECT p.*, u.username as author_name
-      FROM posts p
-      LEFT JOIN public_users u ON p.author_id = u.id
-      WHERE (p.title LIKE ? OR p.content LIKE ? OR p.excerpt LIKE ?)
-    `;
+    const parsed = parseQuery(keyword);
+    const searchQuery = buildBooleanQuery(parsed);
     
-    const params = [
-      `%${keyword}%`, 
-      `%${keyword}%`, 
-      `%${keyword}%`
-    ];
+    if (!searchQuery) {
+      return { total: 0, posts: [] };
+    }
+    
+    let where = `WHERE ${SEARCH_MATCH_SQL}`;
+    const whereParams = [searchQuery.filter];
     
     if (status) {
-      sql += ' AND p.status = ?';
-      params.push(status);
+      where += ' AND p.status = ?';
+      whereParams.push(status);
     }
     
-    // 添加排序和分页
-    sql += ` ORDER BY p.created_at DESC LIMIT ${limitNum} OFFSET ${offset}`;
+    const countResult = await query(
+      `SELECT COUNT(*) as count
+       FROM post_search_index si
+       JOIN posts p ON p.id = si.post_id
+       ${where}`,
+      whereParams
+    );
+    const total = countResult[0].count;
+    
+    if (total === 0) {
+      return { total, posts: [] };
+    }
+    
+    const sql = `
+      SELECT p.*, u.username as author_name,
+             si.content as search_text,
+             ${RELEVANCE_SQL} as relevance
+      FROM post_search_index si
+      JOIN posts p ON p.id = si.post_id
+      LEFT JOIN public_users u ON p.author_id = u.id
+      ${where}
+      ORDER BY relevance DESC, p.created_at DESC
+      LIMIT ${limitNum} OFFSET ${offset}
+    `;
     
     logger.debug(`执行搜索查询: ${sql}`);
-    logger.debug(`参数: ${JSON.stringify(params)}`);
+    logger.debug(`参数: ${searchQuery.filter}`);
     
-    const posts = await query(sql, params);
+    const posts = await query(sql, [searchQuery.rank, searchQuery.rank, searchQuery.rank, ...whereParams]);
+    const highlightTerms = getHighlightTerms(parsed);
     
-    // 获取每篇文章的分类
     for (const post of posts) {
       const categoriesSql = `
         SELECT c.id, c.name, c.slug
@@ -629,9 +1028,19 @@ const searchPosts = async (keyword, options = {}) => {
       
       const categories = await query(categoriesSql, [post.id]);
       post.categories = categories;
+      
+      // 正文没有命中时使用摘要生成片段
+      const snippet = highlight(post.search_text, highlightTerms);
+      post.highlight = {
+        title: highlight(post.title, highlightTerms, { length: Infinity }),
+        content: snippet.includes('<mark>') || !post.excerpt
+          ? snippet
+          : highlight(post.excerpt, highlightTerms)
+      };
+      delete post.search_text;
     }
     
-    return posts;
+    return { total, posts };
   } catch (error) {
     logger.error(`搜索文章失败: ${error.message}`);
     throw error;
@@ -685,6 +1094,90 @@ const getHotPosts = async (limit = 5) => {
   }
 };
 
+/**
+ * 获取相关文章
+ * 按相同标签、相同分类的数量加权打分，并对新近发布的文章加分；
+ * 相关文章不足时用热门文章补齐
+ * @param {number} postId - 文章ID
+ * @param {number} limit - 返回文章数量，最多 MAX_RELATED_POSTS
+ * @returns {Promise<Array>} - 相关文章数组，每篇文章带有 related_score，补齐的热门文章为 null
+ */
+const getRelatedPosts = async (postId, limit = 5) => {
+  try {
+    const limitInt = Math.min(Math.max(Math.floor(Number(limit)) || 5, 1), MAX_RELATED_POSTS);
+    const cacheKey = getRelatedCacheKey(postId);
+    
+    let related = await cacheService.get(cacheKey);
+    
+    if (!related) {
+      const sql = `
+        SELECT p.*, u.username as author_name,
+               m.tag_matches, m.category_matches,
+               (m.tag_matches * ${RELATED_TAG_WEIGHT}
+                + m.category_matches * ${RELATED_CATEGORY_WEIGHT}
+                + ${RELATED_RECENCY_WEIGHT} * POW(0.5,
+                    TIMESTAMPDIFF(DAY, COALESCE(p.publish_time, p.created_at), NOW()) / ${RELATED_RECENCY_HALF_LIFE})
+               ) as related_score
+        FROM (
+          SELECT post_id,
+                 CAST(SUM(is_tag) AS UNSIGNED) as tag_matches,
+                 CAST(SUM(1 - is_tag) AS UNSIGNED) as category_matches
+          FROM (
+            SELECT pt.post_id, 1 as is_tag
+            FROM post_tags pt
+            WHERE pt.tag_id IN (SELECT tag_id FROM post_tags WHERE post_id = ?)
+            UNION ALL
+            SELECT pc.post_id, 0 as is_tag
+            FROM post_categories pc
+            WHERE pc.category_id IN (SELECT category_id FROM post_categories WHERE post_id = ?)
+          ) overlap
+          WHERE post_id <> ?
+          GROUP BY post_id
+        ) m
+        JOIN posts p ON p.id = m.post_id
+        LEFT JOIN public_users u ON p.author_id = u.id
+        WHERE p.status = 'published'
+        ORDER BY related_score DESC, p.created_at DESC
+        LIMIT ${MAX_RELATED_POSTS}
+      `;
+      
+      related = await query(sql, [postId, postId, postId]);
+      
+      // 相关文章不足时用热门文章补齐，多取几篇以便排除重复
+      if (related.length < MAX_RELATED_POSTS) {
+        const excluded = new Set([Number(postId), ...related.map(post => post.id)]);
+        const hotPosts = await getHotPosts(MAX_RELATED_POSTS + excluded.size);
+        
+        hotPosts
+          .filter(post => !excluded.has(post.id))
+          .slice(0, MAX_RELATED_POSTS - related.length)
+          .forEach(post => related.push({ ...post, related_score: null }));
+      }
+      
+      for (const post of related) {
+        if (!post.categories) {
+          post.categories = await query(
+            `SELECT c.id, c.name, c.slug
+             FROM categories c
+             JOIN post_categories pc ON c.id = pc.category_id
+             WHERE pc.post_id = ?`,
+            [post.id]
+          );
+        }
+        // 列表中不需要正文
+        delete post.content;
+      }
+      
+      await cacheService.set(cacheKey, related, RELATED_CACHE_TTL);
+    }
+    
+    return related.slice(0, limitInt);
+  } catch (error) {
+    logger.error(`获取相关文章失败: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * 获取最近发表的文章
  * @param {number} limit - 返回文章数量
@@ -789,8 +1282,16 @@ const updatePostWithAISummary = async (postId) => {
     
     await query(sql, [aiSummary, postId]);
     
+    const updatedPost = await getPostById(postId);
+    
+    try {
+      await searchIndexService.indexPost(updatedPost);
+    } catch (indexError) {
+      logger.error(`更新文章搜索索引失败: ID=${postId}, ${indexError.message}`);
+    }
+    
     // 返回更新后的文章
-    return getPostById(postId);
+    return updatedPost;
   } catch (error) {
     logger.error(`更新文章AI摘要失败: ${error.message}`);
     throw error;
@@ -873,8 +1374,10 @@ module.exports = {
   ensureUniqueSlug,
   getPostById,
   getPostBySlug,
+  getRenderedContent,
   getAllPosts,
   updatePost,
+  restorePostRevision,
   updatePostCategories,
   updatePostTags,
   deletePost,
@@ -882,6 +1385,7 @@ module.exports = {
   incrementViewCount,
   searchPosts,
   getHotPosts,
+  getRelatedPosts,
   getRecentPosts,
   generateAISummary,
   updatePostWithAISummary,
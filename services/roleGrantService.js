@@ -0,0 +1,294 @@
+/**
+ * 临时角色授权服务
+ * 在用户原有角色之外临时授予一个角色（如“编辑，到 2026-12-31 为止”），到期后自动失效。
+ * 授权、撤销和到期都记录到 role_grant_logs。
+ *
+ * 权限解析只计入未到期的授权，权限缓存的有效期不超过最早到期的授权，因此到期即生效；
+ * 定时任务负责把到期的授权标记为已过期并写入审计记录，通过带条件的 UPDATE 保证多实例只记录一次。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const permissionService = require('./permissionService');
+const { parseGrantExpiry } = require('../utils/roleGrant');
+
+const USER_TYPES = ['user', 'admin'];
+
+// 检查到期授权的间隔（毫秒）
+const EXPIRE_CHECK_INTERVAL = 60 * 1000;
+
+let expireTimer = null;
+
+/**
+ * 写入审计记录
+ * @param {Object} grant - 授权记录
+ * @param {string} action - grant、revoke 或 expire
+ * @param {number|null} operatorId - 操作的管理员ID，自动到期时为空
+ */
+const writeLog = async (grant, action, operatorId = null) => {
+  await query(
+    `INSERT INTO role_grant_logs (grant_id, user_type, user_id, role_id, action, operator_id, expires_at, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [grant.id, grant.user_type, grant.user_id, grant.role_id, action, operatorId, grant.expires_at, grant.reason || null]
+  );
+};
+
+/**
+ * 获取单条授权
+ * @param {number} grantId - 授权ID
+ * @returns {Promise<Object|null>}
+ */
+const getGrantById = async (grantId) => {
+  const rows = await query(
+    `SELECT g.*, r.code AS role_code, r.name AS role_name
+     FROM role_grants g
+     JOIN roles r ON g.role_id = r.id
+     WHERE g.id = ?`,
+    [grantId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * 临时授予角色
+ * @param {Object} input - { userType, userId, roleId, expiresAt, reason }
+ * @param {number} operatorId - 操作的管理员ID
+ * @returns {Promise<Object>} - { success, grant } 或 { success: false, message }
+ */
+const grantRole = async ({ userType, userId, roleId, expiresAt, reason }, operatorId) => {
+  try {
+    if (!USER_TYPES.includes(userType)) {
+      return { success: false, message: '用户类型必须是 user 或 admin' };
+    }
+
+    const expiry = parseGrantExpiry(expiresAt);
+    if (expiry.error) {
+      return { success: false, message: expiry.error };
+    }
+
+    const users = userType === 'admin'
+      ? await query('SELECT id FROM admin_users WHERE id = ?', [userId])
+      : await query('SELECT id FROM public_users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      return { success: false, message: '用户不存在' };
+    }
+
+    const roles = await query('SELECT id FROM roles WHERE id = ?', [roleId]);
+    if (roles.length === 0) {
+      return { success: false, message: '角色不存在' };
+    }
+
+    const result = await query(
+      `INSERT INTO role_grants (user_type, user_id, role_id, expires_at, reason, granted_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userType, userId, roleId, expiry.expiresAt, reason ? String(reason).slice(0, 255) : null, operatorId]
+    );
+
+    const grant = await getGrantById(result.insertId);
+    await writeLog(grant, 'grant', operatorId);
+    await permissionService.invalidateUserPermissions(userType, [userId]);
+
+    logger.info(`临时授予角色: ${userType}:${userId}, 角色=${grant.role_code}, 到期=${expiry.expiresAt.toISOString()}, 操作人=${operatorId}`);
+    return { success: true, grant };
+  } catch (error) {
+    logger.error(`临时授予角色失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 提前撤销授权
+ * @param {number} grantId - 授权ID
+ * @param {number} operatorId - 操作的管理员ID
+ * @returns {Promise<Object>} - { success } 或 { success: false, message }
+ */
+const revokeGrant = async (grantId, operatorId) => {
+  try {
+    const grant = await getGrantById(grantId);
+    if (!grant) {
+      return { success: false, message: '授权不存在' };
+    }
+
+    const result = await query(
+      `UPDATE role_grants SET revoked_at = NOW(), revoked_by = ?
+       WHERE id = ? AND revoked_at IS NULL AND expired_at IS NULL AND expires_at > NOW()`,
+      [operatorId, grantId]
+    );
+    if (result.affectedRows === 0) {
+      return { success: false, message: '授权已撤销或已到期' };
+    }
+
+    await writeLog(grant, 'revoke', operatorId);
+    await permissionService.invalidateUserPermissions(grant.user_type, [grant.user_id]);
+
+    logger.info(`已撤销临时角色授权: ID=${grantId}, 操作人=${operatorId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`撤销临时角色授权失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取授权列表
+ * @param {Object} options - { userType, userId, status: active|expired|revoked, page, limit }
+ * @returns {Promise<Object>} - { items, total, page, limit }
+ */
+const getGrants = async ({ userType, userId, status, page = 1, limit = 20 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (USER_TYPES.includes(userType)) {
+      conditions.push('g.user_type = ?');
+      params.push(userType);
+    }
+    if (userId) {
+      conditions.push('g.user_id = ?');
+      params.push(userId);
+    }
+    if (status === 'active') {
+      conditions.push('g.revoked_at IS NULL AND g.expires_at > NOW()');
+    } else if (status === 'expired') {
+      conditions.push('g.revoked_at IS NULL AND g.expires_at <= NOW()');
+    } else if (status === 'revoked') {
+      conditions.push('g.revoked_at IS NOT NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [items, [{ total }]] = await Promise.all([
+      query(
+        `SELECT g.*, r.code AS role_code, r.name AS role_name
+         FROM role_grants g
+         JOIN roles r ON g.role_id = r.id
+         ${where}
+         ORDER BY g.created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*) AS total FROM role_grants g ${where}`, params)
+    ]);
+
+    return { items, total, page, limit };
+  } catch (error) {
+    logger.error(`获取临时角色授权失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取授权审计记录
+ * @param {Object} options - { userType, userId, grantId, page, limit }
+ * @returns {Promise<Object>} - { items, total, page, limit }
+ */
+const getGrantLogs = async ({ userType, userId, grantId, page = 1, limit = 20 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (USER_TYPES.includes(userType)) {
+      conditions.push('l.user_type = ?');
+      params.push(userType);
+    }
+    if (userId) {
+      conditions.push('l.user_id = ?');
+      params.push(userId);
+    }
+    if (grantId) {
+      conditions.push('l.grant_id = ?');
+      params.push(grantId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [items, [{ total }]] = await Promise.all([
+      query(
+        `SELECT l.*, r.code AS role_code, r.name AS role_name, a.username AS operator_name
+         FROM role_grant_logs l
+         LEFT JOIN roles r ON l.role_id = r.id
+         LEFT JOIN admin_users a ON l.operator_id = a.id
+         ${where}
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*) AS total FROM role_grant_logs l ${where}`, params)
+    ]);
+
+    return { items, total, page, limit };
+  } catch (error) {
+    logger.error(`获取临时角色授权记录失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 将到期的授权标记为已过期，写入审计记录并清除权限缓存
+ * @returns {Promise<number>} - 本实例处理的授权数
+ */
+const expireGrants = async () => {
+  const due = await query(
+    `SELECT * FROM role_grants
+     WHERE revoked_at IS NULL AND expired_at IS NULL AND expires_at <= NOW()`
+  );
+
+  let count = 0;
+  for (const grant of due) {
+    const result = await query(
+      'UPDATE role_grants SET expired_at = NOW() WHERE id = ? AND expired_at IS NULL',
+      [grant.id]
+    );
+    if (result.affectedRows === 0) {
+      continue;
+    }
+
+    await writeLog(grant, 'expire');
+    await permissionService.invalidateUserPermissions(grant.user_type, [grant.user_id]);
+    count++;
+  }
+
+  if (count > 0) {
+    logger.info(`临时角色授权到期: ${count} 条`);
+  }
+  return count;
+};
+
+/**
+ * 启动到期检查任务
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+  if (expireTimer) {
+    return;
+  }
+
+  await expireGrants();
+  logger.info('临时角色授权服务已启动');
+
+  expireTimer = setInterval(() => {
+    expireGrants().catch(error => logger.error(`处理到期的临时角色授权失败: ${error.message}`));
+  }, EXPIRE_CHECK_INTERVAL);
+  expireTimer.unref();
+};
+
+/**
+ * 停止到期检查任务
+ */
+const stop = () => {
+  if (expireTimer) {
+    clearInterval(expireTimer);
+    expireTimer = null;
+  }
+};
+
+module.exports = {
+  grantRole,
+  revokeGrant,
+  getGrants,
+  getGrantLogs,
+  expireGrants,
+  init,
+  stop
+};
@@ -0,0 +1,89 @@
+/**
+ * 文章搜索索引服务
+ * 维护 post_search_index 表，正文以去除 Markdown 标记后的纯文本保存
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { toPlainText } = require('../utils/markdown');
+
+// 重建索引时每批处理的文章数
+const REBUILD_BATCH_SIZE = 100;
+
+/**
+ * 写入或更新单篇文章的索引
+ * @param {Object} post - 文章记录 (id, title, excerpt, content)
+ * @returns {Promise<void>}
+ */
+const indexPost = async (post) => {
+  try {
+    await query(
+      `INSERT INTO post_search_index (post_id, title, excerpt, content)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE title = VALUES(title), excerpt = VALUES(excerpt), content = VALUES(content)`,
+      [post.id, post.title || '', post.excerpt || null, toPlainText(post.content)]
+    );
+  } catch (error) {
+    logger.error(`更新文章搜索索引失败: ID=${post.id}, ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 删除单篇文章的索引
+ * @param {number} postId - 文章ID
+ * @returns {Promise<void>}
+ */
+const removePost = async (postId) => {
+  try {
+    await query('DELETE FROM post_search_index WHERE post_id = ?', [postId]);
+  } catch (error) {
+    logger.error(`删除文章搜索索引失败: ID=${postId}, ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 重建全部文章的索引
+ * 按ID分批读取，避免一次性加载所有正文
+ * @returns {Promise<number>} - 已建立索引的文章数
+ */
+const rebuildIndex = async () => {
+  try {
+    let lastId = 0;
+    let indexed = 0;
+
+    for (;;) {
+      const posts = await query(
+        `SELECT id, title, excerpt, content FROM posts
+         WHERE id > ? ORDER BY id LIMIT ${REBUILD_BATCH_SIZE}`,
+        [lastId]
+      );
+
+      if (posts.length === 0) {
+        break;
+      }
+
+      for (const post of posts) {
+        await indexPost(post);
+      }
+
+      indexed += posts.length;
+      lastId = posts[posts.length - 1].id;
+    }
+
+    // 清理文章已不存在的残留索引
+    await query('DELETE FROM post_search_index WHERE post_id NOT IN (SELECT id FROM posts)');
+
+    logger.info(`文章搜索索引重建完成，共 ${indexed} 篇文章`);
+    return indexed;
+  } catch (error) {
+    logger.error(`重建文章搜索索引失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  indexPost,
+  removePost,
+  rebuildIndex
+};
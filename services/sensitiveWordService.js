@@ -0,0 +1,352 @@
+/**
+ * 敏感词服务
+ * 词库按分类管理，每个分类指定命中后的处理动作：reject（拒绝）、mask（替换为*）、review（转人工审核）
+ *
+ * 词库在内存中编译为 Aho–Corasick 自动机。后台修改词库后立即重新编译，
+ * 并更新缓存中的版本号，其他进程在下一次检查版本时重新加载，无需重启。
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const { AhoCorasick, maskText, strictestAction } = require('../utils/sensitiveFilter');
+
+const ACTIONS = ['reject', 'mask', 'review'];
+
+const VERSION_CACHE_KEY = 'sensitive_words:version';
+
+// 版本号缓存时间（秒），过期后各进程会重新加载一次词库
+const VERSION_CACHE_TTL = 7 * 24 * 60 * 60;
+
+// 检查词库版本的间隔（毫秒）
+const RELOAD_CHECK_INTERVAL = 10 * 1000;
+
+let automaton = null;
+let loadedVersion = null;
+let lastCheckAt = 0;
+let loading = null;
+
+/**
+ * 从数据库加载已启用分类下的敏感词并编译
+ * @returns {Promise<void>}
+ */
+const load = async () => {
+  const rows = await query(
+    `SELECT w.word, c.id as category_id, c.name as category, c.action
+     FROM sensitive_words w
+     JOIN sensitive_word_categories c ON c.id = w.category_id
+     WHERE c.enabled = 1`
+  );
+
+  automaton = new AhoCorasick(rows.map(row => ({
+    word: row.word,
+    data: { categoryId: row.category_id, category: row.category, action: row.action }
+  })));
+
+  logger.info(`敏感词库已加载: ${automaton.size} 个词`);
+};
+
+/**
+ * 获取当前词库的自动机，版本号变化时重新加载
+ * 加载失败时沿用已加载的词库，从未加载成功时按空词库处理
+ * @returns {Promise<AhoCorasick>} - 自动机
+ */
+const getAutomaton = async () => {
+  const now = Date.now();
+  if (automaton && now - lastCheckAt < RELOAD_CHECK_INTERVAL) {
+    return automaton;
+  }
+  lastCheckAt = now;
+
+  try {
+    const version = await cacheService.get(VERSION_CACHE_KEY);
+    if (automaton && version === loadedVersion) {
+      return automaton;
+    }
+
+    if (!loading) {
+      loading = load()
+        .then(() => {
+          loadedVersion = version;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    await loading;
+  } catch (error) {
+    logger.error(`加载敏感词库失败: ${error.message}`);
+  }
+
+  return automaton || new AhoCorasick();
+};
+
+/**
+ * 重新加载词库，并通知其他进程
+ * @returns {Promise<void>}
+ */
+const reload = async () => {
+  const version = String(Date.now());
+  await cacheService.set(VERSION_CACHE_KEY, version, VERSION_CACHE_TTL);
+  await load();
+  loadedVersion = version;
+  lastCheckAt = Date.now();
+};
+
+/**
+ * 检查一段文本
+ * @param {string} text - 文本
+ * @returns {Promise<Object>} - { action, text, matches }
+ *   action 为命中分类中最严格的动作，未命中时为null；text 为替换 mask 类敏感词后的文本
+ */
+const check = async (text) => {
+  if (!text) {
+    return { action: null, text, matches: [] };
+  }
+
+  const found = (await getAutomaton()).search(text);
+  const matches = [];
+  const seen = new Set();
+
+  for (const match of found) {
+    const key = `${match.data.categoryId}:${match.word}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      matches.push({ word: match.word, category: match.data.category, action: match.data.action });
+    }
+  }
+
+  return {
+    action: strictestAction(matches.map(match => match.action)),
+    text: maskText(text, found.filter(match => match.data.action === 'mask')),
+    matches
+  };
+};
+
+/**
+ * 检查多个字段，未传入（undefined 或 null）的字段原样返回
+ * @param {Object} fields - 字段名到文本的映射
+ * @returns {Promise<Object>} - { action, fields, matches }，matches 中的每一项带有 field
+ */
+const checkFields = async (fields) => {
+  const result = { action: null, fields: { ...fields }, matches: [] };
+
+  for (const [field, text] of Object.entries(fields)) {
+    if (typeof text !== 'string') {
+      continue;
+    }
+
+    const checked = await check(text);
+    result.fields[field] = checked.text;
+    result.matches.push(...checked.matches.map(match => ({ field, ...match })));
+  }
+
+  result.action = strictestAction(result.matches.map(match => match.action));
+  return result;
+};
+
+/**
+ * 获取分类列表
+ * @returns {Promise<Array>} - 分类列表，含词数
+ */
+const getCategories = async () => {
+  try {
+    return await query(
+      `SELECT c.id, c.name, c.action, c.description, c.enabled, c.created_at, c.updated_at,
+              COUNT(w.id) as word_count
+       FROM sensitive_word_categories c
+       LEFT JOIN sensitive_words w ON w.category_id = c.id
+       GROUP BY c.id
+       ORDER BY c.id ASC`
+    );
+  } catch (error) {
+    logger.error(`获取敏感词分类失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 根据ID获取分类
+ * @param {number} id - 分类ID
+ * @returns {Promise<Object|null>} - 分类
+ */
+const getCategoryById = async (id) => {
+  const [category] = await query('SELECT * FROM sensitive_word_categories WHERE id = ?', [id]);
+  return category || null;
+};
+
+/**
+ * 创建分类
+ * @param {Object} data - { name, action, description, enabled }
+ * @returns {Promise<Object>} - 创建的分类
+ */
+const createCategory = async ({ name, action = 'reject', description = null, enabled = true }) => {
+  try {
+    const result = await query(
+      `INSERT INTO sensitive_word_categories (name, action, description, enabled)
+       VALUES (?, ?, ?, ?)`,
+      [name, action, description, enabled ? 1 : 0]
+    );
+
+    await reload();
+    return getCategoryById(result.insertId);
+  } catch (error) {
+    logger.error(`创建敏感词分类失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 更新分类
+ * @param {number} id - 分类ID
+ * @param {Object} data - { name, action, description, enabled }，未传入的字段保持不变
+ * @returns {Promise<Object|null>} - 更新后的分类，不存在时返回null
+ */
+const updateCategory = async (id, { name, action, description, enabled }) => {
+  try {
+    const existing = await getCategoryById(id);
+    if (!existing) {
+      return null;
+    }
+
+    await query(
+      `UPDATE sensitive_word_categories
+       SET name = ?, action = ?, description = ?, enabled = ?
+       WHERE id = ?`,
+      [
+        name !== undefined ? name : existing.name,
+        action !== undefined ? action : existing.action,
+        description !== undefined ? description : existing.description,
+        enabled !== undefined ? (enabled ? 1 : 0) : existing.enabled,
+        id
+      ]
+    );
+
+    await reload();
+    return getCategoryById(id);
+  } catch (error) {
+    logger.error(`更新敏感词分类失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 删除分类及其下的敏感词
+ * @param {number} id - 分类ID
+ * @returns {Promise<boolean>} - 是否删除
+ */
+const deleteCategory = async (id) => {
+  try {
+    const result = await query('DELETE FROM sensitive_word_categories WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await reload();
+    return true;
+  } catch (error) {
+    logger.error(`删除敏感词分类失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 分页获取敏感词
+ * @param {Object} options - { categoryId, keyword, page, limit }
+ * @returns {Promise<Object>} - { words, total }
+ */
+const getWords = async ({ categoryId = null, keyword = '', page = 1, limit = 50 } = {}) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (categoryId) {
+      conditions.push('w.category_id = ?');
+      params.push(categoryId);
+    }
+
+    if (keyword) {
+      conditions.push('w.word LIKE ?');
+      params.push(`%${keyword}%`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const words = await query(
+      `SELECT w.id, w.word, w.category_id, c.name as category_name, c.action, w.created_at
+       FROM sensitive_words w
+       JOIN sensitive_word_categories c ON c.id = w.category_id
+       ${whereClause}
+       ORDER BY w.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM sensitive_words w ${whereClause}`,
+      params
+    );
+
+    return { words, total };
+  } catch (error) {
+    logger.error(`获取敏感词列表失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 批量添加敏感词，分类中已有的词会被跳过
+ * @param {number} categoryId - 分类ID
+ * @param {string[]} words - 敏感词
+ * @returns {Promise<number>} - 实际添加的数量
+ */
+const addWords = async (categoryId, words) => {
+  try {
+    const unique = [...new Set(words.map(word => String(word).trim()).filter(Boolean))];
+    if (unique.length === 0) {
+      return 0;
+    }
+
+    const result = await query(
+      `INSERT IGNORE INTO sensitive_words (category_id, word) VALUES ${unique.map(() => '(?, ?)').join(', ')}`,
+      unique.flatMap(word => [categoryId, word])
+    );
+
+    await reload();
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`添加敏感词失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 批量删除敏感词
+ * @param {number[]} ids - 敏感词ID
+ * @returns {Promise<number>} - 删除的数量
+ */
+const deleteWords = async (ids) => {
+  try {
+    const result = await query('DELETE FROM sensitive_words WHERE id IN (?)', [ids]);
+
+    await reload();
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`删除敏感词失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  ACTIONS,
+  check,
+  checkFields,
+  reload,
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getWords,
+  addWords,
+  deleteWords
+};
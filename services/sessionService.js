@@ -0,0 +1,371 @@
+/**
+ * 登录会话服务
+ * 每次登录创建一个会话，访问令牌和刷新令牌都带有会话ID(sid)。访问令牌有效期较短，
+ * 过期后用刷新令牌换取新令牌；刷新令牌每次使用后轮换，数据库只保存当前令牌的哈希。
+ * 已轮换的旧刷新令牌再次出现说明令牌可能被盗用，整个会话立即失效。
+ * 会话失效后，带有该 sid 的访问令牌也会在认证中间件中被拒绝。
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+const jwtConfig = require('../config/jwt');
+const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const { describeDevice } = require('../utils/userAgent');
+
+// 会话状态缓存时间（秒），会话失效时会主动清除缓存
+const CACHE_TTL = 60;
+
+// 并发刷新的宽限时间（秒）：轮换后短时间内再次使用上一个刷新令牌不视为盗用
+const ROTATION_GRACE_SECONDS = 30;
+
+// 已过期或已失效的会话保留天数
+const RETENTION_DAYS = 30;
+
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+/**
+ * 会话状态的缓存键
+ * @param {string} sessionId - 会话ID
+ * @returns {string} - 缓存键
+ */
+const cacheKey = (sessionId) => `sessions:${sessionId}`;
+
+/**
+ * 计算刷新令牌的哈希
+ * @param {string} token - 刷新令牌
+ * @returns {string} - SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * 签发刷新令牌
+ * @param {number} userId - 用户ID
+ * @param {string} sessionId - 会话ID
+ * @returns {Object} - { token, expiresAt }
+ */
+const signRefreshToken = (userId, sessionId) => {
+  const token = jwt.sign(
+    {
+      id: userId,
+      sid: sessionId,
+      type: 'refresh',
+      // 保证同一秒内轮换出的令牌也互不相同
+      jti: crypto.randomBytes(16).toString('hex')
+    },
+    jwtConfig.JWT_SECRET,
+    { expiresIn: jwtConfig.JWT_REFRESH_EXPIRES_IN }
+  );
+
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * 截断 User-Agent，避免超出字段长度
+ * @param {string} userAgent - User-Agent
+ * @returns {string|null}
+ */
+const truncateUserAgent = (userAgent) => (userAgent ? String(userAgent).slice(0, 500) : null);
+
+/**
+ * 创建会话
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - { sessionId, refreshToken }
+ */
+const createSession = async (userType, userId, { userAgent, ipAddress } = {}) => {
+  try {
+    const sessionId = crypto.randomUUID();
+    const { token, expiresAt } = signRefreshToken(userId, sessionId);
+
+    await query(
+      `INSERT INTO user_sessions
+         (id, user_type, user_id, refresh_token_hash, user_agent, device, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sessionId,
+        userType,
+        userId,
+        hashToken(token),
+        truncateUserAgent(userAgent),
+        describeDevice(userAgent),
+        ipAddress || null,
+        expiresAt
+      ]
+    );
+
+    return { sessionId, refreshToken: token };
+  } catch (error) {
+    logger.error(`创建登录会话失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 使用刷新令牌轮换出新的刷新令牌
+ * @param {string} refreshToken - 刷新令牌
+ * @param {string} userType - 期望的用户类型，防止前台令牌用于后台
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} - { userId, sessionId, refreshToken } 或 { error, status }
+ */
+const rotateRefreshToken = async (refreshToken, userType, { ipAddress } = {}) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, jwtConfig.JWT_SECRET);
+    } catch (verifyError) {
+      return { error: '刷新令牌无效或已过期', status: 401 };
+    }
+
+    // 没有 sid 的是启用会话管理之前签发的刷新令牌，需要重新登录
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      return { error: '刷新令牌无效或已过期', status: 401 };
+    }
+
+    const sessions = await query(
+      `SELECT id, user_type, user_id, refresh_token_hash, previous_token_hash, revoked_at,
+              rotated_at > DATE_SUB(NOW(), INTERVAL ? SECOND) AS in_grace
+       FROM user_sessions WHERE id = ?`,
+      [ROTATION_GRACE_SECONDS, decoded.sid]
+    );
+    const session = sessions[0];
+
+    if (!session || session.user_type !== userType || session.user_id !== decoded.id) {
+      return { error: '刷新令牌无效或已过期', status: 401 };
+    }
+
+    if (session.revoked_at) {
+      return { error: '会话已失效，请重新登录', status: 401 };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    if (tokenHash !== session.refresh_token_hash) {
+      // 同一客户端的多个请求同时刷新，其中一个已经完成了轮换
+      if (tokenHash === session.previous_token_hash && session.in_grace) {
+        return { error: '刷新令牌已更新，请使用最新的刷新令牌', status: 409 };
+      }
+
+      await revokeSession(session.id, 'token_reuse');
+      logger.warn(`检测到已轮换的刷新令牌被再次使用，会话已失效: 会话=${session.id}, 用户类型=${userType}, 用户ID=${session.user_id}, IP=${ipAddress}`);
+      return { error: '刷新令牌已失效，请重新登录', status: 401 };
+    }
+
+    const { token, expiresAt } = signRefreshToken(session.user_id, session.id);
+
+    // 以当前哈希为条件更新，并发请求中只有一个能轮换成功
+    const result = await query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = NOW(),
+           last_seen_at = NOW(), ip_address = COALESCE(?, ip_address), expires_at = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [hashToken(token), tokenHash, ipAddress || null, expiresAt, session.id, tokenHash]
+    );
+
+    if (result.affectedRows === 0) {
+      return { error: '刷新令牌已更新，请使用最新的刷新令牌', status: 409 };
+    }
+
+    return { userId: session.user_id, sessionId: session.id, refreshToken: token };
+  } catch (error) {
+    logger.error(`轮换刷新令牌失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 判断会话是否有效，供认证中间件校验访问令牌
+ * 查询失败时放行，与令牌黑名单的处理方式一致
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<boolean>} - 是否有效
+ */
+const isSessionActive = async (sessionId) => {
+  try {
+    const cached = await cacheService.get(cacheKey(sessionId));
+    if (cached) {
+      return cached.active;
+    }
+
+    const sessions = await query(
+      'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [sessionId]
+    );
+    const active = sessions.length > 0;
+
+    if (active) {
+      // 缓存过期时顺带更新最近活跃时间，每个会话最多每分钟写一次
+      await query(
+        `UPDATE user_sessions SET last_seen_at = NOW()
+         WHERE id = ? AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+        [sessionId]
+      );
+    }
+
+    await cacheService.set(cacheKey(sessionId), { active }, CACHE_TTL);
+    return active;
+  } catch (error) {
+    logger.error(`检查登录会话失败: ${error.message}`);
+    return true;
+  }
+};
+
+/**
+ * 使会话失效
+ * @param {string} sessionId - 会话ID
+ * @param {string} reason - 失效原因
+ * @returns {Promise<boolean>} - 是否有会话被注销
+ */
+const revokeSession = async (sessionId, reason) => {
+  try {
+    const result = await query(
+      'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [reason, sessionId]
+    );
+
+    await cacheService.del(cacheKey(sessionId));
+    return result.affectedRows > 0;
+  } catch (error) {
+    logger.error(`注销登录会话失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 注销用户的某个会话，只能注销属于该用户的会话
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @param {string} sessionId - 会话ID
+ * @param {string} reason - 失效原因
+ * @returns {Promise<boolean>} - 是否注销成功
+ */
+const revokeUserSession = async (userType, userId, sessionId, reason) => {
+  try {
+    const sessions = await query(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_type = ? AND user_id = ? AND revoked_at IS NULL',
+      [sessionId, userType, userId]
+    );
+
+    if (sessions.length === 0) {
+      return false;
+    }
+
+    return await revokeSession(sessionId, reason);
+  } catch (error) {
+    logger.error(`注销用户登录会话失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 注销用户的全部会话
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @param {Object} options - { reason, exceptSessionId }，exceptSessionId 用于保留当前会话
+ * @returns {Promise<number>} - 注销的会话数量
+ */
+const revokeAllSessions = async (userType, userId, { reason, exceptSessionId = null } = {}) => {
+  try {
+    const sessions = await query(
+      'SELECT id FROM user_sessions WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL',
+      [userType, userId]
+    );
+    const ids = sessions.map(session => session.id).filter(id => id !== exceptSessionId);
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const result = await query(
+      'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id IN (?) AND revoked_at IS NULL',
+      [reason, ids]
+    );
+
+    await Promise.all(ids.map(id => cacheService.del(cacheKey(id))));
+
+    logger.info(`已注销登录会话: 用户类型=${userType}, 用户ID=${userId}, 数量=${result.affectedRows}, 原因=${reason}`);
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`注销全部登录会话失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取用户的有效会话
+ * @param {string} userType - user 或 admin
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} - 会话列表，按最近活跃时间倒序
+ */
+const getSessions = async (userType, userId) => {
+  try {
+    return await query(
+      `SELECT id, device, user_agent, ip_address, created_at, last_seen_at, expires_at
+       FROM user_sessions
+       WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userType, userId]
+    );
+  } catch (error) {
+    logger.error(`获取登录会话失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 清理过期或已失效较久的会话
+ * @returns {Promise<number>} - 清理的会话数量
+ */
+const cleanupSessions = async () => {
+  try {
+    const result = await query(
+      `DELETE FROM user_sessions
+       WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+          OR revoked_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [RETENTION_DAYS, RETENTION_DAYS]
+    );
+    return result.affectedRows;
+  } catch (error) {
+    logger.error(`清理登录会话失败: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * 启动会话清理任务
+ */
+const init = async () => {
+  if (cleanupTimer) {
+    return;
+  }
+
+  const count = await cleanupSessions();
+  logger.info(`登录会话服务已启动，清理过期会话 ${count} 个`);
+
+  cleanupTimer = setInterval(cleanupSessions, CLEANUP_INTERVAL);
+  cleanupTimer.unref();
+};
+
+/**
+ * 停止会话清理任务
+ */
+const stop = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions,
+  getSessions,
+  cleanupSessions,
+  init,
+  stop
+};
@@ -6,6 +6,7 @@
 const mysql = require('mysql2/promise');
 const { logger } = require('../utils/logger');
 const { query } = require('../config/db');
+const { cacheInvalidationService } = require('./cacheInvalidationService');
 
 /**
  * 获取AI配置
@@ -276,6 +277,10 @@ const getWebsiteConfig = async () => {
     const commentAuditStr = await getSetting('comment_audit');
     const commentAudit = commentAuditStr === null ? true : commentAuditStr === 'true' || commentAuditStr === '1';
     
+    // 获取是否允许游客评论
+    const allowGuestCommentStr = await getSetting('allow_guest_comment');
+    const allowGuestComment = allowGuestCommentStr === 'true' || allowGuestCommentStr === '1';
+    
     // 获取默认语言
     const defaultLanguage = await getSetting('default_language') || 'zh-CN';
     
@@ -291,6 +296,7 @@ const getWebsiteConfig = async () => {
       siteIcon,
       allowRegister,
       commentAudit,
+      allowGuestComment,
       defaultLanguage,
       timeZone
     };
@@ -311,6 +317,7 @@ const getWebsiteConfig = async () => {
  * @param {string} [config.siteIcon] - 网站图标
  * @param {boolean} [config.allowRegister] - 是否允许注册
  * @param {boolean} [config.commentAudit] - 是否需要评论审核
+ * @param {boolean} [config.allowGuestComment] - 是否允许游客评论
  * @param {string} [config.defaultLanguage] - 默认语言
  * @param {string} [config.timeZone] - 时区设置
  * @returns {Promise<boolean>} - 更新结果
@@ -326,6 +333,7 @@ const updateWebsiteConfig = async (config) => {
       siteIcon,
       allowRegister,
       commentAudit,
+      allowGuestComment,
       defaultLanguage,
       timeZone
     } = config;
@@ -363,6 +371,10 @@ const updateWebsiteConfig = async (config) => {
       await setSetting('comment_audit', commentAudit.toString());
     }
     
+    if (allowGuestComment !== undefined) {
+      await setSetting('allow_guest_comment', allowGuestComment.toString());
+    }
+    
     if (defaultLanguage !== undefined) {
       await setSetting('default_language', defaultLanguage);
     }
@@ -445,6 +457,29 @@ const setSetting = async (key, value) => {
   }
 };
 
+/**
+ * 获取自定义 robots.txt 内容
+ * @returns {Promise<string|null>} - 未设置时返回null，使用默认规则
+ */
+const getRobotsTxt = async () => {
+  const content = await getSetting('robots_txt');
+  return content && content.trim() ? content : null;
+};
+
+/**
+ * 更新自定义 robots.txt 内容
+ * @param {string|null} content - robots.txt 内容，传入空值时恢复默认规则
+ * @returns {Promise<boolean>} - 更新结果
+ */
+const updateRobotsTxt = async (content) => {
+  await setSetting('robots_txt', content || '');
+  
+  // robots.txt 与站点地图一起缓存
+  await cacheInvalidationService.invalidateSitemap();
+  
+  return true;
+};
+
 module.exports = {
   getAIConfig,
   updateAIConfig,
@@ -453,5 +488,7 @@ module.exports = {
   getWebsiteConfig,
   updateWebsiteConfig,
   getSetting,
-  setSetting
+  setSetting,
+  getRobotsTxt,
+  updateRobotsTxt
 }; 
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * 站点地图服务
+ * 生成的站点地图和 robots.txt 保存在缓存中，文章、分类、标签或 robots 设置变化时
+ * 通过 cacheInvalidationService 清除 sitemap:* 缓存，下一次访问时重新生成
+ */
+const { query } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { cacheService } = require('../utils/cache');
+const settingService = require('./settingService');
+const { buildUrlset, buildSitemapIndex, chunkUrls } = require('../utils/sitemap');
+const { getSiteUrl, getPostUrl, getCategoryUrl, getTagUrl, getAuthorUrl } = require('../utils/siteUrl');
+
+// 缓存时间（秒），内容变化时会提前失效
+const SITEMAP_CACHE_TTL = 24 * 60 * 60;
+
+const META_CACHE_KEY = 'sitemap:meta';
+const ROBOTS_CACHE_KEY = 'sitemap:robots';
+const getPageCacheKey = (page) => `sitemap:page:${page}`;
+
+// 未配置自定义内容时使用的 robots.txt 规则
+const DEFAULT_ROBOTS_TXT = [
+  'User-agent: *',
+  'Disallow: /api/',
+  'Disallow: /direct/'
+].join('\n');
+
+// 正在进行的生成任务，并发请求共享同一次生成
+let generating = null;
+
+/**
+ * 收集需要收录的链接
+ * 分类、标签和作者页只收录有已发布文章的，lastmod 取其中文章的最近更新时间
+ * @returns {Promise<Array<Object>>} - 链接列表 { loc, lastmod }
+ */
+const collectUrls = async () => {
+  const [posts, categories, tags, authors] = await Promise.all([
+    query(
+      `SELECT slug, updated_at FROM posts
+       WHERE status = 'published'
+       ORDER BY id`
+    ),
+    query(
+      `SELECT c.slug, MAX(p.updated_at) as lastmod
+       FROM categories c
+       JOIN post_categories pc ON pc.category_id = c.id
+       JOIN posts p ON p.id = pc.post_id AND p.status = 'published'
+       GROUP BY c.id, c.slug`
+    ),
+    query(
+      `SELECT t.slug, MAX(p.updated_at) as lastmod
+       FROM tags t
+       JOIN post_tags pt ON pt.tag_id = t.id
+       JOIN posts p ON p.id = pt.post_id AND p.status = 'published'
+       GROUP BY t.id, t.slug`
+    ),
+    query(
+      `SELECT u.username, MAX(p.updated_at) as lastmod
+       FROM public_users u
+       JOIN posts p ON p.author_id = u.id AND p.status = 'published'
+       GROUP BY u.id, u.username`
+    )
+  ]);
+
+  const latest = posts.reduce((max, post) => (!max || post.updated_at > max ? post.updated_at : max), null);
+
+  return [
+    { loc: `${getSiteUrl()}/`, lastmod: latest },
+    ...posts.map(post => ({ loc: getPostUrl(post.slug), lastmod: post.updated_at })),
+    ...categories.map(category => ({ loc: getCategoryUrl(category.slug), lastmod: category.lastmod })),
+    ...tags.map(tag => ({ loc: getTagUrl(tag.slug), lastmod: tag.lastmod })),
+    ...authors.map(author => ({ loc: getAuthorUrl(author.username), lastmod: author.lastmod }))
+  ];
+};
+
+/**
+ * 重新生成站点地图并写入缓存
+ * @returns {Promise<Object>} - 元信息 { generatedAt, total, pages, lastmods }
+ */
+const generate = async () => {
+  try {
+    const urls = await collectUrls();
+    const chunks = chunkUrls(urls);
+
+    for (let i = 0; i < chunks.length; i++) {
+      await cacheService.set(getPageCacheKey(i + 1), buildUrlset(chunks[i]), SITEMAP_CACHE_TTL);
+    }
+
+    const meta = {
+      generatedAt: new Date().toISOString(),
+      total: urls.length,
+      pages: chunks.length,
+      lastmods: chunks.map(chunk => chunk.reduce((max, url) => {
+        const time = url.lastmod ? new Date(url.lastmod).toISOString() : null;
+        return time && (!max || time > max) ? time : max;
+      }, null))
+    };
+
+    // 元信息最后写入，读到元信息时各分页一定已经生成
+    await cacheService.set(META_CACHE_KEY, meta, SITEMAP_CACHE_TTL);
+
+    logger.info(`站点地图已生成: ${meta.total} 个链接，${meta.pages} 个文件`);
+    return meta;
+  } catch (error) {
+    logger.error(`生成站点地图失败: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取站点地图元信息，缓存失效时重新生成
+ * @param {boolean} force - 是否忽略缓存
+ * @returns {Promise<Object>} - 元信息
+ */
+const getMeta = async (force = false) => {
+  const cached = force ? null : await cacheService.get(META_CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  if (!generating) {
+    generating = generate().finally(() => {
+      generating = null;
+    });
+  }
+
+  return generating;
+};
+
+/**
+ * 获取站点地图入口
+ * 链接数不超过单个文件上限时直接返回站点地图，否则返回索引
+ * @param {string} origin - 本服务的访问地址，用于生成分页站点地图的链接
+ * @returns {Promise<Object>} - { xml, lastModified }
+ */
+const getSitemap = async (origin) => {
+  const meta = await getMeta();
+
+  if (meta.pages === 1) {
+    return getSitemapPage(1);
+  }
+
+  const xml = buildSitemapIndex(meta.lastmods.map((lastmod, i) => ({
+    loc: `${origin}/sitemap-${i + 1}.xml`,
+    lastmod
+  })));
+
+  return { xml, lastModified: meta.generatedAt };
+};
+
+/**
+ * 获取分页站点地图
+ * @param {number} page - 页码，从1开始
+ * @returns {Promise<Object|null>} - { xml, lastModified }，页码超出范围时返回null
+ */
+const getSitemapPage = async (page) => {
+  let meta = await getMeta();
+  if (!Number.isInteger(page) || page < 1 || page > meta.pages) {
+    return null;
+  }
+
+  let xml = await cacheService.get(getPageCacheKey(page));
+
+  // 分页缓存已被淘汰但元信息仍在时重新生成
+  if (!xml) {
+    meta = await getMeta(true);
+    if (page > meta.pages) {
+      return null;
+    }
+    xml = await cacheService.get(getPageCacheKey(page));
+  }
+
+  return { xml, lastModified: meta.generatedAt };
+};
+
+/**
+ * 获取 robots.txt 内容
+ * 自定义内容中没有 Sitemap 指令时自动追加
+ * @param {string} origin - 本服务的访问地址
+ * @returns {Promise<string>} - robots.txt 内容
+ */
+const getRobotsTxt = async (origin) => {
+  try {
+    let rules = await cacheService.get(ROBOTS_CACHE_KEY);
+
+    if (rules === null) {
+      rules = (await settingService.getRobotsTxt()) || DEFAULT_ROBOTS_TXT;
+      await cacheService.set(ROBOTS_CACHE_KEY, rules, SITEMAP_CACHE_TTL);
+    }
+
+    const lines = [rules.trim()];
+    if (!/^sitemap:/im.test(rules)) {
+      lines.push('', `Sitemap: ${origin}/sitemap.xml`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  } catch (error) {
+    logger.error(`生成robots.txt失败: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_ROBOTS_TXT,
+  generate,
+  getSitemap,
+  getSitemapPage,
+  getRobotsTxt
+};
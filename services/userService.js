@@ -1,8 +1,11 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { query } = require('../config/db');
-const jwtConfig = require('../config/jwt');
 const { logger } = require('../utils/logger');
+const sensitiveWordService = require('./sensitiveWordService');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const mfaService = require('./mfaService');
+const loginProtectionService = require('./loginProtectionService');
 
 /**
  * 根据用户名查找普通用户
@@ -120,11 +123,24 @@ const updateLastLogin = async (userId, userType = 'public') => {
  * @returns {Promise<Object>} 注册结果
  */
 async function registerPublicUser(userData) {
-  const { username, email, password, nickname } = userData;
+  const { username, email, password } = userData;
+  let { nickname } = userData;
   
   try {
     console.log(`尝试注册用户: ${username}, 邮箱: ${email}`);
     
+    // 用户名不做替换，命中任何敏感词都不允许注册；昵称只对 mask 类敏感词做替换
+    const usernameCheck = await sensitiveWordService.check(username);
+    if (usernameCheck.action) {
+      return { success: false, message: '用户名包含敏感词' };
+    }
+    
+    const nicknameCheck = await sensitiveWordService.check(nickname);
+    if (nicknameCheck.action && nicknameCheck.action !== 'mask') {
+      return { success: false, message: '昵称包含敏感词' };
+    }
+    nickname = nicknameCheck.text;
+    
     // 检查电子邮箱是否已被使用
     const existingUser = await query(
       'SELECT id FROM public_users WHERE email = ?', 
@@ -250,17 +266,59 @@ async function registerAdminUser(adminData) {
   }
 }
 
+/**
+ * 记录登录失败并生成失败结果，达到失败阈值时返回锁定提示
+ * @param {string} userType - user 或 admin
+ * @param {Object} account - 账户信息，不存在的账号为 { identifier }
+ * @param {string} ipAddress - 客户端IP
+ * @param {string} message - 未锁定时的提示
+ * @returns {Promise<Object>} 登录失败结果
+ */
+async function rejectLogin(userType, account, ipAddress, message) {
+  const result = await loginProtectionService.recordFailure(userType, account, ipAddress);
+  if (!result.allowed) {
+    return { success: false, status: result.status, message: result.message, retryAfter: result.retryAfter };
+  }
+  
+  return { success: false, message };
+}
+
+/**
+ * 账号不存在时的登录失败
+ * 与存在的账号一样先检查锁定和等待时间，再记录失败，避免从响应的差异判断账号是否存在
+ * @param {string} userType - user 或 admin
+ * @param {string} identifier - 输入的用户名或邮箱
+ * @param {string} ipAddress - 客户端IP
+ * @param {string} message - 未锁定时的提示
+ * @returns {Promise<Object>} 登录失败结果
+ */
+async function rejectUnknownAccount(userType, identifier, ipAddress, message) {
+  const accountCheck = await loginProtectionService.checkAttempt(userType, { identifier }, ipAddress);
+  if (!accountCheck.allowed) {
+    return { success: false, status: accountCheck.status, message: accountCheck.message, retryAfter: accountCheck.retryAfter };
+  }
+  
+  return rejectLogin(userType, { identifier }, ipAddress, message);
+}
+
 /**
  * 普通用户登录
  * @param {string} email - 用户邮箱或用户名
  * @param {string} password - 用户密码
- * @returns {Promise<Object>} 登录结果
+ * @param {Object} context - 登录设备信息 { userAgent, ipAddress }
+ * @returns {Promise<Object>} 登录结果，包含访问令牌和刷新令牌
  */
-async function loginPublicUser(email, password) {
+async function loginPublicUser(email, password, context = {}) {
   try {
     logger.info(`尝试用户登录: ${email}`);
     console.log(`尝试用户登录: ${email}, 密码前3位: ${password.substring(0, 3)}***`);
     
+    // 同一IP失败过多时直接拒绝，不再查询账户
+    const ipCheck = await loginProtectionService.checkAttempt('user', null, context.ipAddress);
+    if (!ipCheck.allowed) {
+      return { success: false, status: ipCheck.status, message: ipCheck.message, retryAfter: ipCheck.retryAfter };
+    }
+    
     // 判断输入的是邮箱还是用户名
     const isEmail = email.includes('@');
     
@@ -284,12 +342,19 @@ async function loginPublicUser(email, password) {
       const errorMsg = isEmail ? '邮箱不存在' : '用户名不存在';
       logger.warn(`登录尝试失败: ${errorMsg} ${email}`);
       console.log(`登录尝试失败: ${errorMsg} ${email}`);
-      return { success: false, message: '用户名/邮箱或密码不正确' };
+      return await rejectUnknownAccount('user', email, context.ipAddress, '用户名/邮箱或密码不正确');
     }
     
     const user = users[0];
     logger.info(`找到用户: ID=${user.id}, 用户名=${user.username}`);
     
+    // 账户被临时锁定或需要等待时，不校验密码
+    const accountCheck = await loginProtectionService.checkAttempt('user', user, context.ipAddress);
+    if (!accountCheck.allowed) {
+      logger.warn(`登录尝试被拒绝: ${accountCheck.message} ${email}`);
+      return { success: false, status: accountCheck.status, message: accountCheck.message, retryAfter: accountCheck.retryAfter };
+    }
+    
     // 检查账户状态
     if (user.status !== 1) {
       logger.warn(`登录尝试失败: 账户已禁用 ${email}`);
@@ -305,21 +370,16 @@ async function loginPublicUser(email, password) {
     if (!isMatch) {
       logger.warn(`登录尝试失败: 密码不匹配 ${email}`);
       console.log(`登录尝试失败: 密码不匹配 ${email}`);
-      return { success: false, message: '用户名/邮箱或密码不正确' };
+      return await rejectLogin('user', user, context.ipAddress, '用户名/邮箱或密码不正确');
     }
     
+    await loginProtectionService.recordSuccess('user', user);
     logger.info(`用户登录成功: ${email}`);
     console.log(`用户登录成功: ${email}`);
     
-    // 生成JWT令牌
-    const payload = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: 'user'
-    };
-    
-    const token = jwt.sign(payload, jwtConfig.JWT_SECRET, { expiresIn: jwtConfig.JWT_EXPIRES_IN });
+    // 创建登录会话并生成JWT令牌
+    const session = await sessionService.createSession('user', user.id, context);
+    const token = authService.generateAccessToken(user, session.sessionId);
     console.log(`生成的令牌: ${token.substring(0, 20)}...`);
     
     // 创建安全的用户对象（不含密码）
@@ -344,6 +404,7 @@ async function loginPublicUser(email, password) {
       success: true,
       message: '登录成功',
       token,
+      refreshToken: session.refreshToken,
       user: safeUser
     };
   } catch (error) {
@@ -359,13 +420,20 @@ async function loginPublicUser(email, password) {
  * 管理员用户登录
  * @param {string} username - 管理员用户名
  * @param {string} password - 管理员密码
- * @returns {Promise<Object>} 登录结果
+ * @param {Object} context - 登录设备信息 { userAgent, ipAddress }
+ * @returns {Promise<Object>} 登录结果，包含访问令牌和刷新令牌；需要两步验证时只返回 mfaToken
  */
-async function loginAdminUser(username, password) {
+async function loginAdminUser(username, password, context = {}) {
   try {
     logger.info(`管理员登录尝试: ${username}`);
     console.log(`管理员登录尝试: ${username}, 密码: ${password.substring(0, 3)}***`);
     
+    // 同一IP失败过多时直接拒绝，不再查询账户
+    const ipCheck = await loginProtectionService.checkAttempt('admin', null, context.ipAddress);
+    if (!ipCheck.allowed) {
+      return { success: false, status: ipCheck.status, message: ipCheck.message, retryAfter: ipCheck.retryAfter };
+    }
+    
     // 查找管理员，联表查询角色信息
     const query1 = `
       SELECT a.id, a.username, a.email, a.password, a.status, a.role_id, r.name as role_name 
@@ -384,11 +452,18 @@ async function loginAdminUser(username, password) {
     if (!admins || admins.length === 0) {
       logger.warn(`管理员登录失败: 用户名不存在 ${username}`);
       console.log(`管理员登录失败: 用户名不存在 ${username}`);
-      return { success: false, message: '用户名或密码不正确' };
+      return await rejectUnknownAccount('admin', username, context.ipAddress, '用户名或密码不正确');
     }
     
     const admin = admins[0];
     logger.info(`找到管理员: ID=${admin.id}, 用户名=${admin.username}, 角色ID=${admin.role_id}`);
+    
+    // 账户被临时锁定或需要等待时，不校验密码
+    const accountCheck = await loginProtectionService.checkAttempt('admin', admin, context.ipAddress);
+    if (!accountCheck.allowed) {
+      logger.warn(`管理员登录被拒绝: ${accountCheck.message} ${username}`);
+      return { success: false, status: accountCheck.status, message: accountCheck.message, retryAfter: accountCheck.retryAfter };
+    }
     console.log(`找到管理员: ID=${admin.id}, 用户名=${admin.username}, 角色ID=${admin.role_id}, 密码哈希=${admin.password.substring(0, 10)}...`);
     
     // 检查账户状态
@@ -408,59 +483,25 @@ async function loginAdminUser(username, password) {
     if (!isMatch) {
       logger.warn(`管理员登录失败: 密码不匹配 ${username}`);
       console.log(`管理员登录失败: 密码不匹配 ${username}`);
-      return { success: false, message: '用户名或密码不正确' };
+      return await rejectLogin('admin', admin, context.ipAddress, '用户名或密码不正确');
     }
     
-    // 确定角色名称
-    const roleName = admin.role_name || 'admin';
-    logger.info(`管理员登录成功: ${username}, 角色: ${roleName}`);
-    console.log(`管理员登录成功: ${username}, 角色: ${roleName}`);
-    
-    // 生成JWT令牌
-    const payload = {
-      id: admin.id,
-      username: admin.username,
-      email: admin.email,
-      role: admin.role_id === 1 ? 'superadmin' : 'admin'  // 确保role值正确
-    };
-    
-    const token = jwt.sign(payload, jwtConfig.JWT_SECRET, { expiresIn: jwtConfig.JWT_EXPIRES_IN });
-    logger.info(`生成JWT令牌: ${token.substring(0, 20)}...`);
-    console.log(`生成JWT令牌: ${token.substring(0, 20)}...`);
-    
-    // 创建安全的管理员对象（不含密码）
-    const safeAdmin = {
-      id: admin.id,
-      username: admin.username,
-      email: admin.email,
-      role: roleName
-    };
-    
-    // 尝试更新最后登录时间，但忽略错误
-    try {
-      // 首先检查表是否有last_login字段
-      const columns = await query('SHOW COLUMNS FROM admin_users');
-      const hasLastLoginField = columns.some(col => col.Field === 'last_login');
-      
-      if (hasLastLoginField) {
-        await query(
-          'UPDATE admin_users SET last_login = NOW() WHERE id = ?',
-          [admin.id]
-        );
-      } else {
-        logger.warn('admin_users表中缺少last_login字段，跳过更新最后登录时间');
-      }
-    } catch (updateError) {
-      // 如果更新失败，记录错误但不中断登录流程
-      logger.warn(`更新最后登录时间失败，但不影响登录: ${updateError.message}`);
+    // 开启了两步验证（或所在角色要求开启）时，密码正确后只签发待验证令牌
+    const mfaStep = await mfaService.getLoginRequirement(admin);
+    if (mfaStep) {
+      logger.info(`管理员密码验证通过，等待两步验证: ${username}`);
+      return {
+        success: true,
+        message: mfaStep === 'setup' ? '所在角色要求开启两步验证，请先完成设置' : '请输入两步验证码',
+        mfaRequired: true,
+        mfaSetupRequired: mfaStep === 'setup',
+        mfaToken: mfaService.createPendingToken(admin.id, mfaStep)
+      };
     }
     
-    return {
-      success: true,
-      message: '登录成功',
-      token,
-      user: safeAdmin
-    };
+    // 需要两步验证时，通过第二步后才清除失败计数
+    await loginProtectionService.recordSuccess('admin', admin);
+    return await issueAdminLogin(admin, context);
   } catch (error) {
     logger.error('管理员登录失败:', error.message);
     logger.error('错误堆栈:', error.stack);
@@ -470,6 +511,116 @@ async function loginAdminUser(username, password) {
   }
 }
 
+/**
+ * 完成管理员登录：创建登录会话并签发令牌
+ * @param {Object} admin - 管理员信息，需包含 role_id 和 role_name
+ * @param {Object} context - 登录设备信息 { userAgent, ipAddress }
+ * @returns {Promise<Object>} 登录结果，包含访问令牌和刷新令牌
+ */
+async function issueAdminLogin(admin, context = {}) {
+  // 确定角色名称
+  const roleName = admin.role_name || 'admin';
+  logger.info(`管理员登录成功: ${admin.username}, 角色: ${roleName}`);
+  console.log(`管理员登录成功: ${admin.username}, 角色: ${roleName}`);
+  
+  // 创建登录会话并生成JWT令牌
+  const session = await sessionService.createSession('admin', admin.id, context);
+  const token = authService.generateAdminAccessToken(admin, session.sessionId);
+  logger.info(`生成JWT令牌: ${token.substring(0, 20)}...`);
+  console.log(`生成JWT令牌: ${token.substring(0, 20)}...`);
+  
+  // 创建安全的管理员对象（不含密码）
+  const safeAdmin = {
+    id: admin.id,
+    username: admin.username,
+    email: admin.email,
+    role: roleName
+  };
+  
+  // 尝试更新最后登录时间，但忽略错误
+  try {
+    // 首先检查表是否有last_login字段
+    const columns = await query('SHOW COLUMNS FROM admin_users');
+    const hasLastLoginField = columns.some(col => col.Field === 'last_login');
+    
+    if (hasLastLoginField) {
+      await query(
+        'UPDATE admin_users SET last_login = NOW() WHERE id = ?',
+        [admin.id]
+      );
+    } else {
+      logger.warn('admin_users表中缺少last_login字段，跳过更新最后登录时间');
+    }
+  } catch (updateError) {
+    // 如果更新失败，记录错误但不中断登录流程
+    logger.warn(`更新最后登录时间失败，但不影响登录: ${updateError.message}`);
+  }
+  
+  return {
+    success: true,
+    message: '登录成功',
+    token,
+    refreshToken: session.refreshToken,
+    user: safeAdmin
+  };
+}
+
+/**
+ * 两步验证通过后完成管理员登录
+ * @param {number} adminId - 管理员ID
+ * @param {Object} context - 登录设备信息 { userAgent, ipAddress }
+ * @returns {Promise<Object>} 登录结果
+ */
+async function completeAdminLogin(adminId, context = {}) {
+  try {
+    const admins = await query(
+      `SELECT a.id, a.username, a.email, a.status, a.role_id, r.name as role_name
+       FROM admin_users a
+       LEFT JOIN roles r ON a.role_id = r.id
+       WHERE a.id = ?`,
+      [adminId]
+    );
+    
+    if (admins.length === 0 || admins[0].status !== 1) {
+      return { success: false, message: '账户不存在或已被禁用' };
+    }
+    
+    await loginProtectionService.recordSuccess('admin', admins[0]);
+    return await issueAdminLogin(admins[0], context);
+  } catch (error) {
+    logger.error(`完成管理员登录失败: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * 登录第二步提交验证码前检查账户是否被锁定
+ * @param {number} adminId - 管理员ID
+ * @param {string} ipAddress - 客户端IP
+ * @returns {Promise<Object|null>} 被锁定或需要等待时返回登录失败结果，否则返回 null
+ */
+async function checkAdminMfaAttempt(adminId, ipAddress) {
+  const result = await loginProtectionService.checkAttempt('admin', { id: adminId }, ipAddress);
+  if (result.allowed) {
+    return null;
+  }
+  
+  logger.warn(`管理员两步验证被拒绝: ${result.message} ID=${adminId}`);
+  return { success: false, status: result.status, message: result.message, retryAfter: result.retryAfter };
+}
+
+/**
+ * 两步验证失败：与密码错误一样计入账户的失败次数，达到阈值时锁定账户并通知本人
+ * @param {number} adminId - 管理员ID
+ * @param {string} ipAddress - 客户端IP
+ * @param {string} message - 未锁定时的提示
+ * @returns {Promise<Object>} 登录失败结果
+ */
+async function rejectAdminMfa(adminId, ipAddress, message) {
+  const admins = await query('SELECT id, username, email FROM admin_users WHERE id = ?', [adminId]);
+  return rejectLogin('admin', admins[0] || { id: adminId }, ipAddress, message);
+}
+
 /**
  * 获取当前用户信息
  * @param {number} userId - 用户ID
@@ -876,6 +1027,9 @@ async function deleteUser(userId) {
       return { success: false, message: '删除失败：找不到用户' };
     }
 
+    // 已登录的设备立即失效
+    await sessionService.revokeAllSessions('user', userId, { reason: 'account_deleted' });
+
     logger.info(`用户删除成功: userId=${userId}, username=${userCheck[0].username}`);
     return {
       success: true,
@@ -903,6 +1057,9 @@ module.exports = {
   registerAdminUser,
   loginPublicUser,
   loginAdminUser,
+  completeAdminLogin,
+  checkAdminMfaAttempt,
+  rejectAdminMfa,
   getCurrentUser,
   updateUserProfile,
   getAllUsers,
@@ -10,7 +10,7 @@
  * /api/admin/auth/login:
  *   post:
  *     summary: 管理员登录
- *     description: 管理员账号登录获取JWT令牌
+ *     description: 管理员账号登录获取JWT令牌。开启了两步验证（或所在角色要求开启）时不返回令牌，而是返回 mfaRequired 和有效期5分钟的 mfaToken，需继续调用 /api/admin/auth/login/mfa 或先完成绑定
  *     tags: [管理员认证]
  *     requestBody:
  *       required: true
@@ -54,14 +54,30 @@
  *                     token:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: 刷新令牌，访问令牌过期后用于换取新令牌
  *                     admin:
  *                       $ref: '#/components/schemas/Admin'
+ *                     mfaRequired:
+ *                       type: boolean
+ *                       description: 需要两步验证，此时只返回 mfaToken
+ *                     mfaSetupRequired:
+ *                       type: boolean
+ *                       description: 所在角色要求开启两步验证但尚未绑定
+ *                     mfaToken:
+ *                       type: string
+ *                       description: 待验证令牌，只能用于完成两步验证
  *       401:
  *         description: 登录失败,邮箱或密码错误
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: 连续登录失败次数过多，账户已被临时锁定。响应头 Retry-After 和 data.retryAfter 为剩余秒数
+ *       429:
+ *         description: 尝试过于频繁（连续失败后需等待递增的时间）或该IP失败次数过多
  *       500:
  *         description: 服务器错误
  *         content:
@@ -111,7 +127,7 @@
  * /api/admin/auth/logout:
  *   post:
  *     summary: 管理员登出
- *     description: 使当前JWT令牌失效
+ *     description: 结束当前登录会话,访问令牌和刷新令牌都会失效
  *     tags: [管理员认证]
  *     security:
  *       - BearerAuth: []
@@ -142,67 +158,42 @@
 
 /**
  * @swagger
- * tags:
- *   name: 角色管理
- *   description: 管理员角色相关API
- */
-
-/**
- * @swagger
- * /api/admin/roles:
- *   get:
- *     summary: 获取所有角色
- *     description: 获取系统中所有可用的角色列表
- *     tags: [角色管理]
- *     security:
- *       - BearerAuth: []
+ * /api/admin/auth/refresh-token:
+ *   post:
+ *     summary: 刷新令牌
+ *     description: 使用刷新令牌获取新的访问令牌和刷新令牌,旧的刷新令牌随即失效;已轮换的刷新令牌再次使用时整个会话失效
+ *     tags: [管理员认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
- *         description: 成功获取角色列表
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 获取角色列表成功
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Role'
+ *         description: 令牌刷新成功,返回 token、refreshToken 和 admin
  *       401:
- *         description: 未授权访问
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: 服务器错误
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: 刷新令牌无效、已过期或会话已失效
+ *       409:
+ *         description: 并发刷新时其他请求已完成轮换
  */
 
 /**
  * @swagger
- * /api/admin/roles/permissions:
+ * /api/admin/auth/sessions:
  *   get:
- *     summary: 获取所有权限
- *     description: 获取系统中所有可用的权限列表
- *     tags: [角色管理]
+ *     summary: 获取当前管理员的登录设备
+ *     tags: [管理员认证]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: 成功获取权限列表
+ *         description: 获取成功
  *         content:
  *           application/json:
  *             schema:
@@ -211,267 +202,408 @@
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 获取权限列表成功
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Permission'
- *       401:
- *         description: 未授权访问
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *                     $ref: '#/components/schemas/Session'
  */
 
 /**
  * @swagger
- * /api/admin/roles/{roleId}/permissions:
- *   get:
- *     summary: 获取角色的权限
- *     description: 获取特定角色的所有权限
- *     tags: [角色管理]
+ * /api/admin/auth/sessions/{id}:
+ *   delete:
+ *     summary: 退出指定设备的登录
+ *     tags: [管理员认证]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: roleId
+ *         name: id
  *         required: true
- *         description: 角色ID
  *         schema:
- *           type: integer
+ *           type: string
+ *         description: 会话ID
  *     responses:
  *       200:
- *         description: 成功获取角色的权限
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 获取角色权限成功
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Permission'
+ *         description: 已退出
  *       404:
- *         description: 角色不存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: 登录设备不存在或已退出
  */
 
 /**
  * @swagger
- * /api/admin/roles:
+ * /api/admin/auth/login/mfa:
  *   post:
- *     summary: 创建角色
- *     description: 创建新的角色
- *     tags: [角色管理]
- *     security:
- *       - BearerAuth: []
+ *     summary: 登录第二步
+ *     description: 提交验证器应用中的验证码或一次性恢复码完成登录。同一个 mfaToken 最多尝试5次，验证失败与密码错误一样计入账户的连续失败次数
+ *     tags: [管理员认证]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - name
+ *             required: [mfaToken]
  *             properties:
- *               name:
+ *               mfaToken:
  *                 type: string
- *                 description: 角色名称
- *                 example: editor
- *               description:
+ *               code:
  *                 type: string
- *                 description: 角色描述
- *                 example: 内容编辑人员
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2c-3d4e5
  *     responses:
- *       201:
- *         description: 角色创建成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 201
- *                 message:
- *                   type: string
- *                   example: 角色创建成功
- *                 data:
- *                   $ref: '#/components/schemas/Role'
- *       400:
- *         description: 角色名称已存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *       200:
+ *         description: 登录成功,返回 token、refreshToken 和 admin
  *       401:
- *         description: 未授权访问
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: 验证码错误或 mfaToken 已失效
+ *       423:
+ *         description: 连续失败次数过多，账户已被临时锁定。响应头 Retry-After 为剩余秒数
+ *       429:
+ *         description: 尝试过于频繁，需等待 Retry-After 秒后重试
  */
 
 /**
  * @swagger
- * /api/admin/roles/{roleId}:
- *   put:
- *     summary: 更新角色
- *     description: 更新现有角色信息
- *     tags: [角色管理]
- *     security:
- *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: roleId
- *         required: true
- *         description: 角色ID
- *         schema:
- *           type: integer
+ * /api/admin/auth/login/mfa/setup:
+ *   post:
+ *     summary: 登录时绑定两步验证
+ *     description: 所在角色要求开启两步验证但尚未绑定时使用，返回密钥和 otpauth:// 地址，前端据此生成二维码
+ *     tags: [管理员认证]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [mfaToken]
  *             properties:
- *               name:
- *                 type: string
- *                 description: 角色名称
- *                 example: senior-editor
- *               description:
+ *               mfaToken:
  *                 type: string
- *                 description: 角色描述
- *                 example: 高级内容编辑人员
  *     responses:
  *       200:
- *         description: 角色更新成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 角色更新成功
- *                 data:
- *                   $ref: '#/components/schemas/Role'
- *       404:
- *         description: 角色不存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: 返回 secret 和 otpauthUri
+ *       401:
+ *         description: mfaToken 无效或已过期
  */
 
 /**
  * @swagger
- * /api/admin/roles/{roleId}:
- *   delete:
- *     summary: 删除角色
- *     description: 删除现有角色
- *     tags: [角色管理]
- *     security:
- *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: roleId
- *         required: true
- *         description: 角色ID
- *         schema:
- *           type: integer
+ * /api/admin/auth/login/mfa/enable:
+ *   post:
+ *     summary: 登录时确认绑定
+ *     description: 验证码正确后开启两步验证并完成登录，同时返回恢复码（只显示一次）
+ *     tags: [管理员认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mfaToken, code]
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
  *     responses:
  *       200:
- *         description: 角色删除成功
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 角色删除成功
+ *         description: 登录成功,返回 token、refreshToken、admin 和 recoveryCodes
  *       400:
- *         description: 角色正在被使用,无法删除
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: 角色不存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *         description: 验证码不正确
+ *       401:
+ *         description: mfaToken 无效、已过期或尝试次数已用完
+ *       423:
+ *         description: 连续失败次数过多，账户已被临时锁定
  */
 
 /**
  * @swagger
- * /api/admin/roles/{roleId}/permissions:
+ * /api/admin/auth/mfa:
+ *   get:
+ *     summary: 获取两步验证状态
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 返回 enabled、enabledAt、required（所在角色是否要求开启）和剩余恢复码数量
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/mfa/setup:
  *   post:
- *     summary: 分配权限给角色
- *     description: 更新角色拥有的权限列表
- *     tags: [角色管理]
+ *     summary: 开始绑定两步验证
+ *     description: 生成新的密钥，确认验证码之前不会生效
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 返回 secret 和 otpauthUri
+ *       400:
+ *         description: 已开启两步验证
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/mfa/enable:
+ *   post:
+ *     summary: 开启两步验证
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已开启,返回恢复码（只显示一次）
+ *       400:
+ *         description: 验证码不正确
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/mfa/disable:
+ *   post:
+ *     summary: 关闭两步验证
+ *     description: 需要验证码或恢复码确认；所在角色要求开启时不能关闭
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已关闭
+ *       400:
+ *         description: 验证码不正确或未开启
+ *       403:
+ *         description: 所在角色要求开启两步验证
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 需要验证码确认，旧的恢复码全部失效
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 返回新的恢复码
+ *       400:
+ *         description: 验证码不正确
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/api-tokens:
+ *   get:
+ *     summary: 获取个人访问令牌
+ *     description: 个人访问令牌以 xbt_ 开头,与JWT一样放在 Authorization 请求头中以 Bearer 方式使用,只能访问声明了所需权限的接口
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *   post:
+ *     summary: 创建个人访问令牌
+ *     description: 令牌明文(data.token)只在创建时返回一次,服务器只保存哈希
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiTokenInput'
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误、包含自己没有的权限或令牌数量已达上限
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/api-tokens/scopes:
+ *   get:
+ *     summary: 获取可以授予访问令牌的权限
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 返回当前账户拥有的权限代码
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/api-tokens/{id}:
+ *   delete:
+ *     summary: 撤销个人访问令牌
+ *     tags: [管理员认证]
  *     security:
  *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: roleId
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已撤销,令牌立即失效
+ *       404:
+ *         description: 访问令牌不存在或已撤销
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/admins/{id}/login-lock:
+ *   get:
+ *     summary: 获取管理员账户的登录锁定状态
+ *     description: 仅超级管理员
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 管理员ID
+ *     responses:
+ *       200:
+ *         description: 返回 locked、retryAfter、failedAttempts 和 maxAttempts
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/admins/{id}/unlock:
+ *   post:
+ *     summary: 解除管理员账户的登录锁定
+ *     description: 仅超级管理员。解除临时锁定并清除登录失败次数
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
  *         required: true
- *         description: 角色ID
  *         schema:
  *           type: integer
+ *         description: 管理员ID
+ *     responses:
+ *       200:
+ *         description: 已解除，wasLocked 表示解除前是否处于锁定状态
+ *       404:
+ *         description: 管理员不存在
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/mfa/policy:
+ *   get:
+ *     summary: 获取两步验证策略
+ *     description: 仅超级管理员
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 返回 requiredRoleIds
+ *   put:
+ *     summary: 设置必须开启两步验证的角色
+ *     description: 仅超级管理员。这些角色的管理员未开启两步验证时，下次登录需先完成绑定
+ *     tags: [管理员认证]
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - permissions
+ *             required: [requiredRoleIds]
  *             properties:
- *               permissions:
+ *               requiredRoleIds:
  *                 type: array
- *                 description: 权限ID列表
  *                 items:
  *                   type: integer
- *                 example: [1, 2, 3]
  *     responses:
  *       200:
- *         description: 权限分配成功
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误或角色不存在
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: 角色管理
+ *   description: 管理员角色相关API
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: 获取所有角色
+ *     description: 获取系统中所有可用的角色列表
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取角色列表
  *         content:
  *           application/json:
  *             schema:
@@ -485,9 +617,797 @@
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: 权限分配成功
- *       404:
- *         description: 角色不存在
+ *                   example: 获取角色列表成功
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: 未授权访问
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: 服务器错误
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/permissions:
+ *   get:
+ *     summary: 获取所有权限
+ *     description: 获取系统中所有可用的权限列表
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取权限列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 获取权限列表成功
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permission'
+ *       401:
+ *         description: 未授权访问
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}/permissions:
+ *   get:
+ *     summary: 获取角色的权限
+ *     description: 获取特定角色的所有权限
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         description: 角色ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 成功获取角色的权限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 获取角色权限成功
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permission'
+ *       404:
+ *         description: 角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: 创建角色
+ *     description: 创建新的角色
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 角色名称
+ *                 example: editor
+ *               description:
+ *                 type: string
+ *                 description: 角色描述
+ *                 example: 内容编辑人员
+ *               parentIds:
+ *                 type: array
+ *                 description: 继承的父角色ID，角色拥有父角色及其祖先的全部权限
+ *                 items:
+ *                   type: integer
+ *                 example: [4]
+ *     responses:
+ *       201:
+ *         description: 角色创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 201
+ *                 message:
+ *                   type: string
+ *                   example: 角色创建成功
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: 角色名称已存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 未授权访问
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}:
+ *   put:
+ *     summary: 更新角色
+ *     description: 更新现有角色信息
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         description: 角色ID
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 角色名称
+ *                 example: senior-editor
+ *               description:
+ *                 type: string
+ *                 description: 角色描述
+ *                 example: 高级内容编辑人员
+ *               parentIds:
+ *                 type: array
+ *                 description: 继承的父角色ID，替换原有的父角色；不传时保持不变。形成继承循环时返回400
+ *                 items:
+ *                   type: integer
+ *                 example: [3]
+ *     responses:
+ *       200:
+ *         description: 角色更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 角色更新成功
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       404:
+ *         description: 角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}:
+ *   delete:
+ *     summary: 删除角色
+ *     description: 删除现有角色
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         description: 角色ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 角色删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 角色删除成功
+ *       400:
+ *         description: 角色正在被使用,无法删除
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/{roleId}/permissions:
+ *   post:
+ *     summary: 分配权限给角色
+ *     description: 更新角色拥有的权限列表
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         description: 角色ID
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 description: 权限ID列表
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 2, 3]
+ *     responses:
+ *       200:
+ *         description: 权限分配成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 权限分配成功
+ *       404:
+ *         description: 角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/users/{userId}/permissions:
+ *   get:
+ *     summary: 获取用户的有效权限
+ *     description: 获取用户通过角色获得的所有权限，并说明每个权限来自哪些角色。结果带缓存，角色或角色权限变化时自动刷新
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         description: 用户ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: userType
+ *         description: 用户类型，admin 表示管理员账户，默认为前台用户
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *           default: user
+ *     responses:
+ *       200:
+ *         description: 成功获取用户权限
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 获取用户权限成功
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Permission'
+ *                       - type: object
+ *                         properties:
+ *                           sources:
+ *                             type: array
+ *                             description: 权限来源
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 roleId:
+ *                                   type: integer
+ *                                   example: 3
+ *                                 roleCode:
+ *                                   type: string
+ *                                   example: editor
+ *                                 roleName:
+ *                                   type: string
+ *                                   example: 编辑
+ *                                 via:
+ *                                   type: string
+ *                                   description: user_roles 为前台用户的角色，admin_users 为管理员的角色，superadmin 表示超级管理员拥有全部权限，grant 为临时授权，inherited 为继承得到
+ *                                   enum: [user_roles, admin_users, superadmin, grant, inherited]
+ *                                 through:
+ *                                   type: string
+ *                                   description: 继承得到时，直接拥有的那个角色的代码
+ *                                   example: editor
+ *                                 expiresAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                                   description: 来自临时授权时的到期时间
+ *                                 categoryIds:
+ *                                   type: array
+ *                                   items:
+ *                                     type: integer
+ *                                   description: 角色限定的分类范围（不含展开的子分类），不限分类时没有此字段
+ *       400:
+ *         description: 无效的用户ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RoleGrant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_type:
+ *           type: string
+ *           enum: [user, admin]
+ *         user_id:
+ *           type: integer
+ *           example: 12
+ *         role_id:
+ *           type: integer
+ *           example: 3
+ *         role_code:
+ *           type: string
+ *           example: editor
+ *         role_name:
+ *           type: string
+ *           example: Editor
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         granted_by:
+ *           type: integer
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_by:
+ *           type: integer
+ *           nullable: true
+ *         expired_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 到期处理时间
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/grants:
+ *   get:
+ *     summary: 获取临时角色授权
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userType
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: 成功获取临时角色授权
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 获取临时角色授权成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RoleGrant'
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *   post:
+ *     summary: 临时授予角色
+ *     description: 在用户原有角色之外临时授予一个角色，到期后自动失效。授权、撤销和到期都会记录审计日志。仅超级管理员可用
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - roleId
+ *               - expiresAt
+ *             properties:
+ *               userType:
+ *                 type: string
+ *                 enum: [user, admin]
+ *                 default: user
+ *               userId:
+ *                 type: integer
+ *                 example: 12
+ *               roleId:
+ *                 type: integer
+ *                 example: 3
+ *               expiresAt:
+ *                 type: string
+ *                 description: 到期时间，只有日期时表示到当天结束为止，最长366天
+ *                 example: '2026-12-31'
+ *               reason:
+ *                 type: string
+ *                 example: 年终专题临时编辑
+ *     responses:
+ *       201:
+ *         description: 临时授权成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 临时授权成功
+ *                 data:
+ *                   $ref: '#/components/schemas/RoleGrant'
+ *       400:
+ *         description: 参数错误、用户或角色不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/grants/{grantId}:
+ *   delete:
+ *     summary: 提前撤销临时角色授权
+ *     description: 仅超级管理员可用
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: grantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 临时授权已撤销
+ *       400:
+ *         description: 授权不存在、已撤销或已到期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/grants/logs:
+ *   get:
+ *     summary: 获取临时角色授权的审计记录
+ *     description: 记录每次授权（grant）、提前撤销（revoke）和到期（expire），按时间倒序
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userType
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: grantId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: 成功获取审计记录
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           grant_id:
+ *                             type: integer
+ *                           action:
+ *                             type: string
+ *                             enum: [grant, revoke, expire]
+ *                           operator_id:
+ *                             type: integer
+ *                             nullable: true
+ *                           operator_name:
+ *                             type: string
+ *                             nullable: true
+ *                           role_code:
+ *                             type: string
+ *                           expires_at:
+ *                             type: string
+ *                             format: date-time
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                     total:
+ *                       type: integer
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles/scopes:
+ *   get:
+ *     summary: 获取用户各角色的分类范围
+ *     description: 限定了分类范围的角色只在这些分类及其子分类中生效（发布文章、审核评论，以及后台文章和评论列表），没有记录的角色不限分类
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userType
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *           default: user
+ *       - in: query
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 成功获取角色分类范围
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       roleId:
+ *                         type: integer
+ *                         example: 3
+ *                       roleCode:
+ *                         type: string
+ *                         example: editor
+ *                       roleName:
+ *                         type: string
+ *                         example: 编辑
+ *                       categories:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                               example: 5
+ *                             name:
+ *                               type: string
+ *                               example: 技术
+ *       400:
+ *         description: 无效的用户ID或用户类型
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     summary: 设置用户某个角色的分类范围
+ *     description: 仅超级管理员可用。替换该角色原有的范围，categoryIds 为空数组时取消限制。范围沿角色继承传递，例如限定范围的编辑继承的作者权限也只在这些分类中生效
+ *     tags: [角色管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - roleId
+ *               - categoryIds
+ *             properties:
+ *               userType:
+ *                 type: string
+ *                 enum: [user, admin]
+ *                 default: user
+ *               userId:
+ *                 type: integer
+ *                 example: 12
+ *               roleId:
+ *                 type: integer
+ *                 example: 3
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5]
+ *     responses:
+ *       200:
+ *         description: 角色分类范围设置成功
+ *       400:
+ *         description: 参数错误，用户、角色或分类不存在
  *         content:
  *           application/json:
  *             schema:
@@ -33,7 +33,8 @@ const swaggerOptions = {
         BearerAuth: {
           type: 'http',
           scheme: 'bearer',
-          bearerFormat: 'JWT'
+          bearerFormat: 'JWT',
+          description: '登录获得的访问令牌,或以 xbt_ 开头的个人访问令牌'
         }
       }
     }
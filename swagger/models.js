@@ -118,8 +118,8 @@
  *           description: 封面图片URL
  *         status:
  *           type: string
- *           enum: [draft, published, archived]
- *           description: 文章状态
+ *           enum: [draft, scheduled, published, archived]
+ *           description: 文章状态(scheduled表示等待到点发布)
  *         view_count:
  *           type: integer
  *           description: 浏览次数
@@ -147,6 +147,11 @@
  *           type: string
  *           format: date-time
  *           description: 发布时间
+ *         expire_time:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 定时下线时间,到期后文章自动归档
  *         tags:
  *           type: array
  *           description: 标签列表
@@ -282,6 +287,11 @@
  *         description:
  *           type: string
  *           description: 角色描述
+ *         parentIds:
+ *           type: array
+ *           description: 继承的父角色ID
+ *           items:
+ *             type: integer
  *         created_at:
  *           type: string
  *           format: date-time
@@ -290,6 +300,7 @@
  *         id: 1
  *         name: editor
  *         description: 内容编辑人员
+ *         parentIds: [4]
  *         created_at: 2023-01-01T08:00:00Z
  *     
  *     Permission:
@@ -383,7 +394,10 @@
  *           properties:
  *             token:
  *               type: string
- *               description: JWT令牌
+ *               description: JWT访问令牌，有效期较短
+ *             refreshToken:
+ *               type: string
+ *               description: 刷新令牌，用于换取新的访问令牌，每次使用后轮换
  *             userInfo:
  *               type: object
  *               description: 用户信息
@@ -81,6 +81,10 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: 连续登录失败次数过多，账户已被临时锁定。响应头 Retry-After 和 data.retryAfter 为剩余秒数
+ *       429:
+ *         description: 尝试过于频繁（连续失败后需等待递增的时间）或该IP失败次数过多
  *       500:
  *         description: 服务器错误
  *         content:
@@ -136,7 +140,7 @@
  * /api/auth/logout:
  *   post:
  *     summary: 用户登出
- *     description: 使当前JWT令牌失效
+ *     description: 结束当前登录会话,访问令牌和该会话的刷新令牌都会失效
  *     tags: [认证]
  *     security:
  *       - BearerAuth: []
@@ -170,10 +174,20 @@
  * /api/auth/refresh-token:
  *   post:
  *     summary: 刷新令牌
- *     description: 使用旧令牌获取新的JWT令牌
+ *     description: 使用刷新令牌获取新的访问令牌和刷新令牌,旧的刷新令牌随即失效。已轮换的刷新令牌再次使用会被视为泄露,整个登录会话随之失效
  *     tags: [认证]
- *     security:
- *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: 登录或上次刷新时获取的刷新令牌
  *     responses:
  *       200:
  *         description: 令牌刷新成功
@@ -197,10 +211,19 @@
  *                     token:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *                     user:
  *                       $ref: '#/components/schemas/User'
  *       401:
- *         description: 令牌无效或已过期
+ *         description: 刷新令牌无效、已过期或已被使用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: 并发刷新时其他请求已完成轮换,请使用最新的刷新令牌
  *         content:
  *           application/json:
  *             schema:
@@ -213,12 +236,237 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: 会话ID
+ *         device:
+ *           type: string
+ *           description: 设备名称,由User-Agent解析
+ *           example: Chrome 120 / Windows
+ *         user_agent:
+ *           type: string
+ *         ip_address:
+ *           type: string
+ *           description: 最近一次使用的IP
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: 登录时间
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *           description: 最近活跃时间
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: 是否为当前请求所属的会话
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: 获取登录设备
+ *     description: 当前用户所有未过期的登录会话,按最近活跃时间倒序
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *   delete:
+ *     summary: 退出其他设备
+ *     description: 注销除当前会话外的所有登录会话
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已退出,返回注销的会话数量
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: 退出指定设备
+ *     description: 该会话的访问令牌和刷新令牌立即失效
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会话ID
+ *     responses:
+ *       200:
+ *         description: 已退出
+ *       404:
+ *         description: 登录设备不存在或已退出
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: CI 发布脚本
+ *         prefix:
+ *           type: string
+ *           description: 令牌开头几位,用于辨认
+ *           example: xbt_Q2x1ZGVf
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [post:create, media:upload]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expired:
+ *           type: boolean
+ *     ApiTokenInput:
+ *       type: object
+ *       required: [name, scopes]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         scopes:
+ *           type: array
+ *           description: 权限代码,不能超过自己拥有的权限
+ *           items:
+ *             type: string
+ *         expiresInDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ */
+
+/**
+ * @swagger
+ * /api/auth/api-tokens:
+ *   get:
+ *     summary: 获取个人访问令牌
+ *     description: 个人访问令牌以 xbt_ 开头,与JWT一样放在 Authorization 请求头中以 Bearer 方式使用,只能访问声明了所需权限的接口
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *   post:
+ *     summary: 创建个人访问令牌
+ *     description: 令牌明文(data.token)只在创建时返回一次,服务器只保存哈希
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiTokenInput'
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误、包含自己没有的权限或令牌数量已达上限
+ */
+
+/**
+ * @swagger
+ * /api/auth/api-tokens/scopes:
+ *   get:
+ *     summary: 获取可以授予访问令牌的权限
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 返回当前账户拥有的权限代码
+ */
+
+/**
+ * @swagger
+ * /api/auth/api-tokens/{id}:
+ *   delete:
+ *     summary: 撤销个人访问令牌
+ *     tags: [认证]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已撤销,令牌立即失效
+ *       404:
+ *         description: 访问令牌不存在或已撤销
+ */
+
 /**
  * @swagger
  * /api/auth/forgot-password:
  *   post:
  *     summary: 忘记密码
- *     description: 发送密码重置邮件
+ *     description: 发送密码重置验证码邮件,验证码10分钟内有效,最多可尝试5次。邮箱未注册时同样返回成功,不会发送邮件。每个IP每小时最多请求5次
  *     tags: [认证]
  *     requestBody:
  *       required: true
@@ -250,13 +498,9 @@
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: 密码重置邮件已发送,请查收
- *       404:
- *         description: 邮箱未注册
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *                   example: 如果该邮箱已注册，密码重置邮件将很快送达，请查收
+ *       429:
+ *         description: 请求过于频繁
  *       500:
  *         description: 服务器错误
  *         content:
@@ -270,7 +514,7 @@
  * /api/auth/reset-password:
  *   post:
  *     summary: 重置密码
- *     description: 使用重置令牌重置密码
+ *     description: 使用邮件中的重置验证码重置密码,验证码尝试5次后作废;重置成功后该用户在所有设备上的登录会话失效。每个IP每15分钟最多请求10次
  *     tags: [认证]
  *     requestBody:
  *       required: true
@@ -279,13 +523,19 @@
  *           schema:
  *             type: object
  *             required:
+ *               - email
  *               - token
  *               - password
  *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 用户注册邮箱
+ *                 example: user@example.com
  *               token:
  *                 type: string
- *                 description: 密码重置令牌
- *                 example: 1234567890abcdef1234567890abcdef
+ *                 description: 密码重置验证码
+ *                 example: '123456'
  *               password:
  *                 type: string
  *                 format: password
@@ -309,11 +559,13 @@
  *                   type: string
  *                   example: 密码重置成功,请使用新密码登录
  *       400:
- *         description: 令牌无效或已过期
+ *         description: 令牌无效、已过期或尝试次数已用完
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: 请求过于频繁
  *       500:
  *         description: 服务器错误
  *         content:
@@ -327,24 +579,59 @@
  * /api/auth/verify-email:
  *   get:
  *     summary: 验证邮箱
- *     description: 验证用户邮箱地址
+ *     description: 使用注册邮件中的验证码验证用户邮箱地址,也可通过POST请求体提交相同参数。验证码尝试5次后作废,每个IP每15分钟最多请求10次
  *     tags: [认证]
  *     parameters:
  *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 用户注册邮箱
+ *       - in: query
  *         name: token
  *         schema:
  *           type: string
  *         required: true
- *         description: 邮箱验证令牌
+ *         description: 邮箱验证码
  *     responses:
- *       302:
- *         description: 验证成功并重定向
+ *       200:
+ *         description: 验证成功
  *       400:
- *         description: 令牌无效或已过期
+ *         description: 令牌无效、已过期或尝试次数已用完
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: 请求过于频繁
+ */
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: 重新发送邮箱验证码
+ *     description: 向尚未验证的邮箱重新发送验证码,旧验证码随即失效。邮箱未注册或已验证时同样返回成功,不会发送邮件。每个IP每小时最多请求5次
+ *     tags: [认证]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: 已受理
+ *       429:
+ *         description: 请求过于频繁
  */
 
 /**
@@ -388,17 +675,21 @@
  *           type: integer
  *         description: 标签ID
  *       - in: query
+ *         name: author
+ *         schema:
+ *           type: integer
+ *         description: 作者ID
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: 搜索关键词
+ *         description: 搜索关键词，语法同 /api/posts/search 的 q 参数
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [created_at, updated_at, view_count]
- *           default: created_at
- *         description: 排序字段
+ *           enum: [created_at, updated_at, view_count, relevance]
+ *         description: 排序字段，默认 created_at，传入 search 时默认 relevance
  *       - in: query
  *         name: order
  *         schema:
@@ -449,59 +740,21 @@
 
 /**
  * @swagger
- * /api/posts/{slug}:
+ * /api/posts/search:
  *   get:
- *     summary: 获取文章详情
- *     description: 通过文章别名获取单篇文章的详细内容
+ *     summary: 搜索文章
+ *     description: |
+ *       全文搜索已发布文章，按相关度排序（标题权重高于摘要和正文），支持中文。
+ *       多个词语以空格分隔，需全部命中；双引号包裹的内容按短语匹配；以 - 开头的词语会被排除。
  *     tags: [文章]
  *     parameters:
- *       - in: path
- *         name: slug
- *         schema:
- *           type: string
+ *       - in: query
+ *         name: q
  *         required: true
- *         description: 文章别名(URL友好)
- *     responses:
- *       200:
- *         description: 成功获取文章详情
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 code:
- *                   type: integer
- *                   example: 200
- *                 message:
- *                   type: string
- *                   example: 获取文章详情成功
- *                 data:
- *                   $ref: '#/components/schemas/Post'
- *       404:
- *         description: 文章不存在
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-
-/**
- * @swagger
- * /api/posts/{postId}/comments:
- *   get:
- *     summary: 获取文章评论
- *     description: 获取指定文章的评论列表
- *     tags: [文章]
- *     parameters:
- *       - in: path
- *         name: postId
  *         schema:
- *           type: integer
- *         required: true
- *         description: 文章ID
+ *           type: string
+ *           maxLength: 100
+ *         description: 搜索关键词，例如 `博客 "Node.js 部署" -Windows`
  *       - in: query
  *         name: page
  *         schema:
@@ -519,7 +772,7 @@
  *         description: 每页数量
  *     responses:
  *       200:
- *         description: 成功获取评论列表
+ *         description: 搜索成功
  *         content:
  *           application/json:
  *             schema:
@@ -533,25 +786,47 @@
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: 获取评论列表成功
+ *                   example: 搜索文章成功
  *                 data:
  *                   type: object
  *                   properties:
  *                     total:
  *                       type: integer
- *                       example: 20
+ *                       example: 3
  *                     page:
  *                       type: integer
  *                       example: 1
  *                     limit:
  *                       type: integer
  *                       example: 10
- *                     comments:
+ *                     posts:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Comment'
- *       404:
- *         description: 文章不存在
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Post'
+ *                           - type: object
+ *                             properties:
+ *                               relevance:
+ *                                 type: number
+ *                                 description: 相关度得分
+ *                               highlight:
+ *                                 type: object
+ *                                 description: 高亮结果，关键词以 <mark> 标签包裹，其余内容已做HTML转义
+ *                                 properties:
+ *                                   title:
+ *                                     type: string
+ *                                     example: 使用 <mark>Node.js</mark> 搭建<mark>博客</mark>
+ *                                   content:
+ *                                     type: string
+ *                                     example: …本文介绍如何用 <mark>Node.js</mark> 部署…
+ *       400:
+ *         description: 搜索关键词为空或过长
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: 服务器错误
  *         content:
  *           application/json:
  *             schema:
@@ -560,16 +835,230 @@
 
 /**
  * @swagger
- * /api/posts/{postId}/comments:
- *   post:
- *     summary: 添加评论
- *     description: 为指定文章添加新评论
+ * /api/posts/{slug}:
+ *   get:
+ *     summary: 获取文章详情
+ *     description: 通过文章别名获取单篇文章的详细内容
  *     tags: [文章]
- *     security:
- *       - BearerAuth: []
  *     parameters:
  *       - in: path
- *         name: postId
+ *         name: slug
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 文章别名(URL友好)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, markdown, both]
+ *           default: both
+ *         description: 正文格式，html 返回 content_html，markdown 返回 content，both 两者都返回
+ *     responses:
+ *       200:
+ *         description: 成功获取文章详情
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 获取文章详情成功
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Post'
+ *                     - type: object
+ *                       properties:
+ *                         content_html:
+ *                           type: string
+ *                           description: 渲染并净化后的正文HTML
+ *                         toc:
+ *                           type: array
+ *                           description: 按标题层级嵌套的目录
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 description: 标题锚点ID
+ *                               text:
+ *                                 type: string
+ *                               level:
+ *                                 type: integer
+ *                               children:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                         word_count:
+ *                           type: integer
+ *                           description: 字数，中文按字计算，英文按单词计算
+ *                         reading_time:
+ *                           type: integer
+ *                           description: 预计阅读时长（分钟）
+ *       400:
+ *         description: format 参数无效
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/posts/{slug}/related:
+ *   get:
+ *     summary: 获取相关文章
+ *     description: |
+ *       按相同标签（权重3）和相同分类（权重1）的数量为其他已发布文章打分，新近发布的文章额外加分。
+ *       相关文章不足时以热门文章补齐，补齐的文章 related_score 为 null。结果按文章缓存一小时，文章标签或分类变化时失效。
+ *     tags: [文章]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 文章别名(URL友好)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: 返回数量
+ *     responses:
+ *       200:
+ *         description: 成功获取相关文章
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 获取相关文章成功
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Post'
+ *                       - type: object
+ *                         properties:
+ *                           related_score:
+ *                             type: number
+ *                             nullable: true
+ *                             description: 相关度得分
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments:
+ *   get:
+ *     summary: 获取文章评论
+ *     description: 获取已发布文章中已通过审核的评论列表,不包含游客邮箱和IP等信息
+ *     tags: [文章]
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 文章ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 成功获取评论列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 获取评论列表成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 20
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 10
+ *                     comments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Comment'
+ *       404:
+ *         description: 文章不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments:
+ *   post:
+ *     summary: 添加评论
+ *     description: 为指定文章添加新评论或回复。评论会根据评论审核设置进入已通过或待审核状态。未登录时需在网站设置中开启游客评论,并提供昵称和邮箱
+ *     tags: [文章]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: postId
  *         schema:
  *           type: integer
  *         required: true
@@ -591,6 +1080,13 @@
  *                 type: integer
  *                 description: 父评论ID(用于回复)
  *                 example: null
+ *               guest_name:
+ *                 type: string
+ *                 description: 游客昵称(仅游客评论需要)
+ *               guest_email:
+ *                 type: string
+ *                 format: email
+ *                 description: 游客邮箱(仅游客评论需要)
  *     responses:
  *       201:
  *         description: 评论添加成功
@@ -624,6 +1120,65 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}:
+ *   delete:
+ *     summary: 删除评论
+ *     description: 拥有 comment:delete:own 权限的用户只能删除自己发表的评论，拥有 comment:delete:any 权限可以删除所有评论
+ *     tags: [文章]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 文章ID
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: 评论ID
+ *     responses:
+ *       200:
+ *         description: 评论删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 code:
+ *                   type: integer
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: 评论删除成功
+ *       401:
+ *         description: 未授权访问
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: 没有删除权限或不是自己的评论
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: 评论不存在
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
 /**
  * @swagger
  * tags:
@@ -738,4 +1293,323 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */ 
\ No newline at end of file
+ */ 
+/**
+ * @swagger
+ * tags:
+ *   name: 订阅源
+ *   description: RSS、Atom 和 JSON Feed 订阅源，挂载在站点根路径
+ */
+
+/**
+ * @swagger
+ * /feed.xml:
+ *   get:
+ *     summary: 全站 RSS 2.0 订阅源
+ *     description: |
+ *       返回最新20篇已发布文章，正文为渲染后的HTML。支持 If-None-Match 和 If-Modified-Since 条件请求，内容未变化时返回304。
+ *       同样提供 /atom.xml（Atom 1.0）和 /feed.json（JSON Feed 1.1）；
+ *       分类和标签订阅源分别位于 /category/{slug}/ 和 /tag/{slug}/ 下，文件名相同。
+ *     tags: [订阅源]
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           Last-Modified:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: 订阅源未变化
+ */
+
+/**
+ * @swagger
+ * /category/{slug}/feed.xml:
+ *   get:
+ *     summary: 分类 RSS 2.0 订阅源
+ *     tags: [订阅源]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 分类别名
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: 订阅源未变化
+ *       404:
+ *         description: 分类不存在
+ */
+
+/**
+ * @swagger
+ * /tag/{slug}/feed.xml:
+ *   get:
+ *     summary: 标签 RSS 2.0 订阅源
+ *     tags: [订阅源]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 标签别名
+ *     responses:
+ *       200:
+ *         description: 订阅源内容
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: 订阅源未变化
+ *       404:
+ *         description: 标签不存在
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: 搜索引擎
+ *   description: 站点地图和 robots.txt，挂载在站点根路径
+ */
+
+/**
+ * @swagger
+ * /sitemap.xml:
+ *   get:
+ *     summary: 站点地图
+ *     description: |
+ *       包含已发布文章、有文章的分类、标签和作者页，lastmod 取文章的 updated_at。
+ *       链接超过50000个时返回站点地图索引，各分页位于 /sitemap-{page}.xml。
+ *       内容变化时重新生成，其余时间返回缓存结果。
+ *     tags: [搜索引擎]
+ *     responses:
+ *       200:
+ *         description: 站点地图或站点地图索引
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: 未变化
+ */
+
+/**
+ * @swagger
+ * /robots.txt:
+ *   get:
+ *     summary: robots.txt
+ *     description: 内容可通过 PUT /api/admin/settings/robots 修改，未包含 Sitemap 指令时自动追加
+ *     tags: [搜索引擎]
+ *     responses:
+ *       200:
+ *         description: robots.txt 内容
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: 通知
+ *   description: 评论邮件通知设置与退订
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         post_comment:
+ *           type: boolean
+ *           description: 我的文章收到新评论
+ *         comment_reply:
+ *           type: boolean
+ *           description: 我的评论收到回复
+ *         mention:
+ *           type: boolean
+ *           description: 评论中 @ 提及我
+ */
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: 获取评论通知设置
+ *     description: 未设置过时全部开启
+ *     tags: [通知]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: 未登录
+ *   put:
+ *     summary: 更新评论通知设置
+ *     description: 只需提交要修改的类型
+ *     tags: [通知]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       400:
+ *         description: 参数错误
+ */
+
+/**
+ * @swagger
+ * /api/notifications/unsubscribe:
+ *   get:
+ *     summary: 一键退订
+ *     description: 邮件正文中的退订链接，令牌经过签名，无需登录。返回 HTML 页面。
+ *     tags: [通知]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 退订成功
+ *       400:
+ *         description: 链接无效
+ *   post:
+ *     summary: 邮件客户端一键退订
+ *     description: 对应邮件头 List-Unsubscribe-Post（RFC 8058），返回 JSON
+ *     tags: [通知]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 退订成功
+ *       400:
+ *         description: 链接无效
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: 邮件订阅
+ *   description: 订阅新文章邮件，需通过确认邮件完成订阅
+ */
+
+/**
+ * @swagger
+ * /api/newsletter/subscribe:
+ *   post:
+ *     summary: 订阅
+ *     description: 向邮箱发送确认邮件，点击邮件中的链接后订阅生效。无论邮箱是否已订阅都返回相同的提示。
+ *     tags: [邮件订阅]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: 确认邮件已发送
+ *       400:
+ *         description: 邮箱格式不正确
+ *       429:
+ *         description: 请求过于频繁
+ */
+
+/**
+ * @swagger
+ * /api/newsletter/confirm:
+ *   get:
+ *     summary: 确认订阅
+ *     description: 确认邮件中的链接，返回 HTML 页面
+ *     tags: [邮件订阅]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 订阅成功
+ *       400:
+ *         description: 链接无效或已过期
+ */
+
+/**
+ * @swagger
+ * /api/newsletter/unsubscribe:
+ *   get:
+ *     summary: 退订
+ *     description: 邮件正文中的退订链接，令牌经过签名，无需登录。返回 HTML 页面。
+ *     tags: [邮件订阅]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 退订成功
+ *       400:
+ *         description: 链接无效
+ *   post:
+ *     summary: 邮件客户端一键退订
+ *     description: 对应邮件头 List-Unsubscribe-Post（RFC 8058），返回 JSON
+ *     tags: [邮件订阅]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 退订成功
+ *       400:
+ *         description: 链接无效
+ */
@@ -0,0 +1,139 @@
+// 使用内存版 Redis，不依赖外部服务
+process.env.USE_MEMORY_REDIS = 'true';
+
+jest.mock('../../config/db', () => ({ query: jest.fn() }));
+jest.mock('../../utils/mailer', () => ({ sendAccountLockedEmail: jest.fn().mockResolvedValue(true) }));
+
+const bcrypt = require('bcryptjs');
+const { query } = require('../../config/db');
+const mailer = require('../../utils/mailer');
+const { logger } = require('../../utils/logger');
+const loginProtectionService = require('../../services/loginProtectionService');
+const userService = require('../../services/userService');
+
+// 禁用日志输出以保持测试输出清洁
+jest.spyOn(logger, 'info').mockImplementation(() => {});
+jest.spyOn(logger, 'warn').mockImplementation(() => {});
+jest.spyOn(logger, 'error').mockImplementation(() => {});
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+// 每个用例使用不同的账户和IP，计数互不影响
+let seq = 0;
+const nextIp = () => `10.0.0.${++seq}`;
+
+const fail = async (userType, account, ipAddress, times) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await loginProtectionService.recordFailure(userType, account, ipAddress);
+  }
+  return result;
+};
+
+describe('services/loginProtectionService', () => {
+  beforeEach(() => {
+    mailer.sendAccountLockedEmail.mockClear();
+  });
+
+  test('前两次失败不需要等待，之后需等待递增的时间', async () => {
+    const account = { id: 101 };
+    const ip = nextIp();
+
+    await fail('user', account, ip, 2);
+    expect(await loginProtectionService.checkAttempt('user', account, ip)).toEqual({ allowed: true });
+
+    await fail('user', account, ip, 1);
+    expect(await loginProtectionService.checkAttempt('user', account, ip)).toMatchObject({ allowed: false, status: 429, retryAfter: 1 });
+
+    await fail('user', account, ip, 1);
+    expect(await loginProtectionService.checkAttempt('user', account, ip)).toMatchObject({ allowed: false, status: 429, retryAfter: 2 });
+  });
+
+  test('达到失败阈值后锁定账户并邮件通知本人', async () => {
+    const account = { id: 102, email: 'a@example.com', username: 'alice' };
+    const ip = nextIp();
+
+    expect(await fail('admin', account, ip, 4)).toEqual({ allowed: true });
+    const locked = await fail('admin', account, ip, 1);
+
+    expect(locked).toMatchObject({ allowed: false, status: 423, retryAfter: 15 * 60 });
+    expect(mailer.sendAccountLockedEmail).toHaveBeenCalledWith('a@example.com', 'alice', expect.objectContaining({ failedAttempts: 5, ipAddress: ip }));
+    expect(await loginProtectionService.checkAttempt('admin', { id: 102 }, ip)).toMatchObject({ status: 423 });
+    // 同一ID的普通用户不受影响
+    expect(await loginProtectionService.checkAttempt('user', { id: 102 }, ip)).toEqual({ allowed: true });
+  });
+
+  test('不存在的账号按输入的用户名计数，大小写和空格不影响', async () => {
+    const ip = nextIp();
+
+    await fail('user', { identifier: 'Ghost@Example.com ' }, ip, 5);
+
+    expect(mailer.sendAccountLockedEmail).not.toHaveBeenCalled();
+    expect(await loginProtectionService.checkAttempt('user', { identifier: 'ghost@example.com' }, ip)).toMatchObject({ status: 423 });
+  });
+
+  test('登录成功清除失败计数和等待时间', async () => {
+    const account = { id: 103 };
+    const ip = nextIp();
+
+    await fail('user', account, ip, 4);
+    await loginProtectionService.recordSuccess('user', account);
+
+    expect(await loginProtectionService.checkAttempt('user', account, ip)).toEqual({ allowed: true });
+    expect(await loginProtectionService.getLockStatus('user', 103)).toMatchObject({ locked: false, failedAttempts: 0 });
+  });
+
+  test('解除锁定', async () => {
+    const account = { id: 104 };
+    const ip = nextIp();
+
+    await fail('user', account, ip, 5);
+    expect(await loginProtectionService.getLockStatus('user', 104)).toMatchObject({ locked: true });
+
+    expect(await loginProtectionService.unlock('user', 104)).toBe(true);
+    expect(await loginProtectionService.checkAttempt('user', account, ip)).toEqual({ allowed: true });
+  });
+
+  test('同一IP失败过多时暂停该IP的登录', async () => {
+    const ip = nextIp();
+
+    for (let i = 0; i < 30; i++) {
+      await loginProtectionService.recordFailure('user', { identifier: `user${i}` }, ip);
+    }
+
+    expect(await loginProtectionService.checkAttempt('user', null, ip)).toMatchObject({ allowed: false, status: 429 });
+    expect(await loginProtectionService.checkAttempt('user', null, nextIp())).toEqual({ allowed: true });
+  });
+});
+
+describe('userService 登录限制', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('不存在的用户名连续失败后同样需要等待', async () => {
+    query.mockResolvedValue([]);
+    const ip = nextIp();
+
+    for (let i = 0; i < 3; i++) {
+      expect(await userService.loginAdminUser('nobody', 'wrong', { ipAddress: ip })).toEqual({ success: false, message: '用户名或密码不正确' });
+    }
+
+    const delayed = await userService.loginAdminUser('nobody', 'wrong', { ipAddress: ip });
+    expect(delayed).toMatchObject({ success: false, status: 429, retryAfter: 1 });
+  });
+
+  test('不存在的账号被锁定时与存在的账号返回相同的结果', async () => {
+    const ip = nextIp();
+    await fail('user', { identifier: 'ghost' }, ip, 5);
+    await fail('user', { id: 201 }, ip, 5);
+
+    query.mockResolvedValueOnce([]);
+    const unknown = await userService.loginPublicUser('ghost', 'wrong', { ipAddress: ip });
+
+    query.mockResolvedValueOnce([{ id: 201, username: 'real', email: 'real@example.com', password: bcrypt.hashSync('right', 4), status: 1 }]);
+    const existing = await userService.loginPublicUser('real', 'wrong', { ipAddress: ip });
+
+    expect(unknown).toMatchObject({ success: false, status: 423 });
+    expect(unknown).toEqual(existing);
+  });
+});
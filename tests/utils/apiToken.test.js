@@ -0,0 +1,77 @@
+const {
+  TOKEN_PREFIX,
+  hashApiToken,
+  generateApiToken,
+  isApiToken,
+  normalizeScopes,
+  parseExpiresInDays,
+  hasScopes
+} = require('../../utils/apiToken');
+
+describe('utils/apiToken', () => {
+  describe('generateApiToken', () => {
+    it('should generate prefixed tokens with matching hash', () => {
+      const { token, prefix, hash } = generateApiToken();
+      expect(token.startsWith(TOKEN_PREFIX)).toBe(true);
+      expect(token).toMatch(/^xbt_[A-Za-z0-9_-]{43}$/);
+      expect(token.startsWith(prefix)).toBe(true);
+      expect(hash).toBe(hashApiToken(token));
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should generate unique tokens', () => {
+      expect(generateApiToken().token).not.toBe(generateApiToken().token);
+    });
+  });
+
+  describe('isApiToken', () => {
+    it('should distinguish api tokens from JWTs', () => {
+      expect(isApiToken(generateApiToken().token)).toBe(true);
+      expect(isApiToken('eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.e30.sig')).toBe(false);
+      expect(isApiToken(undefined)).toBe(false);
+    });
+  });
+
+  describe('normalizeScopes', () => {
+    it('should dedupe and sort scopes', () => {
+      expect(normalizeScopes(['post:create', 'media:upload', 'post:create'])).toEqual({
+        scopes: ['media:upload', 'post:create']
+      });
+    });
+
+    it('should reject empty or malformed scopes', () => {
+      expect(normalizeScopes([]).error).toBeDefined();
+      expect(normalizeScopes('post:create').error).toBeDefined();
+      expect(normalizeScopes(['post']).error).toBeDefined();
+      expect(normalizeScopes(['Post:Create', 1]).error).toContain('Post:Create');
+    });
+  });
+
+  describe('parseExpiresInDays', () => {
+    it('should accept whole days within range', () => {
+      expect(parseExpiresInDays(30)).toBe(30);
+      expect(parseExpiresInDays('365')).toBe(365);
+    });
+
+    it('should reject values out of range', () => {
+      expect(parseExpiresInDays(0)).toBeNull();
+      expect(parseExpiresInDays(366)).toBeNull();
+      expect(parseExpiresInDays(1.5)).toBeNull();
+      expect(parseExpiresInDays('abc')).toBeNull();
+    });
+  });
+
+  describe('hasScopes', () => {
+    const scopes = ['post:create', 'media:upload'];
+
+    it('should require any scope by default', () => {
+      expect(hasScopes(scopes, ['post:create', 'post:edit'])).toBe(true);
+      expect(hasScopes(scopes, ['post:delete'])).toBe(false);
+    });
+
+    it('should require all scopes when requested', () => {
+      expect(hasScopes(scopes, ['post:create', 'media:upload'], true)).toBe(true);
+      expect(hasScopes(scopes, ['post:create', 'post:edit'], true)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  REDACTED,
+  resolveAuditTarget,
+  getCreatedId,
+  isSecretKey,
+  redactSecrets,
+  redactRequestBody,
+  toCsv
+} = require('../../utils/auditLog');
+
+describe('auditLog utils', () => {
+  test('根据路径识别操作对象', () => {
+    expect(resolveAuditTarget('/posts/12/revisions/3/restore')).toEqual({
+      entityType: 'post', entityId: '12', table: 'posts', idColumn: 'id'
+    });
+    expect(resolveAuditTarget('/roles/grants/5')).toMatchObject({ entityType: 'role_grant', entityId: '5' });
+    expect(resolveAuditTarget('/roles/permissions')).toMatchObject({ entityType: 'role', entityId: null });
+    expect(resolveAuditTarget('/email-templates/verification_code')).toMatchObject({
+      entityType: 'email_template', entityId: 'verification_code', idColumn: 'type'
+    });
+    expect(resolveAuditTarget('/comments/batch/approve')).toMatchObject({ entityType: 'comment', entityId: null });
+  });
+
+  test('配置类接口和未知路径', () => {
+    expect(resolveAuditTarget('/ai/config')).toEqual({ entityType: 'ai_config', entityId: null, config: true });
+    expect(resolveAuditTarget('/settings/website?x=1')).toMatchObject({ entityType: 'website_settings', config: true });
+    expect(resolveAuditTarget('/auth/login')).toEqual({ entityType: 'auth', entityId: null });
+  });
+
+  test('从响应中取出新建记录的ID', () => {
+    expect(getCreatedId({ data: { id: 7 } })).toBe(7);
+    expect(getCreatedId({ data: { post: { id: 8, title: 'a' } } })).toBe(8);
+    expect(getCreatedId({ data: [{ id: 1 }] })).toBeNull();
+    expect(getCreatedId({ message: 'ok' })).toBeNull();
+    expect(getCreatedId(undefined)).toBeNull();
+  });
+
+  test('识别密钥类字段名', () => {
+    ['password', 'newPassword', 'apiKey', 'ai_api_key', 'smtpPass', 'token_hash', 'refreshToken', 'mfa_secret', 'recoveryCode', 'recoveryCodes']
+      .forEach(key => expect(isSecretKey(key)).toBe(true));
+    ['maxTokens', 'username', 'passage', 'keywords', 'api_base_url', 'status']
+      .forEach(key => expect(isSecretKey(key)).toBe(false));
+  });
+
+  test('脱敏快照中的密钥', () => {
+    const result = redactSecrets({
+      username: 'admin',
+      password: 'hash-value',
+      aiConfig: { apiKey: 'sk-xxx', maxTokens: 1000, baseUrl: '' },
+      smtpPass: '',
+      resetToken: null,
+      settings: [
+        { setting_key: 'aiApiKey', setting_value: 'sk-yyy' },
+        { setting_key: 'siteName', setting_value: 'xblog' }
+      ]
+    });
+
+    expect(result).toEqual({
+      username: 'admin',
+      password: REDACTED,
+      aiConfig: { apiKey: REDACTED, maxTokens: 1000, baseUrl: '' },
+      smtpPass: '',
+      resetToken: null,
+      settings: [
+        { setting_key: 'aiApiKey', setting_value: REDACTED },
+        { setting_key: 'siteName', setting_value: 'xblog' }
+      ]
+    });
+  });
+
+  test('两步验证接口的请求体隐藏验证码', () => {
+    expect(redactRequestBody('/auth/mfa/disable', { code: '123456', recoveryCode: 'a1b2c-3d4e5' }))
+      .toEqual({ code: REDACTED, recoveryCode: REDACTED });
+    expect(redactRequestBody('/auth/mfa/recovery-codes', { code: '123456' })).toEqual({ code: REDACTED });
+    expect(redactRequestBody('/auth/login/mfa', { mfaToken: 'x', code: '123456' })).toEqual({ mfaToken: REDACTED, code: REDACTED });
+    // 其他接口的 code 为普通字段
+    expect(redactRequestBody('/roles/permissions', { code: 'post:edit' })).toEqual({ code: 'post:edit' });
+    expect(redactRequestBody('/auth/mfa/policy', {})).toEqual({});
+    expect(redactRequestBody('/auth/mfa/disable', undefined)).toBeNull();
+  });
+
+  test('截断长文本，不修改原对象', () => {
+    const original = { content: 'a'.repeat(2500), file: Buffer.from('abc') };
+    const result = redactSecrets(original);
+
+    expect(result.content.startsWith('a'.repeat(2000))).toBe(true);
+    expect(result.content).toContain('共2500字符');
+    expect(result.file).toBe('[3 bytes]');
+    expect(original.content).toHaveLength(2500);
+  });
+
+  test('导出CSV', () => {
+    const csv = toCsv(
+      [
+        { id: 1, action: 'POST /api/admin/posts', after_data: { title: 'a,"b"' } },
+        { id: 2, action: '=HYPERLINK("x")', after_data: null }
+      ],
+      [{ key: 'id', title: 'ID' }, { key: 'action', title: '操作' }, { key: 'after_data', title: '操作后' }]
+    );
+
+    expect(csv.split('\r\n')).toEqual([
+      'ID,操作,操作后',
+      '1,POST /api/admin/posts,"{""title"":""a,\\""b\\""""}"',
+      '2,"\'=HYPERLINK(""x"")",'
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  buildScopeMap,
+  resolveRoleScopes,
+  getPermissionScope,
+  expandCategoryScope,
+  isWithinScope
+} = require('../../utils/categoryScope');
+
+describe('categoryScope utils', () => {
+  // editor(3) -> author(4) -> user(5)
+  const parentMap = new Map([[3, [4]], [4, [5]]]);
+
+  test('继承得到的角色沿用来源角色的范围', () => {
+    const scopes = resolveRoleScopes([3], parentMap, buildScopeMap([
+      { role_id: 3, category_id: 10 },
+      { role_id: 3, category_id: 11 }
+    ]));
+
+    expect(scopes.get(3)).toEqual([10, 11]);
+    expect(scopes.get(4)).toEqual([10, 11]);
+    expect(scopes.get(5)).toEqual([10, 11]);
+  });
+
+  test('任一来源不限分类时不限分类', () => {
+    const scopes = resolveRoleScopes([3, 4], parentMap, buildScopeMap([{ role_id: 3, category_id: 10 }]));
+
+    expect(scopes.get(3)).toEqual([10]);
+    expect(scopes.get(4)).toBeNull();
+    expect(scopes.get(5)).toBeNull();
+  });
+
+  test('多个限定范围的来源取并集', () => {
+    const scopes = resolveRoleScopes([3, 4], parentMap, buildScopeMap([
+      { role_id: 3, category_id: 10 },
+      { role_id: 4, category_id: 20 }
+    ]));
+
+    expect(scopes.get(4)).toEqual([10, 20]);
+  });
+
+  test('计算权限的生效范围', () => {
+    const permissions = [
+      { code: 'post:publish', sources: [{ roleId: 3, categoryIds: [10] }] },
+      { code: 'post:view', sources: [{ roleId: 3, categoryIds: [10] }, { roleId: 6 }] }
+    ];
+
+    expect(getPermissionScope(permissions, ['post:publish'])).toEqual([10]);
+    expect(getPermissionScope(permissions, ['post:view'])).toBeNull();
+    expect(getPermissionScope(permissions, ['comment:moderate'])).toEqual([]);
+  });
+
+  test('范围包含所有子分类', () => {
+    const hierarchy = [
+      { id: 1, children: [{ id: 2, children: [{ id: 3, children: [] }] }] },
+      { id: 4, children: [] }
+    ];
+
+    expect(expandCategoryScope(hierarchy, [2]).sort()).toEqual([2, 3]);
+    expect(expandCategoryScope(hierarchy, [1, 4]).sort()).toEqual([1, 2, 3, 4]);
+    expect(expandCategoryScope(hierarchy, [99])).toEqual([]);
+  });
+
+  test('判断分类是否在范围内', () => {
+    expect(isWithinScope(null, [])).toBe(true);
+    expect(isWithinScope([2, 3], ['2', 3])).toBe(true);
+    expect(isWithinScope([2, 3], [2, 4])).toBe(false);
+    expect(isWithinScope([2, 3], [])).toBe(false);
+  });
+});
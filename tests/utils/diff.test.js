@@ -0,0 +1,73 @@
+const { diffLines, summarize, splitLines } = require('../../utils/diff');
+
+// 根据差异结果还原新旧文本，用于校验差异的正确性
+const rebuild = (changes) => ({
+  oldText: changes.filter(change => change.type !== 'add').map(change => change.text).join('\n'),
+  newText: changes.filter(change => change.type !== 'remove').map(change => change.text).join('\n')
+});
+
+describe('utils/diff', () => {
+  describe('splitLines', () => {
+    it('should treat empty values as no lines', () => {
+      expect(splitLines('')).toEqual([]);
+      expect(splitLines(null)).toEqual([]);
+    });
+
+    it('should normalize line endings', () => {
+      expect(splitLines('a\r\nb\rc')).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should report a changed line as remove + add', () => {
+      const changes = diffLines('a\nb\nc', 'a\nx\nc');
+
+      expect(changes).toEqual([
+        { type: 'equal', oldLine: 1, newLine: 1, text: 'a' },
+        { type: 'remove', oldLine: 2, newLine: null, text: 'b' },
+        { type: 'add', oldLine: null, newLine: 2, text: 'x' },
+        { type: 'equal', oldLine: 3, newLine: 3, text: 'c' }
+      ]);
+      expect(summarize(changes)).toEqual({ added: 1, removed: 1 });
+    });
+
+    it('should handle additions to empty text', () => {
+      const changes = diffLines(null, 'a\nb');
+
+      expect(summarize(changes)).toEqual({ added: 2, removed: 0 });
+    });
+
+    it('should report no changes for identical text', () => {
+      const changes = diffLines('a\nb', 'a\nb');
+
+      expect(summarize(changes)).toEqual({ added: 0, removed: 0 });
+    });
+
+    it('should produce a diff that rebuilds both texts', () => {
+      const oldText = ['# 标题', '第一段', '第二段', '第三段', '结尾'].join('\n');
+      const newText = ['# 新标题', '第一段', '插入段', '第三段', '结尾', '附录'].join('\n');
+
+      const changes = diffLines(oldText, newText);
+
+      expect(rebuild(changes)).toEqual({ oldText, newText });
+      expect(summarize(changes)).toEqual({ added: 3, removed: 2 });
+    });
+
+    it('should keep the shortest diff for long texts with many scattered edits', () => {
+      const oldLines = Array.from({ length: 5000 }, (_, i) => `第${i}行`);
+      const newLines = oldLines.map((line, i) => (i % 10 === 0 ? `${line}（已修改）` : line));
+
+      const changes = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+      expect(rebuild(changes)).toEqual({ oldText: oldLines.join('\n'), newText: newLines.join('\n') });
+      expect(summarize(changes)).toEqual({ added: 500, removed: 500 });
+    });
+
+    it('should number lines from the start of each text', () => {
+      const changes = diffLines('a\nb\nc\nd', 'x\na\nc\nd\ny');
+
+      expect(changes.filter(change => change.type !== 'add').map(change => change.oldLine)).toEqual([1, 2, 3, 4]);
+      expect(changes.filter(change => change.type !== 'remove').map(change => change.newLine)).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+});
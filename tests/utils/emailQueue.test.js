@@ -0,0 +1,54 @@
+const { getRetryDelay, isPermanentError, getAvailableSlots, formatError } = require('../../utils/emailQueue');
+
+describe('utils/emailQueue', () => {
+  describe('getRetryDelay', () => {
+    const noJitter = { baseDelay: 1000, maxDelay: 10000, jitter: 0 };
+
+    it('should double the delay after each failure up to the maximum', () => {
+      expect([1, 2, 3, 4, 5, 6].map(attempts => getRetryDelay(attempts, noJitter)))
+        .toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+
+    it('should keep jitter within range', () => {
+      const options = { baseDelay: 1000, maxDelay: 10000, jitter: 0.2 };
+      expect(getRetryDelay(2, { ...options, random: () => 0 })).toBe(1600);
+      expect(getRetryDelay(2, { ...options, random: () => 1 })).toBe(2400);
+      expect(getRetryDelay(5, { ...options, random: () => 1 })).toBe(10000);
+    });
+  });
+
+  describe('isPermanentError', () => {
+    it('should treat SMTP 5xx rejections as permanent', () => {
+      expect(isPermanentError({ code: 'EENVELOPE', responseCode: 550 })).toBe(true);
+      expect(isPermanentError({ code: 'EMESSAGE', responseCode: 552 })).toBe(true);
+    });
+
+    it('should retry temporary and authentication failures', () => {
+      expect(isPermanentError({ code: 'EENVELOPE', responseCode: 451 })).toBe(false);
+      expect(isPermanentError({ code: 'ECONNECTION' })).toBe(false);
+      expect(isPermanentError({ code: 'EAUTH', responseCode: 535 })).toBe(false);
+      expect(isPermanentError(new Error('邮件服务未初始化'))).toBe(false);
+    });
+  });
+
+  describe('getAvailableSlots', () => {
+    it('should respect the per-minute limit', () => {
+      expect(getAvailableSlots(30, 0, 20)).toBe(20);
+      expect(getAvailableSlots(30, 25, 20)).toBe(5);
+      expect(getAvailableSlots(30, 40, 20)).toBe(0);
+      expect(getAvailableSlots(0, 1000, 20)).toBe(20);
+    });
+  });
+
+  describe('formatError', () => {
+    it('should include SMTP details and truncate long messages', () => {
+      const error = Object.assign(new Error('Message failed'), {
+        code: 'EENVELOPE',
+        responseCode: 550,
+        response: '550 Mailbox unavailable'
+      });
+      expect(formatError(error)).toBe('EENVELOPE 550 550 Mailbox unavailable');
+      expect(formatError('x'.repeat(20), 10)).toBe('xxxxxxx...');
+    });
+  });
+});
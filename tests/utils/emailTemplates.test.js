@@ -0,0 +1,67 @@
+const emailTemplates = require('../../utils/emailTemplates');
+
+const {
+  TEMPLATE_TYPES,
+  findVariables,
+  validateTemplate,
+  renderTemplate,
+  getDefaultTemplate,
+  renderEmail
+} = emailTemplates;
+
+describe('utils/emailTemplates', () => {
+  describe('findVariables', () => {
+    it('should collect unique placeholder names', () => {
+      expect(findVariables('{{username}}，验证码 {{ code }}，再说一次 {{code}}')).toEqual(['username', 'code']);
+      expect(findVariables('没有变量 {{}} {{1abc}}')).toEqual([]);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should report unknown and missing required variables', () => {
+      expect(validateTemplate('verification_code', {
+        subject: '验证码 {{code}}',
+        body: '<p>{{username}} {{password}}</p>'
+      })).toEqual({ unknown: ['password'], missing: ['code'] });
+    });
+
+    it('should accept common variables', () => {
+      expect(validateTemplate('welcome', {
+        subject: '欢迎加入 {{siteName}}',
+        body: '<a href="{{siteUrl}}">{{username}}</a>'
+      })).toEqual({ unknown: [], missing: [] });
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should escape values unless marked raw', () => {
+      const values = { name: '<b>Tom</b>', intro: '<strong>hi</strong>' };
+      expect(renderTemplate('{{name}} {{intro}}', values, { raw: ['intro'] }))
+        .toBe('&lt;b&gt;Tom&lt;/b&gt; <strong>hi</strong>');
+      expect(renderTemplate('{{name}}', values, { escape: false })).toBe('<b>Tom</b>');
+    });
+
+    it('should replace missing values with empty strings and keep dollar signs', () => {
+      expect(renderTemplate('[{{missing}}] {{price}}', { price: '$1 $&' })).toBe('[] $1 $&amp;');
+    });
+  });
+
+  describe('default templates', () => {
+    it('should only reference declared variables', () => {
+      for (const type of Object.keys(TEMPLATE_TYPES)) {
+        expect(validateTemplate(type, getDefaultTemplate(type))).toEqual({ unknown: [], missing: [] });
+      }
+    });
+
+    it('should render the same HTML as the built-in template functions', () => {
+      const rendered = renderEmail('verification_code', getDefaultTemplate('verification_code'), {
+        username: '张三',
+        code: '654321',
+        expiresInMinutes: 5
+      });
+
+      expect(rendered.subject).toBe('您的注册验证码');
+      expect(rendered.html).toBe(emailTemplates.getVerificationCodeTemplate('张三', '654321', 5));
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { escapeXml, buildRss, buildAtom, buildJsonFeed } = require('../../utils/feed');
+
+const feed = {
+  title: 'XBlog',
+  description: '技术 & 生活',
+  siteUrl: 'https://blog.example.com',
+  feedUrl: 'https://api.example.com/feed.xml',
+  language: 'zh-CN',
+  updated: new Date('2024-05-02T08:00:00Z'),
+  items: [
+    {
+      url: 'https://blog.example.com/posts/hello',
+      title: 'Hello <World>',
+      summary: '摘要',
+      contentHtml: '<p>正文 ]]> 结束</p>',
+      published: new Date('2024-05-01T08:00:00Z'),
+      updated: new Date('2024-05-02T08:00:00Z'),
+      author: 'admin',
+      categories: ['Node.js']
+    }
+  ]
+};
+
+describe('utils/feed', () => {
+  it('should escape xml special characters and control characters', () => {
+    expect(escapeXml('a & <b> "c"\u0001')).toBe('a &amp; &lt;b&gt; &quot;c&quot;');
+  });
+
+  it('should build rss with self link and split cdata terminators', () => {
+    const xml = buildRss(feed);
+
+    expect(xml).toContain('<title>Hello &lt;World&gt;</title>');
+    expect(xml).toContain('<atom:link href="https://api.example.com/feed.xml" rel="self" type="application/rss+xml"/>');
+    expect(xml).toContain('<pubDate>Wed, 01 May 2024 08:00:00 GMT</pubDate>');
+    expect(xml).toContain('<![CDATA[<p>正文 ]]]]><![CDATA[> 结束</p>]]>');
+    expect(xml).toContain('<description>技术 &amp; 生活</description>');
+  });
+
+  it('should build atom with escaped html content', () => {
+    const xml = buildAtom(feed);
+
+    expect(xml).toContain('<updated>2024-05-02T08:00:00.000Z</updated>');
+    expect(xml).toContain('<content type="html">&lt;p&gt;正文 ]]&gt; 结束&lt;/p&gt;</content>');
+    expect(xml).toContain('<category term="Node.js"/>');
+  });
+
+  it('should build json feed 1.1', () => {
+    const json = JSON.parse(buildJsonFeed(feed));
+
+    expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(json.feed_url).toBe('https://api.example.com/feed.xml');
+    expect(json.items[0]).toMatchObject({
+      id: 'https://blog.example.com/posts/hello',
+      authors: [{ name: 'admin' }],
+      tags: ['Node.js'],
+      date_published: '2024-05-01T08:00:00.000Z'
+    });
+  });
+});
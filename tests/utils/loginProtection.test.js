@@ -0,0 +1,57 @@
+const { DEFAULT_CONFIG, loadConfig, getDelaySeconds, formatWait, normalizeIdentifier } = require('../../utils/loginProtection');
+
+describe('utils/loginProtection', () => {
+  describe('loadConfig', () => {
+    it('should use defaults when not configured', () => {
+      expect(loadConfig({})).toEqual(DEFAULT_CONFIG);
+    });
+
+    it('should read thresholds from env', () => {
+      const config = loadConfig({
+        LOGIN_MAX_ATTEMPTS: '10',
+        LOGIN_LOCKOUT_MINUTES: '30',
+        LOGIN_ATTEMPT_WINDOW_MINUTES: '60',
+        LOGIN_IP_MAX_ATTEMPTS: '100'
+      });
+      expect(config).toMatchObject({ maxAttempts: 10, lockoutMinutes: 30, windowMinutes: 60, ipMaxAttempts: 100 });
+    });
+
+    it('should ignore invalid values', () => {
+      expect(loadConfig({ LOGIN_MAX_ATTEMPTS: '0', LOGIN_LOCKOUT_MINUTES: 'abc' })).toMatchObject({
+        maxAttempts: DEFAULT_CONFIG.maxAttempts,
+        lockoutMinutes: DEFAULT_CONFIG.lockoutMinutes
+      });
+    });
+  });
+
+  describe('getDelaySeconds', () => {
+    it('should not delay the first attempts', () => {
+      expect(getDelaySeconds(1)).toBe(0);
+      expect(getDelaySeconds(2)).toBe(0);
+    });
+
+    it('should double the delay after each failure', () => {
+      expect([3, 4, 5, 6].map(failures => getDelaySeconds(failures))).toEqual([1, 2, 4, 8]);
+    });
+
+    it('should cap the delay', () => {
+      expect(getDelaySeconds(20)).toBe(DEFAULT_CONFIG.maxDelaySeconds);
+    });
+  });
+
+  describe('formatWait', () => {
+    it('should format seconds and minutes', () => {
+      expect(formatWait(8)).toBe('8秒');
+      expect(formatWait(0.2)).toBe('1秒');
+      expect(formatWait(60)).toBe('1分钟');
+      expect(formatWait(890)).toBe('15分钟');
+    });
+  });
+
+  describe('normalizeIdentifier', () => {
+    it('should trim and lowercase', () => {
+      expect(normalizeIdentifier('  Admin@Example.com ')).toBe('admin@example.com');
+      expect(normalizeIdentifier(undefined)).toBe('');
+    });
+  });
+});
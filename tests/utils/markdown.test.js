@@ -0,0 +1,71 @@
+const { renderMarkdown, countWords, estimateReadingTime, slugifyHeading } = require('../../utils/markdown');
+
+describe('utils/markdown', () => {
+  describe('renderMarkdown', () => {
+    it('should strip scripts and unsafe links', () => {
+      const { html } = renderMarkdown('<script>alert(1)</script>\n\n<a href="javascript:alert(1)" onclick="x()">link</a>');
+
+      expect(html).not.toMatch(/<script/);
+      expect(html).not.toMatch(/javascript:/);
+      expect(html).not.toMatch(/onclick/);
+    });
+
+    it('should open external links in a new window', () => {
+      const { html } = renderMarkdown('[博客](https://example.com)');
+
+      expect(html).toContain('target="_blank"');
+      expect(html).toContain('rel="noopener noreferrer nofollow"');
+    });
+
+    it('should keep code block language classes', () => {
+      const { html } = renderMarkdown('```js\nconst a = 1;\n```');
+
+      expect(html).toContain('<code class="language-js">');
+    });
+
+    it('should build a nested toc with unique ids', () => {
+      const { html, toc } = renderMarkdown('# 简介\n\n## 安装\n\n### 细节\n\n## 安装');
+
+      expect(toc).toEqual([
+        {
+          id: '简介',
+          text: '简介',
+          level: 1,
+          children: [
+            {
+              id: '安装',
+              text: '安装',
+              level: 2,
+              children: [{ id: '细节', text: '细节', level: 3, children: [] }]
+            },
+            { id: '安装-1', text: '安装', level: 2, children: [] }
+          ]
+        }
+      ]);
+      expect(html).toContain('<h2 id="安装-1">');
+    });
+
+    it('should handle empty content', () => {
+      expect(renderMarkdown(null)).toEqual({ html: '', toc: [], wordCount: 0, readingTime: 0 });
+    });
+  });
+
+  describe('countWords', () => {
+    it('should count chinese characters and latin words separately', () => {
+      expect(countWords('使用 Node.js 搭建博客')).toEqual({ wordCount: 8, cjkCount: 6, latinCount: 2 });
+    });
+  });
+
+  describe('estimateReadingTime', () => {
+    it('should round up to at least one minute', () => {
+      expect(estimateReadingTime({ cjkCount: 10, latinCount: 0 })).toBe(1);
+      expect(estimateReadingTime({ cjkCount: 600, latinCount: 200 })).toBe(3);
+    });
+  });
+
+  describe('slugifyHeading', () => {
+    it('should keep chinese and drop punctuation', () => {
+      expect(slugifyHeading('第一章：Hello, World!')).toBe('第一章hello-world');
+    });
+  });
+});
@@ -0,0 +1,15 @@
+const { extractMentions } = require('../../utils/mention');
+
+describe('utils/mention', () => {
+  it('should extract unique usernames in order', () => {
+    expect(extractMentions('@alice 说得对，@张三 你看看。@alice')).toEqual(['alice', '张三']);
+  });
+
+  it('should ignore email addresses and trailing dots', () => {
+    expect(extractMentions('联系 me@example.com 或 @bob.')).toEqual(['bob']);
+  });
+
+  it('should require at least two characters', () => {
+    expect(extractMentions('@a @')).toEqual([]);
+  });
+});
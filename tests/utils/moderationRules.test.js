@@ -0,0 +1,74 @@
+const {
+  normalizeContent,
+  extractLinks,
+  matchBlocklist,
+  overLimitScore,
+  findDuplicates,
+  parseAIVerdict,
+  combineScores,
+  decide
+} = require('../../utils/moderationRules');
+
+describe('utils/moderationRules', () => {
+  it('should normalize spacing, punctuation and full-width characters', () => {
+    expect(normalizeContent('加 微-信：ＡＢＣ 123')).toBe('加微信abc123');
+  });
+
+  it('should extract links', () => {
+    expect(extractLinks('看 https://a.com/x?y=1 和 www.b.cn，还有（http://c.io）')).toEqual([
+      'https://a.com/x?y=1',
+      'www.b.cn',
+      'http://c.io'
+    ]);
+  });
+
+  it('should match keywords after normalization and regex patterns on raw content', () => {
+    const matched = matchBlocklist('想赚钱请加 微 信 abc12345', {
+      keywords: ['加微信', '博彩'],
+      patterns: ['[a-z]+\\d{5,}', '(invalid']
+    });
+
+    expect(matched.keywords).toEqual(['加微信']);
+    expect(matched.patterns).toEqual(['[a-z]+\\d{5,}']);
+  });
+
+  it('should score values over the limit', () => {
+    expect(overLimitScore(2, 2)).toBe(0);
+    expect(overLimitScore(3, 2)).toBe(0.75);
+    expect(overLimitScore(10, 2)).toBe(1);
+    expect(overLimitScore(1, 0)).toBe(1);
+  });
+
+  it('should separate own duplicates from others', () => {
+    const candidates = [
+      { content: '好文，收藏了！', author_id: 1, ip_address: '1.1.1.1' },
+      { content: '好文收藏了', author_id: null, ip_address: '2.2.2.2' },
+      { content: '写得不错', author_id: 1, ip_address: '1.1.1.1' }
+    ];
+
+    expect(findDuplicates('好文 收藏了', candidates, { authorId: 1 })).toEqual({ own: 1, others: 1 });
+    expect(findDuplicates('好文 收藏了', candidates, { ipAddress: '2.2.2.2' })).toEqual({ own: 1, others: 1 });
+  });
+
+  it('should parse AI verdicts', () => {
+    expect(parseAIVerdict('结果：{"spam": 0.9, "reason": "广告"}')).toEqual({ score: 0.9, reason: '广告' });
+    expect(parseAIVerdict('0.15')).toEqual({ score: 0.15, reason: null });
+    expect(parseAIVerdict('{"spam": 3}')).toBeNull();
+    expect(parseAIVerdict('无法判断')).toBeNull();
+  });
+
+  it('should combine weighted scores', () => {
+    expect(combineScores([])).toBe(0);
+    expect(combineScores([{ score: 1, weight: 1 }, { score: 0.2, weight: 0.5 }])).toBe(1);
+    expect(combineScores([{ score: 0.5, weight: 1 }, { score: 0.5, weight: 1 }])).toBe(0.75);
+    expect(combineScores([{ score: 0.75, weight: 0.6 }])).toBe(0.45);
+  });
+
+  it('should decide by thresholds', () => {
+    const thresholds = { threshold: 0.7, rejectThreshold: 0.2 };
+
+    expect(decide(0.9, thresholds)).toBe('approved');
+    expect(decide(0.5, thresholds)).toBe('review');
+    expect(decide(0.1, thresholds)).toBe('rejected');
+  });
+});
@@ -0,0 +1,68 @@
+const { normalizeEmail, getDigestSlot, isDigestDue, getDigestSince, buildDigestContent } = require('../../utils/newsletter');
+
+describe('utils/newsletter', () => {
+  describe('normalizeEmail', () => {
+    it('should trim and lowercase valid addresses', () => {
+      expect(normalizeEmail('  Reader@Example.COM ')).toBe('reader@example.com');
+    });
+
+    it('should reject invalid input', () => {
+      expect(normalizeEmail('not-an-email')).toBeNull();
+      expect(normalizeEmail('a b@example.com')).toBeNull();
+      expect(normalizeEmail(undefined)).toBeNull();
+      expect(normalizeEmail(`${'a'.repeat(250)}@example.com`)).toBeNull();
+    });
+  });
+
+  describe('getDigestSlot', () => {
+    // 2026-10-21 为周三
+    const schedule = { dayOfWeek: 1, hour: 9 };
+
+    it('should return the most recent scheduled time', () => {
+      const slot = getDigestSlot(new Date(2026, 9, 21, 12), schedule);
+      expect(slot).toEqual(new Date(2026, 9, 19, 9));
+    });
+
+    it('should go back a week when the slot today has not arrived yet', () => {
+      expect(getDigestSlot(new Date(2026, 9, 19, 8, 59), schedule)).toEqual(new Date(2026, 9, 12, 9));
+      expect(getDigestSlot(new Date(2026, 9, 19, 9), schedule)).toEqual(new Date(2026, 9, 19, 9));
+    });
+  });
+
+  describe('isDigestDue', () => {
+    const schedule = { dayOfWeek: 1, hour: 9 };
+    const now = new Date(2026, 9, 19, 9, 30);
+
+    it('should be due when the last run is before the latest slot', () => {
+      expect(isDigestDue(now, new Date(2026, 9, 12, 9, 1), schedule)).toBe(true);
+      expect(isDigestDue(now, null, schedule)).toBe(true);
+    });
+
+    it('should not run twice for the same slot', () => {
+      expect(isDigestDue(now, new Date(2026, 9, 19, 9, 1), schedule)).toBe(false);
+      expect(isDigestDue(new Date(2026, 9, 25), new Date(2026, 9, 19, 9, 1), schedule)).toBe(false);
+    });
+  });
+
+  describe('getDigestSince', () => {
+    it('should start from the last run or one week ago', () => {
+      const now = new Date(2026, 9, 19, 9);
+      expect(getDigestSince(now, '2026-10-12T01:00:00.000Z')).toEqual(new Date('2026-10-12T01:00:00.000Z'));
+      expect(now - getDigestSince(now, null)).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('buildDigestContent', () => {
+    it('should escape titles and truncate long excerpts', () => {
+      const html = buildDigestContent([
+        { title: '<b>标题</b>', url: 'https://example.com/posts/1?a=1&b=2', excerpt: '摘'.repeat(200) }
+      ]);
+
+      expect(html).toContain('&lt;b&gt;标题&lt;/b&gt;');
+      expect(html).toContain('href="https://example.com/posts/1?a=1&amp;b=2"');
+      expect(html).toContain(`${'摘'.repeat(140)}…`);
+      expect(html).not.toContain('摘'.repeat(141));
+      expect(html).toContain('最近发布的 1 篇文章');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { getOwnershipCodes, canActOn } = require('../../utils/ownership');
+
+describe('ownership utils', () => {
+  describe('getOwnershipCodes', () => {
+    test('包含 own、any 和旧权限代码', () => {
+      expect(getOwnershipCodes('post:edit')).toEqual(['post:edit:own', 'post:edit:any', 'post:edit']);
+    });
+  });
+
+  describe('canActOn', () => {
+    test('any 权限可以操作他人的资源', () => {
+      expect(canActOn(['post:edit:any'], 'post:edit', 2, 1)).toBe(true);
+    });
+
+    test('不带后缀的旧权限视同 any', () => {
+      expect(canActOn(['post:edit'], 'post:edit', 2, 1)).toBe(true);
+    });
+
+    test('own 权限只能操作自己的资源', () => {
+      expect(canActOn(['post:edit:own'], 'post:edit', 1, 1)).toBe(true);
+      expect(canActOn(['post:edit:own'], 'post:edit', 2, 1)).toBe(false);
+    });
+
+    test('所有者ID类型不同时按数值比较', () => {
+      expect(canActOn(['media:delete:own'], 'media:delete', '5', 5)).toBe(true);
+    });
+
+    test('没有所有者的资源只能由 any 权限操作', () => {
+      expect(canActOn(['media:delete:own'], 'media:delete', null, 1)).toBe(false);
+      expect(canActOn(['media:delete:any'], 'media:delete', null, 1)).toBe(true);
+    });
+
+    test('其他操作的权限不生效', () => {
+      expect(canActOn(['post:delete:any'], 'post:edit', 2, 1)).toBe(false);
+    });
+  });
+});
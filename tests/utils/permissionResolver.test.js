@@ -0,0 +1,47 @@
+const { mergeRolePermissions } = require('../../utils/permissionResolver');
+
+describe('permissionResolver utils', () => {
+  const roles = [
+    { id: 3, code: 'editor', name: '编辑', source: 'user_roles' },
+    { id: 4, code: 'author', name: '作者', source: 'user_roles' }
+  ];
+
+  test('合并多个角色的权限并记录来源', () => {
+    const permissions = mergeRolePermissions(roles, [
+      { role_id: 3, id: 1, name: '查看文章', code: 'post:view' },
+      { role_id: 4, id: 1, name: '查看文章', code: 'post:view' },
+      { role_id: 3, id: 2, name: '发布文章', code: 'post:publish' }
+    ]);
+
+    expect(permissions.map(permission => permission.code)).toEqual(['post:publish', 'post:view']);
+    expect(permissions[1].sources).toEqual([
+      { roleId: 3, roleCode: 'editor', roleName: '编辑', via: 'user_roles' },
+      { roleId: 4, roleCode: 'author', roleName: '作者', via: 'user_roles' }
+    ]);
+  });
+
+  test('同一角色的重复记录只保留一个来源', () => {
+    const permissions = mergeRolePermissions(roles, [
+      { role_id: 3, id: 1, code: 'post:view' },
+      { role_id: 3, id: 1, code: 'post:view' }
+    ]);
+
+    expect(permissions[0].sources).toHaveLength(1);
+  });
+
+  test('继承和临时授权的来源带有 through 和 expiresAt', () => {
+    const expiresAt = '2026-12-31T23:59:59.000Z';
+    const permissions = mergeRolePermissions(
+      [{ id: 5, code: 'user', name: '用户', source: 'inherited', through: 'editor', expiresAt }],
+      [{ role_id: 5, id: 1, code: 'post:view' }]
+    );
+
+    expect(permissions[0].sources).toEqual([
+      { roleId: 5, roleCode: 'user', roleName: '用户', via: 'inherited', through: 'editor', expiresAt }
+    ]);
+  });
+
+  test('忽略不属于用户角色的记录', () => {
+    expect(mergeRolePermissions(roles, [{ role_id: 9, id: 1, code: 'post:view' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+const { parseGrantExpiry } = require('../../utils/roleGrant');
+
+describe('roleGrant utils', () => {
+  const now = new Date('2026-10-19T10:00:00');
+
+  test('只有日期时到当天结束', () => {
+    const { expiresAt } = parseGrantExpiry('2026-12-31', now);
+    expect(expiresAt).toEqual(new Date('2026-12-31T23:59:59'));
+  });
+
+  test('支持完整的时间', () => {
+    const { expiresAt } = parseGrantExpiry('2026-10-20T08:30:00Z', now);
+    expect(expiresAt.toISOString()).toBe('2026-10-20T08:30:00.000Z');
+  });
+
+  test('当天的日期在当天结束前有效', () => {
+    expect(parseGrantExpiry('2026-10-19', now).expiresAt).toBeDefined();
+  });
+
+  test('缺少或无效的到期时间', () => {
+    expect(parseGrantExpiry(undefined, now).error).toBeDefined();
+    expect(parseGrantExpiry('明天', now).error).toBeDefined();
+  });
+
+  test('到期时间必须在将来且不超过最长有效期', () => {
+    expect(parseGrantExpiry('2026-10-18', now).error).toBeDefined();
+    expect(parseGrantExpiry('2028-01-01', now).error).toBeDefined();
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  buildParentMap,
+  findInheritanceCycle,
+  getDescendantRoleIds,
+  expandInheritedRoles
+} = require('../../utils/roleHierarchy');
+
+describe('roleHierarchy utils', () => {
+  // admin(2) -> editor(3) -> author(4) -> user(5)
+  const parentMap = buildParentMap([
+    { role_id: 2, parent_role_id: 3 },
+    { role_id: 3, parent_role_id: 4 },
+    { role_id: 4, parent_role_id: 5 }
+  ]);
+
+  const rolesById = new Map([
+    [2, { id: 2, code: 'admin', name: 'Admin' }],
+    [3, { id: 3, code: 'editor', name: 'Editor' }],
+    [4, { id: 4, code: 'author', name: 'Author' }],
+    [5, { id: 5, code: 'user', name: 'User' }],
+    [6, { id: 6, code: 'reviewer', name: 'Reviewer' }]
+  ]);
+
+  describe('buildParentMap', () => {
+    test('一个角色可以有多个父角色', () => {
+      const map = buildParentMap([
+        { role_id: 6, parent_role_id: 4 },
+        { role_id: 6, parent_role_id: 5 }
+      ]);
+      expect(map.get(6)).toEqual([4, 5]);
+    });
+  });
+
+  describe('findInheritanceCycle', () => {
+    test('没有循环时返回 null', () => {
+      expect(findInheritanceCycle(parentMap, 6, [3, 5])).toBeNull();
+    });
+
+    test('继承自己视为循环', () => {
+      expect(findInheritanceCycle(parentMap, 4, [4])).toEqual([4, 4]);
+    });
+
+    test('检测间接循环并返回路径', () => {
+      expect(findInheritanceCycle(parentMap, 5, [2])).toEqual([5, 2, 3, 4, 5]);
+    });
+
+    test('替换现有父角色时不受旧的父角色影响', () => {
+      expect(findInheritanceCycle(parentMap, 3, [5])).toBeNull();
+    });
+  });
+
+  describe('getDescendantRoleIds', () => {
+    test('包含自身和所有继承它的角色', () => {
+      expect(getDescendantRoleIds(parentMap, 4).sort()).toEqual([2, 3, 4]);
+    });
+
+    test('没有子角色时只有自身', () => {
+      expect(getDescendantRoleIds(parentMap, 2)).toEqual([2]);
+    });
+  });
+
+  describe('expandInheritedRoles', () => {
+    test('展开所有祖先角色并记录来源', () => {
+      const roles = expandInheritedRoles(
+        [{ id: 3, code: 'editor', name: 'Editor', source: 'user_roles' }],
+        parentMap,
+        rolesById
+      );
+
+      expect(roles.map(role => role.id)).toEqual([3, 4, 5]);
+      expect(roles[1]).toEqual({ id: 4, code: 'author', name: 'Author', source: 'inherited', through: 'editor' });
+    });
+
+    test('直接拥有的角色优先于继承得到的记录', () => {
+      const roles = expandInheritedRoles(
+        [
+          { id: 3, code: 'editor', name: 'Editor', source: 'user_roles' },
+          { id: 5, code: 'user', name: 'User', source: 'user_roles' }
+        ],
+        parentMap,
+        rolesById
+      );
+
+      expect(roles.find(role => role.id === 5).source).toBe('user_roles');
+      expect(roles).toHaveLength(3);
+    });
+
+    test('临时授权继承得到的角色带有到期时间，长期角色可继承得到时不带', () => {
+      const expiresAt = '2026-12-31T23:59:59.000Z';
+      const roles = expandInheritedRoles(
+        [
+          { id: 2, code: 'admin', name: 'Admin', source: 'grant', expiresAt },
+          { id: 4, code: 'author', name: 'Author', source: 'user_roles' }
+        ],
+        parentMap,
+        rolesById
+      );
+
+      expect(roles.find(role => role.id === 3).expiresAt).toBe(expiresAt);
+      expect(roles.find(role => role.id === 5).expiresAt).toBeUndefined();
+      expect(roles.find(role => role.id === 5).through).toBe('author');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { parseQuery, buildBooleanQuery, getHighlightTerms, highlight } = require('../../utils/search');
+
+describe('utils/search', () => {
+  describe('parseQuery', () => {
+    it('should split terms, phrases and excluded words', () => {
+      expect(parseQuery('博客 "Node.js 部署" -Windows')).toEqual({
+        terms: ['博客'],
+        phrases: ['node.js 部署'],
+        excluded: ['windows']
+      });
+    });
+
+    it('should treat boolean operators inside words as separators', () => {
+      expect(parseQuery('a+b (c)').terms).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('buildBooleanQuery', () => {
+    it('should require every term and phrase', () => {
+      const result = buildBooleanQuery(parseQuery('express "中间件 顺序" -koa'));
+
+      expect(result.filter).toBe('+"express" +"中间件 顺序" -"koa"');
+      expect(result.rank).toBe('"express" "中间件 顺序"');
+    });
+
+    it('should relax long chinese terms into ngrams', () => {
+      const result = buildBooleanQuery(parseQuery('博客系统'));
+
+      expect(result.filter).toBe('+(>"博客系统" 博客 客系 系统)');
+    });
+
+    it('should use prefix search for single characters', () => {
+      expect(buildBooleanQuery(parseQuery('猫')).filter).toBe('+猫*');
+    });
+
+    it('should return null without searchable terms', () => {
+      expect(buildBooleanQuery(parseQuery('-vue'))).toBeNull();
+      expect(buildBooleanQuery(parseQuery('  '))).toBeNull();
+    });
+  });
+
+  describe('highlight', () => {
+    it('should wrap keywords and escape html', () => {
+      const terms = getHighlightTerms(parseQuery('node'));
+
+      expect(highlight('<b>Node</b> 入门', terms)).toBe('&lt;b&gt;<mark>Node</mark>&lt;/b&gt; 入门');
+    });
+
+    it('should prefer the whole term over its ngrams', () => {
+      const terms = getHighlightTerms(parseQuery('博客系统'));
+
+      expect(highlight('博客系统和系统设计', terms)).toBe('<mark>博客系统</mark>和<mark>系统</mark>设计');
+    });
+
+    it('should cut a window around the matches', () => {
+      const text = `${'前'.repeat(200)}关键字${'后'.repeat(200)}`;
+      const snippet = highlight(text, ['关键字'], { length: 50 });
+
+      expect(snippet).toContain('<mark>关键字</mark>');
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { AhoCorasick, maskText, strictestAction } = require('../../utils/sensitiveFilter');
+
+describe('utils/sensitiveFilter', () => {
+  const entries = [
+    { word: 'he', data: 'a' },
+    { word: 'she', data: 'b' },
+    { word: 'hers', data: 'c' },
+    { word: '敏感词', data: 'd' }
+  ];
+
+  it('should find overlapping matches in a single pass', () => {
+    const matches = new AhoCorasick(entries).search('ushers');
+
+    expect(matches.map(match => [match.word, match.start, match.end])).toEqual([
+      ['she', 1, 4],
+      ['he', 2, 4],
+      ['hers', 2, 6]
+    ]);
+  });
+
+  it('should ignore case, width and separators between characters', () => {
+    const automaton = new AhoCorasick([...entries, { word: 'ＡＢ', data: 'e' }]);
+    const text = '这是 敏-感 词，还有 aB';
+    const matches = automaton.search(text);
+
+    expect(matches.map(match => match.data)).toEqual(['d', 'e']);
+    expect(text.slice(matches[0].start, matches[0].end)).toBe('敏-感 词');
+  });
+
+  it('should keep positions correct around astral characters', () => {
+    const matches = new AhoCorasick(entries).search('😀敏感词');
+
+    expect(matches[0]).toMatchObject({ start: 2, end: 5 });
+  });
+
+  it('should mask matched characters and keep separators', () => {
+    const text = '含有敏 感词的句子';
+    const matches = new AhoCorasick(entries).search(text);
+
+    expect(maskText(text, matches)).toBe('含有* **的句子');
+    expect(maskText(text, [])).toBe(text);
+  });
+
+  it('should pick the strictest action', () => {
+    expect(strictestAction(['mask', 'review'])).toBe('review');
+    expect(strictestAction(['review', 'reject', 'mask'])).toBe('reject');
+    expect(strictestAction([])).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+const { buildUrlset, buildSitemapIndex, chunkUrls } = require('../../utils/sitemap');
+
+describe('utils/sitemap', () => {
+  it('should build a urlset with escaped locations and lastmod', () => {
+    const xml = buildUrlset([
+      { loc: 'https://blog.example.com/posts/a&b', lastmod: '2024-05-01T08:00:00Z' },
+      { loc: 'https://blog.example.com/', lastmod: null }
+    ]);
+
+    expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(xml).toContain('<loc>https://blog.example.com/posts/a&amp;b</loc>');
+    expect(xml).toContain('<lastmod>2024-05-01T08:00:00.000Z</lastmod>');
+    expect(xml.match(/<lastmod>/g)).toHaveLength(1);
+  });
+
+  it('should build a sitemap index', () => {
+    const xml = buildSitemapIndex([{ loc: 'https://api.example.com/sitemap-1.xml', lastmod: null }]);
+
+    expect(xml).toContain('<sitemapindex');
+    expect(xml).toContain('<sitemap>\n    <loc>https://api.example.com/sitemap-1.xml</loc>\n  </sitemap>');
+  });
+
+  it('should split urls by the per-file limit', () => {
+    const urls = Array.from({ length: 5 }, (_, i) => ({ loc: `u${i}` }));
+
+    expect(chunkUrls(urls, 2).map(chunk => chunk.length)).toEqual([2, 2, 1]);
+    expect(chunkUrls([], 2)).toEqual([[]]);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../../utils/totp');
+
+// RFC 6238 附录 B 的 SHA1 测试密钥 "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('utils/totp', () => {
+  describe('base32', () => {
+    it('should encode and decode', () => {
+      expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+      expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+      expect(base32Decode('gezd gnbv').toString()).toBe('12345');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow();
+    });
+
+    it('should generate 160-bit secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match RFC 6238 test vectors', () => {
+      expect(generateTotp(RFC_SECRET, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+      expect(generateTotp(RFC_SECRET, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+      expect(generateTotp(RFC_SECRET, { time: 20000000000 * 1000, digits: 8 })).toBe('65353130');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1700000000 * 1000;
+
+    it('should return the matched time step', () => {
+      const code = generateTotp(RFC_SECRET, { time });
+      expect(verifyTotp(RFC_SECRET, code, { time })).toBe(Math.floor(time / 30000));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      const code = generateTotp(RFC_SECRET, { time: time - 30000 });
+      expect(verifyTotp(RFC_SECRET, code, { time })).toBe(Math.floor(time / 30000) - 1);
+      expect(verifyTotp(RFC_SECRET, code, { time: time + 30000 })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUri', () => {
+    it('should build an authenticator uri', () => {
+      const uri = buildOtpAuthUri({ secret: RFC_SECRET, account: 'admin', issuer: 'My Blog' });
+      expect(uri.startsWith('otpauth://totp/My%20Blog%3Aadmin?')).toBe(true);
+
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe(RFC_SECRET);
+      expect(params.get('issuer')).toBe('My Blog');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique formatted codes', () => {
+      const codes = generateRecoveryCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('should normalize user input', () => {
+      expect(normalizeRecoveryCode(' A1B2C-3D4E5 ')).toBe('a1b2c3d4e5');
+      expect(normalizeRecoveryCode(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { createToken, parseToken } = require('../../utils/unsubscribeToken');
+
+describe('utils/unsubscribeToken', () => {
+  const secret = 'test-secret';
+
+  it('should round-trip user and guest tokens', () => {
+    expect(parseToken(createToken({ userId: 7, types: ['mention'] }, secret), secret))
+      .toEqual({ userType: 'user', userId: 7, email: null, types: ['mention'] });
+    expect(parseToken(createToken({ email: 'guest@example.com', types: ['comment_reply'] }, secret), secret))
+      .toEqual({ userType: null, userId: null, email: 'guest@example.com', types: ['comment_reply'] });
+  });
+
+  it('should keep the user type so admin and reader IDs do not collide', () => {
+    expect(parseToken(createToken({ userType: 'admin', userId: 7, types: ['post_comment'] }, secret), secret))
+      .toEqual({ userType: 'admin', userId: 7, email: null, types: ['post_comment'] });
+  });
+
+  it('should treat tokens without a user type as reader tokens', () => {
+    const crypto = require('crypto');
+    const encode = (value) => Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const payload = encode(JSON.stringify({ u: 7, e: null, t: ['mention'] }));
+    const signature = encode(crypto.createHmac('sha256', `unsubscribe:${secret}`).update(payload).digest());
+
+    expect(parseToken(`${payload}.${signature}`, secret))
+      .toEqual({ userType: 'user', userId: 7, email: null, types: ['mention'] });
+  });
+
+  it('should reject tampered tokens and wrong secrets', () => {
+    const token = createToken({ userId: 7, types: ['mention'] }, secret);
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ u: 8, t: ['mention'] })).toString('base64')}.${signature}`;
+
+    expect(parseToken(forged, secret)).toBeNull();
+    expect(parseToken(token, 'other-secret')).toBeNull();
+    expect(parseToken('garbage', secret)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+const { parseUserAgent, describeDevice } = require('../../utils/userAgent');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.130 Safari/537.36';
+const EDGE_WINDOWS = `${CHROME_WINDOWS} Edg/120.0.2210.91`;
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1.2 Mobile/15E148 Safari/604.1';
+const FIREFOX_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.1; rv:121.0) Gecko/20100101 Firefox/121.0';
+const CHROME_ANDROID_TABLET = 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('utils/userAgent', () => {
+  describe('parseUserAgent', () => {
+    it('should detect desktop browsers', () => {
+      expect(parseUserAgent(CHROME_WINDOWS)).toEqual({
+        browser: 'Chrome', browserVersion: '120', os: 'Windows', osVersion: null, deviceType: 'desktop'
+      });
+      expect(parseUserAgent(FIREFOX_MAC)).toMatchObject({ browser: 'Firefox', browserVersion: '121', os: 'macOS' });
+    });
+
+    it('should prefer Chromium based browsers over Chrome', () => {
+      expect(parseUserAgent(EDGE_WINDOWS).browser).toBe('Edge');
+    });
+
+    it('should detect mobile and tablet devices', () => {
+      expect(parseUserAgent(SAFARI_IPHONE)).toEqual({
+        browser: 'Safari', browserVersion: '17', os: 'iOS', osVersion: '17', deviceType: 'mobile'
+      });
+      expect(parseUserAgent(CHROME_ANDROID_TABLET)).toMatchObject({ os: 'Android', osVersion: '13', deviceType: 'tablet' });
+    });
+
+    it('should handle missing or unknown agents', () => {
+      expect(parseUserAgent(undefined)).toMatchObject({ browser: null, os: null, deviceType: 'other' });
+      expect(parseUserAgent('curl/8.4.0').deviceType).toBe('other');
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should combine browser and operating system', () => {
+      expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome 120 / Windows');
+      expect(describeDevice(SAFARI_IPHONE)).toBe('Safari 17 / iOS 17');
+      expect(describeDevice('')).toBe('未知设备');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * 管理操作审计工具
+ * 根据请求路径识别操作对象、脱敏快照中的密钥、导出CSV，不依赖数据库
+ */
+
+// 按顺序匹配，较长的路径前缀需排在前面
+const AUDIT_ENTITIES = [
+  { prefix: 'roles/grants', type: 'role_grant', table: 'role_grants' },
+  { prefix: 'auth/admins', type: 'admin_user', table: 'admin_users' },
+  { prefix: 'auth/api-tokens', type: 'api_token', table: 'api_tokens' },
+  { prefix: 'auth/sessions', type: 'session', table: 'user_sessions', idPattern: /^[0-9a-f-]{36}$/i },
+  { prefix: 'newsletter/campaigns', type: 'newsletter_campaign', table: 'newsletter_campaigns' },
+  { prefix: 'newsletter/subscribers', type: 'newsletter_subscriber', table: 'newsletter_subscribers' },
+  { prefix: 'sensitive-words/categories', type: 'sensitive_word_category', table: 'sensitive_word_categories' },
+  { prefix: 'email-templates', type: 'email_template', table: 'email_templates', idColumn: 'type', idPattern: /^[a-z][\w-]*$/ },
+  { prefix: 'posts', type: 'post', table: 'posts' },
+  { prefix: 'comments', type: 'comment', table: 'comments' },
+  { prefix: 'categories', type: 'category', table: 'categories' },
+  { prefix: 'tags', type: 'tag', table: 'tags' },
+  { prefix: 'files', type: 'file', table: 'files' },
+  { prefix: 'folders', type: 'folder', table: 'folders' },
+  { prefix: 'announcements', type: 'announcement', table: 'announcements' },
+  { prefix: 'users', type: 'user', table: 'public_users' },
+  { prefix: 'roles', type: 'role', table: 'roles' },
+  { prefix: 'emails', type: 'email', table: 'email_outbox' }
+];
+
+// 没有ID的配置类接口，快照为整份配置
+const AUDIT_CONFIGS = {
+  'ai/config': 'ai_config',
+  'settings/website': 'website_settings',
+  'settings/robots': 'robots_txt',
+  'settings/email': 'email_settings',
+  'settings/comment-moderation': 'comment_moderation_settings',
+  'newsletter/digest': 'newsletter_digest',
+  'auth/mfa/policy': 'mfa_policy'
+};
+
+// 属性名中出现这些词时视为密钥，如 password、apiKey、smtpPass、token_hash
+const SECRET_WORDS = ['password', 'passwd', 'pass', 'pwd', 'secret', 'token', 'hash', 'salt', 'credential', 'credentials', 'authorization', 'cookie'];
+const SECRET_PAIRS = [['api', 'key'], ['private', 'key'], ['access', 'key'], ['recovery', 'code'], ['recovery', 'codes']];
+
+// 这些接口请求体中的 code 是两步验证码，code 在其他接口中多为普通字段（如权限代码），不能一概隐藏
+const MFA_CODE_PATH = /^\/auth\/(login\/)?mfa(\/|$)/;
+
+const REDACTED = '[REDACTED]';
+
+// 快照中的长文本只保留开头，文章正文的完整历史见修订记录
+const MAX_STRING_LENGTH = 2000;
+
+const MAX_DEPTH = 6;
+
+/**
+ * 根据请求路径识别操作对象
+ * @param {string} path - 相对 /api/admin 的路径，如 /posts/12/revisions/3/restore
+ * @returns {Object} - { entityType, entityId, table, idColumn } 或配置类的 { entityType, config: true }
+ */
+const resolveAuditTarget = (path) => {
+  const segments = path.split('?')[0].split('/').filter(Boolean);
+  const joined = segments.join('/');
+
+  if (AUDIT_CONFIGS[joined]) {
+    return { entityType: AUDIT_CONFIGS[joined], entityId: null, config: true };
+  }
+
+  for (const entity of AUDIT_ENTITIES) {
+    const prefix = entity.prefix.split('/');
+    if (prefix.some((segment, index) => segments[index] !== segment)) {
+      continue;
+    }
+
+    const next = segments[prefix.length];
+    const idPattern = entity.idPattern || /^\d+$/;
+    return {
+      entityType: entity.type,
+      entityId: next !== undefined && idPattern.test(next) ? next : null,
+      table: entity.table,
+      idColumn: entity.idColumn || 'id'
+    };
+  }
+
+  return { entityType: segments[0] || null, entityId: null };
+};
+
+/**
+ * 从新建接口的响应中取出新记录的ID
+ * @param {Object} body - 响应体
+ * @returns {number|string|null}
+ */
+const getCreatedId = (body) => {
+  const data = body && body.data;
+  // 批量接口没有单一的操作对象
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return null;
+  }
+  if (data.id !== undefined && data.id !== null) {
+    return data.id;
+  }
+
+  // 形如 { data: { post: { id } } }
+  const nested = Object.values(data).filter(value => value && typeof value === 'object' && !Array.isArray(value));
+  const withId = nested.find(value => value.id !== undefined && value.id !== null);
+  return withId ? withId.id : null;
+};
+
+/**
+ * 判断属性名是否为密钥
+ * @param {string} key - 属性名
+ * @returns {boolean}
+ */
+const isSecretKey = (key) => {
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  if (words.some(word => SECRET_WORDS.includes(word))) {
+    return true;
+  }
+  return words.some((word, index) => SECRET_PAIRS.some(([first, second]) => word === first && words[index + 1] === second));
+};
+
+/**
+ * 脱敏快照：隐藏密钥类字段，截断过长的文本
+ * 键值形式的设置（如 { setting_key: 'aiApiKey', setting_value }）按键名判断值是否为密钥
+ * @param {*} value - 快照
+ * @param {number} depth - 当前深度
+ * @returns {*} - 脱敏后的副本
+ */
+const redactSecrets = (value, depth = 0) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}…(共${value.length}字符)`
+      : value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, depth + 1));
+  }
+
+  const settingKey = value.setting_key || value.key;
+  const secretSetting = typeof settingKey === 'string' && isSecretKey(settingKey);
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (isSecretKey(key) || (secretSetting && ['setting_value', 'value'].includes(key))) {
+      // 空值保留原样，便于看出密钥是被设置还是被清空
+      result[key] = item === null || item === undefined ? null : (item === '' ? '' : REDACTED);
+    } else {
+      result[key] = redactSecrets(item, depth + 1);
+    }
+  }
+  return result;
+};
+
+/**
+ * 脱敏请求体：在 redactSecrets 的基础上隐藏两步验证接口中的验证码
+ * @param {string} path - 相对 /api/admin 的路径
+ * @param {*} body - 请求体
+ * @returns {*} - 脱敏后的副本
+ */
+const redactRequestBody = (path, body) => {
+  const result = redactSecrets(body);
+  if (result && typeof result === 'object' && !Array.isArray(result) && result.code && MFA_CODE_PATH.test(path)) {
+    result.code = REDACTED;
+  }
+  return result;
+};
+
+/**
+ * 转为CSV，值以 = + - @ 开头时加单引号，避免在表格软件中被当作公式执行
+ * @param {Array<Object>} rows - 记录
+ * @param {Array<Object>} columns - [{ key, title }]，值为对象时输出JSON
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let text = value instanceof Date
+      ? value.toISOString()
+      : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.map(column => escape(column.title)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escape(row[column.key])).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  REDACTED,
+  resolveAuditTarget,
+  getCreatedId,
+  isSecretKey,
+  redactSecrets,
+  redactRequestBody,
+  toCsv
+};
@@ -55,6 +55,15 @@ class CacheService {
     }
   }
 
+  /**
+   * 缓存是否由多个服务实例共用
+   * 内存缓存只在当前实例有效，在一个实例上清除后，其他实例仍会读到旧值
+   * @returns {boolean}
+   */
+  isShared() {
+    return Boolean(this.isRedisAvailable && this.redisClient);
+  }
+
   /**
    * 获取缓存值
    * @param {string} key - 缓存键
@@ -106,6 +115,40 @@ class CacheService {
     }
   }
 
+  /**
+   * 计数器加一，首次创建时设置过期时间
+   * Redis 的 INCR 和内存缓存的同步读写都是原子的，并发请求不会丢失计数
+   * @param {string} key - 缓存键
+   * @param {number} ttl - 过期时间(秒)
+   * @returns {Promise<number>} 加一后的值
+   */
+  async incr(key, ttl = 300) {
+    try {
+      if (this.isRedisAvailable && this.redisClient) {
+        const value = await this.redisClient.incr(key);
+        if (value === 1) {
+          await this.redisClient.expire(key, ttl);
+        }
+        return value;
+      }
+
+      const cached = this.memoryCache.get(key);
+      if (cached && cached.expiry > Date.now()) {
+        cached.value += 1;
+        return cached.value;
+      }
+      this.memoryCache.set(key, {
+        value: 1,
+        expiry: Date.now() + (ttl * 1000)
+      });
+      this.cleanupMemoryCache();
+      return 1;
+    } catch (error) {
+      logger.error(`缓存计数失败: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * 删除缓存
    * @param {string} key - 缓存键
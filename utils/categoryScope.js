@@ -0,0 +1,140 @@
+/**
+ * 角色分类范围工具
+ * 用户的角色可以限定在某些分类（含子分类）内生效，例如只负责“技术”栏目的编辑。
+ * 负责沿角色继承传递范围、计算权限的生效范围和判断分类是否在范围内，不依赖数据库
+ */
+
+/**
+ * 合并两个范围，null 表示不限分类
+ * @param {number[]|null} a
+ * @param {number[]|null} b
+ * @returns {number[]|null}
+ */
+const mergeScopes = (a, b) => {
+  if (a === null || b === null) {
+    return null;
+  }
+  return [...new Set([...a, ...b])];
+};
+
+/**
+ * 由 role_category_scopes 记录构建角色范围映射
+ * @param {Array} rows - { role_id, category_id }
+ * @returns {Map<number, number[]>} - 角色ID到分类ID数组
+ */
+const buildScopeMap = (rows) => {
+  const scopeMap = new Map();
+
+  for (const row of rows) {
+    if (!scopeMap.has(row.role_id)) {
+      scopeMap.set(row.role_id, []);
+    }
+    scopeMap.get(row.role_id).push(row.category_id);
+  }
+
+  return scopeMap;
+};
+
+/**
+ * 计算用户每个角色的分类范围
+ * 直接拥有的角色没有范围记录时不限分类；继承得到的角色沿用继承来源的范围，
+ * 可由多个来源继承时取并集，任一来源不限分类则不限分类
+ * @param {number[]} baseRoleIds - 直接拥有的角色ID（含临时授权）
+ * @param {Map<number, number[]>} parentMap - 父角色映射
+ * @param {Map<number, number[]>} scopeMap - 角色范围映射
+ * @returns {Map<number, number[]|null>} - 角色ID到分类ID数组，null 表示不限分类
+ */
+const resolveRoleScopes = (baseRoleIds, parentMap, scopeMap) => {
+  const result = new Map();
+
+  for (const baseId of new Set(baseRoleIds)) {
+    const scope = scopeMap.has(baseId) ? scopeMap.get(baseId) : null;
+    const queue = [baseId];
+    const visited = new Set();
+
+    while (queue.length > 0) {
+      const roleId = queue.shift();
+      if (visited.has(roleId)) {
+        continue;
+      }
+      visited.add(roleId);
+
+      result.set(roleId, result.has(roleId) ? mergeScopes(result.get(roleId), scope) : scope);
+      queue.push(...(parentMap.get(roleId) || []));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 计算一组权限代码的生效范围
+ * @param {Array} permissions - 有效权限，sources 中限定范围的来源带有 categoryIds
+ * @param {string[]} codes - 权限代码，拥有其中任一即可
+ * @returns {number[]|null} - null 表示不限分类，空数组表示没有这些权限
+ */
+const getPermissionScope = (permissions, codes) => {
+  let scope = [];
+
+  for (const permission of permissions) {
+    if (!codes.includes(permission.code)) {
+      continue;
+    }
+    for (const source of permission.sources || []) {
+      scope = mergeScopes(scope, source.categoryIds || null);
+      if (scope === null) {
+        return null;
+      }
+    }
+  }
+
+  return scope;
+};
+
+/**
+ * 在分类层级结构中展开范围，加入所有子分类
+ * @param {Array} hierarchy - categoryService.getCategoryHierarchy 返回的分类树
+ * @param {number[]} rootIds - 范围内的分类ID
+ * @returns {number[]}
+ */
+const expandCategoryScope = (hierarchy, rootIds) => {
+  const roots = new Set(rootIds.map(Number));
+  const result = new Set();
+
+  const walk = (nodes, inScope) => {
+    for (const node of nodes) {
+      const included = inScope || roots.has(node.id);
+      if (included) {
+        result.add(node.id);
+      }
+      walk(node.children || [], included);
+    }
+  };
+  walk(hierarchy, false);
+
+  return [...result];
+};
+
+/**
+ * 判断分类是否都在范围内，限定范围时不属于任何分类的文章视为不在范围内
+ * @param {number[]|null} scope - 展开后的范围，null 表示不限分类
+ * @param {Array<number|string>} categoryIds - 分类ID
+ * @returns {boolean}
+ */
+const isWithinScope = (scope, categoryIds) => {
+  if (scope === null) {
+    return true;
+  }
+  if (categoryIds.length === 0) {
+    return false;
+  }
+  return categoryIds.every(categoryId => scope.includes(Number(categoryId)));
+};
+
+module.exports = {
+  buildScopeMap,
+  resolveRoleScopes,
+  getPermissionScope,
+  expandCategoryScope,
+  isWithinScope
+};
@@ -0,0 +1,178 @@
+/**
+ * 文本行级差异比较工具
+ * 基于线性空间的 Myers 差分算法，内存占用与文本行数成正比
+ */
+
+// 编辑距离上限，超过后不再计算最短编辑路径，直接视为整体替换
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * 将文本拆分为行
+ * @param {string|null} text - 文本
+ * @returns {string[]} - 行数组
+ */
+const splitLines = (text) => {
+  if (text === null || text === undefined || text === '') {
+    return [];
+  }
+
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+};
+
+/**
+ * 查找最短编辑路径的中间点（线性空间的 Myers 算法）
+ * 从两端同时搜索，正向与反向路径相遇处即为中间点，只需保存当前一轮的对角线
+ * @param {string[]} a - 旧文本行
+ * @param {number} aStart - 旧文本起始下标
+ * @param {number} aEnd - 旧文本结束下标（不含）
+ * @param {string[]} b - 新文本行
+ * @param {number} bStart - 新文本起始下标
+ * @param {number} bEnd - 新文本结束下标（不含）
+ * @returns {Object|null} - 中间点 { x, y }，编辑距离超过上限或两段完全不同时返回 null
+ */
+const bisect = (a, aStart, aEnd, b, bStart, bEnd) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.min(Math.ceil((n + m) / 2), Math.ceil(MAX_EDIT_DISTANCE / 2) + 1);
+  const offset = maxD;
+  const length = 2 * maxD;
+  const delta = n - m;
+  // 总长度之差为奇数时在正向搜索中检查相遇，偶数时在反向搜索中检查
+  const front = delta % 2 !== 0;
+
+  // v1[k]、v2[k] 分别为正向、反向在对角线 k 上能到达的最远 x
+  const v1 = new Array(length + 2).fill(-1);
+  const v2 = new Array(length + 2).fill(-1);
+  v1[offset + 1] = 0;
+  v2[offset + 1] = 0;
+
+  // 越过边界的对角线不再搜索
+  let k1start = 0;
+  let k1end = 0;
+  let k2start = 0;
+  let k2end = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
+      const k1Offset = offset + k1;
+      let x1 = (k1 === -d || (k1 !== d && v1[k1Offset - 1] < v1[k1Offset + 1]))
+        ? v1[k1Offset + 1]
+        : v1[k1Offset - 1] + 1;
+      let y1 = x1 - k1;
+      while (x1 < n && y1 < m && a[aStart + x1] === b[bStart + y1]) {
+        x1++;
+        y1++;
+      }
+      v1[k1Offset] = x1;
+
+      if (x1 > n) {
+        k1end += 2;
+      } else if (y1 > m) {
+        k1start += 2;
+      } else if (front) {
+        const k2Offset = offset + delta - k1;
+        if (k2Offset >= 0 && k2Offset < length && v2[k2Offset] !== -1 && x1 >= n - v2[k2Offset]) {
+          return { x: aStart + x1, y: bStart + y1 };
+        }
+      }
+    }
+
+    for (let k2 = -d + k2start; k2 <= d - k2end; k2 += 2) {
+      const k2Offset = offset + k2;
+      let x2 = (k2 === -d || (k2 !== d && v2[k2Offset - 1] < v2[k2Offset + 1]))
+        ? v2[k2Offset + 1]
+        : v2[k2Offset - 1] + 1;
+      let y2 = x2 - k2;
+      while (x2 < n && y2 < m && a[aEnd - 1 - x2] === b[bEnd - 1 - y2]) {
+        x2++;
+        y2++;
+      }
+      v2[k2Offset] = x2;
+
+      if (x2 > n) {
+        k2end += 2;
+      } else if (y2 > m) {
+        k2start += 2;
+      } else if (!front) {
+        const k1Offset = offset + delta - k2;
+        if (k1Offset >= 0 && k1Offset < length && v1[k1Offset] !== -1) {
+          const x1 = v1[k1Offset];
+          const y1 = offset + x1 - k1Offset;
+          if (x1 >= n - x2) {
+            return { x: aStart + x1, y: bStart + y1 };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 比较 a[aStart, aEnd) 与 b[bStart, bEnd) 的差异，结果按顺序追加到 changes
+ * 先去掉相同的开头和结尾，再从中间点拆成两段分别比较
+ */
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, changes) => {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    changes.push({ type: 'equal', oldLine: aStart + 1, newLine: bStart + 1, text: a[aStart] });
+    aStart++;
+    bStart++;
+  }
+
+  let suffix = 0;
+  while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+    suffix++;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  const split = aStart < aEnd && bStart < bEnd ? bisect(a, aStart, aEnd, b, bStart, bEnd) : null;
+
+  if (split) {
+    diffRange(a, aStart, split.x, b, bStart, split.y, changes);
+    diffRange(a, split.x, aEnd, b, split.y, bEnd, changes);
+  } else {
+    for (let i = aStart; i < aEnd; i++) {
+      changes.push({ type: 'remove', oldLine: i + 1, newLine: null, text: a[i] });
+    }
+    for (let j = bStart; j < bEnd; j++) {
+      changes.push({ type: 'add', oldLine: null, newLine: j + 1, text: b[j] });
+    }
+  }
+
+  for (let i = 0; i < suffix; i++) {
+    changes.push({ type: 'equal', oldLine: aEnd + i + 1, newLine: bEnd + i + 1, text: a[aEnd + i] });
+  }
+};
+
+/**
+ * 比较两段文本的行级差异
+ * @param {string|null} oldText - 旧文本
+ * @param {string|null} newText - 新文本
+ * @returns {Array<Object>} - 差异数组，每项为 { type: 'equal'|'add'|'remove', oldLine, newLine, text }
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const changes = [];
+
+  diffRange(a, 0, a.length, b, 0, b.length, changes);
+  return changes;
+};
+
+/**
+ * 统计差异数组中的新增和删除行数
+ * @param {Array<Object>} changes - diffLines 的返回值
+ * @returns {Object} - { added, removed }
+ */
+const summarize = (changes) => ({
+  added: changes.filter(change => change.type === 'add').length,
+  removed: changes.filter(change => change.type === 'remove').length
+});
+
+module.exports = {
+  splitLines,
+  diffLines,
+  summarize
+};
@@ -0,0 +1,74 @@
+/**
+ * 邮件发送队列的纯函数工具
+ * 重试间隔计算、失败类型判断和发送速率控制，不依赖数据库，便于单独测试
+ */
+
+/**
+ * 计算第 attempts 次失败后的重试延迟，按指数退避并加入随机抖动
+ * @param {number} attempts - 已失败次数，从1开始
+ * @param {Object} options - { baseDelay, maxDelay, jitter, random }
+ * @returns {number} - 延迟毫秒数
+ */
+const getRetryDelay = (attempts, { baseDelay = 60 * 1000, maxDelay = 6 * 60 * 60 * 1000, jitter = 0.2, random = Math.random } = {}) => {
+  const exponent = Math.max(0, attempts - 1);
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, exponent));
+
+  // 抖动范围 [-jitter, +jitter]，避免同一时间失败的邮件同时重试
+  const offset = delay * jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(Math.min(maxDelay, delay + offset)));
+};
+
+/**
+ * 判断发送错误是否为永久失败，永久失败不再重试，直接进入死信
+ * SMTP 5xx 表示收件人或邮件本身的问题，重试也不会成功；
+ * 认证失败（EAUTH）虽然也是 5xx，但通常在修正邮件配置后可以恢复，按临时失败处理
+ * @param {Error} error - nodemailer 抛出的错误
+ * @returns {boolean} - 是否永久失败
+ */
+const isPermanentError = (error) => {
+  if (!error || error.code === 'EAUTH') {
+    return false;
+  }
+
+  if (error.code === 'EENVELOPE' && !error.responseCode) {
+    return true;
+  }
+
+  return error.responseCode >= 500 && error.responseCode < 600;
+};
+
+/**
+ * 计算本轮最多可以发送的邮件数量
+ * @param {number} rateLimit - 每分钟发送上限，0 表示不限制
+ * @param {number} sentInLastMinute - 最近一分钟已发送（含发送失败）的数量
+ * @param {number} batchSize - 单轮最大发送数量
+ * @returns {number} - 本轮可发送数量
+ */
+const getAvailableSlots = (rateLimit, sentInLastMinute, batchSize) => {
+  if (!rateLimit) {
+    return batchSize;
+  }
+
+  return Math.max(0, Math.min(batchSize, rateLimit - sentInLastMinute));
+};
+
+/**
+ * 截断错误信息，保存到数据库
+ * @param {Error|string} error - 错误
+ * @param {number} maxLength - 最大长度
+ * @returns {string} - 错误信息
+ */
+const formatError = (error, maxLength = 1000) => {
+  const message = error instanceof Error
+    ? [error.code, error.responseCode, error.response || error.message].filter(Boolean).join(' ')
+    : String(error);
+
+  return message.length > maxLength ? `${message.slice(0, maxLength - 3)}...` : message;
+};
+
+module.exports = {
+  getRetryDelay,
+  isPermanentError,
+  getAvailableSlots,
+  formatError
+};
@@ -23,7 +23,8 @@ const colors = {
 };
 
 // 邮件布局基本组件
-const baseLayout = (content) => {
+// options.unsubscribeUrl - 退订链接，通知类邮件会在页脚显示
+const baseLayout = (content, options = {}) => {
   return `
     <!DOCTYPE html>
     <html lang="zh-CN">
@@ -139,6 +140,7 @@ const baseLayout = (content) => {
           </div>
           <p>&copy; ${new Date().getFullYear()} ${BLOG_NAME}. 保留所有权利</p>
           <p>此邮件由系统自动发送，请勿直接回复</p>
+          ${options.unsubscribeUrl ? `<p>不想再收到此类邮件？<a href="${options.unsubscribeUrl}" class="link">一键退订</a></p>` : ''}
         </div>
       </div>
     </body>
@@ -147,93 +149,381 @@ const baseLayout = (content) => {
 };
 
 /**
- * 验证码邮件模板
- * @param {string} username - 用户名
- * @param {string} verificationCode - 验证码
- * @param {number} expiresInMinutes - 过期时间(分钟)
- * @returns {string} HTML格式的邮件内容
+ * 所有模板都可以使用的变量
  */
-function getVerificationCodeTemplate(username, verificationCode, expiresInMinutes = 10) {
-  const content = `
-    <h2>您好，${username}！</h2>
-    <p>感谢您注册 ${BLOG_NAME}。您的验证码如下：</p>
+const COMMON_VARIABLES = {
+  siteName: { description: '网站名称', sample: BLOG_NAME },
+  siteUrl: { description: '网站首页地址', sample: FRONTEND_URL }
+};
+
+/**
+ * 可在后台编辑的邮件模板类型
+ * variables 为模板可用的变量：required 表示正文必须包含，html 表示变量值已经是安全的 HTML，替换时不再转义；
+ * content 生成内置的邮件正文，传入占位符时即为后台编辑的默认模板
+ */
+const TEMPLATE_TYPES = {
+  verification_code: {
+    label: '注册验证码',
+    subject: '您的注册验证码',
+    variables: {
+      username: { description: '用户名', sample: '张三' },
+      code: { description: '验证码', sample: '123456', required: true },
+      expiresInMinutes: { description: '有效时间（分钟）', sample: 10 }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>感谢您注册 ${v.siteName}。您的验证码如下：</p>
     
-    <div class="verification-code">${verificationCode}</div>
+    <div class="verification-code">${v.code}</div>
     
     <p class="text-center">请在注册页面输入此验证码完成邮箱验证</p>
     
     <div class="divider"></div>
     
-    <p>此验证码将在<strong>${expiresInMinutes}分钟内</strong>有效。</p>
+    <p>此验证码将在<strong>${v.expiresInMinutes}分钟内</strong>有效。</p>
     
     <div class="warning">
-      如果您没有注册 ${BLOG_NAME}，请忽略此邮件。
+      如果您没有注册 ${v.siteName}，请忽略此邮件。
     </div>
-  `;
-  
-  return baseLayout(content);
-}
-
-/**
- * 验证邮箱模板
- * @param {string} username - 用户名
- * @param {string} token - 验证令牌
- * @returns {string} HTML格式的邮件内容
- */
-function getEmailVerificationTemplate(username, token) {
-  const verificationUrl = `${FRONTEND_URL}/verify-email?token=${token}`;
-  
-  const content = `
-    <h2>您好，${username}！</h2>
-    <p>感谢您注册 ${BLOG_NAME}。请点击下面的按钮验证您的邮箱地址：</p>
+  `
+  },
+  email_verification: {
+    label: '邮箱验证链接',
+    subject: '请验证您的邮箱',
+    variables: {
+      username: { description: '用户名', sample: '张三' },
+      verificationUrl: { description: '验证链接', sample: `${FRONTEND_URL}/verify-email?token=sample`, required: true }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>感谢您注册 ${v.siteName}。请点击下面的按钮验证您的邮箱地址：</p>
     
     <div class="text-center">
-      <a href="${verificationUrl}" class="btn">验证邮箱</a>
+      <a href="${v.verificationUrl}" class="btn">验证邮箱</a>
     </div>
     
     <p>或者复制以下链接到浏览器地址栏：</p>
-    <p class="link">${verificationUrl}</p>
+    <p class="link">${v.verificationUrl}</p>
     
     <div class="divider"></div>
     
     <p>此链接将在<strong>24小时内</strong>有效。</p>
     
     <div class="warning">
-      如果您没有注册 ${BLOG_NAME}，请忽略此邮件。
+      如果您没有注册 ${v.siteName}，请忽略此邮件。
     </div>
-  `;
-  
-  return baseLayout(content);
-}
-
-/**
- * 密码重置模板
- * @param {string} username - 用户名
- * @param {string} token - 重置令牌
- * @returns {string} HTML格式的邮件内容
- */
-function getPasswordResetTemplate(username, token) {
-  const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
-  
-  const content = `
-    <h2>您好，${username}！</h2>
-    <p>我们收到了重置您 ${BLOG_NAME} 账户密码的请求。请点击下面的按钮重置密码：</p>
+  `
+  },
+  password_reset: {
+    label: '密码重置链接',
+    subject: '重置您的密码',
+    variables: {
+      username: { description: '用户名', sample: '张三' },
+      resetUrl: { description: '重置链接', sample: `${FRONTEND_URL}/reset-password?token=sample`, required: true }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>我们收到了重置您 ${v.siteName} 账户密码的请求。请点击下面的按钮重置密码：</p>
     
     <div class="text-center">
-      <a href="${resetUrl}" class="btn">重置密码</a>
+      <a href="${v.resetUrl}" class="btn">重置密码</a>
     </div>
     
     <p>或者复制以下链接到浏览器地址栏：</p>
-    <p class="link">${resetUrl}</p>
+    <p class="link">${v.resetUrl}</p>
     
     <div class="divider"></div>
     
     <p>此链接将在<strong>1小时内</strong>有效。</p>
     
     <div class="warning">
-      如果您没有请求重置密码，请忽略此邮件，并考虑<a href="${FRONTEND_URL}/contact" class="link">联系我们</a>确保您的账户安全。
+      如果您没有请求重置密码，请忽略此邮件，并考虑<a href="${v.siteUrl}/contact" class="link">联系我们</a>确保您的账户安全。
     </div>
-  `;
+  `
+  },
+  password_reset_code: {
+    label: '密码重置验证码',
+    subject: '密码重置验证码',
+    variables: {
+      username: { description: '用户名', sample: '张三' },
+      code: { description: '验证码', sample: '123456', required: true },
+      expiresInMinutes: { description: '有效时间（分钟）', sample: 10 }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>我们收到了重置您 ${v.siteName} 账户密码的请求。您的密码重置验证码如下：</p>
+    
+    <div class="verification-code">${v.code}</div>
+    
+    <p class="text-center">请在重置密码页面输入此验证码</p>
+    
+    <div class="divider"></div>
+    
+    <p>此验证码将在<strong>${v.expiresInMinutes}分钟内</strong>有效。</p>
+    
+    <div class="warning">
+      如果您没有请求重置密码，请忽略此邮件，并考虑<a href="${v.siteUrl}/contact" class="link">联系我们</a>确保您的账户安全。
+    </div>
+  `
+  },
+  welcome: {
+    label: '欢迎新用户',
+    subject: '欢迎加入 {{siteName}}！',
+    variables: {
+      username: { description: '用户名', sample: '张三' }
+    },
+    content: (v) => `
+    <h2>欢迎加入 ${v.siteName}，${v.username}！</h2>
+    
+    <p>我们非常高兴您成为我们社区的一员。以下是一些帮助您开始的链接：</p>
+    
+    <ul>
+      <li><a href="${v.siteUrl}/trending" class="link">热门文章</a> - 查看最受欢迎的内容</li>
+      <li><a href="${v.siteUrl}/categories" class="link">内容分类</a> - 浏览您感兴趣的主题</li>
+      <li><a href="${v.siteUrl}/profile/settings" class="link">个人设置</a> - 完善您的个人资料</li>
+    </ul>
+    
+    <div class="divider"></div>
+    
+    <p>如果您有任何问题或需要帮助，请随时<a href="${v.siteUrl}/contact" class="link">联系我们</a>。</p>
+    
+    <div class="text-center">
+      <a href="${v.siteUrl}" class="btn">开始探索</a>
+    </div>
+  `
+  },
+  comment_notification: {
+    label: '评论通知',
+    subject: '{{notice}}',
+    variables: {
+      username: { description: '收件人名称', sample: '张三', html: true },
+      notice: { description: '通知摘要，如“您的文章《标题》收到了新评论”', sample: '您的文章《Hello World》收到了新评论' },
+      intro: { description: '正文开头的说明，包含评论者和文章标题', sample: '李四 评论了您的文章 <strong>Hello World</strong>：', html: true },
+      postTitle: { description: '文章标题', sample: 'Hello World', html: true },
+      commentContent: { description: '评论内容', sample: '写得很好，学到了！', html: true },
+      postUrl: { description: '评论链接', sample: `${FRONTEND_URL}/posts/hello-world#comment-1`, required: true }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>${v.intro}</p>
+    
+    <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid ${colors.accent}; margin: 15px 0;">
+      ${v.commentContent}
+    </div>
+    
+    <div class="text-center">
+      <a href="${v.postUrl}" class="btn">查看评论</a>
+    </div>
+  `
+  },
+  newsletter_confirmation: {
+    label: '邮件订阅确认',
+    subject: '请确认订阅 {{siteName}}',
+    variables: {
+      email: { description: '订阅邮箱', sample: 'reader@example.com' },
+      confirmUrl: { description: '确认订阅链接', sample: 'http://localhost:9002/api/newsletter/confirm?token=sample', required: true },
+      expiresInHours: { description: '链接有效时间（小时）', sample: 48 }
+    },
+    content: (v) => `
+    <h2>确认订阅</h2>
+    <p>我们收到了使用 <strong>${v.email}</strong> 订阅 ${v.siteName} 新文章的请求。请点击下面的按钮确认订阅：</p>
+    
+    <div class="text-center">
+      <a href="${v.confirmUrl}" class="btn">确认订阅</a>
+    </div>
+    
+    <p>或者复制以下链接到浏览器地址栏：</p>
+    <p class="link">${v.confirmUrl}</p>
+    
+    <div class="divider"></div>
+    
+    <p>此链接将在<strong>${v.expiresInHours}小时内</strong>有效。</p>
+    
+    <div class="warning">
+      如果您没有订阅 ${v.siteName}，请忽略此邮件，我们不会再向您发送邮件。
+    </div>
+  `
+  },
+  account_locked: {
+    label: '账户临时锁定通知',
+    subject: '您的 {{siteName}} 账户已被临时锁定',
+    variables: {
+      username: { description: '用户名', sample: '张三' },
+      failedAttempts: { description: '连续失败次数', sample: 5 },
+      lockedMinutes: { description: '锁定时长（分钟）', sample: 15 },
+      ipAddress: { description: '最后一次失败登录的IP地址', sample: '203.0.113.10' },
+      lockedAt: { description: '锁定时间', sample: '2026-10-19 16:30:00' }
+    },
+    content: (v) => `
+    <h2>您好，${v.username}！</h2>
+    <p>您的 ${v.siteName} 账户连续 <strong>${v.failedAttempts}</strong> 次登录失败，为保护账户安全，已被临时锁定 <strong>${v.lockedMinutes}</strong> 分钟。</p>
+    
+    <ul>
+      <li>锁定时间：${v.lockedAt}</li>
+      <li>最后一次尝试的IP地址：${v.ipAddress}</li>
+    </ul>
+    
+    <p>锁定到期后即可重新登录，也可以联系管理员提前解除锁定。</p>
+    
+    <div class="warning">
+      如果这些登录尝试不是您本人操作，说明有人可能在尝试猜测您的密码，建议登录后尽快修改密码。
+    </div>
+  `
+  }
+};
+
+// 模板变量占位符，如 {{username}}，允许花括号内有空格
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} value - 变量值
+ * @returns {string} - 转义后的文本
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * 获取模板类型可用的全部变量定义
+ * @param {string} type - 模板类型
+ * @returns {Object} - 变量名到定义的映射
+ */
+function getTemplateVariables(type) {
+  return { ...COMMON_VARIABLES, ...TEMPLATE_TYPES[type].variables };
+}
+
+/**
+ * 找出模板中使用的变量
+ * @param {string} template - 模板
+ * @returns {string[]} - 去重后的变量名
+ */
+function findVariables(template) {
+  return [...new Set([...String(template || '').matchAll(PLACEHOLDER_REGEX)].map(match => match[1]))];
+}
+
+/**
+ * 校验模板中的变量
+ * @param {string} type - 模板类型
+ * @param {Object} template - { subject, body }
+ * @returns {Object} - { unknown, missing }，unknown 为不支持的变量，missing 为正文缺少的必需变量
+ */
+function validateTemplate(type, { subject, body }) {
+  const variables = getTemplateVariables(type);
+  const used = findVariables(`${subject || ''}\n${body || ''}`);
+  const inBody = findVariables(body);
+
+  return {
+    unknown: used.filter(name => !variables[name]),
+    missing: Object.keys(variables).filter(name => variables[name].required && !inBody.includes(name))
+  };
+}
+
+/**
+ * 替换模板中的变量
+ * 缺少的变量替换为空字符串
+ * @param {string} template - 模板
+ * @param {Object} values - 变量值
+ * @param {Object} options - { escape, raw }，escape 为是否转义 HTML，raw 为不转义的变量名
+ * @returns {string} - 替换后的文本
+ */
+function renderTemplate(template, values, { escape = true, raw = [] } = {}) {
+  return String(template || '').replace(PLACEHOLDER_REGEX, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return escape && !raw.includes(name) ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * 获取内置的默认模板，变量以占位符表示
+ * @param {string} type - 模板类型
+ * @returns {Object} - { subject, body }
+ */
+function getDefaultTemplate(type) {
+  const placeholders = Object.fromEntries(
+    Object.keys(getTemplateVariables(type)).map(name => [name, `{{${name}}}`])
+  );
+
+  return {
+    subject: TEMPLATE_TYPES[type].subject,
+    body: TEMPLATE_TYPES[type].content(placeholders)
+  };
+}
+
+/**
+ * 用模板生成完整邮件
+ * 主题不转义；正文中除标记为 html 的变量外都会转义
+ * @param {string} type - 模板类型
+ * @param {Object} template - { subject, body }
+ * @param {Object} values - 变量值，未提供的通用变量使用默认值
+ * @param {Object} options - { unsubscribeUrl }
+ * @returns {Object} - { subject, html }
+ */
+function renderEmail(type, template, values, options = {}) {
+  const variables = getTemplateVariables(type);
+  const data = { siteName: BLOG_NAME, siteUrl: FRONTEND_URL, ...values };
+  const raw = Object.keys(variables).filter(name => variables[name].html);
+
+  return {
+    subject: renderTemplate(template.subject, data, { escape: false }),
+    html: baseLayout(renderTemplate(template.body, data, { raw }), options)
+  };
+}
+
+/**
+ * 验证码邮件模板
+ * @param {string} username - 用户名
+ * @param {string} verificationCode - 验证码
+ * @param {number} expiresInMinutes - 过期时间(分钟)
+ * @returns {string} HTML格式的邮件内容
+ */
+function getVerificationCodeTemplate(username, verificationCode, expiresInMinutes = 10) {
+  const content = TEMPLATE_TYPES.verification_code.content({
+    siteName: BLOG_NAME,
+    username,
+    code: verificationCode,
+    expiresInMinutes
+  });
+  
+  return baseLayout(content);
+}
+
+/**
+ * 验证邮箱模板
+ * @param {string} username - 用户名
+ * @param {string} token - 验证令牌
+ * @returns {string} HTML格式的邮件内容
+ */
+function getEmailVerificationTemplate(username, token) {
+  const content = TEMPLATE_TYPES.email_verification.content({
+    siteName: BLOG_NAME,
+    username,
+    verificationUrl: getEmailVerificationUrl(token)
+  });
+  
+  return baseLayout(content);
+}
+
+/**
+ * 密码重置模板
+ * @param {string} username - 用户名
+ * @param {string} token - 重置令牌
+ * @returns {string} HTML格式的邮件内容
+ */
+function getPasswordResetTemplate(username, token) {
+  const content = TEMPLATE_TYPES.password_reset.content({
+    siteName: BLOG_NAME,
+    siteUrl: FRONTEND_URL,
+    username,
+    resetUrl: getPasswordResetUrl(token)
+  });
   
   return baseLayout(content);
 }
@@ -246,26 +536,35 @@ function getPasswordResetTemplate(username, token) {
  * @returns {string} HTML格式的邮件内容
  */
 function getPasswordResetCodeTemplate(username, resetCode, expiresInMinutes = 10) {
-  const content = `
-    <h2>您好，${username}！</h2>
-    <p>我们收到了重置您 ${BLOG_NAME} 账户密码的请求。您的密码重置验证码如下：</p>
-    
-    <div class="verification-code">${resetCode}</div>
-    
-    <p class="text-center">请在重置密码页面输入此验证码</p>
-    
-    <div class="divider"></div>
-    
-    <p>此验证码将在<strong>${expiresInMinutes}分钟内</strong>有效。</p>
-    
-    <div class="warning">
-      如果您没有请求重置密码，请忽略此邮件，并考虑<a href="${FRONTEND_URL}/contact" class="link">联系我们</a>确保您的账户安全。
-    </div>
-  `;
+  const content = TEMPLATE_TYPES.password_reset_code.content({
+    siteName: BLOG_NAME,
+    siteUrl: FRONTEND_URL,
+    username,
+    code: resetCode,
+    expiresInMinutes
+  });
   
   return baseLayout(content);
 }
 
+/**
+ * 邮箱验证链接
+ * @param {string} token - 验证令牌
+ * @returns {string} - 链接
+ */
+function getEmailVerificationUrl(token) {
+  return `${FRONTEND_URL}/verify-email?token=${token}`;
+}
+
+/**
+ * 密码重置链接
+ * @param {string} token - 重置令牌
+ * @returns {string} - 链接
+ */
+function getPasswordResetUrl(token) {
+  return `${FRONTEND_URL}/reset-password?token=${token}`;
+}
+
 /**
  * 通用通知模板
  * @param {string} subject - 通知主题
@@ -289,27 +588,59 @@ function getNotificationTemplate(subject, content) {
 
 /**
  * 评论通知模板
+ * 除 options.intro 外的参数都需要先做 HTML 转义
  * @param {string} username - 用户名
  * @param {string} postTitle - 文章标题
  * @param {string} commentContent - 评论内容
  * @param {string} postUrl - 文章链接
+ * @param {Object} options - { intro, unsubscribeUrl }，intro 为正文开头的说明（HTML），默认为文章收到新评论
  * @returns {string} HTML格式的邮件内容
  */
-function getCommentNotificationTemplate(username, postTitle, commentContent, postUrl) {
+function getCommentNotificationTemplate(username, postTitle, commentContent, postUrl, options = {}) {
+  const content = TEMPLATE_TYPES.comment_notification.content({
+    username,
+    intro: options.intro || `您的文章 <strong>${postTitle}</strong> 收到了新的评论：`,
+    commentContent,
+    postUrl
+  });
+  
+  return baseLayout(content, options);
+}
+
+/**
+ * 评论通知汇总模板，同一时间产生多条通知时合并为一封邮件
+ * @param {string} username - 用户名（已转义）
+ * @param {Array<Object>} items - 通知列表 { intro, content, url }，content 需已转义
+ * @param {Object} options - { unsubscribeUrl, more }，more 为未列出的通知数量
+ * @returns {string} HTML格式的邮件内容
+ */
+function getCommentDigestTemplate(username, items, options = {}) {
+  const list = items.map(item => `
+    <p>${item.intro}</p>
+    <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid ${colors.accent}; margin: 10px 0 5px;">
+      ${item.content}
+    </div>
+    <p><a href="${item.url}" class="link">查看评论</a></p>
+  `).join('<div class="divider"></div>');
+  
   const content = `
     <h2>您好，${username}！</h2>
-    <p>您的文章 <strong>${postTitle}</strong> 收到了新的评论：</p>
-    
-    <div style="background-color: #f9f9f9; padding: 15px; border-left: 4px solid ${colors.accent}; margin: 15px 0;">
-      ${commentContent}
-    </div>
-    
-    <div class="text-center">
-      <a href="${postUrl}" class="btn">查看评论</a>
-    </div>
+    <p>您有 ${items.length + (options.more || 0)} 条新的评论动态：</p>
+    ${list}
+    ${options.more ? `<p>另有 ${options.more} 条动态未在邮件中列出。</p>` : ''}
   `;
   
-  return baseLayout(content);
+  return baseLayout(content, options);
+}
+
+/**
+ * 订阅群发邮件模板
+ * @param {string} content - 正文HTML
+ * @param {Object} options - { unsubscribeUrl }
+ * @returns {string} HTML格式的邮件内容
+ */
+function getNewsletterTemplate(content, options = {}) {
+  return baseLayout(content, options);
 }
 
 /**
@@ -318,35 +649,32 @@ function getCommentNotificationTemplate(username, postTitle, commentContent, pos
  * @returns {string} HTML格式的邮件内容
  */
 function getWelcomeTemplate(username) {
-  const content = `
-    <h2>欢迎加入 ${BLOG_NAME}，${username}！</h2>
-    
-    <p>我们非常高兴您成为我们社区的一员。以下是一些帮助您开始的链接：</p>
-    
-    <ul>
-      <li><a href="${FRONTEND_URL}/trending" class="link">热门文章</a> - 查看最受欢迎的内容</li>
-      <li><a href="${FRONTEND_URL}/categories" class="link">内容分类</a> - 浏览您感兴趣的主题</li>
-      <li><a href="${FRONTEND_URL}/profile/settings" class="link">个人设置</a> - 完善您的个人资料</li>
-    </ul>
-    
-    <div class="divider"></div>
-    
-    <p>如果您有任何问题或需要帮助，请随时<a href="${FRONTEND_URL}/contact" class="link">联系我们</a>。</p>
-    
-    <div class="text-center">
-      <a href="${FRONTEND_URL}" class="btn">开始探索</a>
-    </div>
-  `;
+  const content = TEMPLATE_TYPES.welcome.content({
+    siteName: BLOG_NAME,
+    siteUrl: FRONTEND_URL,
+    username
+  });
   
   return baseLayout(content);
 }
 
 module.exports = {
+  TEMPLATE_TYPES,
+  getTemplateVariables,
+  findVariables,
+  validateTemplate,
+  renderTemplate,
+  getDefaultTemplate,
+  renderEmail,
+  getEmailVerificationUrl,
+  getPasswordResetUrl,
   getEmailVerificationTemplate,
   getVerificationCodeTemplate,
   getPasswordResetTemplate,
   getPasswordResetCodeTemplate,
   getNotificationTemplate,
   getCommentNotificationTemplate,
+  getCommentDigestTemplate,
+  getNewsletterTemplate,
   getWelcomeTemplate
-}; 
\ No newline at end of file
+};
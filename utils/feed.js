@@ -0,0 +1,150 @@
+/**
+ * 订阅源生成工具
+ * 根据统一的订阅源数据生成 RSS 2.0、Atom 1.0 和 JSON Feed 1.1
+ *
+ * 订阅源数据格式：
+ * {
+ *   title, description, siteUrl, feedUrl, language, updated,
+ *   items: [{ url, title, summary, contentHtml, published, updated, author, categories }]
+ * }
+ */
+
+const GENERATOR = 'XBlog';
+
+// XML 1.0 不允许出现的控制字符
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F￾￿]/g;
+
+/**
+ * 转义XML文本
+ * @param {*} value - 文本
+ * @returns {string} - 转义后的文本
+ */
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * 包裹为CDATA，正文中出现的 ]]> 会被拆开
+ * @param {string} value - 文本
+ * @returns {string} - CDATA 节
+ */
+const cdata = (value) => `<![CDATA[${String(value || '').replace(INVALID_XML_CHARS, '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * 转换为Date对象
+ * @param {Date|string|null} value - 时间
+ * @returns {Date} - 时间，无效时为当前时间
+ */
+const toDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * 生成 RSS 2.0
+ * @param {Object} feed - 订阅源数据
+ * @returns {string} - XML
+ */
+const buildRss = (feed) => {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    `      <pubDate>${toDate(item.published).toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    ...(item.categories || []).map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>`,
+    '    </item>'
+  ].filter(line => line !== null).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.language)}</language>`,
+    `    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>`,
+    `    <generator>${GENERATOR}</generator>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * 生成 Atom 1.0
+ * @param {Object} feed - 订阅源数据
+ * @returns {string} - XML
+ */
+const buildAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <id>${escapeXml(item.url)}</id>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <published>${toDate(item.published).toISOString()}</published>`,
+    `    <updated>${toDate(item.updated || item.published).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.author || feed.title)}</name></author>`,
+    ...(item.categories || []).map(category => `    <category term="${escapeXml(category)}"/>`),
+    `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+    `    <content type="html">${escapeXml(item.contentHtml)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <id>${escapeXml(feed.siteUrl)}/</id>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <updated>${toDate(feed.updated).toISOString()}</updated>`,
+    `  <generator>${GENERATOR}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * 生成 JSON Feed 1.1
+ * @param {Object} feed - 订阅源数据
+ * @returns {string} - JSON
+ */
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: feed.language,
+  items: feed.items.map(item => ({
+    id: item.url,
+    url: item.url,
+    title: item.title,
+    content_html: item.contentHtml || '',
+    summary: item.summary || undefined,
+    date_published: toDate(item.published).toISOString(),
+    date_modified: toDate(item.updated || item.published).toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories && item.categories.length > 0 ? item.categories : undefined
+  }))
+}, null, 2);
+
+module.exports = {
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+};
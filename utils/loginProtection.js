@@ -0,0 +1,80 @@
+/**
+ * 登录防暴力破解工具
+ * 读取阈值配置、计算失败后的递增等待时间，不依赖 Redis 和数据库
+ */
+
+const DEFAULT_CONFIG = {
+  // 同一账户在统计窗口内连续失败多少次后锁定
+  maxAttempts: 5,
+  // 锁定时长（分钟）
+  lockoutMinutes: 15,
+  // 失败次数的统计窗口（分钟），窗口内没有新的失败时计数清零
+  windowMinutes: 15,
+  // 同一IP在统计窗口内失败多少次后暂停该IP的登录
+  ipMaxAttempts: 30,
+  // 前几次失败不需要等待
+  freeAttempts: 2,
+  // 之后每次失败等待时间翻倍，从 baseDelaySeconds 开始，最长 maxDelaySeconds
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 30
+};
+
+/**
+ * 读取正整数配置，无效时使用默认值
+ * @param {*} value - 配置值
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * 从环境变量读取配置
+ * @param {Object} env - 环境变量
+ * @returns {Object} - 配置
+ */
+const loadConfig = (env = process.env) => ({
+  ...DEFAULT_CONFIG,
+  maxAttempts: toPositiveInt(env.LOGIN_MAX_ATTEMPTS, DEFAULT_CONFIG.maxAttempts),
+  lockoutMinutes: toPositiveInt(env.LOGIN_LOCKOUT_MINUTES, DEFAULT_CONFIG.lockoutMinutes),
+  windowMinutes: toPositiveInt(env.LOGIN_ATTEMPT_WINDOW_MINUTES, DEFAULT_CONFIG.windowMinutes),
+  ipMaxAttempts: toPositiveInt(env.LOGIN_IP_MAX_ATTEMPTS, DEFAULT_CONFIG.ipMaxAttempts)
+});
+
+/**
+ * 计算第 failures 次失败后，下一次尝试前需要等待的秒数
+ * @param {number} failures - 已连续失败的次数
+ * @param {Object} config - 配置
+ * @returns {number} - 等待秒数，0 表示不需要等待
+ */
+const getDelaySeconds = (failures, config = DEFAULT_CONFIG) => {
+  if (failures <= config.freeAttempts) {
+    return 0;
+  }
+
+  return Math.min(config.baseDelaySeconds * Math.pow(2, failures - config.freeAttempts - 1), config.maxDelaySeconds);
+};
+
+/**
+ * 将等待秒数格式化为提示文字
+ * @param {number} seconds - 秒数
+ * @returns {string} - 如 "30秒"、"15分钟"
+ */
+const formatWait = (seconds) => (seconds < 60 ? `${Math.max(1, Math.ceil(seconds))}秒` : `${Math.ceil(seconds / 60)}分钟`);
+
+/**
+ * 规范化登录账号，用于不存在的账号的失败计数
+ * @param {string} identifier - 用户名或邮箱
+ * @returns {string}
+ */
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  getDelaySeconds,
+  formatWait,
+  normalizeIdentifier
+};
@@ -4,6 +4,7 @@
 const nodemailer = require('nodemailer');
 const { logger } = require('./logger');
 const emailTemplates = require('./emailTemplates');
+const emailTemplateService = require('../services/emailTemplateService');
 const { query } = require('../config/db');
 require('dotenv').config();
 
@@ -93,8 +94,9 @@ async function initMailer() {
     // 从数据库获取邮件设置
     const config = await getEmailSettings();
     
-    // 如果没有配置SMTP主机或用户名或密码，则不初始化
-    if (!config.smtpHost || !config.smtpUser || !config.password) {
+    // 如果没有配置SMTP主机，或只配置了用户名和密码中的一个，则不初始化
+    // 本地测试用的 SMTP 服务（如 MailHog、Mailpit）不需要认证，用户名和密码可以都不填
+    if (!config.smtpHost || !config.smtpUser !== !config.password) {
       logger.warn('邮件服务未完全配置，邮件功能将不可用');
       console.warn('邮件服务未完全配置，邮件功能将不可用', {
         smtpHost: config.smtpHost ? '已设置' : '未设置',
@@ -107,7 +109,7 @@ async function initMailer() {
     // 静默模式下不输出配置信息
 
     // 检测是否为QQ邮箱并使用简化配置
-    if (config.smtpHost === 'smtp.qq.com' || config.smtpUser.includes('@qq.com')) {
+    if (config.smtpHost === 'smtp.qq.com' || (config.smtpUser || '').includes('@qq.com')) {
       // QQ邮箱使用service方式配置
       transporter = nodemailer.createTransport({
         service: 'qq', // 使用内置的QQ邮箱配置
@@ -125,10 +127,10 @@ async function initMailer() {
         host: config.smtpHost,
         port: config.smtpPort,
         secure: config.smtpSecure,
-        auth: {
+        auth: config.smtpUser ? {
           user: config.smtpUser,
           pass: config.password
-        },
+        } : undefined,
         tls: {
           rejectUnauthorized: false
         }
@@ -187,6 +189,52 @@ async function initMailer() {
   }
 })();
 
+/**
+ * 生成发件人地址
+ * 未配置SMTP用户名时（如本地测试用的SMTP服务）使用 MAIL_FROM
+ * @param {Object} emailSettings - 邮件设置
+ * @returns {string} - 发件人
+ */
+function getFromAddress(emailSettings) {
+  const address = emailSettings.smtpUser || process.env.MAIL_FROM || 'noreply@localhost';
+  return `"${emailSettings.senderName || 'Xblog'}" <${address}>`;
+}
+
+/**
+ * 通过SMTP立即发送一封邮件，只由邮件发送队列调用
+ * 未指定发件人时使用当前邮件设置中的发件人
+ * @param {Object} mailOptions - nodemailer 邮件参数
+ * @returns {Promise<Object>} - nodemailer 的发送结果
+ * @throws {Error} - 邮件服务不可用或发送失败
+ */
+async function deliverMail(mailOptions) {
+  if (!transporter) {
+    const initialized = await initMailer();
+    if (!initialized) {
+      throw new Error('邮件服务未初始化');
+    }
+  }
+
+  const emailSettings = await getEmailSettings();
+
+  return transporter.sendMail({
+    from: getFromAddress(emailSettings),
+    ...mailOptions
+  });
+}
+
+/**
+ * 将邮件加入发送队列，由后台任务异步发送并在失败时重试
+ * @param {Object} mailOptions - { to, subject, html, text, headers }
+ * @param {string} category - 邮件类型，用于发送记录筛选
+ * @returns {Promise<number>} - 队列中的邮件ID
+ */
+async function queueMail(mailOptions, category) {
+  // 延迟加载，发送队列服务本身依赖 deliverMail
+  const emailOutboxService = require('../services/emailOutboxService');
+  return emailOutboxService.enqueue({ ...mailOptions, category });
+}
+
 /**
  * 生成随机验证码
  * @param {number} length - 验证码长度，默认6位
@@ -207,43 +255,24 @@ function generateVerificationCode(length = 6) {
  * @param {string} to - 收件人邮箱
  * @param {string} username - 用户名
  * @param {number} expiresInMinutes - 过期时间(分钟)
- * @returns {Promise<{success: boolean, code: string}>} 是否发送成功及验证码
+ * @param {Object} options - { locale }
+ * @returns {Promise<{success: boolean, code: string}>} 是否加入发送队列及验证码
  */
-async function sendVerificationCode(to, username, expiresInMinutes = 10) {
+async function sendVerificationCode(to, username, expiresInMinutes = 10, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送验证码邮件');
-        return { success: false, code: null };
-      }
-    }
-    
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
-    
     // 生成6位数字验证码
     const verificationCode = generateVerificationCode(6);
     
     // 使用验证码邮件模板
-    const htmlContent = emailTemplates.getVerificationCodeTemplate(
-      username, 
-      verificationCode,
+    const { subject, html } = await emailTemplateService.render('verification_code', {
+      username,
+      code: verificationCode,
       expiresInMinutes
-    );
+    }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: '您的注册验证码',
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'verification_code');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`验证码邮件发送成功: ${info.messageId}, 验证码: ${verificationCode}`);
+    logger.info(`验证码邮件已加入发送队列: ${id}`);
     return { success: true, code: verificationCode };
   } catch (error) {
     logger.error(`发送验证码邮件失败: ${error.message}`);
@@ -256,43 +285,24 @@ async function sendVerificationCode(to, username, expiresInMinutes = 10) {
  * @param {string} to - 收件人邮箱
  * @param {string} username - 用户名
  * @param {number} expiresInMinutes - 过期时间(分钟)
- * @returns {Promise<{success: boolean, code: string}>} 是否发送成功及验证码
+ * @param {Object} options - { locale }
+ * @returns {Promise<{success: boolean, code: string}>} 是否加入发送队列及验证码
  */
-async function sendPasswordResetCode(to, username, expiresInMinutes = 10) {
+async function sendPasswordResetCode(to, username, expiresInMinutes = 10, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送密码重置验证码邮件');
-        return { success: false, code: null };
-      }
-    }
-    
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
-    
     // 生成6位数字验证码
     const resetCode = generateVerificationCode(6);
     
     // 使用密码重置验证码模板
-    const htmlContent = emailTemplates.getPasswordResetCodeTemplate(
+    const { subject, html } = await emailTemplateService.render('password_reset_code', {
       username,
-      resetCode,
+      code: resetCode,
       expiresInMinutes
-    );
+    }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: '密码重置验证码',
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'password_reset_code');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`密码重置验证码邮件发送成功: ${info.messageId}, 验证码: ${resetCode}`);
+    logger.info(`密码重置验证码邮件已加入发送队列: ${id}`);
     return { success: true, code: resetCode };
   } catch (error) {
     logger.error(`发送密码重置验证码邮件失败: ${error.message}`);
@@ -305,36 +315,19 @@ async function sendPasswordResetCode(to, username, expiresInMinutes = 10) {
  * @param {string} to - 收件人邮箱
  * @param {string} username - 用户名
  * @param {string} token - 验证令牌
- * @returns {Promise<boolean>} 是否发送成功
+ * @param {Object} options - { locale }
+ * @returns {Promise<boolean>} 是否加入发送队列
  */
-async function sendVerificationEmail(to, username, token) {
+async function sendVerificationEmail(to, username, token, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送验证邮件');
-        return false;
-      }
-    }
-    
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
-    
-    // 使用新的邮件模板
-    const htmlContent = emailTemplates.getEmailVerificationTemplate(username, token);
+    const { subject, html } = await emailTemplateService.render('email_verification', {
+      username,
+      verificationUrl: emailTemplates.getEmailVerificationUrl(token)
+    }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: '请验证您的邮箱',
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'email_verification');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`验证邮件发送成功: ${info.messageId}`);
+    logger.info(`验证邮件已加入发送队列: ${id}`);
     return true;
   } catch (error) {
     logger.error(`发送验证邮件失败: ${error.message}`);
@@ -347,36 +340,19 @@ async function sendVerificationEmail(to, username, token) {
  * @param {string} to - 收件人邮箱
  * @param {string} username - 用户名
  * @param {string} token - 重置令牌
- * @returns {Promise<boolean>} 是否发送成功
+ * @param {Object} options - { locale }
+ * @returns {Promise<boolean>} 是否加入发送队列
  */
-async function sendPasswordResetEmail(to, username, token) {
+async function sendPasswordResetEmail(to, username, token, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送密码重置邮件');
-        return false;
-      }
-    }
-    
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
-    
-    // 使用新的邮件模板
-    const htmlContent = emailTemplates.getPasswordResetTemplate(username, token);
+    const { subject, html } = await emailTemplateService.render('password_reset', {
+      username,
+      resetUrl: emailTemplates.getPasswordResetUrl(token)
+    }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: '重置您的密码',
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'password_reset');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`密码重置邮件发送成功: ${info.messageId}`);
+    logger.info(`密码重置邮件已加入发送队列: ${id}`);
     return true;
   } catch (error) {
     logger.error(`发送密码重置邮件失败: ${error.message}`);
@@ -389,36 +365,17 @@ async function sendPasswordResetEmail(to, username, token) {
  * @param {string} to - 收件人邮箱
  * @param {string} subject - 邮件主题
  * @param {string} content - 邮件内容
- * @returns {Promise<boolean>} 是否发送成功
+ * @returns {Promise<boolean>} 是否加入发送队列
  */
 async function sendNotificationEmail(to, subject, content) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送通知邮件');
-        return false;
-      }
-    }
-    
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
-    
-    // 使用新的邮件模板
-    const htmlContent = emailTemplates.getNotificationTemplate(subject, content);
-    
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
+    const id = await queueMail({
       to,
       subject,
-      html: htmlContent
-    };
+      html: emailTemplates.getNotificationTemplate(subject, content)
+    }, 'notification');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`通知邮件发送成功: ${info.messageId}`);
+    logger.info(`通知邮件已加入发送队列: ${id}`);
     return true;
   } catch (error) {
     logger.error(`发送通知邮件失败: ${error.message}`);
@@ -426,6 +383,22 @@ async function sendNotificationEmail(to, subject, content) {
   }
 }
 
+/**
+ * 生成退订相关的邮件头，支持邮件客户端的一键退订（RFC 8058）
+ * @param {string} unsubscribeUrl - 退订链接
+ * @returns {Object} - 邮件头
+ */
+function getUnsubscribeHeaders(unsubscribeUrl) {
+  if (!unsubscribeUrl) {
+    return {};
+  }
+  
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
 /**
  * 发送评论通知邮件
  * @param {string} to - 收件人邮箱
@@ -433,77 +406,143 @@ async function sendNotificationEmail(to, subject, content) {
  * @param {string} postTitle - 文章标题
  * @param {string} commentContent - 评论内容
  * @param {string} postUrl - 文章链接
- * @returns {Promise<boolean>} 是否发送成功
+ * @param {Object} options - { subject, intro, unsubscribeUrl, locale }，subject 作为模板变量 notice
+ * @returns {Promise<boolean>} 是否加入发送队列
  */
-async function sendCommentNotificationEmail(to, username, postTitle, commentContent, postUrl) {
+async function sendCommentNotificationEmail(to, username, postTitle, commentContent, postUrl, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送评论通知邮件');
-        return false;
-      }
-    }
+    const { subject, html } = await emailTemplateService.render('comment_notification', {
+      username,
+      notice: options.subject || `您的文章《${postTitle}》收到了新评论`,
+      intro: options.intro || `您的文章 <strong>${postTitle}</strong> 收到了新的评论：`,
+      postTitle,
+      commentContent,
+      postUrl
+    }, { locale: options.locale, unsubscribeUrl: options.unsubscribeUrl });
+    
+    const id = await queueMail({
+      to,
+      subject,
+      html,
+      headers: getUnsubscribeHeaders(options.unsubscribeUrl)
+    }, 'comment_notification');
     
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
+    logger.info(`评论通知邮件已加入发送队列: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error(`发送评论通知邮件失败: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 发送评论通知汇总邮件
+ * @param {string} to - 收件人邮箱
+ * @param {string} username - 用户名
+ * @param {Array<Object>} items - 通知列表 { intro, content, url }
+ * @param {Object} options - { subject, unsubscribeUrl, more }
+ * @returns {Promise<boolean>} 是否加入发送队列
+ */
+async function sendCommentDigestEmail(to, username, items, options = {}) {
+  try {
+    const id = await queueMail({
+      to,
+      subject: options.subject || `您有 ${items.length + (options.more || 0)} 条新的评论动态`,
+      html: emailTemplates.getCommentDigestTemplate(username, items, options),
+      headers: getUnsubscribeHeaders(options.unsubscribeUrl)
+    }, 'comment_notification');
     
-    // 使用评论通知邮件模板
-    const htmlContent = emailTemplates.getCommentNotificationTemplate(username, postTitle, commentContent, postUrl);
+    logger.info(`评论通知汇总邮件已加入发送队列: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error(`发送评论通知汇总邮件失败: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 发送订阅确认邮件
+ * @param {string} to - 订阅邮箱
+ * @param {string} confirmUrl - 确认链接
+ * @param {number} expiresInHours - 链接有效时间(小时)
+ * @param {Object} options - { locale }
+ * @returns {Promise<boolean>} 是否加入发送队列
+ */
+async function sendNewsletterConfirmationEmail(to, confirmUrl, expiresInHours, options = {}) {
+  try {
+    const { subject, html } = await emailTemplateService.render('newsletter_confirmation', {
+      email: to,
+      confirmUrl,
+      expiresInHours
+    }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: `您的文章《${postTitle}》收到了新评论`,
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'newsletter_confirmation');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`评论通知邮件发送成功: ${info.messageId}`);
+    logger.info(`订阅确认邮件已加入发送队列: ${id}`);
     return true;
   } catch (error) {
-    logger.error(`发送评论通知邮件失败: ${error.message}`);
+    logger.error(`发送订阅确认邮件失败: ${error.message}`);
     return false;
   }
 }
 
 /**
- * 发送欢迎新用户邮件
+ * 发送账户临时锁定通知邮件
  * @param {string} to - 收件人邮箱
  * @param {string} username - 用户名
- * @returns {Promise<boolean>} 是否发送成功
+ * @param {Object} details - { failedAttempts, lockedMinutes, ipAddress, lockedAt }
+ * @param {Object} options - { locale }
+ * @returns {Promise<boolean>} 是否加入发送队列
  */
-async function sendWelcomeEmail(to, username) {
+async function sendAccountLockedEmail(to, username, details, options = {}) {
   try {
-    // 如果邮件服务未初始化，尝试初始化
-    if (!transporter) {
-      const initialized = await initMailer();
-      if (!initialized) {
-        logger.warn('邮件服务未初始化，无法发送欢迎邮件');
-        return false;
-      }
-    }
+    const { subject, html } = await emailTemplateService.render('account_locked', {
+      username,
+      ...details
+    }, options);
     
-    // 获取最新的邮件设置
-    const emailSettings = await getEmailSettings();
+    const id = await queueMail({ to, subject, html }, 'account_locked');
     
-    // 使用欢迎邮件模板
-    const htmlContent = emailTemplates.getWelcomeTemplate(username);
+    logger.info(`账户锁定通知邮件已加入发送队列: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error(`发送账户锁定通知邮件失败: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 发送订阅群发邮件
+ * 发送失败由调用方处理，以便记录到每个订阅者的发送记录
+ * @param {string} to - 订阅邮箱
+ * @param {string} subject - 邮件主题
+ * @param {string} content - 正文HTML
+ * @param {Object} options - { unsubscribeUrl }
+ * @returns {Promise<number>} 队列中的邮件ID
+ */
+async function sendNewsletterEmail(to, subject, content, options = {}) {
+  return queueMail({
+    to,
+    subject,
+    html: emailTemplates.getNewsletterTemplate(content, options),
+    headers: getUnsubscribeHeaders(options.unsubscribeUrl)
+  }, 'newsletter');
+}
+
+/**
+ * 发送欢迎新用户邮件
+ * @param {string} to - 收件人邮箱
+ * @param {string} username - 用户名
+ * @param {Object} options - { locale }
+ * @returns {Promise<boolean>} 是否加入发送队列
+ */
+async function sendWelcomeEmail(to, username, options = {}) {
+  try {
+    const { subject, html } = await emailTemplateService.render('welcome', { username }, options);
     
-    // 邮件内容
-    const mailOptions = {
-      from: `"${emailSettings.senderName || 'Xblog'}" <${emailSettings.smtpUser}>`,
-      to,
-      subject: `欢迎加入 ${emailSettings.senderName || 'Xblog'}！`,
-      html: htmlContent
-    };
+    const id = await queueMail({ to, subject, html }, 'welcome');
     
-    // 发送邮件
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`欢迎邮件发送成功: ${info.messageId}`);
+    logger.info(`欢迎邮件已加入发送队列: ${id}`);
     return true;
   } catch (error) {
     logger.error(`发送欢迎邮件失败: ${error.message}`);
@@ -513,12 +552,17 @@ async function sendWelcomeEmail(to, username) {
 
 module.exports = {
   initMailer,
+  deliverMail,
   sendVerificationEmail,
   sendVerificationCode,
   sendPasswordResetEmail,
   sendPasswordResetCode,
   sendNotificationEmail,
   sendCommentNotificationEmail,
+  sendCommentDigestEmail,
+  sendNewsletterConfirmationEmail,
+  sendNewsletterEmail,
+  sendAccountLockedEmail,
   sendWelcomeEmail,
   generateVerificationCode
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,225 @@
+/**
+ * Markdown 渲染工具
+ * 将文章 Markdown 渲染为净化后的 HTML，并生成目录、字数和阅读时长
+ */
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// 阅读速度：中文每分钟字数、英文每分钟单词数
+const CJK_CHARS_PER_MINUTE = 300;
+const WORDS_PER_MINUTE = 200;
+
+// 中日韩字符（统一表意文字、扩展A、兼容表意文字、日文假名、韩文音节）
+const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/g;
+
+// 非中日韩文字中的单词
+const WORD_REGEX = /[A-Za-z0-9À-ɏ]+(?:['’-][A-Za-z0-9À-ɏ]+)*/g;
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: false
+});
+
+// 允许的标签和属性，在 sanitize-html 默认白名单基础上补充图片、标题锚点和表格对齐
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 's', 'input']),
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'title', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    input: ['type', 'checked', 'disabled'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  transformTags: {
+    // 外部链接在新窗口打开，并阻止目标页面访问 window.opener
+    a: (tagName, attribs) => {
+      if (/^https?:\/\//i.test(attribs.href || '')) {
+        return {
+          tagName,
+          attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+        };
+      }
+      return { tagName, attribs };
+    }
+  }
+};
+
+/**
+ * 根据标题文本生成锚点ID，保留中文
+ * @param {string} text - 标题文本
+ * @returns {string} - 锚点ID
+ */
+const slugifyHeading = (text) => {
+  const slug = text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return slug || 'section';
+};
+
+/**
+ * 为标题添加唯一ID，同时收集目录项
+ * @param {Array} tokens - markdown-it 解析出的 token
+ * @returns {Array<Object>} - 扁平的目录项 { id, text, level }
+ */
+const annotateHeadings = (tokens) => {
+  const headings = [];
+  const usedIds = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const inline = tokens[index + 1];
+    const text = inline && inline.children
+      ? inline.children.filter(child => child.type === 'text' || child.type === 'code_inline').map(child => child.content).join('')
+      : '';
+
+    const base = slugifyHeading(text);
+    const count = usedIds.get(base) || 0;
+    const id = count === 0 ? base : `${base}-${count}`;
+    usedIds.set(base, count + 1);
+
+    token.attrSet('id', id);
+    headings.push({ id, text: text.trim(), level: parseInt(token.tag.substring(1), 10) });
+  });
+
+  return headings;
+};
+
+/**
+ * 将扁平的标题列表组装为嵌套目录
+ * @param {Array<Object>} headings - 扁平目录项
+ * @returns {Array<Object>} - 嵌套目录 { id, text, level, children }
+ */
+const buildToc = (headings) => {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  headings.forEach(heading => {
+    const node = { ...heading, children: [] };
+
+    while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+
+  return root.children;
+};
+
+/**
+ * 统计字数：中文按字计数，其他语言按单词计数
+ * @param {string} text - 纯文本
+ * @returns {Object} - { wordCount, cjkCount, latinCount }
+ */
+const countWords = (text) => {
+  const cjkCount = (text.match(CJK_REGEX) || []).length;
+  const latinCount = (text.replace(CJK_REGEX, ' ').match(WORD_REGEX) || []).length;
+
+  return {
+    wordCount: cjkCount + latinCount,
+    cjkCount,
+    latinCount
+  };
+};
+
+/**
+ * 估算阅读时长
+ * @param {Object} counts - countWords 的返回值
+ * @returns {number} - 阅读时长（分钟），有内容时至少为1
+ */
+const estimateReadingTime = ({ cjkCount, latinCount }) => {
+  if (cjkCount + latinCount === 0) {
+    return 0;
+  }
+
+  return Math.max(1, Math.ceil(cjkCount / CJK_CHARS_PER_MINUTE + latinCount / WORDS_PER_MINUTE));
+};
+
+/**
+ * 渲染 Markdown
+ * @param {string|null} markdown - Markdown 文本
+ * @returns {Object} - { html, toc, wordCount, readingTime }
+ */
+const renderMarkdown = (markdown) => {
+  const source = markdown || '';
+  const env = {};
+  const tokens = md.parse(source, env);
+  const headings = annotateHeadings(tokens);
+
+  const html = sanitizeHtml(md.renderer.render(tokens, md.options, env), SANITIZE_OPTIONS);
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  const counts = countWords(text);
+
+  return {
+    html,
+    toc: buildToc(headings),
+    wordCount: counts.wordCount,
+    readingTime: estimateReadingTime(counts)
+  };
+};
+
+/**
+ * 提取 Markdown 中的纯文本，用于搜索索引和摘要
+ * 内联HTML会被忽略，代码块保留原文
+ * @param {string|null} markdown - Markdown 文本
+ * @returns {string} - 纯文本，块级元素之间以换行分隔
+ */
+const toPlainText = (markdown) => {
+  const blocks = [];
+
+  md.parse(markdown || '', {}).forEach(token => {
+    if (token.type === 'inline') {
+      const text = token.children
+        .map(child => {
+          if (child.type === 'text' || child.type === 'code_inline') {
+            return child.content;
+          }
+          return child.type === 'softbreak' || child.type === 'hardbreak' ? '\n' : '';
+        })
+        .join('');
+      if (text) {
+        blocks.push(text);
+      }
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      blocks.push(token.content.replace(/\n$/, ''));
+    }
+  });
+
+  return blocks.join('\n');
+};
+
+module.exports = {
+  renderMarkdown,
+  toPlainText,
+  countWords,
+  estimateReadingTime,
+  slugifyHeading
+};
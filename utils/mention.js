@@ -0,0 +1,34 @@
+/**
+ * @提及解析工具
+ */
+
+// 用户名前不能紧跟字母或数字，避免把邮箱地址当作提及
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_\-.]{2,30})/gu;
+
+// 单条评论最多处理的提及数量
+const MAX_MENTIONS = 10;
+
+/**
+ * 提取文本中 @ 提及的用户名
+ * @param {string} text - 文本
+ * @returns {string[]} - 去重后的用户名，按出现顺序排列
+ */
+const extractMentions = (text) => {
+  const usernames = [];
+  let match;
+
+  MENTION_REGEX.lastIndex = 0;
+  while ((match = MENTION_REGEX.exec(String(text || ''))) !== null) {
+    // 句末的点号不属于用户名
+    const username = match[2].replace(/\.+$/, '');
+    if (username.length >= 2 && !usernames.includes(username)) {
+      usernames.push(username);
+    }
+  }
+
+  return usernames.slice(0, MAX_MENTIONS);
+};
+
+module.exports = {
+  extractMentions
+};
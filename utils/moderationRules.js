@@ -0,0 +1,179 @@
+/**
+ * 评论审核规则工具
+ * 各项检查的纯计算部分，查询数据库和调用AI服务由 moderationService 负责
+ *
+ * 每项检查给出 0-1 的垃圾分，按权重合并为总垃圾分，安全分 = 1 - 总垃圾分
+ */
+
+// 链接：带协议的网址或以 www. 开头的域名，遇到非 ASCII 字符（如中文标点）即结束
+const LINK_REGEX = /(?:https?:\/\/|www\.)[\w\-.~:/?#@!$&*+,;=%[\]]+/gi;
+
+/**
+ * 归一化评论内容，用于关键词匹配和重复内容比较
+ * 去掉空白和标点，避免用"加 微 信"之类的写法绕过
+ * @param {string} content - 评论内容
+ * @returns {string} - 归一化后的内容
+ */
+const normalizeContent = (content) => String(content || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '');
+
+/**
+ * 提取评论中的链接
+ * @param {string} content - 评论内容
+ * @returns {string[]} - 链接列表
+ */
+const extractLinks = (content) => String(content || '').match(LINK_REGEX) || [];
+
+/**
+ * 编译正则表达式规则，无效的规则会被跳过
+ * @param {string[]} patterns - 正则表达式字符串
+ * @returns {Object} - { regexes, invalid }
+ */
+const compilePatterns = (patterns = []) => {
+  const regexes = [];
+  const invalid = [];
+
+  for (const pattern of patterns) {
+    try {
+      regexes.push(new RegExp(pattern, 'iu'));
+    } catch (e) {
+      invalid.push(pattern);
+    }
+  }
+
+  return { regexes, invalid };
+};
+
+/**
+ * 匹配屏蔽词和正则规则
+ * 屏蔽词在归一化后的内容中查找，正则规则匹配原始内容
+ * @param {string} content - 评论内容
+ * @param {Object} options - { keywords, patterns }
+ * @returns {Object} - { keywords, patterns } 命中的屏蔽词和规则
+ */
+const matchBlocklist = (content, { keywords = [], patterns = [] } = {}) => {
+  const normalized = normalizeContent(content);
+
+  return {
+    keywords: keywords.filter(keyword => {
+      const word = normalizeContent(keyword);
+      return word && normalized.includes(word);
+    }),
+    patterns: compilePatterns(patterns).regexes
+      .filter(regex => regex.test(content))
+      .map(regex => regex.source)
+  };
+};
+
+/**
+ * 计算超出上限时的垃圾分
+ * 刚超出上限为 0.5，超出量达到上限本身时为 1
+ * @param {number} value - 实际数量
+ * @param {number} limit - 上限
+ * @returns {number} - 垃圾分
+ */
+const overLimitScore = (value, limit) => {
+  if (value <= limit) {
+    return 0;
+  }
+
+  return Math.min(1, 0.5 + 0.5 * (value - limit) / Math.max(limit, 1));
+};
+
+/**
+ * 查找重复内容
+ * @param {string} content - 评论内容
+ * @param {Array<Object>} candidates - 近期评论 { content, author_id, ip_address }
+ * @param {Object} author - { authorId, ipAddress } 当前评论者
+ * @returns {Object} - { own, others } 当前评论者和其他人发表过的相同内容数量
+ */
+const findDuplicates = (content, candidates, { authorId = null, ipAddress = null } = {}) => {
+  const normalized = normalizeContent(content);
+  const result = { own: 0, others: 0 };
+
+  for (const candidate of candidates) {
+    if (normalizeContent(candidate.content) !== normalized) {
+      continue;
+    }
+
+    const sameAuthor = (authorId && candidate.author_id === authorId) ||
+      (ipAddress && candidate.ip_address === ipAddress);
+
+    if (sameAuthor) {
+      result.own++;
+    } else {
+      result.others++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 解析AI返回的垃圾评论判断
+ * 期望返回 {"spam": 0-1, "reason": "..."}，也兼容只返回一个数字
+ * @param {string} text - AI返回的文本
+ * @returns {Object|null} - { score, reason }，无法解析时返回null
+ */
+const parseAIVerdict = (text) => {
+  const raw = String(text || '');
+  const json = raw.match(/\{[\s\S]*\}/);
+
+  if (json) {
+    try {
+      const data = JSON.parse(json[0]);
+      const score = Number(data.spam);
+      if (Number.isFinite(score) && score >= 0 && score <= 1) {
+        return { score, reason: data.reason ? String(data.reason) : null };
+      }
+    } catch (e) {
+      // 不是合法的JSON时按纯数字处理
+    }
+  }
+
+  const number = raw.match(/\b(?:0(?:\.\d+)?|1(?:\.0+)?)\b/);
+  return number ? { score: Number(number[0]), reason: null } : null;
+};
+
+/**
+ * 合并各项检查的垃圾分
+ * 各项相互独立地给出证据，任一项满分即为满分，多项较低的分数会叠加
+ * @param {Array<Object>} results - 检查结果 { score, weight }
+ * @returns {number} - 总垃圾分(0-1)
+ */
+const combineScores = (results) => {
+  const clean = results.reduce((product, { score, weight }) => {
+    const value = Math.min(1, Math.max(0, score * weight));
+    return product * (1 - value);
+  }, 1);
+
+  return Number((1 - clean).toFixed(4));
+};
+
+/**
+ * 根据安全分给出审核结论
+ * @param {number} safety - 安全分(0-1)
+ * @param {Object} thresholds - { threshold, rejectThreshold }
+ * @returns {string} - approved（通过）、review（需人工审核）或 rejected（判定为垃圾评论）
+ */
+const decide = (safety, { threshold, rejectThreshold }) => {
+  if (safety < rejectThreshold) {
+    return 'rejected';
+  }
+
+  return safety < threshold ? 'review' : 'approved';
+};
+
+module.exports = {
+  normalizeContent,
+  extractLinks,
+  compilePatterns,
+  matchBlocklist,
+  overLimitScore,
+  findDuplicates,
+  parseAIVerdict,
+  combineScores,
+  decide
+};
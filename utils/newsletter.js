@@ -0,0 +1,107 @@
+/**
+ * 邮件订阅工具
+ * 订阅邮箱规范化、每周摘要的发送时间计算和摘要正文生成，不依赖数据库
+ */
+const { escapeHtml } = require('./search');
+
+// 简单的邮箱格式校验，与注册接口保持一致的宽松程度
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 摘要中文章摘要的最大长度
+const SUMMARY_LENGTH = 140;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 规范化订阅邮箱，格式不正确时返回null
+ * @param {string} email - 邮箱
+ * @returns {string|null} - 去除空白并转为小写的邮箱
+ */
+const normalizeEmail = (email) => {
+  if (typeof email !== 'string') {
+    return null;
+  }
+
+  const normalized = email.trim().toLowerCase();
+  return normalized.length <= 255 && EMAIL_REGEX.test(normalized) ? normalized : null;
+};
+
+/**
+ * 获取不晚于当前时间的最近一个摘要发送时间点（服务器本地时间）
+ * @param {Date} now - 当前时间
+ * @param {Object} schedule - { dayOfWeek, hour }，dayOfWeek 0 为周日
+ * @returns {Date} - 发送时间点
+ */
+const getDigestSlot = (now, { dayOfWeek, hour }) => {
+  const slot = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, 0, 0, 0);
+  slot.setDate(slot.getDate() - ((now.getDay() - dayOfWeek + 7) % 7));
+
+  if (slot > now) {
+    slot.setDate(slot.getDate() - 7);
+  }
+
+  return slot;
+};
+
+/**
+ * 判断是否到了发送摘要的时间
+ * 上次执行早于最近一个发送时间点即为到期；停机错过的时间点在恢复后补发一次
+ * @param {Date} now - 当前时间
+ * @param {Date|string|null} lastRunAt - 上次执行时间
+ * @param {Object} schedule - { dayOfWeek, hour }
+ * @returns {boolean} - 是否到期
+ */
+const isDigestDue = (now, lastRunAt, schedule) => {
+  if (!lastRunAt) {
+    return true;
+  }
+
+  return new Date(lastRunAt) < getDigestSlot(now, schedule);
+};
+
+/**
+ * 获取摘要收录文章的起始时间
+ * 以上次执行时间为准，从未执行过时收录最近一周的文章
+ * @param {Date} now - 当前时间
+ * @param {Date|string|null} lastRunAt - 上次执行时间
+ * @returns {Date} - 起始时间
+ */
+const getDigestSince = (now, lastRunAt) => (lastRunAt ? new Date(lastRunAt) : new Date(now.getTime() - 7 * DAY_MS));
+
+/**
+ * 截断文本
+ * @param {string} text - 文本
+ * @param {number} length - 最大长度
+ * @returns {string} - 截断后的文本
+ */
+const truncate = (text, length) => {
+  const chars = Array.from(String(text || '').replace(/\s+/g, ' ').trim());
+  return chars.length > length ? `${chars.slice(0, length).join('')}…` : chars.join('');
+};
+
+/**
+ * 生成文章摘要邮件的正文
+ * @param {Array<Object>} posts - 文章 { title, url, excerpt }
+ * @param {Object} options - { intro }
+ * @returns {string} - HTML
+ */
+const buildDigestContent = (posts, { intro = '' } = {}) => {
+  const list = posts.map(post => `
+    <h3 style="margin-bottom: 5px;"><a href="${escapeHtml(post.url)}" class="link">${escapeHtml(post.title)}</a></h3>
+    ${post.excerpt ? `<p style="margin-top: 0; color: #666;">${escapeHtml(truncate(post.excerpt, SUMMARY_LENGTH))}</p>` : ''}
+  `).join('');
+
+  return `
+    <h2>最新文章</h2>
+    ${intro ? `<p>${escapeHtml(intro)}</p>` : `<p>以下是最近发布的 ${posts.length} 篇文章：</p>`}
+    ${list}
+  `;
+};
+
+module.exports = {
+  normalizeEmail,
+  getDigestSlot,
+  isDigestDue,
+  getDigestSince,
+  buildDigestContent
+};
@@ -0,0 +1,37 @@
+/**
+ * 资源所有权权限工具
+ * 权限代码可以带 own/any 后缀，如 post:edit:own 只能编辑自己的文章，post:edit:any 可以编辑所有文章；
+ * 不带后缀的旧权限 post:edit 视同 any，已有角色配置不受影响。不依赖数据库。
+ */
+
+const OWN_SUFFIX = 'own';
+const ANY_SUFFIX = 'any';
+
+/**
+ * 获取某个操作相关的全部权限代码，用于路由上的 checkPermission
+ * @param {string} action - 操作，如 post:edit
+ * @returns {string[]} - [action:own, action:any, action]
+ */
+const getOwnershipCodes = (action) => [`${action}:${OWN_SUFFIX}`, `${action}:${ANY_SUFFIX}`, action];
+
+/**
+ * 判断拥有的权限是否允许对某个资源执行操作
+ * @param {string[]} codes - 拥有的权限代码
+ * @param {string} action - 操作，如 post:edit
+ * @param {number|null} ownerId - 资源所有者ID，如 posts.author_id
+ * @param {number} userId - 当前用户ID
+ * @returns {boolean}
+ */
+const canActOn = (codes, action, ownerId, userId) => {
+  if (codes.includes(`${action}:${ANY_SUFFIX}`) || codes.includes(action)) {
+    return true;
+  }
+
+  const isOwner = ownerId !== null && ownerId !== undefined && Number(ownerId) === Number(userId);
+  return isOwner && codes.includes(`${action}:${OWN_SUFFIX}`);
+};
+
+module.exports = {
+  getOwnershipCodes,
+  canActOn
+};
@@ -0,0 +1,54 @@
+/**
+ * 权限解析工具
+ * 将用户的角色和角色权限合并为有效权限列表，并记录每个权限来自哪些角色，不依赖数据库
+ */
+
+/**
+ * 合并角色的权限
+ * @param {Array} roles - 用户的角色，{ id, code, name, source, through, expiresAt, categoryIds }，
+ *   source 为 admin_users、user_roles、grant（临时授权）或 inherited（继承，through 为直接拥有的角色），
+ *   categoryIds 为角色限定的分类范围
+ * @param {Array} rows - 角色权限，{ role_id, id, name, code, display_name, description }
+ * @returns {Array} - 按权限代码排序的权限，每项带 sources: [{ roleId, roleCode, roleName, via, through, expiresAt, categoryIds }]
+ */
+const mergeRolePermissions = (roles, rows) => {
+  const roleMap = new Map(roles.map(role => [role.id, role]));
+  const permissions = new Map();
+
+  for (const row of rows) {
+    const role = roleMap.get(row.role_id);
+    if (!role) {
+      continue;
+    }
+
+    if (!permissions.has(row.code)) {
+      permissions.set(row.code, {
+        id: row.id,
+        name: row.name,
+        code: row.code,
+        display_name: row.display_name,
+        description: row.description,
+        sources: []
+      });
+    }
+
+    const sources = permissions.get(row.code).sources;
+    if (!sources.some(source => source.roleId === role.id)) {
+      sources.push({
+        roleId: role.id,
+        roleCode: role.code,
+        roleName: role.name,
+        via: role.source,
+        ...(role.through ? { through: role.through } : {}),
+        ...(role.expiresAt ? { expiresAt: role.expiresAt } : {}),
+        ...(role.categoryIds ? { categoryIds: role.categoryIds } : {})
+      });
+    }
+  }
+
+  return [...permissions.values()].sort((a, b) => a.code.localeCompare(b.code));
+};
+
+module.exports = {
+  mergeRolePermissions
+};
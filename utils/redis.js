@@ -8,24 +8,67 @@ const { logger } = require('./logger');
 // 创建内存模拟Redis的函数
 function createMemoryRedis() {
   const memoryStore = new Map();
+  const expiryTimers = new Map();
+
+  const clearExpiry = (key) => {
+    const entry = expiryTimers.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      expiryTimers.delete(key);
+    }
+  };
+
+  // 设置键的过期时间，重复设置时以最后一次为准
+  const scheduleExpiry = (key, seconds) => {
+    clearExpiry(key);
+    const timer = setTimeout(() => {
+      memoryStore.delete(key);
+      expiryTimers.delete(key);
+    }, seconds * 1000);
+    // 不阻止进程退出
+    if (timer.unref) {
+      timer.unref();
+    }
+    expiryTimers.set(key, { timer, expiresAt: Date.now() + seconds * 1000 });
+  };
+
   const memoryClient = {
     isMemoryStore: true,
     get: async (key) => memoryStore.get(key),
     set: async (key, value, opt1, opt2, opt3) => {
-      // 处理过期时间
-      if (opt1 === 'EX' && typeof opt2 === 'number') {
-        memoryStore.set(key, value);
-        setTimeout(() => {
-          memoryStore.delete(key);
-        }, opt2 * 1000);
-        return 'OK';
-      }
+      // 处理过期时间，兼容 set(key, value, 'EX', 秒) 和 set(key, value, { EX: 秒 })
+      const seconds = opt1 === 'EX' ? opt2 : (opt1 && typeof opt1 === 'object' ? opt1.EX : undefined);
       memoryStore.set(key, value);
+      if (typeof seconds === 'number') {
+        scheduleExpiry(key, seconds);
+      } else {
+        clearExpiry(key);
+      }
       return 'OK';
     },
+    incr: async (key) => {
+      const value = parseInt(memoryStore.get(key) || '0', 10) + 1;
+      memoryStore.set(key, String(value));
+      return value;
+    },
+    expire: async (key, seconds) => {
+      if (!memoryStore.has(key)) {
+        return 0;
+      }
+      scheduleExpiry(key, seconds);
+      return 1;
+    },
+    ttl: async (key) => {
+      if (!memoryStore.has(key)) {
+        return -2;
+      }
+      const entry = expiryTimers.get(key);
+      return entry ? Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000)) : -1;
+    },
     del: async (key) => {
       const existed = memoryStore.has(key);
       memoryStore.delete(key);
+      clearExpiry(key);
       return existed ? 1 : 0;
     },
     connect: async () => Promise.resolve(),
@@ -83,6 +126,9 @@ if (process.env.USE_MEMORY_REDIS === 'true') {
   }
 }
 
+// 连接失败时 redisClient 会被替换为内存版本，通过 getter 导出以便调用方拿到当前的客户端
 module.exports = {
-  redisClient
-}; 
\ No newline at end of file
+  get redisClient() {
+    return redisClient;
+  }
+};
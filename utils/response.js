@@ -2,6 +2,7 @@
  * 统一响应工具模块
  */
 const { logger } = require('./logger');
+const { escapeHtml } = require('./search');
 
 /**
  * 统一API响应格式工具类
@@ -82,8 +83,31 @@ const responseError = (res, message = '操作失败', status = 400, details = nu
   return res.status(status).json(response);
 };
 
+/**
+ * 生成简单的结果页面，用于邮件中直接在浏览器打开的链接（如退订、确认订阅）
+ * @param {string} title - 标题
+ * @param {string} message - 说明
+ * @returns {string} - HTML
+ */
+const renderMessagePage = (title, message) => `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: 'Segoe UI', 'Microsoft YaHei', sans-serif; max-width: 480px; margin: 80px auto; padding: 0 20px; color: #333; text-align: center; }
+  </style>
+</head>
+<body>
+  <h2>${escapeHtml(title)}</h2>
+  <p>${escapeHtml(message)}</p>
+</body>
+</html>`;
+
 module.exports = {
   ApiResponse,
   responseSuccess,
-  responseError
+  responseError,
+  renderMessagePage
 }; 
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * 临时角色授权工具
+ * 解析授权的到期时间，不依赖数据库
+ */
+
+// 临时授权最长有效天数
+const MAX_GRANT_DAYS = 366;
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 解析到期时间
+ * 只有日期（如 2026-12-31）时表示到当天结束为止
+ * @param {*} value - 日期字符串或时间戳
+ * @param {Date} now - 当前时间
+ * @returns {Object} - { expiresAt: Date } 或 { error }
+ */
+const parseGrantExpiry = (value, now = new Date()) => {
+  if (value === undefined || value === null || value === '') {
+    return { error: '请指定授权的到期时间' };
+  }
+
+  const expiresAt = typeof value === 'string' && DATE_ONLY_REGEX.test(value)
+    ? new Date(`${value}T23:59:59`)
+    : new Date(value);
+
+  if (isNaN(expiresAt.getTime())) {
+    return { error: '无效的到期时间' };
+  }
+
+  if (expiresAt <= now) {
+    return { error: '到期时间必须晚于当前时间' };
+  }
+
+  if (expiresAt.getTime() - now.getTime() > MAX_GRANT_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `临时授权最长${MAX_GRANT_DAYS}天` };
+  }
+
+  return { expiresAt };
+};
+
+module.exports = {
+  MAX_GRANT_DAYS,
+  parseGrantExpiry
+};
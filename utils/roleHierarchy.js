@@ -0,0 +1,142 @@
+/**
+ * 角色继承工具
+ * 角色可以继承多个父角色，拥有父角色（及其祖先）的全部权限。
+ * 负责检测继承循环、展开用户实际拥有的角色，不依赖数据库
+ */
+
+/**
+ * 由 role_parents 记录构建父角色映射
+ * @param {Array} rows - { role_id, parent_role_id }
+ * @returns {Map<number, number[]>} - 角色ID到父角色ID数组
+ */
+const buildParentMap = (rows) => {
+  const parentMap = new Map();
+
+  for (const row of rows) {
+    if (!parentMap.has(row.role_id)) {
+      parentMap.set(row.role_id, []);
+    }
+    parentMap.get(row.role_id).push(row.parent_role_id);
+  }
+
+  return parentMap;
+};
+
+/**
+ * 检查将角色的父角色设置为 parentIds 后是否形成循环
+ * @param {Map<number, number[]>} parentMap - 当前的父角色映射
+ * @param {number} roleId - 角色ID
+ * @param {number[]} parentIds - 新的父角色ID
+ * @returns {number[]|null} - 形成循环时返回循环路径（首尾都是 roleId），否则为 null
+ */
+const findInheritanceCycle = (parentMap, roleId, parentIds) => {
+  const visited = new Set();
+
+  const search = (currentId, path) => {
+    if (currentId === roleId) {
+      return [...path, currentId];
+    }
+    if (visited.has(currentId)) {
+      return null;
+    }
+    visited.add(currentId);
+
+    for (const parentId of parentMap.get(currentId) || []) {
+      const cycle = search(parentId, [...path, currentId]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  };
+
+  for (const parentId of parentIds) {
+    const cycle = search(parentId, [roleId]);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 获取继承了某个角色的所有角色（含自身），该角色的权限变化会影响这些角色
+ * @param {Map<number, number[]>} parentMap - 父角色映射
+ * @param {number} roleId - 角色ID
+ * @returns {number[]}
+ */
+const getDescendantRoleIds = (parentMap, roleId) => {
+  const result = new Set([roleId]);
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const [childId, parentIds] of parentMap.entries()) {
+      if (!result.has(childId) && parentIds.some(parentId => result.has(parentId))) {
+        result.add(childId);
+        changed = true;
+      }
+    }
+  }
+
+  return [...result];
+};
+
+/**
+ * 展开用户直接拥有的角色，加入继承得到的角色
+ * 同一角色只保留一次，优先保留直接分配的记录，其次是长期有效角色继承来的记录
+ * @param {Array} baseRoles - 直接拥有的角色，{ id, code, name, source, expiresAt }，expiresAt 为临时授权的到期时间
+ * @param {Map<number, number[]>} parentMap - 父角色映射
+ * @param {Map<number, Object>} rolesById - 角色ID到 { id, code, name }
+ * @returns {Array} - 继承得到的角色 source 为 inherited，through 为直接拥有的那个角色的代码
+ */
+const expandInheritedRoles = (baseRoles, parentMap, rolesById) => {
+  const result = [];
+  const seen = new Set();
+
+  for (const role of baseRoles) {
+    if (!seen.has(role.id)) {
+      seen.add(role.id);
+      result.push(role);
+    }
+  }
+
+  // 先展开长期有效的角色，避免同时可由长期角色继承得到的角色被标记为会到期
+  const ordered = [
+    ...baseRoles.filter(role => !role.expiresAt),
+    ...baseRoles.filter(role => role.expiresAt)
+  ];
+
+  for (const base of ordered) {
+    const queue = [...(parentMap.get(base.id) || [])];
+
+    while (queue.length > 0) {
+      const roleId = queue.shift();
+      if (seen.has(roleId) || !rolesById.has(roleId)) {
+        continue;
+      }
+      seen.add(roleId);
+
+      const role = rolesById.get(roleId);
+      result.push({
+        id: role.id,
+        code: role.code,
+        name: role.name,
+        source: 'inherited',
+        through: base.code,
+        ...(base.expiresAt ? { expiresAt: base.expiresAt } : {})
+      });
+      queue.push(...(parentMap.get(roleId) || []));
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  buildParentMap,
+  findInheritanceCycle,
+  getDescendantRoleIds,
+  expandInheritedRoles
+};
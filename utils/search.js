@@ -0,0 +1,241 @@
+/**
+ * 全文搜索工具
+ * 解析用户输入的搜索语句，生成 MySQL 布尔模式查询，并为搜索结果生成高亮片段
+ *
+ * 搜索索引使用 ngram 分词（两字一词），中文无需词典即可按任意词语检索。
+ */
+
+// 布尔模式中有特殊含义的字符，出现在用户输入的词语中时按分隔符处理
+const OPERATOR_REGEX = /[+\-<>()~*"@]+/g;
+
+// 纯中日韩文字
+const CJK_ONLY_REGEX = /^[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]+$/;
+
+// ngram 分词长度，需与 MySQL 的 ngram_token_size 保持一致
+const NGRAM_SIZE = 2;
+
+// 单次搜索最多使用的词语数量
+const MAX_TERMS = 10;
+
+/**
+ * 将文本按布尔运算符拆分为词语
+ * @param {string} text - 文本
+ * @returns {string[]} - 词语
+ */
+const splitWords = (text) => text.replace(OPERATOR_REGEX, ' ').split(/\s+/).filter(Boolean);
+
+/**
+ * 解析搜索语句
+ * 支持空格分隔的多个词语、双引号包裹的短语，以及以 - 开头的排除词
+ * @param {string} input - 用户输入
+ * @returns {Object} - { terms, phrases, excluded }
+ */
+const parseQuery = (input) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+  const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = splitWords(match[2]).join(' ');
+      if (phrase) {
+        (match[1] ? excluded : phrases).push(phrase);
+      }
+    } else {
+      const words = splitWords(match[4]);
+      (match[3] ? excluded : terms).push(...words);
+    }
+  }
+
+  const unique = (list) => [...new Set(list.map(item => item.toLowerCase()))].slice(0, MAX_TERMS);
+
+  return {
+    terms: unique(terms),
+    phrases: unique(phrases),
+    excluded: unique(excluded)
+  };
+};
+
+/**
+ * 将中文词语拆分为 ngram 片段
+ * @param {string} term - 中文词语
+ * @returns {string[]} - 片段
+ */
+const toNgrams = (term) => {
+  const chars = Array.from(term);
+  const grams = [];
+
+  for (let i = 0; i + NGRAM_SIZE <= chars.length; i++) {
+    grams.push(chars.slice(i, i + NGRAM_SIZE).join(''));
+  }
+
+  return grams;
+};
+
+/**
+ * 生成单个词语的布尔模式表达式（不含前缀运算符）
+ * ngram 分词下，多字词语会被当作短语匹配。连续输入的中文往往是多个词语，
+ * 因此较长的中文词语只要求命中其中任一片段，完整匹配时相关度更高。
+ * @param {string} term - 词语
+ * @returns {string} - 表达式
+ */
+const termExpression = (term) => {
+  const length = Array.from(term).length;
+
+  if (length < NGRAM_SIZE) {
+    return `${term}*`;
+  }
+
+  if (CJK_ONLY_REGEX.test(term) && length > NGRAM_SIZE) {
+    return `(>"${term}" ${toNgrams(term).join(' ')})`;
+  }
+
+  return `"${term}"`;
+};
+
+/**
+ * 生成 MySQL 布尔模式查询
+ * @param {Object} parsed - parseQuery 的返回值
+ * @returns {Object|null} - { filter, rank }，没有可搜索的词语时返回null
+ *   filter 要求命中所有词语和短语，用于筛选结果；
+ *   rank 不带必选条件，用于按字段分别计算相关度
+ */
+const buildBooleanQuery = (parsed) => {
+  const { terms, phrases, excluded } = parsed;
+
+  if (terms.length === 0 && phrases.length === 0) {
+    return null;
+  }
+
+  const positives = [
+    ...terms.map(termExpression),
+    ...phrases.map(phrase => `"${phrase}"`)
+  ];
+  const negatives = excluded.map(term => `-"${term}"`);
+
+  return {
+    filter: [...positives.map(expression => `+${expression}`), ...negatives].join(' '),
+    rank: positives.join(' ')
+  };
+};
+
+/**
+ * 获取需要高亮的关键词
+ * 较长的中文词语同时包含其片段，文章中只出现部分词语时也能高亮
+ * @param {Object} parsed - parseQuery 的返回值
+ * @returns {string[]} - 关键词，按长度倒序
+ */
+const getHighlightTerms = (parsed) => {
+  const keywords = [...parsed.phrases, ...parsed.terms];
+
+  parsed.terms.forEach(term => {
+    if (CJK_ONLY_REGEX.test(term) && Array.from(term).length > NGRAM_SIZE) {
+      keywords.push(...toNgrams(term));
+    }
+  });
+
+  return [...new Set(keywords)].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 文本
+ * @returns {string} - 转义后的文本
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * 查找关键词在文本中的位置
+ * @param {string} text - 文本
+ * @param {string[]} keywords - 关键词，按长度倒序
+ * @returns {Array<Object>} - 不重叠的匹配区间 { start, end }
+ */
+const findMatches = (text, keywords) => {
+  if (keywords.length === 0) {
+    return [];
+  }
+
+  const pattern = new RegExp(
+    keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')).join('|'),
+    'gi'
+  );
+  const matches = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return matches;
+};
+
+/**
+ * 生成高亮片段
+ * 选取关键词最密集的一段文本，关键词用 <mark> 包裹，其余内容做HTML转义
+ * @param {string|null} text - 原文
+ * @param {string[]} keywords - 关键词
+ * @param {Object} options - 选项
+ * @param {number} [options.length=160] - 片段最大长度，传入 Infinity 时返回全文
+ * @returns {string} - 高亮后的HTML片段
+ */
+const highlight = (text, keywords, options = {}) => {
+  const { length = 160 } = options;
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const matches = findMatches(source, keywords);
+
+  let start = 0;
+  if (source.length > length && matches.length > 0) {
+    // 以每个匹配为起点计算窗口内的匹配数，取最多的一个
+    let best = 0;
+    let bestCount = 0;
+    matches.forEach((match, i) => {
+      let count = 0;
+      for (let j = i; j < matches.length && matches[j].end <= match.start + length; j++) {
+        count++;
+      }
+      if (count > bestCount) {
+        best = i;
+        bestCount = count;
+      }
+    });
+
+    // 匹配前保留少量上下文
+    const context = Math.floor(length / 5);
+    start = Math.max(0, Math.min(matches[best].start - context, source.length - length));
+  }
+
+  const end = Math.min(source.length, start + length);
+  let html = '';
+  let cursor = start;
+
+  matches
+    .filter(match => match.start >= start && match.end <= end)
+    .forEach(match => {
+      html += escapeHtml(source.slice(cursor, match.start));
+      html += `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+      cursor = match.end;
+    });
+
+  html += escapeHtml(source.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  parseQuery,
+  buildBooleanQuery,
+  getHighlightTerms,
+  highlight,
+  escapeHtml
+};
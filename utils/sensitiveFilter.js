@@ -0,0 +1,180 @@
+/**
+ * 敏感词匹配工具
+ * 基于 Aho–Corasick 自动机，一次扫描即可找出文本中的所有敏感词，耗时与词库大小无关
+ *
+ * 匹配时忽略大小写、全角半角差异，以及夹在字符之间的空白和标点，
+ * 因此"敏 感-词"也能命中"敏感词"。
+ */
+
+// 处理动作的优先级，多个分类同时命中时取最严格的
+const ACTION_PRIORITY = { mask: 1, review: 2, reject: 3 };
+
+// 匹配时跳过的分隔字符（非字母、数字）
+const SEPARATOR_REGEX = /[^\p{L}\p{N}]/u;
+
+/**
+ * 归一化单个字符
+ * @param {string} char - 字符
+ * @returns {string} - 小写的半角字符
+ */
+const normalizeChar = (char) => char.normalize('NFKC').toLowerCase();
+
+/**
+ * 归一化敏感词，去掉其中的分隔字符
+ * @param {string} word - 敏感词
+ * @returns {string[]} - 归一化后的字符列表
+ */
+const normalizeWord = (word) => Array.from(String(word || ''))
+  .filter(char => !SEPARATOR_REGEX.test(char))
+  .map(normalizeChar);
+
+/**
+ * Aho–Corasick 自动机
+ */
+class AhoCorasick {
+  /**
+   * @param {Array<Object>} entries - 敏感词列表 { word, data }，data 会原样附在匹配结果上
+   */
+  constructor(entries = []) {
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+    this.size = 0;
+
+    for (const entry of entries) {
+      this.add(entry.word, entry.data);
+    }
+
+    this.build();
+  }
+
+  /**
+   * 将敏感词加入字典树
+   * @param {string} word - 敏感词
+   * @param {*} data - 附加数据
+   */
+  add(word, data) {
+    const chars = normalizeWord(word);
+    if (chars.length === 0) {
+      return;
+    }
+
+    let state = 0;
+    for (const char of chars) {
+      let next = this.nodes[state].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.length;
+        this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        this.nodes[state].next.set(char, next);
+      }
+      state = next;
+    }
+
+    this.nodes[state].outputs.push({ word, length: chars.length, data });
+    this.size++;
+  }
+
+  /**
+   * 按广度优先计算失败指针，并合并后缀节点的输出
+   */
+  build() {
+    const queue = [...this.nodes[0].next.values()];
+
+    for (let i = 0; i < queue.length; i++) {
+      const state = queue[i];
+
+      for (const [char, next] of this.nodes[state].next) {
+        let fail = this.nodes[state].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+          fail = this.nodes[fail].fail;
+        }
+
+        const target = this.nodes[fail].next.get(char);
+        this.nodes[next].fail = target !== undefined && target !== next ? target : 0;
+        this.nodes[next].outputs.push(...this.nodes[this.nodes[next].fail].outputs);
+        queue.push(next);
+      }
+    }
+  }
+
+  /**
+   * 查找文本中的敏感词
+   * @param {string} text - 文本
+   * @returns {Array<Object>} - 匹配结果 { word, data, start, end }，start/end 为原文中的位置
+   */
+  search(text) {
+    const matches = [];
+    // 已参与匹配的字符在原文中的起止位置
+    const positions = [];
+    let state = 0;
+    let offset = 0;
+
+    for (const raw of String(text || '')) {
+      const start = offset;
+      offset += raw.length;
+
+      if (SEPARATOR_REGEX.test(raw)) {
+        continue;
+      }
+
+      const char = normalizeChar(raw);
+      positions.push([start, offset]);
+
+      while (state !== 0 && !this.nodes[state].next.has(char)) {
+        state = this.nodes[state].fail;
+      }
+      state = this.nodes[state].next.get(char) || 0;
+
+      for (const output of this.nodes[state].outputs) {
+        matches.push({
+          word: output.word,
+          data: output.data,
+          start: positions[positions.length - output.length][0],
+          end: offset
+        });
+      }
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * 用 * 替换命中的内容，保留其中的分隔字符
+ * @param {string} text - 文本
+ * @param {Array<Object>} matches - 需要替换的匹配结果 { start, end }
+ * @returns {string} - 替换后的文本
+ */
+const maskText = (text, matches) => {
+  if (matches.length === 0) {
+    return text;
+  }
+
+  const masked = new Array(text.length).fill(false);
+  for (const { start, end } of matches) {
+    masked.fill(true, start, end);
+  }
+
+  let result = '';
+  let offset = 0;
+  for (const char of text) {
+    result += masked[offset] && !SEPARATOR_REGEX.test(char) ? '*' : char;
+    offset += char.length;
+  }
+
+  return result;
+};
+
+/**
+ * 取多个处理动作中最严格的一个
+ * @param {string[]} actions - 处理动作 mask、review 或 reject
+ * @returns {string|null} - 最严格的动作，没有动作时返回null
+ */
+const strictestAction = (actions) => actions.reduce(
+  (strictest, action) => (!strictest || ACTION_PRIORITY[action] > ACTION_PRIORITY[strictest] ? action : strictest),
+  null
+);
+
+module.exports = {
+  AhoCorasick,
+  maskText,
+  strictestAction
+};
@@ -0,0 +1,55 @@
+/**
+ * 前台站点链接工具
+ * 链接格式由 config.site 配置，:slug 会被替换为编码后的别名
+ */
+const { site } = require('../config');
+
+/**
+ * 按路径模板生成完整链接
+ * @param {string} pattern - 路径模板，如 /posts/:slug
+ * @param {string} slug - 别名
+ * @returns {string} - 完整链接
+ */
+const fill = (pattern, slug) => `${site.url}${pattern.replace(':slug', encodeURIComponent(slug))}`;
+
+/**
+ * 获取站点首页链接
+ * @returns {string} - 首页链接
+ */
+const getSiteUrl = () => site.url;
+
+/**
+ * 获取文章链接
+ * @param {string} slug - 文章别名
+ * @returns {string} - 文章链接
+ */
+const getPostUrl = (slug) => fill(site.postPath, slug);
+
+/**
+ * 获取分类页链接
+ * @param {string} slug - 分类别名
+ * @returns {string} - 分类页链接
+ */
+const getCategoryUrl = (slug) => fill(site.categoryPath, slug);
+
+/**
+ * 获取标签页链接
+ * @param {string} slug - 标签别名
+ * @returns {string} - 标签页链接
+ */
+const getTagUrl = (slug) => fill(site.tagPath, slug);
+
+/**
+ * 获取作者页链接
+ * @param {string} username - 作者用户名
+ * @returns {string} - 作者页链接
+ */
+const getAuthorUrl = (username) => fill(site.authorPath, username);
+
+module.exports = {
+  getSiteUrl,
+  getPostUrl,
+  getCategoryUrl,
+  getTagUrl,
+  getAuthorUrl
+};
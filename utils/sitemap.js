@@ -0,0 +1,88 @@
+/**
+ * 站点地图生成工具
+ * 遵循 sitemaps.org 协议，单个站点地图最多包含 50000 个链接
+ */
+const { escapeXml } = require('./feed');
+
+// 单个站点地图的链接数上限
+const MAX_URLS_PER_SITEMAP = 50000;
+
+/**
+ * 格式化 lastmod 时间
+ * @param {Date|string|null} value - 时间
+ * @returns {string|null} - W3C 日期时间格式，无效时返回null
+ */
+const formatLastmod = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 生成 <url> 或 <sitemap> 条目
+ * @param {string} tag - 标签名
+ * @param {Object} entry - { loc, lastmod }
+ * @returns {string} - XML片段
+ */
+const buildEntry = (tag, entry) => {
+  const lastmod = formatLastmod(entry.lastmod);
+
+  return [
+    `  <${tag}>`,
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+    `  </${tag}>`
+  ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * 生成站点地图
+ * @param {Array<Object>} urls - 链接列表 { loc, lastmod }
+ * @returns {string} - XML
+ */
+const buildUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...urls.map(url => buildEntry('url', url)),
+  '</urlset>',
+  ''
+].join('\n');
+
+/**
+ * 生成站点地图索引
+ * @param {Array<Object>} sitemaps - 子站点地图列表 { loc, lastmod }
+ * @returns {string} - XML
+ */
+const buildSitemapIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...sitemaps.map(sitemap => buildEntry('sitemap', sitemap)),
+  '</sitemapindex>',
+  ''
+].join('\n');
+
+/**
+ * 按单个站点地图的上限拆分链接
+ * @param {Array<Object>} urls - 链接列表
+ * @param {number} size - 每份数量
+ * @returns {Array<Array<Object>>} - 拆分结果，至少包含一份
+ */
+const chunkUrls = (urls, size = MAX_URLS_PER_SITEMAP) => {
+  const chunks = [];
+
+  for (let i = 0; i < urls.length; i += size) {
+    chunks.push(urls.slice(i, i + size));
+  }
+
+  return chunks.length > 0 ? chunks : [[]];
+};
+
+module.exports = {
+  MAX_URLS_PER_SITEMAP,
+  buildUrlset,
+  buildSitemapIndex,
+  chunkUrls
+};
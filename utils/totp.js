@@ -0,0 +1,196 @@
+/**
+ * 基于时间的一次性密码（TOTP，RFC 6238）
+ * 与 Google Authenticator、Microsoft Authenticator 等验证器应用兼容：HMAC-SHA1、30秒步长、6位数字
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+  step: 30,
+  digits: 6,
+  // 允许前后各一个步长的时钟偏差
+  window: 1
+};
+
+/**
+ * Base32 编码（RFC 4648，不带填充）
+ * @param {Buffer} buffer - 原始数据
+ * @returns {string} - Base32 字符串
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 解码，忽略大小写、空格和填充
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer} - 原始数据
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`无效的Base32字符: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成随机密钥
+ * @param {number} bytes - 密钥字节数，默认160位
+ * @returns {string} - Base32 编码的密钥
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * 计算 HOTP（RFC 4226）
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @param {number} digits - 位数
+ * @returns {string} - 一次性密码
+ */
+const hotp = (key, counter, digits) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * 获取某个时间所在的步长序号
+ * @param {number} time - 毫秒时间戳
+ * @param {number} step - 步长（秒）
+ * @returns {number} - 步长序号
+ */
+const getTimeStep = (time = Date.now(), step = DEFAULT_OPTIONS.step) => Math.floor(time / 1000 / step);
+
+/**
+ * 生成 TOTP
+ * @param {string} secret - Base32 密钥
+ * @param {Object} options - { time, step, digits }
+ * @returns {string} - 一次性密码
+ */
+const generateTotp = (secret, { time = Date.now(), step = DEFAULT_OPTIONS.step, digits = DEFAULT_OPTIONS.digits } = {}) =>
+  hotp(base32Decode(secret), getTimeStep(time, step), digits);
+
+/**
+ * 校验 TOTP
+ * 返回匹配的步长序号，调用方保存后可拒绝同一步长内的重复使用
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的密码
+ * @param {Object} options - { time, step, digits, window }
+ * @returns {number|null} - 匹配的步长序号，不匹配时为 null
+ */
+const verifyTotp = (secret, code, options = {}) => {
+  const { time = Date.now(), step, digits, window } = { ...DEFAULT_OPTIONS, ...options };
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (counter < 0) {
+      continue;
+    }
+
+    const expected = hotp(key, counter, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 生成验证器应用扫码使用的 otpauth:// 地址，前端将其渲染为二维码
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {string} - otpauth URI
+ */
+const buildOtpAuthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({
+    secret,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_OPTIONS.digits),
+    period: String(DEFAULT_OPTIONS.step)
+  });
+
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * 生成一次性恢复码，格式如 a1b2c-3d4e5
+ * @param {number} count - 数量
+ * @returns {string[]} - 恢复码
+ */
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * 规范化用户输入的恢复码，忽略大小写、空格和连字符
+ * @param {string} code - 恢复码
+ * @returns {string} - 规范化后的恢复码
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
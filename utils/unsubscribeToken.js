@@ -0,0 +1,76 @@
+/**
+ * 退订链接令牌
+ * 令牌由收件人和退订类型经 HMAC 签名生成，无需登录即可一键退订，也无法被篡改为退订其他人
+ */
+const crypto = require('crypto');
+
+/**
+ * base64url 编码
+ * @param {Buffer|string} value - 内容
+ * @returns {string} - 编码结果
+ */
+const encode = (value) => Buffer.from(value).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+/**
+ * 计算签名
+ * @param {string} payload - 编码后的内容
+ * @param {string} secret - 密钥
+ * @returns {string} - 签名
+ */
+const sign = (payload, secret) => encode(
+  crypto.createHmac('sha256', `unsubscribe:${secret}`).update(payload).digest()
+);
+
+/**
+ * 生成退订令牌
+ * @param {Object} data - { userType, userId, email, types }，注册用户和管理员传 userType 和 userId，游客传 email
+ * @param {string} secret - 密钥
+ * @returns {string} - 令牌
+ */
+const createToken = ({ userType = 'user', userId = null, email = null, types }, secret) => {
+  const payload = encode(JSON.stringify(
+    userId ? { k: userType, u: userId, e: email, t: types } : { u: null, e: email, t: types }
+  ));
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * 校验并解析退订令牌
+ * @param {string} token - 令牌
+ * @param {string} secret - 密钥
+ * @returns {Object|null} - { userType, userId, email, types }，无效时返回null
+ */
+const parseToken = (token, secret) => {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (!Array.isArray(data.t) || (!data.u && !data.e)) {
+      return null;
+    }
+    if (data.u && data.k !== undefined && !['user', 'admin'].includes(data.k)) {
+      return null;
+    }
+    // 早期的令牌不含用户类型，其中的用户ID都是前台用户
+    return { userType: data.u ? data.k || 'user' : null, userId: data.u || null, email: data.e || null, types: data.t };
+  } catch (e) {
+    return null;
+  }
+};
+
+module.exports = {
+  createToken,
+  parseToken
+};
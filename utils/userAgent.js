@@ -0,0 +1,78 @@
+/**
+ * User-Agent 解析工具
+ * 从浏览器标识中识别浏览器、操作系统和设备类型，用于登录设备列表的展示，不追求完整覆盖
+ */
+
+// 按顺序匹配，Edge、Opera 等基于 Chromium 的浏览器需排在 Chrome 之前
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: '微信', pattern: /MicroMessenger\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS (\d+)[_\d]*/ },
+  { name: 'Android', pattern: /Android (\d+(?:\.\d+)?)/ },
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'macOS', pattern: /Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * 解析 User-Agent
+ * @param {string} userAgent - User-Agent 字符串
+ * @returns {Object} - { browser, browserVersion, os, osVersion, deviceType }，无法识别的字段为 null
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+  const result = { browser: null, browserVersion: null, os: null, osVersion: null, deviceType: 'desktop' };
+
+  const browser = BROWSERS.find(item => item.pattern.test(ua));
+  if (browser) {
+    result.browser = browser.name;
+    // 只保留主版本号
+    result.browserVersion = ua.match(browser.pattern)[1].split('.')[0];
+  }
+
+  const os = OPERATING_SYSTEMS.find(item => item.pattern.test(ua));
+  if (os) {
+    const match = ua.match(os.pattern);
+    result.os = os.name;
+    result.osVersion = match[1] || null;
+  }
+
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    result.deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    result.deviceType = 'mobile';
+  } else if (!browser && !os) {
+    // curl、接口调试工具等非浏览器客户端
+    result.deviceType = 'other';
+  }
+
+  return result;
+};
+
+/**
+ * 生成设备名称，如 "Chrome 120 / Windows"
+ * @param {string} userAgent - User-Agent 字符串
+ * @returns {string} - 设备名称
+ */
+const describeDevice = (userAgent) => {
+  const { browser, browserVersion, os, osVersion } = parseUserAgent(userAgent);
+
+  const parts = [
+    browser ? [browser, browserVersion].filter(Boolean).join(' ') : null,
+    os ? [os, osVersion].filter(Boolean).join(' ') : null
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' / ') : '未知设备';
+};
+
+module.exports = {
+  parseUserAgent,
+  describeDevice
+};